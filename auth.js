@@ -0,0 +1,149 @@
+import { readFile } from "fs/promises";
+
+// Authenticated targets. The browser never sees credentials from the client:
+// a login recipe names a credentials profile that is resolved here from the
+// server environment or an optional JSON secrets file. Alternatively the client
+// uploads a Playwright storageState (cookies + localStorage) captured elsewhere.
+//
+//   QAFG_LOGIN_USERNAME / QAFG_LOGIN_PASSWORD / QAFG_LOGIN_ORIGIN       default profile
+//   QAFG_LOGIN_<PROFILE>_USERNAME / _PASSWORD / _ORIGIN
+//   QAFG_SECRETS_FILE = /run/secrets/qafg.json   { "<profile>": { "username", "password", "origin" } }
+//
+// A profile's origin (comma-separated for several) is where a login recipe may
+// type its credentials; the client picks the target, so without it any host
+// could receive them.
+
+const SECRETS_FILE = process.env.QAFG_SECRETS_FILE;
+const MAX_STORAGE_STATE_COOKIES = 200;
+
+// Env var names the generated frameworks read credentials from
+export const TEST_CREDENTIAL_ENV = { username: 'TEST_USERNAME', password: 'TEST_PASSWORD' };
+
+const envPrefix = (profile) => (profile ? `QAFG_LOGIN_${profile.toUpperCase()}_` : 'QAFG_LOGIN_');
+
+async function loadSecretsFile() {
+  if (!SECRETS_FILE) return {};
+  try {
+    return JSON.parse(await readFile(SECRETS_FILE, 'utf8'));
+  } catch (e) {
+    console.log('[auth] could not read QAFG_SECRETS_FILE:', e.message);
+    return {};
+  }
+}
+
+// Names of the profiles that have both a username and a password configured.
+// Values are never returned to the client.
+export async function listCredentialProfiles() {
+  const profiles = new Set();
+  if (process.env.QAFG_LOGIN_USERNAME && process.env.QAFG_LOGIN_PASSWORD) profiles.add('default');
+  for (const key of Object.keys(process.env)) {
+    const m = key.match(/^QAFG_LOGIN_([A-Z0-9_]+)_USERNAME$/);
+    if (m && process.env[`QAFG_LOGIN_${m[1]}_PASSWORD`]) profiles.add(m[1].toLowerCase());
+  }
+  const secrets = await loadSecretsFile();
+  for (const [name, entry] of Object.entries(secrets)) {
+    if (entry?.username && entry?.password) profiles.add(name);
+  }
+  return [...profiles];
+}
+
+function profileName(rawProfile) {
+  const profile = String(rawProfile || 'default').trim().toLowerCase();
+  if (!/^[a-z0-9_]+$/.test(profile)) throw new Error('Credential profile names may only contain letters, digits and "_"');
+  return profile;
+}
+
+// Throws unless `origin` is one of the profile's configured origins. Reads
+// only the origin setting, never the credentials.
+async function assertProfileOrigin(rawProfile, origin) {
+  const profile = profileName(rawProfile);
+  const prefix = envPrefix(profile === 'default' ? '' : profile);
+  const configured = process.env[`${prefix}ORIGIN`] || (await loadSecretsFile())[profile]?.origin;
+  if (!configured) {
+    throw new Error(`Credential profile "${profile}" has no allowed origin. Set ${prefix}ORIGIN (or "origin" in the secrets file) on the server.`);
+  }
+  const allowed = String(configured).split(',').map((value) => {
+    try {
+      return new URL(value.trim()).origin;
+    } catch {
+      return null;
+    }
+  });
+  if (!allowed.includes(origin)) throw new Error(`Credential profile "${profile}" may not be used on ${origin}`);
+}
+
+async function resolveCredentials(rawProfile) {
+  const profile = profileName(rawProfile);
+  const prefix = envPrefix(profile === 'default' ? '' : profile);
+  const username = process.env[`${prefix}USERNAME`];
+  const password = process.env[`${prefix}PASSWORD`];
+  if (username && password) return { username, password };
+  const entry = (await loadSecretsFile())[profile];
+  if (entry?.username && entry?.password) return { username: entry.username, password: entry.password };
+  throw new Error(`No credentials configured for profile "${profile}". Set ${prefix}USERNAME and ${prefix}PASSWORD on the server.`);
+}
+
+function validateStorageState(state) {
+  if (!state || typeof state !== 'object' || !Array.isArray(state.cookies)) {
+    throw new Error('storageState must be a Playwright storageState JSON object with a "cookies" array');
+  }
+  if (state.cookies.length > MAX_STORAGE_STATE_COOKIES) {
+    throw new Error(`storageState has too many cookies (max ${MAX_STORAGE_STATE_COOKIES})`);
+  }
+  return { cookies: state.cookies, origins: Array.isArray(state.origins) ? state.origins : [] };
+}
+
+// Validate the request's auth block against the target. Returns null when the
+// target is public, otherwise a normalized config with credentials resolved.
+// The login page must share the target's origin, and that origin must be one
+// the credential profile is bound to, so credentials are only ever typed into
+// the site they belong to.
+export async function resolveAuth(raw, targetUrl) {
+  if (!raw || !raw.mode || raw.mode === 'none') return null;
+
+  if (raw.mode === 'storageState') {
+    return { mode: 'storageState', storageState: validateStorageState(raw.storageState) };
+  }
+
+  if (raw.mode !== 'recipe') throw new Error(`Unknown auth mode "${raw.mode}"`);
+  const { loginUrl, usernameSelector, passwordSelector, submitSelector, successUrl } = raw;
+  if (!loginUrl || !usernameSelector || !passwordSelector) {
+    throw new Error('Login recipe needs a login URL and username/password field selectors');
+  }
+  let login;
+  try {
+    login = new URL(loginUrl, targetUrl);
+  } catch {
+    throw new Error('Invalid login URL');
+  }
+  if (login.origin !== new URL(targetUrl).origin) {
+    throw new Error('Login URL must be on the same origin as the target URL');
+  }
+  const profile = profileName(raw.profile);
+  await assertProfileOrigin(profile, login.origin);
+  return {
+    mode: 'recipe',
+    loginUrl: login.href,
+    usernameSelector: String(usernameSelector),
+    passwordSelector: String(passwordSelector),
+    submitSelector: submitSelector ? String(submitSelector) : null,
+    successUrl: successUrl ? String(successUrl) : null,
+    profile,
+    credentials: await resolveCredentials(profile)
+  };
+}
+
+// Environment for a test run whose generated login fixture reads
+// TEST_USERNAME / TEST_PASSWORD
+export async function resolveTestCredentials(profile) {
+  const { username, password } = await resolveCredentials(profile);
+  return { [TEST_CREDENTIAL_ENV.username]: username, [TEST_CREDENTIAL_ENV.password]: password };
+}
+
+// Auth details safe to echo back to the UI and embed in the prompt
+export function describeAuth(auth) {
+  if (!auth) return null;
+  if (auth.mode === 'storageState') return { mode: 'storageState', cookies: auth.storageState.cookies.length };
+  const { credentials, ...recipe } = auth;
+  return recipe;
+}
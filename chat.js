@@ -0,0 +1,85 @@
+import { projectPath, selectContextFiles } from "./outputSchema.js";
+import { diffFile } from "./extend.js";
+
+// Refinement chat: each message ("use data-testid everywhere", "split the login
+// tests into positive and negative") is one call that sees the current project
+// and the earlier turns, and returns a change set of added, modified and
+// deleted files. The client applies it as one turn that can be undone and keeps
+// the conversation with the library entry.
+
+const MAX_HISTORY_TURNS = 10;
+const MAX_HISTORY_CHARS = 500;
+
+const clip = (text, max) => {
+  const value = String(text || '').trim();
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+};
+
+// `history` is the earlier, not undone turns: [{ message, summary }]
+export function buildChatPrompt({ files, history = [], message, language, framework, targetUrl }) {
+  const { included, omitted } = selectContextFiles(files);
+  const fileBlocks = included.map((f) => `=== ${projectPath(f)} ===\n${f.content}`);
+  const turns = history.slice(-MAX_HISTORY_TURNS).map((t, i) => `${i + 1}. User: ${clip(t.message, MAX_HISTORY_CHARS)}\n   You: ${clip(t.summary, MAX_HISTORY_CHARS) || '(no summary)'}`);
+  const prompt = `PROJECT: a ${language} + ${framework} test framework for ${targetUrl}. Its current files:
+
+${fileBlocks.join('\n\n')}${omitted.length ? `\n\n(Not shown, do not modify or delete: ${omitted.join(', ')})` : ''}
+${turns.length ? `\nCONVERSATION SO FAR (its changes are already in the files above):\n${turns.join('\n')}\n` : ''}
+REQUEST: ${message}
+
+Change the project to fulfil the request:
+- Return ONLY the files you add or modify, each with its COMPLETE new content and the same name and path as above. List the paths of files to remove in "deleted" (e.g. a test file you split or rename).
+- Keep the code the request does not need changed as it is, and follow the project's existing structure, naming, base classes and helpers.
+- Do NOT delete, skip or weaken tests unless the request asks for it, and do NOT replace assertions with no-ops.
+- If the request is a question or needs no code change, return empty "files" and "deleted" and answer in "summary".
+
+JSON FORMAT:
+{"files":[{"name":"filename","path":"folder/","content":"code"}],"deleted":["folder/filename"],"summary":"what you changed"}
+
+Use \\n for newlines, \\" for quotes. Output ONLY valid JSON.`;
+  return { prompt, omitted };
+}
+
+// Problems with the "deleted" list and with returned files the provider was
+// not shown (the files themselves go through validateFileList)
+export function validateChatOutput(output, files, { omitted = [] } = {}) {
+  const returned = new Set((Array.isArray(output?.files) ? output.files : []).filter((f) => typeof f?.name === 'string').map(projectPath));
+  const errors = [...returned]
+    .filter((path) => omitted.includes(path))
+    .map((path) => `${path} was not shown to you; do not return it`);
+  if (output?.deleted === undefined) return errors;
+  if (!Array.isArray(output.deleted) || output.deleted.some((p) => typeof p !== 'string')) return [...errors, '"deleted" must be an array of file paths'];
+  const existing = new Set(files.map(projectPath));
+  for (const path of output.deleted) {
+    if (!existing.has(path)) errors.push(`"deleted" lists ${path}, which is not a project file`);
+    else if (omitted.includes(path)) errors.push(`"deleted" lists ${path}, which was not shown to you; leave it in place`);
+    if (returned.has(path)) errors.push(`${path} is both returned and deleted`);
+  }
+  return errors;
+}
+
+// The turn's change set: [{ file, name, path, status: "added" | "modified" |
+// "deleted", content, diff, additions, deletions }]; content is null for a
+// deleted file. Files returned unchanged are left out.
+export function chatChanges(files, output) {
+  const current = new Map(files.map((f) => [projectPath(f), f]));
+  const changes = [];
+  for (const file of output.files || []) {
+    const key = projectPath(file);
+    const before = current.get(key)?.content;
+    if (before === file.content) continue;
+    changes.push({
+      file: key, name: file.name, path: file.path || '', content: file.content,
+      status: before === undefined ? 'added' : 'modified',
+      ...diffFile(key, before || '', file.content)
+    });
+  }
+  for (const key of new Set(output.deleted || [])) {
+    const existing = current.get(key);
+    changes.push({
+      file: key, name: existing.name, path: existing.path || '', content: null,
+      status: 'deleted',
+      ...diffFile(key, existing.content, '')
+    });
+  }
+  return changes;
+}
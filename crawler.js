@@ -0,0 +1,250 @@
+import { fetchSafely } from "./safeFetch.js";
+import { analyzeHtml, extractLinks } from "./pageAnalyzer.js";
+
+// Same-origin site crawler feeding a per-page analysis into the generation
+// prompt. Every page, robots.txt and sitemap fetch goes through fetchSafely,
+// so each hop (and each redirect) is checked by assertSafeUrl.
+
+// Hard server-side ceilings; request options are clamped to these.
+export const CRAWL_LIMITS = { maxDepth: 3, maxPages: 20 };
+const CRAWL_BUDGET_MS = 60_000;
+const MAX_SITEMAP_FETCHES = 3;
+const ROBOTS_AGENT = 'qaframeworkgenerator';
+const LOGOUT_PATH = /log-?out|sign-?out|log-?off/i;
+const SKIP_EXTENSIONS = /\.(pdf|zip|gz|tar|png|jpe?g|gif|svg|webp|ico|css|js|mjs|json|xml|txt|mp3|mp4|webm|woff2?|ttf|eot)$/i;
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map((p) => String(p).trim())
+  .filter(Boolean)
+  .slice(0, 20);
+
+const clampInt = (value, fallback, max) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.max(0, Math.min(max, n)) : fallback;
+};
+
+export function normalizeCrawlOptions(raw = {}) {
+  return {
+    maxDepth: clampInt(raw.maxDepth, 1, CRAWL_LIMITS.maxDepth),
+    maxPages: Math.max(1, clampInt(raw.maxPages, 5, CRAWL_LIMITS.maxPages)),
+    include: toList(raw.include),
+    exclude: toList(raw.exclude)
+  };
+}
+
+// Glob-style path pattern ("/products/*") -> anchored RegExp. Only "*" is
+// special so user input can never produce a pathological regex.
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function matchesFilters(url, { include, exclude }) {
+  const path = new URL(url).pathname;
+  if (include.length && !include.some((p) => globToRegExp(p).test(path))) return false;
+  return !exclude.some((p) => globToRegExp(p).test(path));
+}
+
+// --- robots.txt ---------------------------------------------------------------
+
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const m = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || current.rules.length) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    }
+  }
+  return { groups, sitemaps };
+}
+
+function robotsRuleMatches(rulePath, path) {
+  const anchored = rulePath.endsWith('$');
+  const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`).test(path);
+}
+
+// Longest matching rule wins; Allow wins ties (RFC 9309)
+export function robotsAllows(robots, url) {
+  const group = robots.groups.find((g) => g.agents.includes(ROBOTS_AGENT))
+    || robots.groups.find((g) => g.agents.includes('*'));
+  if (!group) return true;
+  const { pathname, search } = new URL(url);
+  const path = pathname + search;
+  let best = null;
+  for (const rule of group.rules) {
+    if (!robotsRuleMatches(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+async function loadRobots(origin) {
+  try {
+    const res = await fetchSafely(`${origin}/robots.txt`);
+    if (res.status === 200) return { found: true, ...parseRobots(res.body) };
+  } catch (e) {
+    console.log('[crawler] robots.txt unavailable:', e.message);
+  }
+  return { found: false, groups: [], sitemaps: [] };
+}
+
+// --- sitemap.xml ---------------------------------------------------------------
+
+async function loadSitemapUrls(sitemapUrls, origin) {
+  const queue = [...new Set(sitemapUrls)];
+  const pages = new Set();
+  let fetches = 0;
+  while (queue.length && fetches < MAX_SITEMAP_FETCHES) {
+    const sitemapUrl = queue.shift();
+    let body;
+    try {
+      if (new URL(sitemapUrl).origin !== origin) continue;
+      fetches++;
+      const res = await fetchSafely(sitemapUrl);
+      if (res.status !== 200) continue;
+      body = res.body;
+    } catch (e) {
+      console.log(`[crawler] sitemap ${sitemapUrl} unavailable:`, e.message);
+      continue;
+    }
+    const locs = [...body.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map((m) => m[1].replace(/&amp;/g, '&'));
+    if (/<sitemapindex/i.test(body)) {
+      queue.push(...locs);
+    } else {
+      for (const loc of locs) pages.add(loc);
+    }
+  }
+  return [...pages];
+}
+
+// --- Crawl ---------------------------------------------------------------------
+
+const normalizeUrl = (raw) => {
+  const url = new URL(raw);
+  url.hash = '';
+  return url.href;
+};
+
+// Breadth-first crawl from startUrl. Every page, the start page included, must
+// be allowed by robots.txt and return a body with a status below 400 (an
+// error status on the start page throws); discovered pages must also be
+// same-origin and pass the include/exclude filters. `pages` is empty when
+// nothing could be analyzed. loadPage swaps the static
+// fetch for the headless renderer; robots.txt and sitemaps are always fetched.
+// An authenticated crawl never follows logout links so the session survives.
+// An aborted `signal` stops the crawl before the next page.
+export async function crawlSite(startUrl, rawOptions = {}, { loadPage = fetchSafely, authenticated = false, signal } = {}) {
+  const options = normalizeCrawlOptions(rawOptions);
+  const { origin } = new URL(startUrl);
+  const deadline = Date.now() + CRAWL_BUDGET_MS;
+
+  const robots = await loadRobots(origin);
+  const queue = [{ url: normalizeUrl(startUrl), depth: 0 }];
+  if (options.maxDepth > 0) {
+    const sitemapPages = await loadSitemapUrls([...robots.sitemaps, `${origin}/sitemap.xml`], origin);
+    for (const url of sitemapPages) queue.push({ url, depth: 1 });
+  }
+
+  const seen = new Set();
+  const pages = [];
+  const skipped = [];
+
+  while (queue.length && pages.length < options.maxPages) {
+    signal?.throwIfAborted();
+    if (Date.now() > deadline) {
+      skipped.push({ url: queue[0].url, reason: 'crawl time budget exhausted' });
+      break;
+    }
+    const { url, depth } = queue.shift();
+    let normalized;
+    try {
+      normalized = normalizeUrl(url);
+    } catch {
+      continue;
+    }
+    if (seen.has(normalized)) continue;
+    seen.add(normalized);
+
+    if (depth > 0) {
+      if (new URL(normalized).origin !== origin) continue;
+      if (SKIP_EXTENSIONS.test(new URL(normalized).pathname)) continue;
+      if (authenticated && LOGOUT_PATH.test(new URL(normalized).pathname)) {
+        skipped.push({ url: normalized, reason: 'logout link (keeps the session alive)' });
+        continue;
+      }
+    }
+    if (!robotsAllows(robots, normalized)) {
+      skipped.push({ url: normalized, reason: 'disallowed by robots.txt' });
+      continue;
+    }
+    if (depth > 0 && !matchesFilters(normalized, options)) {
+      skipped.push({ url: normalized, reason: 'filtered by include/exclude patterns' });
+      continue;
+    }
+
+    let res;
+    try {
+      res = await loadPage(normalized);
+    } catch (e) {
+      if (depth === 0) throw e;
+      skipped.push({ url: normalized, reason: e.message });
+      continue;
+    }
+    // Error pages would reach the prompt as real pages
+    if (res.status >= 400) {
+      if (depth === 0) throw new Error(`${normalized} returned HTTP ${res.status}`);
+      skipped.push({ url: normalized, reason: `HTTP ${res.status}` });
+      continue;
+    }
+    if (!res.body) {
+      skipped.push({ url: normalized, reason: 'empty response body' });
+      continue;
+    }
+    if (depth > 0 && (new URL(res.url).origin !== origin || !/html/i.test(res.contentType))) {
+      skipped.push({ url: normalized, reason: 'not a same-origin HTML page' });
+      continue;
+    }
+    const finalUrl = normalizeUrl(res.url);
+    if (finalUrl !== normalized) {
+      if (seen.has(finalUrl) && depth > 0) continue;
+      seen.add(finalUrl);
+    }
+
+    const links = extractLinks(res.body, res.url).filter((l) => new URL(l).origin === origin);
+    pages.push({
+      url: finalUrl,
+      path: new URL(finalUrl).pathname,
+      depth,
+      ...analyzeHtml(res.body),
+      accessibilityTree: res.accessibilityTree,
+      internalLinks: links.map((l) => new URL(l).pathname).filter((p, i, all) => all.indexOf(p) === i).slice(0, 15)
+    });
+
+    if (depth < options.maxDepth) {
+      for (const link of links) queue.push({ url: link, depth: depth + 1 });
+    }
+  }
+
+  return { pages, skipped, options, robotsFound: robots.found };
+}
@@ -0,0 +1,111 @@
+import { createTwoFilesPatch, diffLines, FILE_HEADERS_ONLY } from "diff";
+import { projectPath, selectContextFiles } from "./outputSchema.js";
+
+// Incremental generation ("extend" mode): the provider sees the current
+// project plus a request such as "add checkout flow tests" and returns only
+// new or modified files, which are merged with conflict detection. Nothing is
+// applied until the client accepts the changes file by file.
+
+// A modification that drops at least this share of a file's lines is
+// treated as a rewrite, not an extension
+const MAX_REMOVED_SHARE = 0.5;
+const MIN_LINES_FOR_REMOVAL_CHECK = 6;
+
+// Prompt for the extension. `pageAnalysis`, `auth` and `styleReference` are
+// the same blocks a full generation gets; `rules` are the stack's rules (or
+// the prompt template's).
+export function buildExtendPrompt({ files, request, language, framework, targetUrl, pageAnalysis, auth = '', styleReference = '', rules }) {
+  const { included, omitted } = selectContextFiles(files);
+  const fileBlocks = included.map((f) => `=== ${projectPath(f)} ===\n${f.content}`);
+  const prompt = `EXISTING PROJECT: a ${language} + ${framework} test framework. Its files:
+
+${fileBlocks.join('\n\n')}${omitted.length ? `\n\n(Not shown, do not modify: ${omitted.join(', ')})` : ''}
+
+REQUEST: ${request}
+
+The request concerns ${targetUrl}.
+${pageAnalysis}
+${auth}${styleReference}
+Extend the existing project to fulfil the request:
+- Return ONLY new files and existing files you modify, each with its COMPLETE new content and the same name and path as above. Do not return unchanged files.
+- Follow the project's existing structure, naming, base classes, fixtures, helpers and config; reuse existing page objects instead of duplicating them, and add methods to them when a new test needs one.
+- Do NOT rewrite, reformat or remove existing code the request does not need changed, and do NOT delete, skip or weaken existing tests.
+- Add a dependency to the existing build file only when the new code needs it.
+
+${rules}
+
+JSON FORMAT:
+{"files":[{"name":"filename","path":"folder/","content":"code"}],"summary":"what you added or changed"}
+
+Use \\n for newlines, \\" for quotes. Output ONLY valid JSON.`;
+  return { prompt, omitted };
+}
+
+export function validateExtension(output) {
+  if (Array.isArray(output?.files) && !output.files.length) return ['"files" is empty; return the new and modified files the request needs'];
+  return [];
+}
+
+const lineCount = (text) => (text ? text.split('\n').length : 0);
+
+// Unified diff of one file with its added and removed line counts
+export function diffFile(file, before, after) {
+  const parts = diffLines(before, after);
+  return {
+    diff: createTwoFilesPatch(`a/${file}`, `b/${file}`, before, after, undefined, undefined, { headerOptions: FILE_HEADERS_ONLY }),
+    additions: parts.filter((p) => p.added).reduce((n, p) => n + p.count, 0),
+    deletions: parts.filter((p) => p.removed).reduce((n, p) => n + p.count, 0)
+  };
+}
+
+// Merges the returned files into the project. Every file that would change is
+// one entry of `changes`: { file, name, path, content, status: "added" |
+// "modified", diff, additions, deletions, conflicts: [reason] }. `files` is the
+// project with the conflict-free changes applied.
+export function mergeExtension(files, returned, { omitted = [] } = {}) {
+  const current = new Map(files.map((f) => [projectPath(f), f]));
+  const changes = [];
+  for (const file of returned || []) {
+    const key = projectPath(file);
+    const existing = current.get(key);
+    const before = existing ? existing.content : '';
+    if (before === file.content) continue;
+
+    const { diff, additions, deletions } = diffFile(key, before, file.content);
+    const conflicts = [];
+    if (existing && omitted.includes(key)) {
+      conflicts.push('This file was not shown to the provider (too large for the prompt); accepting would overwrite it with content written blind');
+    }
+    const total = lineCount(before);
+    if (existing && total >= MIN_LINES_FOR_REMOVAL_CHECK && deletions / total >= MAX_REMOVED_SHARE) {
+      conflicts.push(`Removes or rewrites ${deletions} of ${total} existing lines`);
+    }
+    changes.push({
+      file: key,
+      name: file.name,
+      path: file.path || '',
+      content: file.content,
+      status: existing ? 'modified' : 'added',
+      diff,
+      additions,
+      deletions,
+      conflicts
+    });
+  }
+  return { files: applyChanges(files, changes.filter((c) => !c.conflicts.length)), changes };
+}
+
+// The project with `changes` (mergeExtension entries) applied
+export function applyChanges(files, changes) {
+  const next = files.map((f) => ({ ...f }));
+  const index = new Map(next.map((f, i) => [projectPath(f), i]));
+  for (const change of changes) {
+    if (index.has(change.file)) {
+      next[index.get(change.file)].content = change.content;
+    } else {
+      index.set(change.file, next.length);
+      next.push({ name: change.name, path: change.path, content: change.content });
+    }
+  }
+  return next;
+}
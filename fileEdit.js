@@ -0,0 +1,79 @@
+import { projectPath, selectContextFiles } from "./outputSchema.js";
+import { diffFile } from "./extend.js";
+
+// Single-file actions in the file explorer: regenerate one file, or edit it
+// following an instruction ("use the data-testid locators"). The provider sees
+// the file and its neighbours and returns only that file; the client shows the
+// diff and decides whether to apply it.
+
+const MAX_CONTEXT_CHARS = 40_000;
+
+export const EDIT_MODES = ['edit', 'regenerate'];
+
+const dirOf = (key) => (key.includes('/') ? key.slice(0, key.lastIndexOf('/')) : '');
+const stemOf = (key) => key.slice(key.lastIndexOf('/') + 1).replace(/\.[^.]+$/, '');
+
+// Context for the target: its siblings (same folder), then the files it
+// mentions by name (imports, base classes), then files that mention it,
+// within the budget
+function editContextFiles(files, target) {
+  const key = projectPath(target);
+  const others = files.filter((f) => projectPath(f) !== key);
+  const mentions = (text, file) => {
+    const stem = stemOf(projectPath(file));
+    return stem.length > 2 && new RegExp(`\\b${stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text);
+  };
+  const ranked = [
+    ...others.filter((f) => dirOf(projectPath(f)) === dirOf(key)),
+    ...others.filter((f) => mentions(target.content, f)),
+    ...others.filter((f) => mentions(f.content || '', target))
+  ];
+  return selectContextFiles([...new Set(ranked)], { budget: MAX_CONTEXT_CHARS }).included;
+}
+
+// Prompt for one file. `mode` is "edit" (apply `instruction` to the current
+// content) or "regenerate" (write it again, `instruction` optional).
+export function buildFileEditPrompt({ files, target, mode, instruction, language, framework, targetUrl }) {
+  const key = projectPath(target);
+  const context = editContextFiles(files, target);
+  const contextBlock = context.length
+    ? `\n\nRELATED FILES (for context; do not return them):\n${context.map((f) => `=== ${projectPath(f)} ===\n${f.content}`).join('\n\n')}`
+    : '';
+  const task = mode === 'regenerate'
+    ? `Regenerate ${key} from scratch: write a better, working version of it that fits the rest of the project.${instruction ? `\nGuidance: ${instruction}` : ''}`
+    : `Edit ${key} as follows: ${instruction}
+Keep the code the instruction does not need changed as it is.`;
+
+  return `A ${language} + ${framework} test framework for ${targetUrl} contains this file:
+
+=== ${key} ===
+${target.content}${contextBlock}
+
+${task}
+- Keep the classes, functions and methods the other files use, with the same names and signatures, unless the request asks otherwise.
+- Do NOT delete, skip or weaken tests, and do NOT replace assertions with no-ops.
+- Return ONLY ${key}, with its COMPLETE new content and the same name and path.
+
+JSON FORMAT:
+{"files":[{"name":"${target.name}","path":"${target.path || ''}","content":"code"}],"summary":"what you changed"}
+
+Use \\n for newlines, \\" for quotes. Output ONLY valid JSON.`;
+}
+
+// Problems with the response beyond the file-list contract
+export function validateFileEdit(output, target) {
+  const key = projectPath(target);
+  const files = Array.isArray(output?.files) ? output.files : [];
+  if (files.length !== 1 || projectPath(files[0]) !== key) {
+    return [`return exactly one file, ${key} (got ${files.map((f) => projectPath(f)).join(', ') || 'none'})`];
+  }
+  return [];
+}
+
+// The proposed change: { file, name, path, content, diff, additions, deletions },
+// or null when the provider returned the file unchanged
+export function describeFileEdit(target, proposed) {
+  if (proposed.content === target.content) return null;
+  const file = projectPath(target);
+  return { file, name: target.name, path: target.path || '', content: proposed.content, ...diffFile(file, target.content, proposed.content) };
+}
@@ -0,0 +1,136 @@
+import { normalizeLanguage } from "./prompts.js";
+
+// Contract for provider output:
+//   { "files": [{ "name": string, "path": string, "content": string }, ...], "summary": string }
+// validateFrameworkOutput returns human-readable problems (empty when valid);
+// they are sent back to the provider verbatim in the repair prompt, so each
+// one says what to change.
+
+const MAX_FILES = 200;
+
+const basename = (p) => p.split('/').pop();
+const hasFile = (paths, test) => paths.some((p) => test(p, basename(p)));
+
+// Files every project of a stack needs to build and run. `test` gets the
+// project-relative path and its basename.
+const REQUIRED_FILES = {
+  python: [
+    { label: 'requirements.txt', test: (p) => p === 'requirements.txt' },
+    { label: 'conftest.py', test: (p, b) => b === 'conftest.py' },
+    { label: 'at least one test module (test_*.py)', test: (p, b) => /^test_.*\.py$/.test(b) }
+  ],
+  java: [
+    { label: 'pom.xml at the project root', test: (p) => p === 'pom.xml' },
+    { label: 'at least one test class under src/test/java', test: (p) => /^src\/test\/java\/.+\.java$/.test(p) }
+  ],
+  javascript: [
+    { label: 'package.json at the project root', test: (p) => p === 'package.json' }
+  ],
+  typescript: [
+    { label: 'package.json at the project root', test: (p) => p === 'package.json' },
+    { label: 'tsconfig.json', test: (p, b) => b === 'tsconfig.json' }
+  ],
+  csharp: [
+    { label: 'a .csproj project file', test: (p, b) => b.endsWith('.csproj') },
+    { label: 'at least one C# test file (*.cs)', test: (p, b) => b.endsWith('.cs') }
+  ]
+};
+
+// Extra files for specific (language, framework) pairs
+const FRAMEWORK_FILES = {
+  'javascript:playwright': [{ label: 'playwright.config.js', test: (p) => /^playwright\.config\.[cm]?js$/.test(p) }],
+  'typescript:playwright': [{ label: 'playwright.config.ts', test: (p) => /^playwright\.config\.[cm]?[jt]s$/.test(p) }],
+  'javascript:cypress': [{ label: 'cypress.config.js', test: (p) => /^cypress\.config\.[cm]?js$/.test(p) }],
+  'typescript:cypress': [{ label: 'cypress.config.ts', test: (p) => /^cypress\.config\.[cm]?[jt]s$/.test(p) }],
+  'javascript:webdriverio': [{ label: 'wdio.conf.js', test: (p) => /^wdio\.conf\.[cm]?js$/.test(p) }],
+  'typescript:webdriverio': [{ label: 'wdio.conf.ts', test: (p) => /^wdio\.conf\.[cm]?[jt]s$/.test(p) }],
+  'python:pytest-bdd': [{ label: 'at least one .feature file', test: (p, b) => b.endsWith('.feature') }],
+  'java:cucumber': [{ label: 'at least one .feature file under src/test/resources', test: (p) => /^src\/test\/resources\/.+\.feature$/.test(p) }]
+};
+
+// Project-relative path of a file entry ("path" folder + "name")
+export function projectPath(file) {
+  const dir = String(file.path || '').replace(/^\/+|\/+$/g, '');
+  const name = String(file.name || '').replace(/^\/+/, '');
+  return dir && !name.startsWith(`${dir}/`) ? `${dir}/${name}` : name;
+}
+
+const MAX_CONTEXT_FILE_CHARS = 20_000;
+
+// Project files for a prompt, in the caller's order of preference, within
+// `budget` characters; lock files and oversized files are never sent. The
+// rest are listed by path in `omitted`.
+export function selectContextFiles(files, { budget = 80_000 } = {}) {
+  const included = [];
+  const omitted = [];
+  let remaining = budget;
+  for (const file of files) {
+    const content = file.content || '';
+    if (/lock\.json$|\.lock$/.test(file.name) || content.length > MAX_CONTEXT_FILE_CHARS || content.length > remaining) {
+      omitted.push(projectPath(file));
+      continue;
+    }
+    remaining -= content.length;
+    included.push(file);
+  }
+  return { included, omitted };
+}
+
+// Shape checks for a files array; shared with partial outputs (auto-fix
+// patches) that do not have to contain a whole project.
+export function validateFileList(files) {
+  if (!Array.isArray(files)) return ['"files" must be an array of {name, path, content} objects'];
+  const errors = [];
+  if (files.length > MAX_FILES) errors.push(`"files" has ${files.length} entries; the maximum is ${MAX_FILES}`);
+  const seen = new Set();
+  files.forEach((file, i) => {
+    const where = `files[${i}]`;
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+      errors.push(`${where} must be an object with name, path and content`);
+      return;
+    }
+    if (typeof file.name !== 'string' || !file.name.trim()) errors.push(`${where}.name must be a non-empty string`);
+    if (file.path !== undefined && typeof file.path !== 'string') errors.push(`${where}.path must be a string (use "" for the project root)`);
+    if (typeof file.content !== 'string') errors.push(`${where}.content must be a string with the full file content`);
+    if (typeof file.name !== 'string') return;
+    const path = projectPath(file);
+    if (/(^|\/)\.\.(\/|$)/.test(path) || /^[A-Za-z]:|^\//.test(String(file.path || ''))) {
+      errors.push(`${where} (${path}) must use a relative path inside the project`);
+    }
+    if (seen.has(path)) errors.push(`${path} appears more than once; merge the duplicates into one entry`);
+    seen.add(path);
+    if (typeof file.content === 'string' && !file.content.trim() && !/(^|\/)(__init__\.py|\.gitkeep)$/.test(path)) {
+      errors.push(`${path} is empty`);
+    }
+  });
+  return errors;
+}
+
+// Labels of the stack's required files that `paths` does not cover
+export function missingRequiredFiles(paths, { language, framework } = {}) {
+  const lang = normalizeLanguage(language);
+  const fw = (framework || 'playwright').toLowerCase();
+  const required = [
+    { label: 'README.md at the project root', test: (p) => p === 'README.md' },
+    ...(REQUIRED_FILES[lang] || []),
+    ...(FRAMEWORK_FILES[`${lang}:${fw}`] || [])
+  ];
+  return required.filter((rule) => !hasFile(paths, rule.test)).map((rule) => rule.label);
+}
+
+// Full check of a generated project for the requested stack
+export function validateFrameworkOutput(output, { language, framework } = {}) {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return ['The response must be a JSON object: {"files":[...],"summary":"..."}'];
+  }
+  const errors = validateFileList(output.files);
+  if (output.summary !== undefined && typeof output.summary !== 'string') errors.push('"summary" must be a string');
+  if (!Array.isArray(output.files)) return errors;
+  if (!output.files.length) return [...errors, '"files" is empty; generate the complete project'];
+
+  const paths = output.files.filter((f) => f && typeof f.name === 'string').map(projectPath);
+  for (const label of missingRequiredFiles(paths, { language, framework })) {
+    errors.push(`Missing required file: ${label}`);
+  }
+  return errors;
+}
@@ -0,0 +1,227 @@
+import * as cheerio from "cheerio";
+
+// DOM-based HTML analysis used to ground the generation prompt in the target
+// site's real structure. Produces an element inventory with one recommended
+// locator per element, in priority order: testid > role+name > label > css.
+
+const MAX_ELEMENTS = 60;
+const TEST_ID_ATTRS = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+
+const INTERACTIVE = [
+  'a[href]', 'button', 'input', 'select', 'textarea',
+  '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="tab"]',
+  '[role="menuitem"]', '[role="switch"]', '[role="combobox"]', '[role="textbox"]'
+].join(', ');
+
+const INPUT_ROLES = {
+  text: 'textbox', email: 'textbox', search: 'searchbox', tel: 'textbox', url: 'textbox',
+  number: 'spinbutton', range: 'slider', checkbox: 'checkbox', radio: 'radio',
+  submit: 'button', button: 'button', reset: 'button', image: 'button'
+};
+
+const squash = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// Quote a value for use inside a CSS attribute selector
+const cssString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+function implicitRole($el, tag) {
+  const explicit = $el.attr('role');
+  if (explicit) return explicit.split(/\s+/)[0];
+  if (tag === 'a') return 'link';
+  if (tag === 'button') return 'button';
+  if (tag === 'textarea') return 'textbox';
+  if (tag === 'select') return $el.attr('multiple') !== undefined || parseInt($el.attr('size'), 10) > 1 ? 'listbox' : 'combobox';
+  if (tag === 'input') {
+    const type = ($el.attr('type') || 'text').toLowerCase();
+    return INPUT_ROLES[type] || null; // password, file, date… have no ARIA role
+  }
+  return null;
+}
+
+// Text of the <label> tied to a form control (label[for=id] or a wrapping label)
+function labelText($, $el) {
+  const id = $el.attr('id');
+  if (id) {
+    const forLabel = $(`label[for=${cssString(id)}]`).first();
+    if (forLabel.length) return squash(forLabel.text());
+  }
+  const wrapping = $el.closest('label');
+  return wrapping.length ? squash(wrapping.text()) : '';
+}
+
+// Approximation of the accessible name computation, good enough to pick
+// Playwright getByRole({ name }) locators.
+function accessibleName($, $el, tag, label) {
+  const ariaLabel = squash($el.attr('aria-label'));
+  if (ariaLabel) return ariaLabel;
+  const labelledBy = $el.attr('aria-labelledby');
+  if (labelledBy) {
+    const text = squash(labelledBy.split(/\s+/).map((id) => $(`[id=${cssString(id)}]`).text()).join(' '));
+    if (text) return text;
+  }
+  if (label) return label;
+  if (tag === 'input') {
+    const type = ($el.attr('type') || 'text').toLowerCase();
+    if (['submit', 'button', 'reset'].includes(type)) return squash($el.attr('value')) || (type === 'submit' ? 'Submit' : '');
+    if (type === 'image') return squash($el.attr('alt'));
+  }
+  if (['a', 'button'].includes(tag) || $el.attr('role')) {
+    const text = squash($el.text()) || squash($el.find('img[alt]').first().attr('alt'));
+    if (text) return text;
+  }
+  return squash($el.attr('title')) || squash($el.attr('placeholder'));
+}
+
+// Shortest stable CSS selector: #id, then tag[name], then a structural path
+function cssSelector($, el) {
+  const $el = $(el);
+  const tag = el.tagName.toLowerCase();
+  const id = $el.attr('id');
+  if (id) return /^[A-Za-z_][\w-]*$/.test(id) ? `#${id}` : `[id=${cssString(id)}]`;
+  const name = $el.attr('name');
+  if (name) return `${tag}[name=${cssString(name)}]`;
+
+  const parts = [];
+  let node = el;
+  while (node && node.type === 'tag' && node.tagName.toLowerCase() !== 'html') {
+    const $node = $(node);
+    const nodeTag = node.tagName.toLowerCase();
+    const nodeId = $node.attr('id');
+    if (nodeId && /^[A-Za-z_][\w-]*$/.test(nodeId)) {
+      parts.unshift(`#${nodeId}`);
+      break;
+    }
+    const sameTag = $node.parent().children(nodeTag);
+    parts.unshift(sameTag.length > 1 ? `${nodeTag}:nth-of-type(${sameTag.index(node) + 1})` : nodeTag);
+    node = node.parent;
+  }
+  return parts.join(' > ');
+}
+
+function describeElement($, el) {
+  const $el = $(el);
+  const tag = el.tagName.toLowerCase();
+  const type = tag === 'input' ? ($el.attr('type') || 'text').toLowerCase() : null;
+  const testIdAttr = TEST_ID_ATTRS.find((a) => $el.attr(a));
+  const isField = ['input', 'select', 'textarea'].includes(tag);
+  const label = isField ? labelText($, $el) : '';
+  return {
+    tag,
+    type,
+    role: implicitRole($el, tag),
+    name: accessibleName($, $el, tag, label),
+    label,
+    id: $el.attr('id') || null,
+    fieldName: isField ? $el.attr('name') || null : null,
+    placeholder: isField ? $el.attr('placeholder') || null : null,
+    testId: testIdAttr ? { attribute: testIdAttr, value: $el.attr(testIdAttr) } : null,
+    css: cssSelector($, el),
+    href: tag === 'a' ? $el.attr('href') : undefined
+  };
+}
+
+// Candidate locators in priority order, each with a CSS equivalent so
+// non-Playwright frameworks (Selenium, Cypress, WebdriverIO) can use them too.
+function candidateLocators(element) {
+  const candidates = [];
+  if (element.testId) {
+    const css = `[${element.testId.attribute}=${cssString(element.testId.value)}]`;
+    candidates.push({ strategy: 'testid', attribute: element.testId.attribute, value: element.testId.value, css });
+  }
+  if (element.role && element.name) {
+    candidates.push({ strategy: 'role', role: element.role, value: element.name, css: element.css });
+  }
+  if (element.label) {
+    candidates.push({ strategy: 'label', value: element.label, css: element.css });
+  }
+  candidates.push({ strategy: 'css', value: element.css, css: element.css });
+  return candidates;
+}
+
+function countMatches($, elements, element, candidate) {
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  switch (candidate.strategy) {
+    case 'testid': return $(candidate.css).length;
+    case 'role': return elements.filter((e) => e.role === element.role && same(e.name, element.name)).length;
+    case 'label': return elements.filter((e) => e.label && same(e.label, element.label)).length;
+    default: return $(candidate.css).length;
+  }
+}
+
+// Pick the highest-priority locator that is unique on the page. If none is
+// unique the top candidate is kept and flagged so generated code uses .first.
+function recommendLocator($, elements, element) {
+  const candidates = candidateLocators(element).map((c) => ({ ...c, matches: countMatches($, elements, element, c) }));
+  const best = candidates.find((c) => c.matches === 1) || candidates[0];
+  return { ...best, unique: best.matches === 1 };
+}
+
+export function analyzeHtml(html) {
+  const $ = cheerio.load(html);
+  $('script, style, noscript, template').remove();
+
+  const elements = $(INTERACTIVE).toArray()
+    .filter((el) => {
+      const $el = $(el);
+      if ($el.attr('type') === 'hidden' || $el.attr('hidden') !== undefined || $el.attr('aria-hidden') === 'true') return false;
+      return !$el.closest('[hidden], [aria-hidden="true"]').length;
+    })
+    .slice(0, MAX_ELEMENTS)
+    .map((el) => describeElement($, el));
+  for (const element of elements) {
+    element.locator = recommendLocator($, elements, element);
+  }
+
+  const forms = $('form').toArray().slice(0, 5).map((el) => {
+    const $el = $(el);
+    return $el.attr('id') || $el.attr('name') || $el.attr('action') || cssSelector($, el);
+  });
+
+  // Short summary lists, kept in the shape the UI and prompt already use
+  const isButton = (e) => e.role === 'button';
+  return {
+    title: squash($('title').first().text()),
+    inputs: elements.filter((e) => ['input', 'select', 'textarea'].includes(e.tag) && !isButton(e))
+      .map((e) => e.label || e.id || e.fieldName || e.placeholder || e.css).slice(0, 10),
+    buttons: elements.filter(isButton).map((e) => e.name).filter((b) => b && b.length < 30).slice(0, 10),
+    links: elements.filter((e) => e.role === 'link').map((e) => e.name).filter((l) => l && l.length < 30).slice(0, 5),
+    forms,
+    elements
+  };
+}
+
+// One-line, framework-neutral description of a recommended locator. Page
+// text is JSON-quoted so it cannot break out of its value.
+export function formatLocator(element) {
+  const { locator } = element;
+  const q = JSON.stringify;
+  const what = `${element.role || element.tag}${element.name ? ` ${q(element.name)}` : ''}`;
+  const flag = locator.unique ? 'unique' : `NOT unique (${locator.matches} matches) — use the first match`;
+  let how;
+  if (locator.strategy === 'testid') how = `testid ${locator.attribute}=${q(locator.value)} (css: ${locator.css})`;
+  else if (locator.strategy === 'role') how = `role=${locator.role} name=${q(locator.value)} (css: ${locator.css})`;
+  else if (locator.strategy === 'label') how = `label ${q(locator.value)} (css: ${locator.css})`;
+  else how = `css ${locator.css}`;
+  return `${what} -> ${how} [${flag}]`;
+}
+
+// Every <a href> on the page resolved against baseUrl, without fragments.
+// Non-http(s) schemes (mailto:, javascript:, tel:) are dropped.
+export function extractLinks(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const links = new Set();
+  $('a[href]').each((_, el) => {
+    const href = ($(el).attr('href') || '').trim();
+    if (!href) return;
+    let url;
+    try {
+      url = new URL(href, baseUrl);
+    } catch {
+      return;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return;
+    url.hash = '';
+    links.add(url.href);
+  });
+  return [...links];
+}
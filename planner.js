@@ -0,0 +1,147 @@
+import { projectPath, validateFileList, missingRequiredFiles } from "./outputSchema.js";
+
+// Plan-then-generate: one call returns a manifest of files with their
+// responsibilities, then files are generated a few at a time with the manifest
+// (and the files they depend on) as shared context. No single response has to
+// fit the whole framework, so large crawled sites get one page object per page.
+
+const MAX_MANIFEST_FILES = 80;
+const GROUP_SIZE = 4;
+const MAX_DEPENDENCY_CHARS = 24_000;
+
+const TEST_FILE = /(^|\/)(tests?|specs?|steps|features|e2e)\/|(^|\/)test_[^/]*$|\.(spec|test|cy)\.[jt]s$|Tests?\.(java|cs)$|\.feature$/;
+
+// Generation order: project/config files, then support code (page objects,
+// fixtures, helpers), then tests, then the README that documents everything.
+function stageOf(file) {
+  if (file === 'README.md') return 3;
+  if (TEST_FILE.test(file)) return 2;
+  return file.includes('/') ? 1 : 0;
+}
+
+const dirOf = (file) => (file.includes('/') ? file.slice(0, file.lastIndexOf('/')) : '');
+
+export function buildManifestPrompt(brief) {
+  return `${brief}
+
+PLANNING STEP — do NOT write any code yet.
+The project will be generated one small group of files at a time, so it is not limited by response length: plan as many page objects and tests as the analysis above warrants (one page object per analyzed page). Include every file the project needs to install and run, including README.md.
+
+Return a manifest:
+{"files":[{"name":"filename","path":"folder/","responsibility":"what this file contains: classes, functions, fixtures, which pages/selectors it covers","dependsOn":["folder/other_file"]}],"summary":"one-paragraph description of the framework"}
+
+"dependsOn" lists the project files this file imports or relies on (paths as folder/name). Use \\" for quotes. Output ONLY valid JSON.`;
+}
+
+export function validateManifest(manifest, stack) {
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.files)) {
+    return ['The manifest must be a JSON object: {"files":[{"name","path","responsibility","dependsOn"}],"summary":"..."}'];
+  }
+  if (!manifest.files.length) return ['The manifest lists no files'];
+  const errors = [];
+  if (manifest.files.length > MAX_MANIFEST_FILES) {
+    errors.push(`The manifest lists ${manifest.files.length} files; plan at most ${MAX_MANIFEST_FILES}`);
+  }
+  const seen = new Set();
+  manifest.files.forEach((entry, i) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      errors.push(`files[${i}].name must be a non-empty string`);
+      return;
+    }
+    const file = projectPath(entry);
+    if (/(^|\/)\.\.(\/|$)/.test(file)) errors.push(`${file} must use a relative path inside the project`);
+    if (seen.has(file)) errors.push(`${file} is listed more than once`);
+    seen.add(file);
+    if (typeof entry.responsibility !== 'string' || !entry.responsibility.trim()) {
+      errors.push(`${file} needs a "responsibility" describing its contents`);
+    }
+  });
+  for (const label of missingRequiredFiles([...seen], stack)) errors.push(`The manifest is missing a required file: ${label}`);
+  return errors;
+}
+
+// Manifest entries keyed by project path, with dependsOn limited to planned files
+export function normalizeManifest(manifest) {
+  const files = manifest.files.map((entry) => ({
+    name: entry.name,
+    path: entry.path || '',
+    file: projectPath(entry),
+    responsibility: entry.responsibility.trim(),
+    dependsOn: Array.isArray(entry.dependsOn) ? entry.dependsOn.map(String) : []
+  }));
+  const planned = new Set(files.map((f) => f.file));
+  for (const entry of files) {
+    entry.dependsOn = entry.dependsOn.map((d) => d.replace(/^\/+/, '')).filter((d) => planned.has(d) && d !== entry.file);
+  }
+  return { files, summary: typeof manifest.summary === 'string' ? manifest.summary : '' };
+}
+
+// Ordered groups of up to GROUP_SIZE files from the same stage and folder
+export function planGroups(manifest) {
+  const buckets = new Map();
+  for (const entry of manifest.files) {
+    const key = `${stageOf(entry.file)}|${dirOf(entry.file)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(entry);
+  }
+  const groups = [];
+  const keys = [...buckets.keys()].sort((a, b) => Number(a.split('|')[0]) - Number(b.split('|')[0]));
+  for (const key of keys) {
+    const entries = buckets.get(key);
+    for (let i = 0; i < entries.length; i += GROUP_SIZE) groups.push(entries.slice(i, i + GROUP_SIZE));
+  }
+  return groups;
+}
+
+// Already generated files to show with a group: declared dependencies first,
+// then other non-test files, within the context budget.
+function dependencyContext(group, generated) {
+  const wanted = new Set(group.flatMap((e) => e.dependsOn));
+  const ordered = [
+    ...[...generated.keys()].filter((f) => wanted.has(f)),
+    ...[...generated.keys()].filter((f) => !wanted.has(f) && stageOf(f) < 2)
+  ];
+  const blocks = [];
+  let budget = MAX_DEPENDENCY_CHARS;
+  for (const file of ordered) {
+    const { content } = generated.get(file);
+    if (content.length > budget) continue;
+    budget -= content.length;
+    blocks.push(`=== ${file} ===\n${content}`);
+  }
+  return blocks;
+}
+
+export function buildGroupPrompt(brief, manifest, group, generated) {
+  const plan = manifest.files.map((e) => `- ${e.file} — ${e.responsibility}`).join('\n');
+  const context = dependencyContext(group, generated);
+  const targets = group.map((e) => `- ${e.file} — ${e.responsibility}`).join('\n');
+  return `${brief}
+
+This project is generated in several steps. The full file plan is:
+${plan}
+${context.length ? `
+Files already generated — stay consistent with their imports, class, function and fixture names:
+${context.join('\n\n')}
+` : ''}
+NOW GENERATE ONLY ${group.length === 1 ? 'THIS FILE' : `THESE ${group.length} FILES`}, complete and working:
+${targets}
+
+JSON FORMAT:
+{"files":[{"name":"filename","path":"folder/","content":"code"}]}
+
+Use \\n for newlines, \\" for quotes. Output ONLY valid JSON.`;
+}
+
+// A group's output must contain exactly the requested files
+export function validateGroupOutput(output, group) {
+  const errors = validateFileList(output?.files);
+  if (errors.length) return errors;
+  const returned = new Set(output.files.map(projectPath));
+  for (const entry of group) {
+    if (!returned.has(entry.file)) errors.push(`Missing ${entry.file}; return it with name "${entry.name}" and path "${entry.path}"`);
+  }
+  const extra = [...returned].filter((f) => !group.some((e) => e.file === f));
+  if (extra.length) errors.push(`Only return the requested files; remove ${extra.join(', ')}`);
+  return errors;
+}
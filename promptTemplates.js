@@ -0,0 +1,149 @@
+import { readdir, readFile, writeFile, mkdir, rm } from "fs/promises";
+import { join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { SUPPORTED_FRAMEWORKS, normalizeLanguage, templateVariables, BRIEF_VARIABLES, REQUEST_VARIABLES } from "./prompts.js";
+
+// Custom prompt templates: a team's own brief, file list and/or rules for
+// generation (see buildBrief in prompts.js), one JSON file per template.
+// Every save adds a version; a generation uses the latest unless it pins one.
+//
+//   { id, name, description, language, framework, createdAt, updatedAt,
+//     versions: [{ version, createdAt, note, body, fileList, rules }] }
+//
+// A null language/framework applies the template to every stack; a null
+// body, fileList or rules keeps that built-in part.
+
+export const PROMPT_TEMPLATES_DIR = resolve(process.env.QAFG_PROMPT_TEMPLATES_DIR || join(fileURLToPath(new URL(".", import.meta.url)), "prompt-templates"));
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,60}$/;
+const MAX_NAME = 80;
+const MAX_DESCRIPTION = 500;
+const MAX_PART = 20000;
+const PARTS = ["body", "fileList", "rules"];
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 50) || "template";
+const fileOf = (id) => join(PROMPT_TEMPLATES_DIR, `${id}.json`);
+
+// Trimmed fields with empty parts as null; language/framework normalized
+function normalizeInput(input = {}) {
+  const text = (value) => (typeof value === "string" && value.trim() ? value : null);
+  return {
+    name: String(input.name || "").trim(),
+    description: String(input.description || "").trim(),
+    language: input.language ? normalizeLanguage(input.language) : null,
+    framework: input.framework ? String(input.framework).toLowerCase() : null,
+    note: String(input.note || "").trim().slice(0, 200),
+    body: text(input.body),
+    fileList: text(input.fileList),
+    rules: text(input.rules)
+  };
+}
+
+// Problems with a create/update request, [] when it can be saved
+export function validateTemplateInput(input) {
+  const t = normalizeInput(input);
+  const errors = [];
+  if (!t.name) errors.push("name is required");
+  if (t.name.length > MAX_NAME) errors.push(`name must be at most ${MAX_NAME} characters`);
+  if (t.description.length > MAX_DESCRIPTION) errors.push(`description must be at most ${MAX_DESCRIPTION} characters`);
+  if (t.language && !SUPPORTED_FRAMEWORKS[t.language]) errors.push(`unsupported language "${t.language}"`);
+  if (t.framework && !t.language) errors.push("a framework needs a language");
+  if (t.framework && SUPPORTED_FRAMEWORKS[t.language] && !SUPPORTED_FRAMEWORKS[t.language].includes(t.framework)) {
+    errors.push(`framework "${t.framework}" is not supported for ${t.language}`);
+  }
+  if (PARTS.every((part) => !t[part])) errors.push("override at least one of body, fileList or rules");
+  for (const part of PARTS) {
+    if (!t[part]) continue;
+    if (t[part].length > MAX_PART) errors.push(`${part} must be at most ${MAX_PART} characters`);
+    const allowed = part === "body" ? BRIEF_VARIABLES : REQUEST_VARIABLES;
+    const unknown = templateVariables(t[part]).filter((v) => !allowed.includes(v));
+    if (unknown.length) errors.push(`${part} uses unknown variable${unknown.length === 1 ? "" : "s"} ${unknown.map((v) => `{{${v}}}`).join(", ")} (allowed: ${allowed.map((v) => `{{${v}}}`).join(", ")})`);
+  }
+  return errors;
+}
+
+export async function loadPromptTemplate(id) {
+  if (!ID_PATTERN.test(String(id || ""))) throw new Error(`Invalid prompt template id "${id}"`);
+  let raw;
+  try {
+    raw = await readFile(fileOf(id), "utf-8");
+  } catch {
+    throw new Error(`Prompt template "${id}" not found`);
+  }
+  return JSON.parse(raw);
+}
+
+// Summaries with the latest version number, by name
+export async function listPromptTemplates() {
+  let files;
+  try {
+    files = (await readdir(PROMPT_TEMPLATES_DIR)).filter((f) => f.endsWith(".json"));
+  } catch {
+    return [];
+  }
+  const templates = await Promise.all(files.map(async (file) => {
+    try {
+      const { id, name, description, language, framework, updatedAt, versions } = JSON.parse(await readFile(join(PROMPT_TEMPLATES_DIR, file), "utf-8"));
+      return { id, name, description, language, framework, updatedAt, version: versions[versions.length - 1].version };
+    } catch {
+      return null;
+    }
+  }));
+  return templates.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function save(template) {
+  await mkdir(PROMPT_TEMPLATES_DIR, { recursive: true });
+  await writeFile(fileOf(template.id), JSON.stringify(template, null, 2));
+  return template;
+}
+
+const versionOf = (t, version) => ({ version, createdAt: new Date().toISOString(), note: t.note, body: t.body, fileList: t.fileList, rules: t.rules });
+
+// Callers validate the input first (validateTemplateInput)
+export async function createPromptTemplate(input) {
+  const t = normalizeInput(input);
+  const taken = new Set((await listPromptTemplates()).map((s) => s.id));
+  const base = slugify(t.name);
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  const now = new Date().toISOString();
+  return save({
+    id, name: t.name, description: t.description, language: t.language, framework: t.framework,
+    createdAt: now, updatedAt: now, versions: [versionOf(t, 1)]
+  });
+}
+
+// Saves the input as a new version; name, description and scope are updated
+// in place
+export async function updatePromptTemplate(id, input) {
+  const template = await loadPromptTemplate(id);
+  const t = normalizeInput(input);
+  const latest = template.versions[template.versions.length - 1];
+  template.versions.push(versionOf(t, latest.version + 1));
+  return save({ ...template, name: t.name, description: t.description, language: t.language, framework: t.framework, updatedAt: new Date().toISOString() });
+}
+
+export async function deletePromptTemplate(id) {
+  await loadPromptTemplate(id);
+  await rm(fileOf(id));
+}
+
+// The parts a generation uses: the pinned version or the latest. Throws when
+// the template is scoped to a different stack.
+export async function resolvePromptTemplate({ id, version }, { language, framework }) {
+  const template = await loadPromptTemplate(id);
+  const chosen = version ? template.versions.find((v) => v.version === Number(version)) : template.versions[template.versions.length - 1];
+  if (!chosen) throw new Error(`Prompt template "${template.name}" has no version ${version}`);
+  const lang = normalizeLanguage(language);
+  const fw = String(framework || "playwright").toLowerCase();
+  if ((template.language && template.language !== lang) || (template.framework && template.framework !== fw)) {
+    throw new Error(`Prompt template "${template.name}" is for ${[template.language, template.framework].filter(Boolean).join(" + ")}, not ${lang} + ${fw}`);
+  }
+  return {
+    id: template.id,
+    name: template.name,
+    version: chosen.version,
+    template: { body: chosen.body, fileList: chosen.fileList, rules: chosen.rules }
+  };
+}
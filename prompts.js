@@ -0,0 +1,700 @@
+// Prompt templates for every supported (language, framework) pair. Each
+// template returns the file list and rules that /api/generate splices into the
+// user prompt, so the generated project matches the stack the user picked.
+
+// --- Python ------------------------------------------------------------------
+
+function pythonPlaywright(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. requirements.txt - just: playwright, pytest, pytest-playwright, pytest-json-report
+2. .env file at project root with exactly:
+     BROWSER=chromium
+     HEADED=false
+3. Makefile at project root with these targets (use tab indentation, not spaces):
+     Top of file:
+       ifneq (,\$(wildcard .env))
+         include .env
+         export
+       endif
+       BROWSER ?= chromium
+       HEADED ?= false
+       HEADED_FLAG := \$(if \$(filter true,\$(HEADED)),--headed,)
+     Targets:
+       .PHONY: test test-chromium test-firefox test-webkit test-headed test-firefox-headed test-webkit-headed
+       test: -> pytest --browser=\$(BROWSER) \$(HEADED_FLAG)
+       test-chromium / test-firefox / test-webkit -> pytest --browser=<name> \$(HEADED_FLAG)
+       test-headed -> pytest --browser=\$(BROWSER) --headed
+       test-firefox-headed / test-webkit-headed -> pytest --browser=<name> --headed
+4. conftest.py - IMPORTANT: use @pytest.fixture(scope="session") for base_url fixture, return "${targetUrl}"
+5. pages/ - Create 2-3 page object files appropriate for this site
+6. tests/ - Create 2 test files with 2 tests each
+7. README.md MUST document: editing .env to change defaults, plus "make test-firefox" / "make test-headed" / etc. for one-off overrides, AND direct "pytest --browser=firefox" as a fallback.`,
+    rules: `CRITICAL RULES:
+- Use SYNCHRONOUS Playwright API only (from playwright.sync_api import Page)
+- Do NOT use async/await anywhere
+- Do NOT use @pytest.mark.asyncio
+- Test functions should be regular "def" not "async def"
+- conftest.py base_url fixture MUST have scope="session"
+- Do NOT create a base_page.py, keep it simple
+- Use the REAL selectors from the page analysis above
+- For is_loaded() methods, use DEFENSIVE checks:
+  - Check page.title() contains expected text, OR
+  - Check page.url contains expected path, OR
+  - Use page.locator().count() > 0 instead of is_visible() for optional elements
+- Tests should verify page loads without errors, not specific elements that may change
+- Do NOT assume credentials exist
+- Do NOT try to close modals or popups - they are unpredictable
+- Do NOT interact with cookie banners or promotional overlays
+- Keep tests SIMPLE - verify page loads, title is correct, key navigation works
+- When clicking elements, use page.locator("selector").first if multiple matches possible
+- Avoid "text=" selectors as they can match hidden screen-reader elements
+- Prefer data-testid, aria-label, or specific CSS selectors over text matching`
+  };
+}
+
+function pythonSelenium(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. requirements.txt - just: selenium>=4.21, pytest, pytest-json-report
+2. .env file at project root with exactly:
+     BROWSER=chromium
+     HEADED=false
+3. Makefile at project root with these targets (use tab indentation, not spaces):
+     Top of file:
+       ifneq (,\$(wildcard .env))
+         include .env
+         export
+       endif
+       BROWSER ?= chromium
+       HEADED ?= false
+       HEADED_FLAG := \$(if \$(filter true,\$(HEADED)),--headed,)
+     Targets:
+       .PHONY: test test-chromium test-firefox test-headed test-firefox-headed
+       test: -> pytest --browser=\$(BROWSER) \$(HEADED_FLAG)
+       test-chromium / test-firefox -> pytest --browser=<name> \$(HEADED_FLAG)
+       test-headed -> pytest --browser=\$(BROWSER) --headed
+       test-firefox-headed -> pytest --browser=firefox --headed
+4. conftest.py with:
+   - pytest_addoption registering --browser (default "chromium"), --headed (action="store_true") and --slowmo (type=int, default 0). The test runner passes these flags, so they MUST exist.
+   - @pytest.fixture(scope="session") base_url returning "${targetUrl}"
+   - A function-scoped "driver" fixture: "chromium" -> webdriver.Chrome with ChromeOptions, "firefox" -> webdriver.Firefox with FirefoxOptions, "webkit" -> webdriver.Safari on macOS, otherwise fall back to Chrome. Add "--headless=new" (Chrome) / "-headless" (Firefox) unless --headed. Set window size 1920x1080, yield the driver, driver.quit() in teardown.
+5. pages/ - Create 2-3 page object files appropriate for this site. Constructors take (driver) only.
+6. tests/ - Create 2 test files with 2 tests each using the driver and base_url fixtures
+7. README.md MUST document: editing .env to change defaults, plus "make test-firefox" / "make test-headed" / etc. for one-off overrides, AND direct "pytest --browser=firefox" as a fallback.`,
+    rules: `CRITICAL RULES for Selenium + pytest:
+- Use Selenium 4 only: from selenium import webdriver; from selenium.webdriver.common.by import By
+- Find elements with driver.find_element(By.CSS_SELECTOR, ...) / driver.find_elements(...). Do NOT use find_element_by_* (removed in Selenium 4)
+- Drivers come from Selenium Manager (built into selenium>=4.6). Do NOT use webdriver-manager or hard-coded driver paths
+- Do NOT add pytest-playwright or playwright to requirements.txt — its --browser option clashes with the one in conftest.py
+- Wait with WebDriverWait(driver, 10).until(EC....) from selenium.webdriver.support; NEVER use time.sleep
+- conftest.py base_url fixture MUST have scope="session"
+- Do NOT create a base_page.py, keep it simple
+- Use the REAL selectors from the page analysis above
+- For is_loaded() methods, use DEFENSIVE checks: driver.title contains expected text, OR driver.current_url contains expected path, OR len(driver.find_elements(...)) > 0
+- Tests should verify page loads without errors, not specific elements that may change
+- Do NOT assume credentials exist
+- Do NOT try to close modals or popups; do NOT interact with cookie banners or promotional overlays
+- Keep tests SIMPLE - verify page loads, title is correct, key navigation works
+- Prefer data-testid, aria-label, or specific CSS selectors over XPath or link text`
+  };
+}
+
+function pythonPytestBdd(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. requirements.txt - just: playwright, pytest, pytest-playwright, pytest-bdd, pytest-json-report
+2. .env file at project root with exactly:
+     BROWSER=chromium
+     HEADED=false
+3. Makefile at project root with these targets (use tab indentation, not spaces):
+     Top of file:
+       ifneq (,\$(wildcard .env))
+         include .env
+         export
+       endif
+       BROWSER ?= chromium
+       HEADED ?= false
+       HEADED_FLAG := \$(if \$(filter true,\$(HEADED)),--headed,)
+     Targets:
+       .PHONY: test test-chromium test-firefox test-webkit test-headed test-firefox-headed test-webkit-headed
+       test: -> pytest --browser=\$(BROWSER) \$(HEADED_FLAG)
+       test-chromium / test-firefox / test-webkit -> pytest --browser=<name> \$(HEADED_FLAG)
+       test-headed -> pytest --browser=\$(BROWSER) --headed
+       test-firefox-headed / test-webkit-headed -> pytest --browser=<name> --headed
+4. conftest.py - IMPORTANT: use @pytest.fixture(scope="session") for base_url fixture, return "${targetUrl}"
+5. features/ - 2 Gherkin .feature files with 2 scenarios each, written in business language
+6. pages/ - Create 2-3 page object files appropriate for this site
+7. tests/ - One step-definition module per feature file (test_<feature>.py) that binds it with scenarios("../features/<feature>.feature") and defines the @given/@when/@then steps
+8. README.md MUST document: where the .feature files live, editing .env to change defaults, plus "make test-firefox" / "make test-headed" / etc. for one-off overrides, AND direct "pytest --browser=firefox" as a fallback.`,
+    rules: `CRITICAL RULES for pytest-bdd:
+- Use pytest-bdd 7+ API: from pytest_bdd import scenarios, given, when, then, parsers
+- Every step used in a .feature file MUST have exactly one matching step definition
+- Share state between steps with target_fixture=..., not module-level globals
+- Steps receive the pytest-playwright "page" and the "base_url" fixtures as arguments
+- Use SYNCHRONOUS Playwright API only (from playwright.sync_api import Page). Do NOT use async/await anywhere
+- conftest.py base_url fixture MUST have scope="session"
+- Do NOT create a base_page.py, keep it simple
+- Use the REAL selectors from the page analysis above
+- For is_loaded() methods, use DEFENSIVE checks: page.title(), page.url, or page.locator().count() > 0
+- Do NOT assume credentials exist
+- Do NOT try to close modals or popups; do NOT interact with cookie banners or promotional overlays
+- Keep scenarios SIMPLE - page loads, title is correct, key navigation works
+- Avoid "text=" selectors; prefer data-testid, aria-label, or specific CSS selectors`
+  };
+}
+
+// --- Java --------------------------------------------------------------------
+
+function javaPlaywright(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. pom.xml with:
+   - groupId=com.example, artifactId=qa-framework, version=1.0.0, packaging=jar
+   - <properties>: maven.compiler.source=17, maven.compiler.target=17, project.build.sourceEncoding=UTF-8
+   - Dependencies: com.microsoft.playwright:playwright:1.48.0 (scope default), org.junit.jupiter:junit-jupiter:5.10.2 (scope test)
+   - <build><plugins>: maven-compiler-plugin 3.13.0, maven-surefire-plugin 3.2.5 (surefire MUST have <configuration><useModulePath>false</useModulePath></configuration> so JUnit 5 runs).
+   - Surefire also sets systemPropertyVariables so BROWSER, HEADED, and SLOWMO env vars propagate: <configuration><environmentVariables><BROWSER>\${env.BROWSER}</BROWSER><HEADED>\${env.HEADED}</HEADED><SLOWMO>\${env.SLOWMO}</SLOWMO></environmentVariables></configuration>
+2. .env file at project root with exactly:
+     BROWSER=chromium
+     HEADED=false
+3. Makefile at project root (tab indentation) with top:
+     ifneq (,\$(wildcard .env))
+       include .env
+       export
+     endif
+     BROWSER ?= chromium
+     HEADED ?= false
+   Targets:
+     .PHONY: test test-chromium test-firefox test-webkit test-headed test-firefox-headed test-webkit-headed
+     test: -> BROWSER=\$(BROWSER) HEADED=\$(HEADED) mvn -q test
+     test-chromium / test-firefox / test-webkit -> override BROWSER
+     test-headed -> HEADED=true
+     test-firefox-headed / test-webkit-headed -> both
+4. Page object .java files in src/main/java/pages/ - 2-3 page classes. Package "pages". Each class has a constructor taking (com.microsoft.playwright.Page page) only — do NOT pass base URL. Methods are regular (sync) methods. Provide an isLoaded() -> boolean with defensive checks.
+5. Test .java files in src/test/java/ - 2 test classes with 2 tests each. Package "tests". Each class uses JUnit 5 @Test, with @BeforeAll static setUp() / @AfterAll static tearDown() that:
+   - Creates Playwright via Playwright.create()
+   - Reads browser name from System.getenv().getOrDefault("BROWSER", "chromium")
+   - Reads headed from "true".equals(System.getenv("HEADED"))
+   - Reads slowMo via: double slowMo = 0; try { slowMo = Double.parseDouble(System.getenv("SLOWMO")); } catch (Exception ignore) {}
+   - Selects browser via switch on name (chromium / firefox / webkit -> playwright.chromium()/firefox()/webkit())
+   - Launches with new BrowserType.LaunchOptions().setHeadless(!headed).setSlowMo(slowMo)
+   - @BeforeEach creates a new BrowserContext and Page; @AfterEach closes them. Use page.navigate("${targetUrl}") as the base.
+6. README.md MUST document: prerequisites (JDK 17+, Maven 3.8+), install (mvn install -DskipTests), editing .env, using make targets (make test-firefox / make test-headed / etc.), and direct "BROWSER=firefox mvn test" as a fallback.`,
+    rules: `CRITICAL RULES for Java:
+- Use com.microsoft.playwright (sync API — the only Java API) and JUnit 5 (org.junit.jupiter.api).
+- Page objects take ONE constructor arg: Page. Do NOT pass baseURL to constructors.
+- Tests drive navigation via page.navigate("${targetUrl}" + "/path") — the base URL is embedded in test code (Playwright Java has no native baseURL option).
+- Browser selection via System.getenv; default chromium.
+- Use the REAL selectors from the page analysis above
+- For isLoaded(): check page.title() contains expected text, or page.url() contains expected path, or page.locator(...).count() > 0
+- Do NOT assume credentials; do NOT interact with cookie banners or modals
+- Keep tests SIMPLE; prefer data-testid, aria-label, or CSS selectors
+- Every test class needs a static Playwright+Browser created in @BeforeAll and closed in @AfterAll. Use try-with-resources only inside helpers; static fields + @AfterAll is the correct pattern here.`
+  };
+}
+
+// .env + Makefile items shared by the Selenium-based Maven templates
+const MAVEN_ENV_AND_MAKEFILE = `2. .env file at project root with exactly:
+     BROWSER=chromium
+     HEADED=false
+3. Makefile at project root (tab indentation) with top:
+     ifneq (,\$(wildcard .env))
+       include .env
+       export
+     endif
+     BROWSER ?= chromium
+     HEADED ?= false
+   Targets:
+     .PHONY: test test-chromium test-firefox test-headed test-firefox-headed
+     test: -> BROWSER=\$(BROWSER) HEADED=\$(HEADED) mvn -q test
+     test-chromium / test-firefox -> override BROWSER
+     test-headed -> HEADED=true
+     test-firefox-headed -> both`;
+
+const SELENIUM_DRIVER_FACTORY = `src/test/java/support/DriverFactory.java - package "support". A static WebDriver create() that:
+   - Reads browser name from System.getenv().getOrDefault("BROWSER", "chromium") and headed from "true".equals(System.getenv("HEADED"))
+   - "firefox" -> new FirefoxDriver(FirefoxOptions with "-headless" unless headed); "webkit" -> SafariDriver on macOS; anything else -> new ChromeDriver(ChromeOptions with "--headless=new" unless headed)
+   - Sets window size 1920x1080; no implicit wait (explicit waits only)`;
+
+function seleniumJavaRules(targetUrl) {
+  return `- Use Selenium 4 (org.openqa.selenium). Drivers come from Selenium Manager — do NOT use WebDriverManager or hard-coded driver paths
+- Page objects take ONE constructor arg: WebDriver. Locate elements with By.cssSelector / By.id; do NOT use PageFactory or @FindBy
+- Wait with new WebDriverWait(driver, Duration.ofSeconds(10)).until(ExpectedConditions...); NEVER use Thread.sleep
+- Tests navigate via driver.get("${targetUrl}" + "/path")
+- Use the REAL selectors from the page analysis above
+- For isLoaded(): check driver.getTitle() contains expected text, or driver.getCurrentUrl() contains expected path, or !driver.findElements(...).isEmpty()
+- Do NOT assume credentials; do NOT interact with cookie banners or modals
+- Keep tests SIMPLE; prefer data-testid, aria-label, or CSS selectors over XPath
+- Always quit the driver in teardown, even when the test fails`;
+}
+
+function javaJUnit(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. pom.xml with:
+   - groupId=com.example, artifactId=qa-framework, version=1.0.0, packaging=jar
+   - <properties>: maven.compiler.source=17, maven.compiler.target=17, project.build.sourceEncoding=UTF-8
+   - Dependencies: org.seleniumhq.selenium:selenium-java:4.21.0 (scope default), org.junit.jupiter:junit-jupiter:5.10.2 (scope test)
+   - <build><plugins>: maven-compiler-plugin 3.13.0, maven-surefire-plugin 3.2.5 with <configuration><useModulePath>false</useModulePath><environmentVariables><BROWSER>\${env.BROWSER}</BROWSER><HEADED>\${env.HEADED}</HEADED></environmentVariables></configuration>
+${MAVEN_ENV_AND_MAKEFILE}
+4. Page object .java files in src/main/java/pages/ - 2-3 page classes. Package "pages". Provide an isLoaded() -> boolean with defensive checks.
+5. ${SELENIUM_DRIVER_FACTORY}
+6. Test .java files in src/test/java/tests/ - 2 test classes with 2 tests each. Package "tests". JUnit 5 @Test; @BeforeEach creates the driver via DriverFactory.create(), @AfterEach quits it.
+7. README.md MUST document: prerequisites (JDK 17+, Maven 3.8+, Chrome or Firefox), install (mvn install -DskipTests), editing .env, using make targets, and direct "BROWSER=firefox mvn test" as a fallback.`,
+    rules: `CRITICAL RULES for Java + Selenium + JUnit 5:
+- Tests use org.junit.jupiter.api (@Test, @BeforeEach, @AfterEach, Assertions). Do NOT use JUnit 4 or TestNG
+${seleniumJavaRules(targetUrl)}`
+  };
+}
+
+function javaTestNG(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. pom.xml with:
+   - groupId=com.example, artifactId=qa-framework, version=1.0.0, packaging=jar
+   - <properties>: maven.compiler.source=17, maven.compiler.target=17, project.build.sourceEncoding=UTF-8
+   - Dependencies: org.seleniumhq.selenium:selenium-java:4.21.0 (scope default), org.testng:testng:7.10.2 (scope test)
+   - <build><plugins>: maven-compiler-plugin 3.13.0, maven-surefire-plugin 3.2.5 with <configuration><suiteXmlFiles><suiteXmlFile>testng.xml</suiteXmlFile></suiteXmlFiles><environmentVariables><BROWSER>\${env.BROWSER}</BROWSER><HEADED>\${env.HEADED}</HEADED></environmentVariables></configuration>
+${MAVEN_ENV_AND_MAKEFILE}
+4. testng.xml at project root listing the test classes in one <suite>/<test>
+5. Page object .java files in src/main/java/pages/ - 2-3 page classes. Package "pages". Provide an isLoaded() -> boolean with defensive checks.
+6. ${SELENIUM_DRIVER_FACTORY}
+7. Test .java files in src/test/java/tests/ - a BaseTest with @BeforeMethod creating the driver via DriverFactory.create() and @AfterMethod(alwaysRun = true) quitting it, plus 2 test classes extending it with 2 @Test methods each. Package "tests".
+8. README.md MUST document: prerequisites (JDK 17+, Maven 3.8+, Chrome or Firefox), install (mvn install -DskipTests), editing .env, using make targets, and direct "BROWSER=firefox mvn test" as a fallback.`,
+    rules: `CRITICAL RULES for Java + Selenium + TestNG:
+- Tests use org.testng.annotations (@Test, @BeforeMethod, @AfterMethod) and org.testng.Assert. Do NOT use JUnit
+- Every class listed in testng.xml MUST exist with the exact package + class name
+${seleniumJavaRules(targetUrl)}`
+  };
+}
+
+function javaCucumber(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. pom.xml with:
+   - groupId=com.example, artifactId=qa-framework, version=1.0.0, packaging=jar
+   - <properties>: maven.compiler.source=17, maven.compiler.target=17, project.build.sourceEncoding=UTF-8
+   - Dependencies: org.seleniumhq.selenium:selenium-java:4.21.0 (scope default); io.cucumber:cucumber-java:7.18.0, io.cucumber:cucumber-junit-platform-engine:7.18.0, org.junit.platform:junit-platform-suite:1.10.2, org.junit.jupiter:junit-jupiter:5.10.2 (all scope test)
+   - <build><plugins>: maven-compiler-plugin 3.13.0, maven-surefire-plugin 3.2.5 with <configuration><useModulePath>false</useModulePath><environmentVariables><BROWSER>\${env.BROWSER}</BROWSER><HEADED>\${env.HEADED}</HEADED></environmentVariables></configuration>
+${MAVEN_ENV_AND_MAKEFILE}
+4. src/test/resources/features/ - 2 Gherkin .feature files with 2 scenarios each, written in business language
+5. Page object .java files in src/main/java/pages/ - 2-3 page classes. Package "pages". Provide an isLoaded() -> boolean with defensive checks.
+6. ${SELENIUM_DRIVER_FACTORY}
+7. src/test/java/steps/ - package "steps": a Hooks class (@Before creates the driver via DriverFactory.create() into a shared static holder, @After quits it) and one step-definition class per feature file
+8. src/test/java/RunCucumberTest.java - JUnit Platform suite: @Suite, @IncludeEngines("cucumber"), @SelectClasspathResource("features"), @ConfigurationParameter(key = GLUE_PROPERTY_NAME, value = "steps")
+9. README.md MUST document: prerequisites (JDK 17+, Maven 3.8+, Chrome or Firefox), where the .feature files live, editing .env, using make targets, and direct "BROWSER=firefox mvn test" as a fallback.`,
+    rules: `CRITICAL RULES for Java + Cucumber + Selenium:
+- Step definitions use io.cucumber.java.en (@Given, @When, @Then) and hooks use io.cucumber.java (@Before, @After)
+- Every step used in a .feature file MUST have exactly one matching step definition (Cucumber expressions, not regex)
+- The runner class name MUST end in "Test" so Surefire picks it up
+${seleniumJavaRules(targetUrl)}`
+  };
+}
+
+// --- JavaScript / TypeScript -------------------------------------------------
+
+function javascriptPlaywright(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. package.json with "type":"module", devDependencies "@playwright/test": "^1.48.0" and "dotenv": "^16.4.5". Scripts MUST include exactly these, in this form (plain env var prefix, no cross-env):
+     "test": "playwright test",
+     "test:chromium": "BROWSER=chromium playwright test",
+     "test:firefox": "BROWSER=firefox playwright test",
+     "test:webkit": "BROWSER=webkit playwright test",
+     "test:headed": "HEADED=true playwright test",
+     "test:firefox:headed": "BROWSER=firefox HEADED=true playwright test",
+     "test:webkit:headed": "BROWSER=webkit HEADED=true playwright test"
+2. .env file at project root with exactly these two lines:
+     BROWSER=chromium
+     HEADED=false
+3. playwright.config.js - MUST import 'dotenv/config' at the very top as a side-effect import, then import defineConfig from '@playwright/test', and export default defineConfig({ testDir: './tests', testMatch: '**/*.js', use: { baseURL: process.env.BASE_URL || '${targetUrl}', headless: process.env.HEADED !== 'true', browserName: process.env.BROWSER || 'chromium', launchOptions: { slowMo: parseInt(process.env.SLOWMO || '0', 10) } }, projects: [{ name: process.env.BROWSER || 'chromium' }] }). Do NOT use devices. testMatch MUST be '**/*.js' so test_*.js files are discovered.
+4. Page object .js files in pages/ - 2-3 page classes. Each class exported with ES module syntax (export class LoginPage {}). Constructor takes (page) only — baseURL comes from config. Methods are async.
+5. Test .js files in tests/ - 2 test files with 2 tests each using @playwright/test (import { test, expect } from '@playwright/test').
+6. README.md MUST document: editing .env to change defaults, and running "npm run test:firefox", "npm run test:headed", etc. for one-off overrides.`,
+    rules: `CRITICAL RULES for JavaScript:
+- Use @playwright/test ONLY (not raw playwright, not Jest/Mocha). Tests use: import { test, expect } from '@playwright/test'
+- Use ES modules (package.json has "type":"module"). All imports use import/export, not require.
+- Page object constructors take ONE argument: (page). Do NOT pass baseURL to constructors — Playwright's config handles it, tests use relative paths like page.goto('/').
+- Tests MUST use async functions: test('name', async ({ page }) => { ... })
+- Use await on every Playwright call
+- Use the REAL selectors from the page analysis above
+- For assertions, prefer expect(page).toHaveTitle(...), expect(page).toHaveURL(...), expect(locator).toBeVisible() — these auto-retry
+- Do NOT use waitForSelector or waitForTimeout in tests; rely on auto-retrying matchers
+- Do NOT assume credentials; do NOT interact with cookie banners or modals
+- Keep tests SIMPLE; prefer data-testid, aria-label, or CSS selectors over text matching
+- playwright.config.js MUST NOT pin a reporter (the runner passes --reporter at invocation time)`
+  };
+}
+
+function typescriptPlaywright(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. package.json with "type":"module", devDependencies "@playwright/test": "^1.48.0", "dotenv": "^16.4.5", "typescript": "^5.4.0", "@types/node": "^20.12.0". Scripts MUST include exactly these (plain env var prefix, no cross-env):
+     "test": "playwright test",
+     "test:chromium": "BROWSER=chromium playwright test",
+     "test:firefox": "BROWSER=firefox playwright test",
+     "test:webkit": "BROWSER=webkit playwright test",
+     "test:headed": "HEADED=true playwright test",
+     "test:firefox:headed": "BROWSER=firefox HEADED=true playwright test",
+     "test:webkit:headed": "BROWSER=webkit HEADED=true playwright test",
+     "typecheck": "tsc --noEmit"
+2. .env file at project root with exactly:
+     BROWSER=chromium
+     HEADED=false
+3. tsconfig.json with: { "compilerOptions": { "target": "ES2022", "module": "ESNext", "moduleResolution": "Bundler", "strict": true, "esModuleInterop": true, "skipLibCheck": true, "resolveJsonModule": true, "types": ["node"] }, "include": ["**/*.ts"] }
+4. playwright.config.ts - import 'dotenv/config' as a side-effect at top, then import { defineConfig } from '@playwright/test'. Export default defineConfig({ testDir: './tests', testMatch: '**/*.ts', use: { baseURL: process.env.BASE_URL || '${targetUrl}', headless: process.env.HEADED !== 'true', browserName: (process.env.BROWSER as 'chromium' | 'firefox' | 'webkit') || 'chromium', launchOptions: { slowMo: parseInt(process.env.SLOWMO || '0', 10) } }, projects: [{ name: process.env.BROWSER || 'chromium' }] }). Do NOT use devices.
+5. Page object .ts files in pages/ - 2-3 page classes. Import Page type: import { Page } from '@playwright/test'. Each class exported: export class LoginPage { constructor(private page: Page) {} ... }. Methods are async with explicit return types where non-trivial (e.g. async isLoaded(): Promise<boolean>).
+6. Test .ts files in tests/ - 2 test files with 2 tests each. Import: import { test, expect } from '@playwright/test'. Tests are async: test('name', async ({ page }) => { ... }).
+7. README.md MUST document: editing .env to change defaults, running "npm run test:firefox" / "npm run test:headed" / etc., and "npm run typecheck" for type checking.`,
+    rules: `CRITICAL RULES for TypeScript:
+- Use @playwright/test ONLY. Tests use: import { test, expect } from '@playwright/test'
+- Use ES modules + TypeScript. All imports use import/export with explicit relative paths (e.g. from '../pages/login_page' — Playwright's TS loader strips the extension; do NOT write .ts or .js on relative imports).
+- Page object constructors take ONE argument typed as Page. Do NOT pass baseURL — Playwright's config handles it, tests use relative paths like page.goto('/').
+- All test functions are async. await every Playwright call.
+- Strict mode is ON — no implicit any, no unused locals.
+- Prefer auto-retrying matchers: expect(page).toHaveTitle(...), expect(page).toHaveURL(...), expect(locator).toBeVisible(). Do NOT use waitForSelector or waitForTimeout.
+- Use the REAL selectors from the page analysis above
+- Do NOT assume credentials; do NOT interact with cookie banners or modals
+- Keep tests SIMPLE; prefer data-testid, aria-label, or CSS selectors over text matching
+- testMatch MUST be '**/*.ts' in playwright.config.ts so test_*.ts files are discovered.`
+  };
+}
+
+function cypressTemplate(targetUrl, typescript) {
+  const ext = typescript ? 'ts' : 'js';
+  const tsDeps = typescript ? ', "typescript": "^5.4.0"' : '';
+  return {
+    fileList: `Generate these files (keep code concise):
+1. package.json with "type":"module", devDependencies "cypress": "^13.13.0"${tsDeps}. Scripts MUST include exactly these:
+     "test": "cypress run",
+     "test:chrome": "cypress run --browser chrome",
+     "test:firefox": "cypress run --browser firefox",
+     "test:headed": "cypress run --headed",
+     "open": "cypress open"${typescript ? ',\n     "typecheck": "tsc --noEmit"' : ''}
+2. cypress.config.${ext} - import { defineConfig } from 'cypress' and export default defineConfig({ e2e: { baseUrl: process.env.BASE_URL || '${targetUrl}', specPattern: 'cypress/e2e/**/*.cy.${ext}', supportFile: 'cypress/support/e2e.${ext}', video: false, screenshotOnRunFailure: false } }). Do NOT pin a reporter.
+3. cypress/support/e2e.${ext} - only: Cypress.on('uncaught:exception', () => false) so third-party script errors on the target site do not fail tests
+${typescript ? `4. tsconfig.json with: { "compilerOptions": { "target": "ES2022", "module": "ESNext", "moduleResolution": "Bundler", "strict": true, "esModuleInterop": true, "skipLibCheck": true, "types": ["cypress", "node"] }, "include": ["**/*.ts"] }
+5` : '4'}. Page object .${ext} files in cypress/pages/ - 2-3 page classes exported with ES module syntax (export class LoginPage {}). No constructor arguments; methods return the Cypress chain (e.g. visit() { return cy.visit('/'); }).
+${typescript ? '6' : '5'}. Spec files in cypress/e2e/ named <area>.cy.${ext} - 2 spec files with 2 tests each using describe()/it().
+${typescript ? '7' : '6'}. README.md MUST document: prerequisites (Node 18+, Chrome or Firefox for non-Electron runs), install (npm install), "npm test", "npm run test:firefox" / "npm run test:headed", and "npm run open" for the interactive runner.`,
+    rules: `CRITICAL RULES for Cypress${typescript ? ' + TypeScript' : ''}:
+- Use Cypress ONLY (not Playwright, not WebdriverIO). cy, describe and it are globals — do not import them
+- Cypress commands are chained and enqueued: NEVER use async/await or store cy.get() results in variables
+- Assert with .should(...) / expect inside .then(); rely on Cypress retry-ability
+- Do NOT use cy.wait(<milliseconds>)
+- Navigation uses relative paths like cy.visit('/') — baseUrl comes from the config
+- Use the REAL selectors from the page analysis above
+- For isLoaded(): cy.title().should('contain', ...) or cy.url().should('include', ...)
+- Do NOT assume credentials; do NOT interact with cookie banners or modals
+- Keep tests SIMPLE; prefer data-testid, aria-label, or CSS selectors over cy.contains text matching
+- cypress.config.${ext} MUST NOT pin a reporter (the runner passes --reporter at invocation time)`
+  };
+}
+
+function webdriverioTemplate(targetUrl, typescript) {
+  const ext = typescript ? 'ts' : 'js';
+  const tsDeps = typescript ? ', "typescript": "^5.4.0", "ts-node": "^10.9.2", "@types/node": "^20.12.0"' : '';
+  return {
+    fileList: `Generate these files (keep code concise):
+1. package.json with "type":"module", devDependencies "@wdio/cli": "^8.39.0", "@wdio/local-runner": "^8.39.0", "@wdio/mocha-framework": "^8.39.0", "@wdio/spec-reporter": "^8.39.0", "@wdio/junit-reporter": "^8.39.0", "dotenv": "^16.4.5"${tsDeps}. Scripts MUST include exactly these (plain env var prefix, no cross-env):
+     "test": "wdio run ./wdio.conf.${ext}",
+     "test:chromium": "BROWSER=chromium wdio run ./wdio.conf.${ext}",
+     "test:firefox": "BROWSER=firefox wdio run ./wdio.conf.${ext}",
+     "test:headed": "HEADED=true wdio run ./wdio.conf.${ext}",
+     "test:firefox:headed": "BROWSER=firefox HEADED=true wdio run ./wdio.conf.${ext}"${typescript ? ',\n     "typecheck": "tsc --noEmit"' : ''}
+2. .env file at project root with exactly:
+     BROWSER=chromium
+     HEADED=false
+3. wdio.conf.${ext} - import 'dotenv/config' at the top, then export const config${typescript ? ": WebdriverIO.Config" : ''} = { runner: 'local', specs: ['./test/specs/**/*.${ext}'], maxInstances: 1, baseUrl: process.env.BASE_URL || '${targetUrl}', framework: 'mocha', mochaOpts: { ui: 'bdd', timeout: 60000 }, capabilities: [<one capability built from BROWSER/HEADED>], reporters: ['spec', ['junit', { outputDir: process.env.WDIO_JUNIT_DIR || './reports/junit', outputFileFormat: (opts) => \`results-\${opts.cid}.xml\` }]] }.
+   The capability: BROWSER "firefox" -> { browserName: 'firefox', 'moz:firefoxOptions': { args: headed ? [] : ['-headless'] } }; anything else -> { browserName: 'chrome', 'goog:chromeOptions': { args: headed ? [] : ['--headless=new', '--window-size=1920,1080'] } }. headed = process.env.HEADED === 'true'.
+${typescript ? `4. tsconfig.json with: { "compilerOptions": { "target": "ES2022", "module": "ESNext", "moduleResolution": "node", "strict": true, "esModuleInterop": true, "skipLibCheck": true, "types": ["node", "@wdio/globals/types", "@wdio/mocha-framework"] }, "include": ["**/*.ts"] }
+5` : '4'}. Page object .${ext} files in test/pageobjects/ - 2-3 page classes exported with ES module syntax. Elements are getters returning $('selector'); methods are async.
+${typescript ? '6' : '5'}. Spec files in test/specs/ - 2 spec files with 2 tests each using describe()/it() with async functions.
+${typescript ? '7' : '6'}. README.md MUST document: prerequisites (Node 18+, Chrome or Firefox), install (npm install), editing .env to change defaults, and "npm run test:firefox" / "npm run test:headed" for one-off overrides.`,
+    rules: `CRITICAL RULES for WebdriverIO${typescript ? ' + TypeScript' : ''}:
+- Use WebdriverIO v8 with the Mocha framework ONLY (not Playwright, not Cypress). browser, $, $$ and expect are globals from @wdio/globals
+- Every WebdriverIO call is async: await browser.url(...), await $(...).click(), await expect(...)
+- Assert with expect-webdriverio matchers: await expect(browser).toHaveTitle(...), await expect(browser).toHaveUrl(...), await expect(elem).toBeDisplayed()
+- Do NOT use browser.pause(); rely on auto-waiting matchers and waitForDisplayed()
+- Navigation uses relative paths like browser.url('/') — baseUrl comes from the config
+- Drivers are downloaded automatically by WebdriverIO; do NOT add chromedriver or wdio-chromedriver-service
+- The junit reporter entry in wdio.conf.${ext} MUST stay exactly as specified (the runner reads its output)
+- Use the REAL selectors from the page analysis above
+- Do NOT assume credentials; do NOT interact with cookie banners or modals
+- Keep tests SIMPLE; prefer data-testid, aria-label, or CSS selectors over text matching`
+  };
+}
+
+// --- C# ----------------------------------------------------------------------
+
+function csharpPlaywright(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. .csproj - SDK-style project with REQUIRED packages:
+   <PackageReference Include="Microsoft.Playwright" Version="1.48.0" />
+   <PackageReference Include="NUnit" Version="4.0.1" />
+   <PackageReference Include="NUnit3TestAdapter" Version="4.5.0" />
+   <PackageReference Include="Microsoft.NET.Test.Sdk" Version="17.8.0" />
+2. .env file at project root with exactly:
+     BROWSER=chromium
+     HEADED=false
+3. Makefile at project root with these targets (use tab indentation, not spaces):
+     Top of file:
+       ifneq (,\$(wildcard .env))
+         include .env
+         export
+       endif
+       BROWSER ?= chromium
+       HEADED ?= false
+     Targets (each runs: BROWSER=<value> HEADED=<value> dotnet test -c Release):
+       .PHONY: test test-chromium test-firefox test-webkit test-headed test-firefox-headed test-webkit-headed
+       test: -> uses \$(BROWSER) and \$(HEADED)
+       test-chromium / test-firefox / test-webkit -> override BROWSER, pass \$(HEADED)
+       test-headed -> \$(BROWSER) with HEADED=true
+       test-firefox-headed / test-webkit-headed -> override both
+4. Page object .cs files in Pages/ - 2-3 page classes for this site
+5. Test .cs files in Tests/ - 2 test files with 2 tests each using NUnit [Test]
+6. README.md MUST document: editing .env to change defaults, plus "make test-firefox" / "make test-headed" / etc. for one-off overrides.`,
+    rules: `CRITICAL RULES for C#:
+- The .csproj MUST use <TargetFramework>net10.0</TargetFramework> — .NET 8 is NOT installed on this machine
+- EVERY test file MUST start with: using NUnit.Framework; using Microsoft.Playwright;
+- EVERY page object MUST start with: using Microsoft.Playwright;
+- Use Microsoft.Playwright and NUnit. Use async/await for all Playwright calls
+- Page object constructors take IPage and base URL; expose async Task<bool> IsLoaded()
+- Tests use [Test], [SetUp], [OneTimeSetUp], [TearDown], [OneTimeTearDown] attributes
+- Test classes use [TestFixture] attribute
+- All test methods must be async Task, not void
+- Base URL for tests: "${targetUrl}"
+- Use the REAL selectors from the page analysis above
+- For IsLoaded(): check await page.TitleAsync() or page.Url contains expected text, or await locator.CountAsync() > 0
+- Do NOT assume credentials; do NOT interact with cookie banners or modals
+- Keep tests SIMPLE: verify page loads, title, key navigation
+- Use await locator.First when multiple matches possible; prefer data-testid, aria-label, or CSS selectors
+- Browser selection: Environment.GetEnvironmentVariable("BROWSER") ?? "chromium"
+- Headed mode: Environment.GetEnvironmentVariable("HEADED") == "true"
+- SlowMo: float.TryParse(Environment.GetEnvironmentVariable("SLOWMO"), out var sm) ? sm : 0
+- In test setup: await playwright.Chromium/Firefox/Webkit.LaunchAsync(new() { Headless = !headed, SlowMo = slowMo })`
+  };
+}
+
+function csharpSelenium(targetUrl) {
+  return {
+    fileList: `Generate these files (keep code concise):
+1. .csproj - SDK-style project with REQUIRED packages:
+   <PackageReference Include="Selenium.WebDriver" Version="4.21.0" />
+   <PackageReference Include="Selenium.Support" Version="4.21.0" />
+   <PackageReference Include="NUnit" Version="4.0.1" />
+   <PackageReference Include="NUnit3TestAdapter" Version="4.5.0" />
+   <PackageReference Include="Microsoft.NET.Test.Sdk" Version="17.8.0" />
+2. .env file at project root with exactly:
+     BROWSER=chromium
+     HEADED=false
+3. Makefile at project root with these targets (use tab indentation, not spaces):
+     Top of file:
+       ifneq (,\$(wildcard .env))
+         include .env
+         export
+       endif
+       BROWSER ?= chromium
+       HEADED ?= false
+     Targets (each runs: BROWSER=<value> HEADED=<value> dotnet test -c Release):
+       .PHONY: test test-chromium test-firefox test-headed test-firefox-headed
+       test: -> uses \$(BROWSER) and \$(HEADED)
+       test-chromium / test-firefox -> override BROWSER, pass \$(HEADED)
+       test-headed -> \$(BROWSER) with HEADED=true
+       test-firefox-headed -> override both
+4. Support/DriverFactory.cs - static IWebDriver Create() reading BROWSER / HEADED from the environment
+5. Page object .cs files in Pages/ - 2-3 page classes for this site
+6. Test .cs files in Tests/ - 2 test files with 2 tests each using NUnit [Test]
+7. README.md MUST document: prerequisites (.NET 10 SDK, Chrome or Firefox), editing .env to change defaults, plus "make test-firefox" / "make test-headed" / etc. for one-off overrides.`,
+    rules: `CRITICAL RULES for C# + Selenium:
+- The .csproj MUST use <TargetFramework>net10.0</TargetFramework> — .NET 8 is NOT installed on this machine
+- EVERY test file MUST start with: using NUnit.Framework; using OpenQA.Selenium;
+- Use Selenium 4 (OpenQA.Selenium) and NUnit. Drivers come from Selenium Manager — do NOT add WebDriverManager or driver NuGet packages
+- DriverFactory: "firefox" -> new FirefoxDriver(FirefoxOptions with "-headless" unless headed); anything else -> new ChromeDriver(ChromeOptions with "--headless=new" unless headed). Headed mode: Environment.GetEnvironmentVariable("HEADED") == "true"
+- Page object constructors take IWebDriver; expose bool IsLoaded()
+- Test classes use [TestFixture]; [SetUp] creates the driver, [TearDown] calls driver.Quit()
+- Wait with new WebDriverWait(driver, TimeSpan.FromSeconds(10)).Until(...); NEVER use Thread.Sleep
+- Base URL for tests: "${targetUrl}"
+- Use the REAL selectors from the page analysis above
+- For IsLoaded(): check driver.Title or driver.Url contains expected text, or driver.FindElements(...).Count > 0
+- Do NOT assume credentials; do NOT interact with cookie banners or modals
+- Keep tests SIMPLE: verify page loads, title, key navigation
+- Prefer By.CssSelector with data-testid, aria-label, or ids over XPath`
+  };
+}
+
+// --- Template matrix -----------------------------------------------------------
+// Keys are normalized language ids; values map framework id -> template builder.
+const PROMPT_TEMPLATES = {
+  python: {
+    playwright: pythonPlaywright,
+    selenium: pythonSelenium,
+    'pytest-bdd': pythonPytestBdd
+  },
+  java: {
+    playwright: javaPlaywright,
+    junit: javaJUnit,
+    testng: javaTestNG,
+    cucumber: javaCucumber
+  },
+  javascript: {
+    playwright: javascriptPlaywright,
+    cypress: (targetUrl) => cypressTemplate(targetUrl, false),
+    webdriverio: (targetUrl) => webdriverioTemplate(targetUrl, false)
+  },
+  typescript: {
+    playwright: typescriptPlaywright,
+    cypress: (targetUrl) => cypressTemplate(targetUrl, true),
+    webdriverio: (targetUrl) => webdriverioTemplate(targetUrl, true)
+  },
+  csharp: {
+    playwright: csharpPlaywright,
+    selenium: csharpSelenium
+  }
+};
+
+export function normalizeLanguage(language) {
+  const lang = (language || 'python').toLowerCase();
+  return lang === 'c#' ? 'csharp' : lang;
+}
+
+// language id -> list of framework ids that have a prompt template
+export const SUPPORTED_FRAMEWORKS = Object.fromEntries(
+  Object.entries(PROMPT_TEMPLATES).map(([lang, templates]) => [lang, Object.keys(templates)])
+);
+
+// Build the file list and rules for the generation prompt. Throws for
+// combinations without a template instead of silently falling back to
+// Playwright.
+export function getLanguagePrompt(language, framework, targetUrl) {
+  const lang = normalizeLanguage(language);
+  const templates = PROMPT_TEMPLATES[lang];
+  if (!templates) {
+    throw new Error(`Unsupported language "${language}". Supported: ${Object.keys(PROMPT_TEMPLATES).join(', ')}`);
+  }
+  const fw = (framework || 'playwright').toLowerCase();
+  const build = templates[fw];
+  if (!build) {
+    throw new Error(`Framework "${framework}" is not supported for ${language}. Supported: ${Object.keys(templates).join(', ')}`);
+  }
+  return build(targetUrl);
+}
+
+// --- Prompt templates ------------------------------------------------------------
+// The project brief is itself a template with {{variable}} placeholders, so a
+// custom prompt template (promptTemplates.js) can replace it, the file list or
+// the rules. fileList and rules may only use the request variables.
+
+export const REQUEST_VARIABLES = ['targetUrl', 'language', 'framework'];
+export const BRIEF_VARIABLES = [...REQUEST_VARIABLES, 'pageAnalysis', 'auth', 'styleReference', 'requirements', 'fileList', 'rules'];
+
+export const DEFAULT_BRIEF_TEMPLATE = `Generate a {{framework}} test framework in {{language}} for testing: {{targetUrl}}
+
+{{pageAnalysis}}
+{{auth}}{{styleReference}}{{requirements}}
+{{fileList}}
+
+ALSO REQUIRED:
+- README.md at the project root (path: "") covering, specifically for {{language}} + {{framework}}:
+  1. Title and a one-line description
+  2. Prerequisites (e.g. Python 3.10+, Node 18+, .NET 10 SDK + PowerShell Core (pwsh) for C#, JDK 17 + Maven — pick what applies)
+  3. Install steps — exact shell commands (e.g. "python -m venv venv && source venv/bin/activate && pip install -r requirements.txt && playwright install chromium" for Python+Playwright; "npm install && npx playwright install" for JS+Playwright; for C# use "dotnet restore && dotnet build -c Release" then browser install via "pwsh bin/Release/net10.0/playwright.ps1 install chromium" (Microsoft.Playwright generates playwright.ps1 in the build output, NOT playwright.dll); "mvn install" plus mvn exec for Java)
+  4. How to run the tests — the actual command (pytest / npx playwright test / dotnet test / mvn test)
+  5. How to switch browser (chromium/firefox/webkit) and toggle headed mode, matching how the generated tests read those options
+  6. Project structure — short tree of the generated folders/files
+  Keep it concise (under ~60 lines), use proper markdown headings and fenced code blocks. Commands MUST match what the generated code actually expects.
+
+{{rules}}`;
+
+const VARIABLE = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+// Names used as {{variable}} in a template text
+export function templateVariables(text) {
+  return [...new Set([...String(text || '').matchAll(VARIABLE)].map((m) => m[1]))];
+}
+
+// Replace every {{variable}}; a value's own text is never re-expanded
+export function renderTemplate(text, vars) {
+  return String(text).replace(VARIABLE, (match, name) => (name in vars ? String(vars[name] ?? '') : match));
+}
+
+// The built-in file list and rules with {{targetUrl}} left in, as the
+// starting point for a custom template
+export function getDefaultTemplateParts(language, framework) {
+  const { fileList, rules } = getLanguagePrompt(language, framework, '{{targetUrl}}');
+  return { body: DEFAULT_BRIEF_TEMPLATE, fileList, rules };
+}
+
+// The file list and rules for a request: the built-in ones for the stack,
+// or the template's overrides rendered with the request variables
+export function getPromptParts({ language, framework, targetUrl, template }) {
+  const request = { targetUrl, language, framework };
+  const builtIn = getLanguagePrompt(language, framework, targetUrl);
+  return {
+    fileList: template?.fileList ? renderTemplate(template.fileList, request) : builtIn.fileList,
+    rules: template?.rules ? renderTemplate(template.rules, request) : builtIn.rules
+  };
+}
+
+// The project brief shared by single-response and planned generation.
+// `template` ({ body, fileList, rules }, each null for the built-in part)
+// overrides the built-in brief, file list and rules. A custom body without
+// {{styleReference}} or {{requirements}} gets that block appended.
+export function buildBrief({ language, framework, targetUrl, pageAnalysis, auth, styleReference = '', requirements = '', template }) {
+  let body = template?.body || DEFAULT_BRIEF_TEMPLATE;
+  if (styleReference && !templateVariables(body).includes('styleReference')) body = `${body}\n{{styleReference}}`;
+  if (requirements && !templateVariables(body).includes('requirements')) body = `${body}\n{{requirements}}`;
+  return renderTemplate(body, {
+    targetUrl,
+    language,
+    framework,
+    pageAnalysis,
+    auth,
+    styleReference,
+    requirements,
+    ...getPromptParts({ language, framework, targetUrl, template })
+  });
+}
+
+// --- Authenticated targets -------------------------------------------------------
+// Where each stack puts its reusable login fixture/helper. Keys are
+// "<language>:<framework>" with a per-language fallback.
+const LOGIN_FIXTURES = {
+  'python:playwright': 'a function-scoped `logged_in_page` fixture in conftest.py that takes `page`, logs in via pages/login_page.py and yields the page',
+  'python:selenium': 'a function-scoped `logged_in_driver` fixture in conftest.py that logs in via pages/login_page.py and yields the driver',
+  'python:pytest-bdd': 'a reusable "Given I am logged in" step in conftest.py backed by pages/login_page.py',
+  'javascript:playwright': 'fixtures/auth.js exporting `test` extended with a `loggedInPage` fixture (test.extend) that logs in via pages/LoginPage.js; authenticated specs import test from it',
+  'typescript:playwright': 'fixtures/auth.ts exporting `test` extended with a typed `loggedInPage` fixture (test.extend) that logs in via pages/LoginPage.ts; authenticated specs import test from it',
+  'javascript:cypress': 'a `cy.login()` custom command in cypress/support/commands.js wrapped in cy.session so the login runs once per spec',
+  'typescript:cypress': 'a `cy.login()` custom command in cypress/support/commands.ts wrapped in cy.session (declare its type in the Cypress namespace)',
+  'javascript:webdriverio': 'test/helpers/login.js exporting an async `login()` used in before() hooks of authenticated specs',
+  'typescript:webdriverio': 'test/helpers/login.ts exporting an async `login()` used in before() hooks of authenticated specs',
+  'java:cucumber': 'a LoginHelper class in src/test/java/.../utils reading System.getenv, used by a "Given I am logged in" step definition',
+  java: 'a LoginHelper class in src/test/java/.../utils reading System.getenv, called from the base test\'s setup for authenticated tests',
+  csharp: 'a static LoginHelper class in Utils/ reading Environment.GetEnvironmentVariable, called from the [SetUp] of authenticated test classes'
+};
+
+// Prompt block for a target behind a login. `auth` is the describeAuth() view
+// (no credentials); `env` names the variables the generated code must read.
+export function getAuthPrompt(language, framework, auth, env) {
+  if (!auth) return '';
+  const lang = normalizeLanguage(language);
+  const fw = (framework || 'playwright').toLowerCase();
+  const fixture = LOGIN_FIXTURES[`${lang}:${fw}`] || LOGIN_FIXTURES[lang];
+  const recipe = auth.mode === 'recipe'
+    ? `- Login page: ${auth.loginUrl}
+- Username field selector: ${auth.usernameSelector}
+- Password field selector: ${auth.passwordSelector}
+- Submit: ${auth.submitSelector ? `click ${auth.submitSelector}` : 'press Enter in the password field'}${auth.successUrl ? `\n- A successful login lands on a URL containing: ${auth.successUrl}` : ''}`
+    : '- The site was analyzed with a saved browser session; find the login form by its password input and label/role locators';
+  return `
+AUTHENTICATION (the target requires login — this overrides "Do NOT assume credentials" below):
+${recipe}
+- Generate a reusable login fixture/helper: ${fixture}. Use it in every test that needs a signed-in user; keep at least one test that checks the login page itself.
+- Read credentials ONLY from the environment variables ${env.username} and ${env.password}. NEVER hard-code usernames, passwords, tokens or cookies and never log them.
+- When either variable is missing, skip the authenticated tests with a clear message instead of failing.
+- Add a .env.example (path "") listing ${env.username}= and ${env.password}= with empty values, and document both variables in the README.
+`;
+}
@@ -0,0 +1,159 @@
+// Shared helpers for provider modules (providers/*.js and drop-in providers
+// loaded from QAFG_PROVIDERS_DIR). Most hosted and self-hosted LLM gateways
+// speak the OpenAI chat-completions protocol, so a provider for one is usually
+// a thin wrapper around callOpenAICompatible.
+
+export const SYSTEM_PROMPT = `You are a code generation assistant that outputs ONLY valid JSON.
+
+CRITICAL RULES FOR VALID JSON:
+1. All strings must use double quotes
+2. Inside string values, escape double quotes as \\"
+3. Inside string values, escape newlines as \\n
+4. Inside string values, escape backslashes as \\\\
+5. No trailing commas
+6. No comments
+7. Keep code CONCISE - no lengthy docstrings, minimal comments
+
+Your entire response must be a single valid JSON object, nothing else.`;
+
+// Error with the HTTP status and Retry-After of a failed provider call, so the
+// registry can decide whether to retry, back off or fall over to the next
+// provider. `retryable` overrides the status-based default.
+export class ProviderError extends Error {
+  constructor(message, { status, retryAfterMs, retryable } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = retryable;
+  }
+}
+
+// Reason a generation's AbortSignal is aborted with (the client disconnected
+// or pressed Cancel). Never retried and never falls over to another provider.
+export class GenerationCancelledError extends Error {
+  constructor(message = "Generation cancelled") {
+    super(message);
+    this.name = "GenerationCancelledError";
+  }
+}
+
+// Retry-After as delay-seconds or an HTTP date, in ms (undefined if absent)
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// OpenAI-style usage as { inputTokens, outputTokens }
+const usageOf = (usage) => ({ inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+
+// Read an OpenAI-style SSE body ("data: {...}" lines, "data: [DONE]" at the
+// end). Usage arrives in the last chunk when the server supports stream_options.
+async function readChatCompletionStream(body, onToken, onUsage) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.trim();
+      if (!data.startsWith("data:")) continue;
+      const payload = data.slice(5).trim();
+      if (payload === "[DONE]") return text;
+      try {
+        const chunk = JSON.parse(payload);
+        if (chunk.usage) onUsage?.(usageOf(chunk.usage));
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      } catch {
+        // keep-alive comments and partial frames
+      }
+    }
+  }
+  return text;
+}
+
+// The message of an OpenAI-style error body ({ error: { message } }), never
+// the raw body: a misconfigured URL could point at a page we should not relay
+async function errorMessageOf(response) {
+  try {
+    const message = (await response.json())?.error?.message;
+    return typeof message === "string" ? `: ${message.replace(/[\u0000-\u001F]/g, " ").slice(0, 300)}` : "";
+  } catch {
+    return "";
+  }
+}
+
+// POST to a chat-completions URL. Streams when onToken is given; the
+// Authorization header is only sent when there is a key. `signal` aborts the
+// request and the body stream; onUsage receives the reported token counts.
+export async function callOpenAICompatible({ apiKey, systemPrompt = SYSTEM_PROMPT, userPrompt, model, maxTokens, temperature,
+  url, providerLabel, onToken, onUsage, signal, requireKey = true }) {
+  if (!apiKey && requireKey) throw new ProviderError(`No ${providerLabel} API key provided. Enter one in Settings or choose a different provider.`, { retryable: false });
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    signal,
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      stream: Boolean(onToken),
+      ...(onToken && { stream_options: { include_usage: true } }),
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt }
+      ]
+    })
+  });
+  if (!response.ok) {
+    throw new ProviderError(`${providerLabel} API error ${response.status}${await errorMessageOf(response)}`, {
+      status: response.status,
+      retryAfterMs: parseRetryAfter(response.headers.get("retry-after"))
+    });
+  }
+  if (onToken) return readChatCompletionStream(response.body, onToken, onUsage);
+  const data = await response.json();
+  if (data.usage) onUsage?.(usageOf(data.usage));
+  return data.choices?.[0]?.message?.content || "";
+}
+
+// Validated http(s) base URL without a trailing slash
+export function normalizeBaseUrl(raw, label = "base URL") {
+  let url;
+  try {
+    url = new URL(String(raw || "").trim());
+  } catch {
+    throw new Error(`Invalid ${label}: ${raw}`);
+  }
+  if (!["http:", "https:"].includes(url.protocol)) throw new Error(`${label} must be http:// or https://`);
+  return url.href.replace(/\/+$/, "");
+}
+
+// Model ids served by an OpenAI-compatible /models endpoint
+export async function listOpenAICompatibleModels({ baseUrl, apiKey, timeoutMs = 5000 }) {
+  const headers = {};
+  if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/models`, { headers, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (e) {
+    throw new Error(`Could not reach ${baseUrl}/models (${e.cause?.code || e.message})`);
+  }
+  if (!response.ok) throw new Error(`${baseUrl}/models returned ${response.status}`);
+  const data = await response.json();
+  return (data.data || data.models || []).map((m) => m.id || m.name).filter(Boolean).sort();
+}
@@ -1,166 +1,290 @@
-import Anthropic from "@anthropic-ai/sdk";
-import { spawn } from "child_process";
-import { existsSync } from "fs";
-import { homedir } from "os";
-import { join } from "path";
-
-function resolveClaudeBin() {
-  if (process.env.CLAUDE_BIN && existsSync(process.env.CLAUDE_BIN)) return process.env.CLAUDE_BIN;
-  const candidates = [
-    join(homedir(), ".local/bin/claude"),
-    "/opt/homebrew/bin/claude",
-    "/usr/local/bin/claude",
-    join(homedir(), ".claude/local/claude")
-  ];
-  for (const c of candidates) if (existsSync(c)) return c;
-  return "claude"; // fall back to PATH
+import { readdir } from "fs/promises";
+import { join, resolve } from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { SYSTEM_PROMPT, GenerationCancelledError } from "./providerKit.js";
+
+// Provider registry. Every module in providers/ (and in QAFG_PROVIDERS_DIR, for
+// drop-ins such as an internal LLM gateway) default-exports:
+//
+//   {
+//     id, label,                 "my-gateway", "Internal gateway"
+//     requiresKey,               the UI insists on a key before saving
+//     acceptsKey?,               show an optional key field when requiresKey is false
+//     settings?: ["baseUrl"],    extra per-provider fields shown in Settings
+//     models?, defaultModel?,    model suggestions; defaultModel defaults to models[0]
+//     supportsSampling?,         false hides max tokens / temperature
+//     help?,                     { text, url, urlLabel, keyPrefix, command, after }
+//     order?,                    position in the provider list (default 100)
+//     detect?(),                 -> fields merged over the above, e.g. { available, hasEnvKey }
+//     generate(options),         -> full response text
+//     stream?(options),          -> full response text, calling options.onToken(delta)
+//     listModels?(options),      -> model ids, for Settings' "Discover" button
+//     resolveModel?(options)     -> the model a call with these options will use
+//   }
+//
+// options: { apiKey, baseUrl, model, maxTokens, temperature, systemPrompt, userPrompt, onToken, onUsage, signal, context }
+// signal is an AbortSignal; providers pass it to fetch / their SDK (or kill
+// their child process) so a cancelled generation stops straight away.
+// onUsage({ inputTokens, outputTokens }) reports what the call consumed;
+// when a provider never calls it the registry estimates from text length.
+// context describes the request for providers that build output themselves
+// instead of prompting a model (see providers/template.js):
+//   { task, language, framework, targetUrl, analysis, files, requirements }
+// task is "framework" (whole project), "manifest" (planned mode's file plan),
+// "files" (the planned-mode group whose paths are in `files`), "repair",
+// "extend" (new and changed files for an existing project), "edit" (the one
+// file in `files`, regenerated or edited), "chat" (a refinement chat turn) or
+// "traceability" (planned mode's criterion → test mapping; `requirements` is
+// parseRequirements() output from requirements.js).
+// Files starting with "_" are skipped so a directory can hold shared helpers.
+
+const BUILTIN_DIR = join(fileURLToPath(new URL(".", import.meta.url)), "providers");
+const DEFAULT_PROVIDER = "anthropic-api";
+const DEFAULT_MAX_TOKENS = 8000;
+const MAX_MAX_TOKENS = 64000;
+
+// Retry policy for generateWithFallback: retries per provider with exponential
+// backoff from BACKOFF_BASE_MS (capped at MAX_BACKOFF_MS). A Retry-After is
+// honored unless it is longer than MAX_RETRY_AFTER_MS; then the next provider
+// in the chain is tried straight away.
+const DEFAULT_PROVIDER_RETRIES = parseInt(process.env.QAFG_PROVIDER_RETRIES, 10) || 2;
+const MAX_PROVIDER_RETRIES = 5;
+const BACKOFF_BASE_MS = parseInt(process.env.QAFG_PROVIDER_BACKOFF_MS, 10) || 1000;
+const MAX_BACKOFF_MS = 30_000;
+const MAX_RETRY_AFTER_MS = 60_000;
+const TRANSIENT_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"]);
+
+function checkProvider(provider, file) {
+  const problems = [];
+  if (!provider || typeof provider !== "object") return ["no default export"];
+  if (typeof provider.id !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(provider.id)) problems.push('"id" must be lowercase letters, digits and "-"');
+  if (typeof provider.label !== "string" || !provider.label) problems.push('"label" is required');
+  if (typeof provider.generate !== "function") problems.push('"generate" must be a function');
+  for (const fn of ["detect", "stream", "listModels", "resolveModel"]) {
+    if (provider[fn] !== undefined && typeof provider[fn] !== "function") problems.push(`"${fn}" must be a function`);
+  }
+  return problems.map((p) => `${file}: ${p}`);
+}
+
+async function loadDirectory(dir, registry) {
+  let entries;
+  try {
+    entries = (await readdir(dir)).filter((f) => /\.m?js$/.test(f) && !f.startsWith("_")).sort();
+  } catch (e) {
+    console.log(`[providers] could not read ${dir}: ${e.message}`);
+    return;
+  }
+  for (const file of entries) {
+    const path = join(dir, file);
+    try {
+      const provider = (await import(pathToFileURL(path).href)).default;
+      const problems = checkProvider(provider, path);
+      if (problems.length) {
+        console.log(`[providers] skipped ${problems.join("; ")}`);
+        continue;
+      }
+      if (registry.has(provider.id)) console.log(`[providers] ${path} replaces provider "${provider.id}"`);
+      registry.set(provider.id, provider);
+    } catch (e) {
+      console.log(`[providers] failed to load ${path}: ${e.message}`);
+    }
+  }
+}
+
+async function loadProviders() {
+  const registry = new Map();
+  await loadDirectory(BUILTIN_DIR, registry);
+  if (process.env.QAFG_PROVIDERS_DIR) await loadDirectory(resolve(process.env.QAFG_PROVIDERS_DIR), registry);
+  return new Map([...registry.values()]
+    .sort((a, b) => (a.order ?? 100) - (b.order ?? 100) || a.label.localeCompare(b.label))
+    .map((p) => [p.id, p]));
 }
 
-const SYSTEM_PROMPT = `You are a code generation assistant that outputs ONLY valid JSON.
-
-CRITICAL RULES FOR VALID JSON:
-1. All strings must use double quotes
-2. Inside string values, escape double quotes as \\"
-3. Inside string values, escape newlines as \\n
-4. Inside string values, escape backslashes as \\\\
-5. No trailing commas
-6. No comments
-7. Keep code CONCISE - no lengthy docstrings, minimal comments
-
-Your entire response must be a single valid JSON object, nothing else.`;
-
-async function callAnthropicAPI({ apiKey, userPrompt }) {
-  const key = apiKey || process.env.ANTHROPIC_API_KEY;
-  if (!key) throw new Error("No Anthropic API key provided. Enter one in Settings or choose a different provider.");
-  const client = new Anthropic({ apiKey: key });
-  const message = await client.messages.create({
-    model: "claude-sonnet-4-20250514",
-    max_tokens: 8000,
-    system: SYSTEM_PROMPT,
-    messages: [{ role: "user", content: userPrompt }]
-  });
-  return message.content[0].text;
+const registry = await loadProviders();
+
+export function getProvider(id) {
+  const key = (id || DEFAULT_PROVIDER).toLowerCase();
+  const provider = registry.get(key);
+  if (!provider) throw new Error(`Unknown provider "${key}". Available: ${[...registry.keys()].join(", ")}`);
+  return provider;
 }
 
-async function callOpenAICompatible({ apiKey, userPrompt, model, url, providerLabel }) {
-  if (!apiKey) throw new Error(`No ${providerLabel} API key provided. Enter one in Settings or choose a different provider.`);
-  const response = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens: 8000,
-      messages: [
-        { role: "system", content: SYSTEM_PROMPT },
-        { role: "user", content: userPrompt }
-      ]
-    })
-  });
-  if (!response.ok) {
-    const err = await response.text();
-    throw new Error(`${providerLabel} API error ${response.status}: ${err}`);
+// Clamp client-supplied sampling settings. temperature stays undefined unless
+// set so each provider keeps its own default.
+function generationParams({ maxTokens, temperature }) {
+  const tokens = parseInt(maxTokens, 10);
+  const temp = parseFloat(temperature);
+  return {
+    maxTokens: Number.isFinite(tokens) ? Math.max(256, Math.min(MAX_MAX_TOKENS, tokens)) : DEFAULT_MAX_TOKENS,
+    temperature: Number.isFinite(temp) ? Math.max(0, Math.min(2, temp)) : undefined
+  };
+}
+
+const defaultModelOf = (impl) => (impl.defaultModel !== undefined ? impl.defaultModel : impl.models?.[0] ?? null);
+
+// Rough token count for providers that report no usage (~4 chars per token)
+const estimateTokens = (text) => Math.ceil((text?.length || 0) / 4);
+
+// Streams through provider.stream when onToken is given. Providers without a
+// stream() still report their whole response as one token chunk so progress
+// and the incremental file parser keep working. onUsage always gets a usage,
+// flagged `estimated` when the provider reported none.
+export async function generateWithProvider({ provider, apiKey, userPrompt, model, baseUrl, maxTokens, temperature, onToken, onUsage, signal, context }) {
+  const impl = getProvider(provider);
+  let reported = null;
+  const options = {
+    apiKey, baseUrl, userPrompt, signal, context,
+    model: model || defaultModelOf(impl) || undefined,
+    systemPrompt: SYSTEM_PROMPT,
+    onUsage: (usage) => { reported = usage; },
+    ...generationParams({ maxTokens, temperature })
+  };
+  let text;
+  if (onToken && impl.stream) {
+    text = await impl.stream({ ...options, onToken });
+  } else {
+    text = await impl.generate(options);
+    onToken?.(text);
   }
-  const data = await response.json();
-  return data.choices?.[0]?.message?.content || "";
+  onUsage?.(reported
+    ? { inputTokens: reported.inputTokens || 0, outputTokens: reported.outputTokens || 0, estimated: false }
+    : { inputTokens: estimateTokens(options.systemPrompt) + estimateTokens(userPrompt), outputTokens: estimateTokens(text), estimated: true });
+  return text;
 }
 
-async function callOpenAI({ apiKey, userPrompt, model = "gpt-4o" }) {
-  return callOpenAICompatible({
-    apiKey: apiKey || process.env.OPENAI_API_KEY,
-    userPrompt, model,
-    url: "https://api.openai.com/v1/chat/completions",
-    providerLabel: "OpenAI"
-  });
+// The model a request will run on, so callers can pin it across several calls
+// and record it. null when the provider picks its own (e.g. the Claude CLI).
+export async function resolveModel({ provider, apiKey, model, baseUrl }) {
+  const impl = getProvider(provider);
+  if (impl.resolveModel) return await impl.resolveModel({ apiKey, baseUrl, model: model || undefined });
+  return model || defaultModelOf(impl);
 }
 
-async function callGrok({ apiKey, userPrompt, model = "grok-2-latest" }) {
-  return callOpenAICompatible({
-    apiKey: apiKey || process.env.XAI_API_KEY || process.env.GROK_API_KEY,
-    userPrompt, model,
-    url: "https://api.x.ai/v1/chat/completions",
-    providerLabel: "Grok (xAI)"
-  });
+export async function listProviderModels(id, { baseUrl, apiKey } = {}) {
+  const impl = getProvider(id);
+  if (impl.listModels) return await impl.listModels({ baseUrl, apiKey });
+  return impl.models || [];
 }
 
-async function callPerplexity({ apiKey, userPrompt, model = "sonar-pro" }) {
-  return callOpenAICompatible({
-    apiKey: apiKey || process.env.PERPLEXITY_API_KEY,
-    userPrompt, model,
-    url: "https://api.perplexity.ai/chat/completions",
-    providerLabel: "Perplexity"
-  });
+// Thrown when every provider in the chain failed; `failures` is the history
+export class ProviderChainError extends Error {
+  constructor(failures) {
+    super(`All providers failed: ${failures.map((f) => `${f.provider} (attempt ${f.attempt}): ${f.error}`).join(" | ")}`);
+    this.name = "ProviderChainError";
+    this.failures = failures;
+  }
 }
 
-// Calls the locally installed Claude Code CLI (`claude -p`) which uses the user's
-// logged-in session — no API key required.
-async function callClaudeLocal({ userPrompt }) {
-  const claudeBin = resolveClaudeBin();
-  return await new Promise((resolve, reject) => {
-    const fullPrompt = `${SYSTEM_PROMPT}\n\n${userPrompt}`;
-    console.log(`[claude-local] using binary: ${claudeBin}`);
-    // Strip ANTHROPIC_API_KEY from env so claude uses the subscription login
-    // instead of falling back to API-key billing (which may be out of credits).
-    const childEnv = { ...process.env };
-    delete childEnv.ANTHROPIC_API_KEY;
-    delete childEnv.ANTHROPIC_AUTH_TOKEN;
-    const proc = spawn(claudeBin, ["-p", "--output-format", "text"], {
-      stdio: ["pipe", "pipe", "pipe"],
-      env: childEnv
-    });
-    let stdout = "";
-    let stderr = "";
-    proc.stdout.on("data", (d) => (stdout += d.toString()));
-    proc.stderr.on("data", (d) => (stderr += d.toString()));
-    proc.on("error", (err) => {
-      if (err.code === "ENOENT") {
-        reject(new Error("Local Claude CLI not found. Install Claude Code (https://claude.com/claude-code) or pick a different provider."));
-      } else {
-        reject(err);
-      }
-    });
-    proc.on("close", (code) => {
-      if (code !== 0) {
-        reject(new Error(`claude CLI exited ${code}: ${stderr || stdout}`));
-      } else {
-        resolve(stdout);
-      }
-    });
-    proc.stdin.write(fullPrompt);
-    proc.stdin.end();
-  });
+// Rate limits, server errors, timeouts and dropped connections are worth
+// retrying; auth errors, bad requests and unreachable hosts are not.
+function isRetryable(error) {
+  if (typeof error.retryable === "boolean") return error.retryable;
+  if (error.status) return error.status === 408 || error.status === 429 || error.status >= 500;
+  return error.name === "TimeoutError" || TRANSIENT_CODES.has(error.code) || TRANSIENT_CODES.has(error.cause?.code);
 }
 
-export async function generateWithProvider({ provider, apiKey, userPrompt, model }) {
-  switch ((provider || "anthropic-api").toLowerCase()) {
-    case "claude-local":
-      return await callClaudeLocal({ userPrompt });
-    case "openai":
-      return await callOpenAI({ apiKey, userPrompt, model });
-    case "grok":
-      return await callGrok({ apiKey, userPrompt, model });
-    case "perplexity":
-      return await callPerplexity({ apiKey, userPrompt, model });
-    case "anthropic-api":
-    default:
-      return await callAnthropicAPI({ apiKey, userPrompt });
+// ms to wait before retry `attempt`, or null to move on to the next provider
+function retryDelay(error, attempt, retries) {
+  if (attempt > retries || !isRetryable(error)) return null;
+  if (error.retryAfterMs !== undefined) return error.retryAfterMs > MAX_RETRY_AFTER_MS ? null : error.retryAfterMs;
+  const backoff = Math.min(MAX_BACKOFF_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(backoff * (0.8 + Math.random() * 0.4));
+}
+
+// What an aborted call throws: the abort reason when it is ours, so callers
+// can tell a cancelled generation from a failed one
+const cancellation = (signal) => (signal.reason instanceof Error ? signal.reason : new GenerationCancelledError());
+
+// Backoff delay that ends early when the generation is cancelled
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(cancellation(signal));
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(cancellation(signal));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// Try each { provider, apiKey, baseUrl, model, maxTokens, temperature } in
+// `chain` in order, retrying transient failures with backoff. Each entry's
+// model is resolved on first use and kept on the entry, so later calls with
+// the same chain stay on it. onFailover({ provider, attempt, error, status,
+// retryInMs, fallbackTo, partial }) reports every failed call; `partial` means
+// tokens had already been streamed and must be discarded. onServed({ provider,
+// model, failures }) reports the provider that answered; `usage` in the result
+// is what that call consumed. onUsage({ provider, model, inputTokens,
+// outputTokens, estimated, failed }) runs after every successful attempt and
+// after failed ones that had started streaming: those were billed for their
+// prompt and the streamed part, estimated from their length. Attempts that
+// failed before a response (no key, bad settings, HTTP errors) consumed
+// nothing and are not reported. Once
+// `signal` is aborted nothing is retried and the abort reason is thrown.
+export async function generateWithFallback({ chain, retries, userPrompt, context, signal, onToken, onFailover, onServed, onUsage }) {
+  const maxRetries = Math.max(0, Math.min(MAX_PROVIDER_RETRIES, Number.isInteger(retries) ? retries : DEFAULT_PROVIDER_RETRIES));
+  const failures = [];
+  for (const [i, entry] of chain.entries()) {
+    const provider = (entry.provider || DEFAULT_PROVIDER).toLowerCase();
+    for (let attempt = 1; ; attempt++) {
+      let partial = false;
+      let streamed = 0;
+      let usage = null;
+      if (signal?.aborted) throw cancellation(signal);
+      try {
+        if (entry.model === undefined) entry.model = await resolveModel(entry);
+        const text = await generateWithProvider({
+          ...entry, userPrompt, signal, context,
+          onToken: onToken && ((delta) => { partial = true; streamed += delta.length; onToken(delta); }),
+          onUsage: (u) => { usage = u; }
+        });
+        onUsage?.({ provider, model: entry.model ?? null, ...usage, failed: false });
+        onServed?.({ provider, model: entry.model, failures });
+        return { text, provider, model: entry.model, failures, usage };
+      } catch (error) {
+        if (partial) {
+          onUsage?.({
+            provider, model: entry.model ?? null,
+            inputTokens: estimateTokens(SYSTEM_PROMPT) + estimateTokens(userPrompt),
+            outputTokens: Math.ceil(streamed / 4),
+            estimated: true,
+            failed: true
+          });
+        }
+        if (signal?.aborted) throw cancellation(signal);
+        const retryInMs = retryDelay(error, attempt, maxRetries);
+        const fallbackTo = retryInMs === null ? chain[i + 1]?.provider || null : null;
+        failures.push({ provider, model: entry.model ?? null, attempt, status: error.status ?? null, error: error.message });
+        console.log(`[providers] ${provider} failed (attempt ${attempt}): ${error.message}` +
+          (retryInMs !== null ? ` — retrying in ${retryInMs}ms` : fallbackTo ? ` — falling back to ${fallbackTo}` : ""));
+        onFailover?.({ provider, attempt, error: error.message, status: error.status ?? null, retryInMs, fallbackTo, partial });
+        if (retryInMs === null) break;
+        await sleep(retryInMs, signal);
+      }
+    }
   }
+  throw new ProviderChainError(failures);
 }
 
+// Registry metadata plus each provider's detect() result, in display order
 export async function detectProviders() {
-  const claudeLocal = await new Promise((resolve) => {
-    const bin = resolveClaudeBin();
-    const proc = spawn(bin, ["--version"], { stdio: ["ignore", "pipe", "pipe"] });
-    proc.on("error", () => resolve(false));
-    proc.on("close", (code) => resolve(code === 0));
-  });
-  return {
-    "claude-local": { available: claudeLocal, requiresKey: false, label: "Claude (Local CLI)" },
-    "anthropic-api": { available: true, requiresKey: true, hasEnvKey: !!process.env.ANTHROPIC_API_KEY, label: "Anthropic API (Claude)" },
-    "openai": { available: true, requiresKey: true, hasEnvKey: !!process.env.OPENAI_API_KEY, label: "OpenAI (ChatGPT)" },
-    "grok": { available: true, requiresKey: true, hasEnvKey: !!(process.env.XAI_API_KEY || process.env.GROK_API_KEY), label: "Grok (xAI)" },
-    "perplexity": { available: true, requiresKey: true, hasEnvKey: !!process.env.PERPLEXITY_API_KEY, label: "Perplexity" }
-  };
+  const entries = await Promise.all([...registry.values()].map(async (p) => {
+    const detected = p.detect ? await p.detect().catch((e) => ({ available: false, error: e.message })) : {};
+    return [p.id, {
+      label: p.label,
+      available: true,
+      requiresKey: Boolean(p.requiresKey),
+      acceptsKey: Boolean(p.requiresKey || p.acceptsKey),
+      settings: p.settings || [],
+      supportsSampling: p.supportsSampling !== false,
+      canListModels: typeof p.listModels === "function",
+      models: p.models || [],
+      defaultModel: defaultModelOf(p),
+      help: p.help || null,
+      ...detected
+    }];
+  }));
+  return Object.fromEntries(entries);
 }
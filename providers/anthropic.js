@@ -0,0 +1,45 @@
+import Anthropic from "@anthropic-ai/sdk";
+import { ProviderError, parseRetryAfter } from "../providerKit.js";
+
+const MODELS = ["claude-sonnet-4-20250514", "claude-opus-4-1-20250805", "claude-3-5-haiku-20241022"];
+
+async function stream({ apiKey, systemPrompt, userPrompt, model = MODELS[0], maxTokens, temperature, onToken, onUsage, signal }) {
+  const key = apiKey || process.env.ANTHROPIC_API_KEY;
+  if (!key) throw new ProviderError("No Anthropic API key provided. Enter one in Settings or choose a different provider.", { retryable: false });
+  // Retries and backoff are handled by the registry for every provider
+  const client = new Anthropic({ apiKey: key, maxRetries: 0 });
+  const request = {
+    model,
+    max_tokens: maxTokens,
+    system: systemPrompt,
+    messages: [{ role: "user", content: userPrompt }]
+  };
+  // Anthropic accepts 0-1
+  if (temperature !== undefined) request.temperature = Math.min(1, temperature);
+  try {
+    const response = client.messages.stream(request, { signal });
+    if (onToken) response.on("text", onToken);
+    const text = await response.finalText();
+    const { usage } = await response.finalMessage();
+    onUsage?.({ inputTokens: usage.input_tokens, outputTokens: usage.output_tokens });
+    return text;
+  } catch (e) {
+    if (!(e instanceof Anthropic.APIError) || !e.status) throw e;
+    const retryAfter = typeof e.headers?.get === "function" ? e.headers.get("retry-after") : e.headers?.["retry-after"];
+    throw new ProviderError(`Anthropic API error ${e.status}: ${e.message}`, { status: e.status, retryAfterMs: parseRetryAfter(retryAfter) });
+  }
+}
+
+export default {
+  id: "anthropic-api",
+  label: "Anthropic API (Claude)",
+  order: 20,
+  requiresKey: true,
+  models: MODELS,
+  help: { text: "Need a key?", url: "https://console.anthropic.com/settings/keys", urlLabel: "Anthropic Console → API Keys", keyPrefix: "sk-ant-" },
+  detect: async () => ({ hasEnvKey: !!process.env.ANTHROPIC_API_KEY }),
+  stream,
+  // Always streamed: the SDK refuses non-streaming requests whose max_tokens
+  // could outlast its timeout
+  generate: (options) => stream({ ...options, onToken: undefined })
+};
@@ -0,0 +1,100 @@
+import { spawn } from "child_process";
+import { existsSync } from "fs";
+import { homedir } from "os";
+import { join } from "path";
+
+const INSTALL_URL = "https://claude.com/claude-code";
+
+function resolveClaudeBin() {
+  if (process.env.CLAUDE_BIN && existsSync(process.env.CLAUDE_BIN)) return process.env.CLAUDE_BIN;
+  const candidates = [
+    join(homedir(), ".local/bin/claude"),
+    "/opt/homebrew/bin/claude",
+    "/usr/local/bin/claude",
+    join(homedir(), ".claude/local/claude")
+  ];
+  for (const c of candidates) if (existsSync(c)) return c;
+  return "claude"; // fall back to PATH
+}
+
+// Calls the locally installed Claude Code CLI (`claude -p`) which uses the user's
+// logged-in session — no API key required. stdout chunks are forwarded to
+// onToken as they arrive. The CLI has no max-tokens/temperature flags. An
+// aborted `signal` kills the child process.
+async function stream({ systemPrompt, userPrompt, model, onToken, signal }) {
+  const claudeBin = resolveClaudeBin();
+  signal?.throwIfAborted();
+  return await new Promise((resolve, reject) => {
+    const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
+    console.log(`[claude-local] using binary: ${claudeBin}`);
+    // Strip ANTHROPIC_API_KEY from env so claude uses the subscription login
+    // instead of falling back to API-key billing (which may be out of credits).
+    const childEnv = { ...process.env };
+    delete childEnv.ANTHROPIC_API_KEY;
+    delete childEnv.ANTHROPIC_AUTH_TOKEN;
+    const args = ["-p", "--output-format", "text"];
+    if (model) args.push("--model", model);
+    const proc = spawn(claudeBin, args, {
+      stdio: ["pipe", "pipe", "pipe"],
+      env: childEnv
+    });
+    const onAbort = () => {
+      proc.kill("SIGTERM");
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    let stdout = "";
+    let stderr = "";
+    proc.stdout.on("data", (d) => {
+      const chunk = d.toString();
+      stdout += chunk;
+      onToken?.(chunk);
+    });
+    proc.stderr.on("data", (d) => (stderr += d.toString()));
+    proc.on("error", (err) => {
+      if (err.code === "ENOENT") {
+        reject(new Error(`Local Claude CLI not found. Install Claude Code (${INSTALL_URL}) or pick a different provider.`));
+      } else {
+        reject(err);
+      }
+    });
+    proc.on("close", (code) => {
+      signal?.removeEventListener("abort", onAbort);
+      if (code !== 0) {
+        reject(new Error(`claude CLI exited ${code}: ${stderr || stdout}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+    proc.stdin.write(fullPrompt);
+    proc.stdin.end();
+  });
+}
+
+async function detect() {
+  const available = await new Promise((resolve) => {
+    const proc = spawn(resolveClaudeBin(), ["--version"], { stdio: ["ignore", "pipe", "pipe"] });
+    proc.on("error", () => resolve(false));
+    proc.on("close", (code) => resolve(code === 0));
+  });
+  return {
+    available,
+    help: available
+      ? { text: "✓ Local Claude CLI detected. No API key required — uses your existing Claude Code session. Need to set it up on another machine?", url: INSTALL_URL, urlLabel: "Install Claude Code", command: "claude login" }
+      : { text: "✗ Local Claude CLI not detected.", url: INSTALL_URL, urlLabel: "Install Claude Code", command: "claude login", after: "and restart the server." }
+  };
+}
+
+export default {
+  id: "claude-local",
+  label: "Claude (Local CLI) — uses your installed Claude Code, no key needed",
+  order: 10,
+  requiresKey: false,
+  supportsSampling: false,
+  // CLI aliases; without one the CLI's configured model is used
+  models: ["sonnet", "opus", "haiku"],
+  defaultModel: null,
+  detect,
+  stream,
+  generate: (options) => stream({ ...options, onToken: undefined })
+};
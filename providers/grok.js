@@ -0,0 +1,23 @@
+import { callOpenAICompatible } from "../providerKit.js";
+
+const MODELS = ["grok-2-latest", "grok-3-latest", "grok-3-mini-latest"];
+
+const call = ({ apiKey, model = MODELS[0], ...options }) => callOpenAICompatible({
+  ...options,
+  apiKey: apiKey || process.env.XAI_API_KEY || process.env.GROK_API_KEY,
+  model,
+  url: "https://api.x.ai/v1/chat/completions",
+  providerLabel: "Grok (xAI)"
+});
+
+export default {
+  id: "grok",
+  label: "Grok (xAI)",
+  order: 40,
+  requiresKey: true,
+  models: MODELS,
+  help: { text: "Need a key?", url: "https://console.x.ai", urlLabel: "xAI Console → API Keys", keyPrefix: "xai-" },
+  detect: async () => ({ hasEnvKey: !!(process.env.XAI_API_KEY || process.env.GROK_API_KEY) }),
+  stream: call,
+  generate: (options) => call({ ...options, onToken: undefined })
+};
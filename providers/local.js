@@ -0,0 +1,76 @@
+import { callOpenAICompatible, listOpenAICompatibleModels, normalizeBaseUrl, ProviderError } from "../providerKit.js";
+
+// Self-hosted OpenAI-compatible servers (Ollama, vLLM, LM Studio, llama.cpp).
+// The base URL points at the API root that serves /models and
+// /chat/completions, e.g. http://localhost:11434/v1 for Ollama. Auth is
+// optional; requests never go to a hosted vendor.
+//
+// The server fetches this URL on the client's behalf, so only the default and
+// the URLs in LOCAL_LLM_ALLOWED_BASE_URLS (comma-separated) are accepted.
+const DEFAULT_BASE_URL = process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1";
+const ALLOWED_BASE_URLS = [DEFAULT_BASE_URL, ...(process.env.LOCAL_LLM_ALLOWED_BASE_URLS || "").split(",")]
+  .map((url) => url.trim())
+  .filter(Boolean)
+  .map((url) => normalizeBaseUrl(url, "LOCAL_LLM_ALLOWED_BASE_URLS entry"));
+
+function baseUrlOf(baseUrl) {
+  const base = normalizeBaseUrl(baseUrl || DEFAULT_BASE_URL, "Local LLM base URL");
+  if (!ALLOWED_BASE_URLS.includes(base)) {
+    throw new ProviderError(`Local LLM base URL ${base} is not allowed on this server; add it to LOCAL_LLM_ALLOWED_BASE_URLS`, { retryable: false });
+  }
+  return base;
+}
+const keyOf = (apiKey) => apiKey || process.env.LOCAL_LLM_API_KEY;
+
+function listModels({ baseUrl, apiKey, timeoutMs } = {}) {
+  return listOpenAICompatibleModels({ baseUrl: baseUrlOf(baseUrl), apiKey: keyOf(apiKey), timeoutMs });
+}
+
+// Chosen model, else LOCAL_LLM_MODEL, else the first model the server lists
+async function resolveModel({ baseUrl, apiKey, model }) {
+  if (model || process.env.LOCAL_LLM_MODEL) return model || process.env.LOCAL_LLM_MODEL;
+  const [first] = await listModels({ baseUrl, apiKey });
+  if (!first) throw new Error(`No models available at ${baseUrlOf(baseUrl)}. Pull one first (e.g. "ollama pull qwen2.5-coder").`);
+  return first;
+}
+
+async function stream({ apiKey, baseUrl, model, ...options }) {
+  const base = baseUrlOf(baseUrl);
+  return callOpenAICompatible({
+    ...options,
+    apiKey: keyOf(apiKey),
+    model: await resolveModel({ baseUrl: base, apiKey, model }),
+    url: `${base}/chat/completions`,
+    providerLabel: `Local LLM (${base})`,
+    requireKey: false
+  });
+}
+
+async function detect() {
+  const models = await listModels({ timeoutMs: 1500 }).catch(() => null);
+  return {
+    hasEnvKey: !!process.env.LOCAL_LLM_API_KEY,
+    baseUrl: DEFAULT_BASE_URL,
+    allowedBaseUrls: ALLOWED_BASE_URLS,
+    reachable: models !== null,
+    models: models || [],
+    defaultModel: process.env.LOCAL_LLM_MODEL || models?.[0] || null
+  };
+}
+
+export default {
+  id: "local",
+  label: "Local / self-hosted (Ollama, vLLM, LM Studio — OpenAI-compatible)",
+  order: 60,
+  requiresKey: false,
+  acceptsKey: true,
+  settings: ["baseUrl"],
+  help: {
+    text: "Any server with an OpenAI-compatible API, e.g. http://localhost:11434/v1 (Ollama), http://localhost:8000/v1 (vLLM) or http://localhost:1234/v1 (LM Studio). Prompts are sent only to this URL."
+  },
+  detect,
+  listModels,
+  resolveModel,
+  stream,
+  generate: (options) => stream({ ...options, onToken: undefined })
+};
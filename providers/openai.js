@@ -0,0 +1,23 @@
+import { callOpenAICompatible } from "../providerKit.js";
+
+const MODELS = ["gpt-4o", "gpt-4.1", "gpt-4o-mini", "gpt-4.1-mini"];
+
+const call = ({ apiKey, model = MODELS[0], ...options }) => callOpenAICompatible({
+  ...options,
+  apiKey: apiKey || process.env.OPENAI_API_KEY,
+  model,
+  url: "https://api.openai.com/v1/chat/completions",
+  providerLabel: "OpenAI"
+});
+
+export default {
+  id: "openai",
+  label: "OpenAI (ChatGPT)",
+  order: 30,
+  requiresKey: true,
+  models: MODELS,
+  help: { text: "Need a key?", url: "https://platform.openai.com/api-keys", urlLabel: "OpenAI Platform → API Keys", keyPrefix: "sk-" },
+  detect: async () => ({ hasEnvKey: !!(process.env.OPENAI_API_KEY) }),
+  stream: call,
+  generate: (options) => call({ ...options, onToken: undefined })
+};
@@ -0,0 +1,23 @@
+import { callOpenAICompatible } from "../providerKit.js";
+
+const MODELS = ["sonar-pro", "sonar", "sonar-reasoning-pro"];
+
+const call = ({ apiKey, model = MODELS[0], ...options }) => callOpenAICompatible({
+  ...options,
+  apiKey: apiKey || process.env.PERPLEXITY_API_KEY,
+  model,
+  url: "https://api.perplexity.ai/chat/completions",
+  providerLabel: "Perplexity"
+});
+
+export default {
+  id: "perplexity",
+  label: "Perplexity",
+  order: 50,
+  requiresKey: true,
+  models: MODELS,
+  help: { text: "Need a key?", url: "https://www.perplexity.ai/settings/api", urlLabel: "Perplexity → API Settings", keyPrefix: "pplx-" },
+  detect: async () => ({ hasEnvKey: !!(process.env.PERPLEXITY_API_KEY) }),
+  stream: call,
+  generate: (options) => call({ ...options, onToken: undefined })
+};
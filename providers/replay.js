@@ -0,0 +1,65 @@
+import { ProviderError } from "../providerKit.js";
+import { listRecordings, loadRecording, RECORDINGS_DIR } from "../recordings.js";
+
+// Serves responses from a recorded generation (recordings.js) instead of
+// calling a model. The model field selects the recording ID; without one the
+// newest recording is used. Each call gets the recorded response for the same
+// task and prompt; when the prompt differs (e.g. the site changed since), the
+// last recorded response for that task is served instead. In a completed
+// recording that is the response that passed validation.
+//
+// Failed and cancelled recordings replay too, so a bad generation can be
+// reproduced: their recorded responses are served the same way, which repeats
+// a validation failure. The call that errored or was cancelled has no
+// response; a task whose only call it was fails with the recording's error.
+
+function pickCall(recording, { userPrompt, context }) {
+  const task = context?.task;
+  const sameFiles = (call) => task !== "files" || JSON.stringify(call.files) === JSON.stringify(context.files);
+  const candidates = recording.calls.filter((call) => call.task === task && sameFiles(call));
+  return candidates.find((call) => call.userPrompt === userPrompt) || candidates[candidates.length - 1];
+}
+
+async function resolveModel({ model }) {
+  if (model) return model;
+  const [latest] = await listRecordings();
+  if (!latest) throw new ProviderError(`No recordings in ${RECORDINGS_DIR}. Turn on "Record generations" in Settings and generate once.`, { retryable: false });
+  return latest.id;
+}
+
+async function generate(options) {
+  const id = await resolveModel(options);
+  let recording;
+  try {
+    recording = await loadRecording(id);
+  } catch (e) {
+    throw new ProviderError(e.message, { retryable: false });
+  }
+  const call = pickCall(recording, options);
+  if (!call) {
+    const task = options.context?.task || "unknown";
+    if (recording.status === "failed" || recording.status === "cancelled") {
+      throw new ProviderError(`Recording "${id}" ${recording.status} before a "${task}" call was answered${recording.error ? `: ${recording.error}` : ""}`, { retryable: false });
+    }
+    const mode = recording.request?.generationMode;
+    throw new ProviderError(`Recording "${id}" has no response for a "${task}" call${mode ? ` (it was recorded in ${mode} mode)` : ""}`, { retryable: false });
+  }
+  options.onUsage?.({ inputTokens: 0, outputTokens: 0 });
+  console.log(`[replay] serving ${id} (${call.task}, recorded from ${call.provider}${call.userPrompt === options.userPrompt ? "" : ", prompt differs"})`);
+  return call.response;
+}
+
+export default {
+  id: "replay",
+  label: "Replay recording",
+  order: 95,
+  requiresKey: false,
+  supportsSampling: false,
+  defaultModel: null,
+  help: {
+    text: "Replays the raw provider responses of a recorded generation, so the parsing and validation pipeline runs on exactly the same output without calling an API. Pick the recording ID as the model (Discover lists them); leave it empty for the newest."
+  },
+  listModels: async () => (await listRecordings()).map((r) => r.id),
+  resolveModel,
+  generate
+};
@@ -0,0 +1,62 @@
+import { ProviderError } from "../providerKit.js";
+import { projectPath } from "../outputSchema.js";
+import { buildSkeleton } from "../skeleton.js";
+
+// Built-in offline provider: answers generation requests with the
+// deterministic skeleton from skeleton.js instead of calling a model, using the
+// request context (stack, target URL, page analysis). Needs no key or network,
+// so it works as a baseline, as the last entry of a fallback chain and as a
+// fixture for the run pipeline. It cannot repair a failed run or change an
+// existing project (extend mode, file edits, the refinement chat).
+
+const stripResponsibility = ({ responsibility, ...file }) => file;
+
+const TASKS = ["framework", "manifest", "files", "traceability"];
+
+// The skeleton's smoke tests are not written from requirements, so every
+// criterion is reported as not covered
+const uncovered = (requirements) => requirements.criteria.map((c) => ({
+  criterion: c.id,
+  tests: [],
+  note: "Not covered: the offline template only writes smoke tests from the page analysis; generate with an AI provider to cover requirements"
+}));
+
+async function generate({ context, onUsage }) {
+  if (!TASKS.includes(context?.task)) {
+    throw new ProviderError(`The template provider only builds new projects and cannot handle "${context?.task || "unknown"}" requests (repairs, extensions, file edits and chat refinements); add an AI provider to the fallback chain.`, { retryable: false });
+  }
+  if (!context.language || !context.targetUrl) throw new ProviderError("The template provider needs the language, framework and target URL of the request.", { retryable: false });
+  onUsage?.({ inputTokens: 0, outputTokens: 0 });
+  if (context.task === "traceability") return JSON.stringify({ traceability: uncovered(context.requirements) });
+  const skeleton = buildSkeleton(context);
+  switch (context.task) {
+    case "framework":
+      return JSON.stringify({
+        files: skeleton.files.map(stripResponsibility),
+        summary: skeleton.summary,
+        ...(context.requirements && { traceability: uncovered(context.requirements) })
+      });
+    case "manifest":
+      return JSON.stringify({
+        files: skeleton.files.map(({ name, path, responsibility }) => ({ name, path, responsibility, dependsOn: [] })),
+        summary: skeleton.summary
+      });
+    default: {
+      const wanted = new Set(context.files);
+      return JSON.stringify({ files: skeleton.files.filter((f) => wanted.has(projectPath(f))).map(stripResponsibility) });
+    }
+  }
+}
+
+export default {
+  id: "template",
+  label: "Offline templates (no AI)",
+  order: 90,
+  requiresKey: false,
+  supportsSampling: false,
+  models: ["skeleton"],
+  help: {
+    text: "Builds a working skeleton framework from the page analysis alone: config files, one page object per analyzed page and smoke tests for titles and visible forms. No API key or network needed; the output is the same every time. Auto-fix needs an AI provider."
+  },
+  generate
+};
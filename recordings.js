@@ -0,0 +1,73 @@
+import { readdir, readFile, writeFile, mkdir } from "fs/promises";
+import { join, resolve } from "path";
+import { randomBytes } from "crypto";
+import { fileURLToPath } from "url";
+
+// Recorded generations: every provider call of one /api/generate request
+// (task, provider, model, full prompts, raw response) saved as one JSON file,
+// so a bad generation can be replayed through the "replay" provider and kept
+// as a regression fixture. API keys are never written.
+//
+//   { id, createdAt, status, error, request: { language, framework, targetUrl,
+//     generationMode, chain }, calls: [{ task, files, provider, model,
+//     systemPrompt, userPrompt, response, failures, durationMs }] }
+
+export const RECORDINGS_DIR = resolve(process.env.QAFG_RECORDINGS_DIR || join(fileURLToPath(new URL(".", import.meta.url)), "recordings"));
+export const RECORD_BY_DEFAULT = process.env.QAFG_RECORD_GENERATIONS === "true";
+
+const ID_PATTERN = /^[A-Za-z0-9][\w-]{0,100}$/;
+
+const newId = () => `${new Date().toISOString().replace(/[:.]/g, "-").replace(/Z$/, "")}-${randomBytes(3).toString("hex")}`;
+
+// Collects calls in memory; save() writes the file once the request ends
+export function createRecorder(request) {
+  const recording = { id: newId(), createdAt: new Date().toISOString(), status: "running", error: null, request, calls: [] };
+  return {
+    id: recording.id,
+    add(call) {
+      recording.calls.push(call);
+    },
+    async save({ status, error = null }) {
+      recording.status = status;
+      recording.error = error;
+      await mkdir(RECORDINGS_DIR, { recursive: true });
+      await writeFile(join(RECORDINGS_DIR, `${recording.id}.json`), JSON.stringify(recording, null, 2));
+      return recording.id;
+    }
+  };
+}
+
+export async function loadRecording(id) {
+  if (!ID_PATTERN.test(String(id || ""))) throw new Error(`Invalid recording id "${id}"`);
+  let raw;
+  try {
+    raw = await readFile(join(RECORDINGS_DIR, `${id}.json`), "utf-8");
+  } catch {
+    throw new Error(`Recording "${id}" not found in ${RECORDINGS_DIR}`);
+  }
+  return JSON.parse(raw);
+}
+
+// Summaries, newest first (ids sort by creation time)
+export async function listRecordings() {
+  let files;
+  try {
+    files = (await readdir(RECORDINGS_DIR)).filter((f) => f.endsWith(".json")).sort().reverse();
+  } catch {
+    return [];
+  }
+  const summaries = await Promise.all(files.map(async (file) => {
+    try {
+      const { id, createdAt, status, request, calls } = JSON.parse(await readFile(join(RECORDINGS_DIR, file), "utf-8"));
+      return {
+        id, createdAt, status,
+        language: request?.language, framework: request?.framework, targetUrl: request?.targetUrl,
+        providers: [...new Set(calls.map((c) => c.provider))],
+        calls: calls.length
+      };
+    } catch {
+      return null;
+    }
+  }));
+  return summaries.filter(Boolean);
+}
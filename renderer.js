@@ -0,0 +1,126 @@
+import { assertSafeUrl } from "./safeFetch.js";
+
+// Rendered-DOM analysis for JavaScript-heavy single page apps. Loads pages in
+// headless Chromium, waits for network idle and returns the rendered HTML plus
+// the accessibility tree. Callers fall back to the static fetch when Playwright
+// or its browsers are not installed.
+
+const NAV_TIMEOUT_MS = parseInt(process.env.QAFG_RENDER_TIMEOUT_MS || '20000', 10);
+const MAX_A11Y_CHARS = 12_000;
+
+// Resource types that never affect the DOM we analyze
+const BLOCKED_RESOURCES = new Set(['image', 'media', 'font']);
+
+// Open a headless browser session. Throws when Playwright or Chromium is
+// unavailable; the error message is surfaced to the UI as the fallback reason.
+// With `storageState` the session starts already authenticated.
+export async function openRenderer({ storageState } = {}) {
+  let playwright;
+  try {
+    playwright = await import('playwright');
+  } catch {
+    throw new Error('Playwright is not installed on the server');
+  }
+
+  let browser;
+  try {
+    browser = await playwright.chromium.launch({ headless: true });
+  } catch (e) {
+    throw new Error(`Headless Chromium unavailable (${e.message.split('\n')[0]}). Run "npx playwright install chromium" on the server.`);
+  }
+
+  // Block service workers so every request goes through the route guard below
+  const context = await browser.newContext({ serviceWorkers: 'block', storageState });
+
+  // SSRF guard for every request the page makes. Redirect targets are not
+  // routed by Playwright, so the final document URL is re-checked in render().
+  const checkedHosts = new Map();
+  await context.route('**/*', async (route) => {
+    const request = route.request();
+    if (BLOCKED_RESOURCES.has(request.resourceType())) return route.abort();
+    let url;
+    try {
+      url = new URL(request.url());
+    } catch {
+      return route.abort();
+    }
+    if (url.protocol === 'data:' || url.protocol === 'blob:') return route.continue();
+    const key = `${url.protocol}//${url.host}`;
+    if (!checkedHosts.has(key)) {
+      checkedHosts.set(key, assertSafeUrl(url.href).then(() => true, () => false));
+    }
+    return (await checkedHosts.get(key)) ? route.continue() : route.abort('blockedbyclient');
+  });
+
+  return {
+    // Same shape as fetchSafely's result, plus the accessibility tree
+    async render(targetUrl) {
+      await assertSafeUrl(targetUrl);
+      const page = await context.newPage();
+      try {
+        let response;
+        try {
+          response = await page.goto(targetUrl, { waitUntil: 'networkidle', timeout: NAV_TIMEOUT_MS });
+        } catch (e) {
+          // Long-polling apps never go idle; analyze whatever has rendered
+          if (!/Timeout/i.test(e.message)) throw e;
+          console.log(`[renderer] network never went idle on ${targetUrl}; using current DOM`);
+        }
+        await assertSafeUrl(page.url());
+        return {
+          url: page.url(),
+          status: response?.status() ?? 200,
+          contentType: 'text/html',
+          body: await page.content(),
+          accessibilityTree: await captureAccessibilityTree(page)
+        };
+      } finally {
+        await page.close();
+      }
+    },
+    // Run a login recipe (see auth.js) so later renders share the session
+    async login({ loginUrl, usernameSelector, passwordSelector, submitSelector, successUrl, credentials }) {
+      await assertSafeUrl(loginUrl);
+      const page = await context.newPage();
+      try {
+        await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: NAV_TIMEOUT_MS });
+        await page.locator(usernameSelector).first().fill(credentials.username, { timeout: 10_000 });
+        await page.locator(passwordSelector).first().fill(credentials.password, { timeout: 10_000 });
+        const submitted = page.waitForLoadState('networkidle', { timeout: NAV_TIMEOUT_MS }).catch(() => {});
+        if (submitSelector) await page.locator(submitSelector).first().click({ timeout: 10_000 });
+        else await page.locator(passwordSelector).first().press('Enter');
+        if (successUrl) {
+          await page.waitForURL(successUrl.includes('*') ? successUrl : `**${successUrl}**`, { timeout: NAV_TIMEOUT_MS })
+            .catch(() => { throw new Error(`Login did not reach ${successUrl} (still on ${page.url()})`); });
+        } else {
+          await submitted;
+          // Still showing the password field usually means the login failed
+          if (await page.locator(passwordSelector).first().isVisible().catch(() => false)) {
+            throw new Error('Login form is still visible after submitting; check the recipe and credentials');
+          }
+        }
+      } finally {
+        await page.close();
+      }
+    },
+    // Session cookies for static fetches of authenticated pages
+    async cookieHeader(url) {
+      const cookies = await context.cookies(url);
+      return cookies.map((c) => `${c.name}=${c.value}`).join('; ');
+    },
+    async close() {
+      await browser.close().catch(() => {});
+    }
+  };
+}
+
+// YAML-like ARIA snapshot (Playwright 1.49+), truncated for the prompt
+async function captureAccessibilityTree(page) {
+  try {
+    const tree = await page.locator('body').ariaSnapshot({ timeout: 5000 });
+    return tree.length > MAX_A11Y_CHARS ? `${tree.slice(0, MAX_A11Y_CHARS)}\n# … truncated` : tree;
+  } catch (e) {
+    console.log('[renderer] could not capture accessibility tree:', e.message);
+    return '';
+  }
+}
@@ -0,0 +1,101 @@
+import { createTwoFilesPatch, FILE_HEADERS_ONLY } from "diff";
+import { projectPath, selectContextFiles } from "./outputSchema.js";
+
+// Self-healing support for the generate -> run -> fix loop: builds the repair
+// prompt from a failed run's normalized report and applies the file patches
+// the provider sends back.
+
+const MAX_CONTEXT_CHARS = 60_000;
+const MAX_FAILURES = 15;
+
+const clip = (text, max) => {
+  const value = String(text || '');
+  return value.length > max ? `${value.slice(0, max)}\n… (truncated)` : value;
+};
+
+// Tests that need fixing: failures and errors from the report
+export function failingTests(report) {
+  return (report?.tests || []).filter((t) => t.outcome === 'failed' || t.outcome === 'error');
+}
+
+// Failing files first (named in a nodeid or stack trace), then the rest of the
+// project, within the context budget
+function repairContextFiles(files, failureText) {
+  const mentioned = (file) => failureText.includes(file.name) || failureText.includes(projectPath(file));
+  return selectContextFiles([...files.filter(mentioned), ...files.filter((f) => !mentioned(f))], { budget: MAX_CONTEXT_CHARS });
+}
+
+// Prompt asking the provider for the changed files only. `runError` carries the
+// runner's error output when the suite failed before producing a report
+// (dependency install, compilation). `omitted` lists the files left out of the
+// prompt, which the repair must not touch.
+export function buildRepairPrompt({ files, report, runError, language, framework, targetUrl, iteration }) {
+  const failures = failingTests(report).slice(0, MAX_FAILURES);
+  const failureBlocks = failures.map((t, i) => `${i + 1}. ${t.nodeid} (${t.outcome})
+${clip(t.error, 1500) || '(no error message)'}${t.stderr ? `\nstderr: ${clip(t.stderr, 500)}` : ''}`);
+  if (runError) failureBlocks.push(`RUN ERROR (the suite did not complete):\n${clip(runError, 4000)}`);
+  const failureText = failureBlocks.join('\n\n');
+
+  const { included, omitted } = repairContextFiles(files, failureText);
+  const fileBlocks = included.map((f) => `=== ${projectPath(f)} ===\n${f.content}`);
+
+  const prompt = `The ${language} + ${framework} test framework generated for ${targetUrl} was run (attempt ${iteration}) and did not pass.
+
+FAILURES:
+${failureText}
+
+PROJECT FILES:
+${fileBlocks.join('\n\n')}${omitted.length ? `\n\n(Not shown, do not return or modify: ${omitted.join(', ')})` : ''}
+
+Fix the failures. Typical causes: selectors that do not match the live page, missing waits, wrong imports or package names, config mistakes.
+- Do NOT delete, skip or comment out failing tests, and do NOT replace assertions with no-ops. If a check cannot work against the live site, rewrite it to verify something real on the page.
+- Keep unrelated code unchanged.
+- Return ONLY the files you changed (or add), each with its COMPLETE new content, using the same name and path as above.
+
+JSON FORMAT:
+{"files":[{"name":"filename","path":"folder/","content":"code"}],"summary":"what you changed and why"}
+
+Use \\n for newlines, \\" for quotes. Output ONLY valid JSON.`;
+  return { prompt, omitted };
+}
+
+// Problems with a repair response beyond the file list's shape: patches to
+// files the provider was not shown
+export function validateRepair(output, { omitted = [] } = {}) {
+  return (Array.isArray(output?.files) ? output.files : [])
+    .filter((f) => typeof f?.name === 'string' && omitted.includes(projectPath(f)))
+    .map((f) => `${projectPath(f)} was not shown to you; do not return it`);
+}
+
+// Merge patched files into the project. Returns the new file list, one
+// unified diff per file that actually changed and, in `rejected`, the paths
+// of patches to `omitted` files, which are never applied.
+export function applyPatches(files, patches, { omitted = [] } = {}) {
+  const next = files.map((f) => ({ ...f }));
+  const index = new Map(next.map((f, i) => [projectPath(f), i]));
+  const diffs = [];
+  const rejected = [];
+  for (const patch of patches || []) {
+    if (!patch || typeof patch.name !== 'string' || typeof patch.content !== 'string') continue;
+    const key = projectPath(patch);
+    if (omitted.includes(key)) {
+      rejected.push(key);
+      continue;
+    }
+    const existing = index.has(key) ? next[index.get(key)] : null;
+    const before = existing ? existing.content : '';
+    if (before === patch.content) continue;
+    diffs.push({
+      file: key,
+      added: !existing,
+      diff: createTwoFilesPatch(`a/${key}`, `b/${key}`, before, patch.content, undefined, undefined, { headerOptions: FILE_HEADERS_ONLY })
+    });
+    if (existing) {
+      existing.content = patch.content;
+    } else {
+      index.set(key, next.length);
+      next.push({ name: patch.name, path: patch.path || '', content: patch.content });
+    }
+  }
+  return { files: next, diffs, rejected };
+}
@@ -0,0 +1,230 @@
+import { projectPath, selectContextFiles } from "./outputSchema.js";
+
+// Requirements input: user stories, acceptance criteria or Gherkin pasted (or
+// loaded from .feature / .md files) next to the target URL. They are split
+// into criteria with ids; the prompt asks for at least one test per criterion
+// and a traceability table (criterion → tests) that the report view matches
+// against the run's results.
+//
+//   { stories: [text], criteria: [{ id, text, source }], gherkin }
+
+export const MAX_REQUIREMENTS_CHARS = 30_000;
+const MAX_CRITERIA = 50;
+const MAX_CRITERION_CHARS = 1500;
+
+const GHERKIN_KEYWORD = /^\s*(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenario|Example):\s*(.*)$/;
+const GHERKIN_STEP = /^\s*(Given|When|Then|And|But|\*)\s+/;
+// "AC-1: ...", "AC1.", "REQ-12)", "- US 3 - ..."
+const EXPLICIT_ID = /^\s*(?:[-*•]\s*)?((?:AC|REQ|US|R)[-_ ]?\d+)\s*[:.)-]\s*(.+)$/i;
+const BULLET = /^\s*(?:[-*•]|\d+[.)])\s+(.+)$/;
+const STORY = /^\s*(?:[-*•]\s*)?(?:as an?|as the)\s+\S/i;
+const HEADING = /^\s*(#+\s|(user stor(y|ies)|acceptance criteria|requirements)\s*:?\s*$)/i;
+
+const clip = (text) => (text.length > MAX_CRITERION_CHARS ? `${text.slice(0, MAX_CRITERION_CHARS - 1)}…` : text);
+const normalizeId = (id) => id.toUpperCase().replace(/[_ ]/, '-').replace(/^([A-Z]+)(\d)/, '$1-$2');
+
+// Scenarios become criteria (id from an @AC-1 style tag, else SC-n); feature
+// descriptions are kept as stories
+function parseGherkin(lines) {
+  const stories = [];
+  const criteria = [];
+  let feature = '';
+  let tags = [];
+  let current = null;
+  let inDescription = false;
+  for (const line of lines) {
+    const keyword = line.match(GHERKIN_KEYWORD);
+    if (/^\s*@/.test(line)) {
+      tags.push(...line.trim().split(/\s+/));
+      continue;
+    }
+    if (keyword) {
+      const [, kind, title] = keyword;
+      current = null;
+      inDescription = kind === 'Feature';
+      if (kind === 'Feature') feature = title.trim();
+      if (/^(Scenario|Example)/.test(kind)) {
+        const tagged = tags.map((t) => t.slice(1)).find((t) => /^(AC|REQ|US|R)[-_]?\d+$/i.test(t));
+        current = { id: tagged ? normalizeId(tagged) : `SC-${criteria.length + 1}`, lines: [`${kind}: ${title.trim()}`], source: feature && `Feature: ${feature}` };
+        criteria.push(current);
+      }
+      tags = [];
+      continue;
+    }
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+    if (current) current.lines.push(`  ${line.trim()}`);
+    else if (inDescription && !GHERKIN_STEP.test(line)) stories.push(line.trim());
+  }
+  return { stories, criteria: criteria.map(({ id, lines: body, source }) => ({ id, text: clip(body.join('\n')), source })) };
+}
+
+// Prose: stories ("As a ..."), explicit ids, bullets and Given/When/Then
+// groups; indented or wrapped lines continue the previous item
+function parseProse(lines) {
+  const stories = [];
+  const criteria = [];
+  let current = null;
+  let steps = null;
+  for (const line of lines) {
+    if (!line.trim()) {
+      current = null;
+      steps = null;
+      continue;
+    }
+    if (HEADING.test(line)) continue;
+    const explicit = line.match(EXPLICIT_ID);
+    const bullet = line.match(BULLET);
+    if (STORY.test(line)) {
+      current = { story: true, text: line.replace(/^\s*[-*•]\s*/, '').trim() };
+      stories.push(current);
+      steps = null;
+    } else if (explicit) {
+      current = { id: normalizeId(explicit[1]), text: explicit[2].trim() };
+      criteria.push(current);
+      steps = null;
+    } else if (GHERKIN_STEP.test(line) && !bullet) {
+      // Consecutive Given/When/Then lines form one criterion
+      if (!steps) {
+        steps = { text: line.trim() };
+        criteria.push(steps);
+      } else {
+        steps.text += `\n${line.trim()}`;
+      }
+      current = steps;
+    } else if (bullet) {
+      current = { text: bullet[1].trim() };
+      criteria.push(current);
+      steps = null;
+    } else if (current) {
+      current.text += ` ${line.trim()}`;
+    } else {
+      // A paragraph on its own
+      current = { text: line.trim() };
+      criteria.push(current);
+    }
+  }
+  const storyTexts = stories.map((s) => s.text);
+  // Stories without separate criteria are the criteria
+  const items = criteria.length ? criteria : storyTexts.map((text) => ({ text }));
+  let n = 0;
+  return {
+    stories: criteria.length ? storyTexts : [],
+    criteria: items.map((c) => ({ id: c.id || `AC-${++n}`, text: clip(c.text), source: '' }))
+  };
+}
+
+// Parsed requirements, or null for empty input. Throws when the text is too
+// long or yields no criteria.
+export function parseRequirements(text) {
+  const value = String(text || '').replace(/\r\n?/g, '\n');
+  if (!value.trim()) return null;
+  if (value.length > MAX_REQUIREMENTS_CHARS) throw new Error(`Requirements must be at most ${MAX_REQUIREMENTS_CHARS.toLocaleString()} characters`);
+  const lines = value.split('\n');
+  const gherkin = lines.some((line) => /^\s*(Scenario|Scenario Outline|Example):/.test(line));
+  const parsed = gherkin ? parseGherkin(lines) : parseProse(lines);
+  if (!parsed.criteria.length) throw new Error('No acceptance criteria or scenarios found in the requirements');
+  if (parsed.criteria.length > MAX_CRITERIA) throw new Error(`The requirements have ${parsed.criteria.length} criteria; split them into runs of at most ${MAX_CRITERIA}`);
+  // Ids stay unique when the team reused one
+  const seen = new Map();
+  for (const c of parsed.criteria) {
+    const count = (seen.get(c.id) || 0) + 1;
+    seen.set(c.id, count);
+    if (count > 1) c.id = `${c.id}-${count}`;
+  }
+  return { ...parsed, gherkin };
+}
+
+const criterionLine = (c) => `[${c.id}]${c.source ? ` (${c.source})` : ''} ${c.text.replace(/\n/g, '\n    ')}`;
+
+// Brief block ({{requirements}}): what to cover and how to name the tests
+export function formatRequirements(requirements) {
+  if (!requirements) return '';
+  const { stories, criteria, gherkin } = requirements;
+  return `
+REQUIREMENTS (written by the team; every criterion below needs at least one test):
+${stories.length ? `User stories:\n${stories.map((s) => `- ${s}`).join('\n')}\n` : ''}Acceptance criteria:
+${criteria.map(criterionLine).join('\n')}
+
+- Map each criterion to one or more tests that verify it on the target site, and cover the negative and edge cases a criterion implies
+- Name each test after the behaviour it checks and mention its criterion id in the test's docstring or comment
+- Use the page analysis for selectors; a criterion that cannot be checked through the UI (emails sent, back-end state) gets no test and is reported as not covered${gherkin ? `
+- The scenarios are Gherkin: on a BDD stack (pytest-bdd, Cucumber, SpecFlow/Reqnroll) use them as the project's .feature files as written; on other stacks write one test per scenario` : ''}
+`;
+}
+
+// JSON instructions for the traceability table, appended to the output format
+export function traceabilityFormat(requirements) {
+  const [first] = requirements.criteria;
+  return `"traceability" lists every criterion id above (${requirements.criteria.map((c) => c.id).join(', ')}), in that order, with the tests that verify it:
+"traceability":[{"criterion":"${first.id}","tests":[{"file":"tests/test_file","name":"test_name"}]}]
+"file" is the project path of the file that defines the test (the .feature file for a Gherkin scenario) and "name" the test function, method or title (the scenario title for Gherkin), spelled exactly as in that file. A criterion without a test gets "tests":[] and a "note" saying why.`;
+}
+
+// Problems with output.traceability against output.files, [] when usable
+export function validateTraceability(output, requirements) {
+  const table = output?.traceability;
+  if (!Array.isArray(table)) return ['"traceability" must be an array with one {criterion, tests} entry per criterion id'];
+  const files = new Map((Array.isArray(output.files) ? output.files : []).filter((f) => typeof f?.name === 'string').map((f) => [projectPath(f), f]));
+  const ids = new Set(requirements.criteria.map((c) => c.id));
+  const errors = [];
+  const listed = new Set();
+  table.forEach((entry, i) => {
+    const where = `traceability[${i}]`;
+    if (!entry || !ids.has(entry.criterion)) {
+      errors.push(`${where}.criterion must be one of ${[...ids].join(', ')} (got ${JSON.stringify(entry?.criterion)})`);
+      return;
+    }
+    if (listed.has(entry.criterion)) errors.push(`${entry.criterion} is listed more than once in "traceability"`);
+    listed.add(entry.criterion);
+    if (!Array.isArray(entry.tests)) {
+      errors.push(`${where}.tests must be an array of {file, name}`);
+      return;
+    }
+    if (!entry.tests.length && !(typeof entry.note === 'string' && entry.note.trim())) {
+      errors.push(`${entry.criterion} has no tests; add one or a "note" saying why it cannot be tested`);
+    }
+    for (const test of entry.tests) {
+      const file = typeof test?.file === 'string' ? files.get(test.file.replace(/^\/+/, '')) : null;
+      if (typeof test?.name !== 'string' || !test.name.trim()) errors.push(`${where} has a test without a "name"`);
+      else if (!file) errors.push(`${entry.criterion}: test file ${JSON.stringify(test?.file)} is not one of the generated files`);
+      else if (!file.content.includes(test.name)) errors.push(`${entry.criterion}: "${test.name}" does not appear in ${test.file}; use the exact test name`);
+    }
+  });
+  const missing = [...ids].filter((id) => !listed.has(id));
+  if (missing.length) errors.push(`"traceability" is missing ${missing.join(', ')}`);
+  return errors;
+}
+
+// Table for the client and the library: one row per criterion, in order
+export function traceabilityTable(table, requirements) {
+  const byId = new Map(table.map((entry) => [entry.criterion, entry]));
+  return requirements.criteria.map((c) => {
+    const entry = byId.get(c.id);
+    return {
+      criterion: c.id,
+      text: c.text,
+      source: c.source,
+      tests: entry.tests.map((t) => ({ file: t.file.replace(/^\/+/, ''), name: t.name })),
+      note: entry.note || ''
+    };
+  });
+}
+
+// Planned mode has no single response to carry the table, so it is asked
+// for once the project is assembled
+export function buildTraceabilityPrompt({ files, requirements, language, framework }) {
+  const { included, omitted } = selectContextFiles(files);
+  return `This ${language} + ${framework} test framework was generated from the requirements below. Map each criterion to the tests that verify it.
+
+${formatRequirements(requirements).trim()}
+
+PROJECT FILES:
+${included.map((f) => `=== ${projectPath(f)} ===\n${f.content}`).join('\n\n')}${omitted.length ? `\n\n(Not shown: ${omitted.join(', ')})` : ''}
+
+${traceabilityFormat(requirements)}
+
+JSON FORMAT:
+{"traceability":[{"criterion":"id","tests":[{"file":"folder/filename","name":"test name"}],"note":""}]}
+
+Output ONLY valid JSON.`;
+}
@@ -0,0 +1,108 @@
+import { lookup } from "dns/promises";
+
+// --- Security: SSRF guard -----------------------------------------------------
+// Reject URLs that could reach internal infrastructure. Every outbound fetch of
+// a user-supplied (or crawled) URL goes through assertSafeUrl, including each
+// redirect hop.
+
+const PRIVATE_RANGES = [
+  /^127\./,                        // loopback
+  /^10\./,                         // RFC 1918
+  /^172\.(1[6-9]|2\d|3[01])\./,   // RFC 1918
+  /^192\.168\./,                   // RFC 1918
+  /^169\.254\./,                   // link-local / AWS IMDS
+  /^::1$/,                         // IPv6 loopback
+  /^fc|^fd/,                       // IPv6 ULA
+  /^0\./,                          // this-network
+];
+
+export const USER_AGENT = 'Mozilla/5.0 (compatible; QAFrameworkGenerator/1.0)';
+
+const MAX_BYTES = 200_000;
+const MAX_REDIRECTS = 5;
+
+export async function assertSafeUrl(raw) {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw new Error('Invalid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Only http:// and https:// URLs are allowed');
+  }
+  const hostname = url.hostname;
+  // Block bare IP literals
+  if (/^[\d.]+$/.test(hostname) || hostname.includes(':')) {
+    if (PRIVATE_RANGES.some(r => r.test(hostname))) {
+      throw new Error('Requests to private/internal IP addresses are not allowed');
+    }
+  } else {
+    // Resolve hostname and check the resulting IPs
+    let addrs;
+    try {
+      addrs = await lookup(hostname, { all: true });
+    } catch {
+      throw new Error(`Could not resolve hostname: ${hostname}`);
+    }
+    for (const { address } of addrs) {
+      if (PRIVATE_RANGES.some(r => r.test(address))) {
+        throw new Error(`Hostname ${hostname} resolves to a private/internal address`);
+      }
+    }
+  }
+}
+
+// Fetch a URL with the SSRF guard applied to the initial URL and to every
+// redirect target. Returns the final URL, status, content type and body text
+// (capped to 200 KB to prevent ReDoS on giant HTML). A session `cookie` is only
+// sent to the original URL's origin, never to cross-origin redirect targets.
+export async function fetchSafely(targetUrl, { timeoutMs = 8000, cookie } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const { origin } = new URL(targetUrl);
+    let url = targetUrl;
+    let res;
+    for (let hop = 0; ; hop++) {
+      await assertSafeUrl(url);
+      const headers = { 'User-Agent': USER_AGENT };
+      if (cookie && new URL(url).origin === origin) headers.Cookie = cookie;
+      res = await fetch(url, {
+        signal: controller.signal,
+        redirect: 'manual',
+        headers
+      });
+      const location = res.headers.get('location');
+      if (res.status < 300 || res.status >= 400 || !location) break;
+      if (hop >= MAX_REDIRECTS) throw new Error(`Too many redirects fetching ${targetUrl}`);
+      res.body?.cancel();
+      url = new URL(location, url).href;
+    }
+
+    // 204/304 responses have no body stream
+    const chunks = [];
+    let total = 0;
+    const reader = res.body?.getReader();
+    while (reader) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const room = MAX_BYTES - total;
+      chunks.push(value.length > room ? value.subarray(0, room) : value);
+      total += Math.min(value.length, room);
+      if (total >= MAX_BYTES) { reader.cancel(); break; }
+    }
+    const buf = new Uint8Array(total);
+    let offset = 0;
+    for (const c of chunks) { buf.set(c, offset); offset += c.length; }
+
+    return {
+      url,
+      status: res.status,
+      contentType: res.headers.get('content-type') || '',
+      body: new TextDecoder().decode(buf)
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
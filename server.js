@@ -8,7 +8,27 @@ import { tmpdir } from "os";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
 import archiver from "archiver";
-import { generateWithProvider, detectProviders } from "./providers.js";
+import { generateWithFallback, detectProviders, listProviderModels } from "./providers.js";
+import { SYSTEM_PROMPT, GenerationCancelledError } from "./providerKit.js";
+import { createRecorder, loadRecording, listRecordings, RECORD_BY_DEFAULT } from "./recordings.js";
+import { createUsageTracker, summarizeUsage, RATES } from "./usage.js";
+import { getLanguagePrompt, getAuthPrompt, getPromptParts, buildBrief, getDefaultTemplateParts, BRIEF_VARIABLES, REQUEST_VARIABLES, SUPPORTED_FRAMEWORKS } from "./prompts.js";
+import { listPromptTemplates, loadPromptTemplate, createPromptTemplate, updatePromptTemplate, deletePromptTemplate, resolvePromptTemplate, validateTemplateInput } from "./promptTemplates.js";
+import { extractStyleReference, normalizeStyleReference, formatStyleReference } from "./styleReference.js";
+import { fetchSafely } from "./safeFetch.js";
+import { analyzeHtml, formatLocator } from "./pageAnalyzer.js";
+import { sanitizeAnalysis, fenceUntrusted } from "./promptSafety.js";
+import { crawlSite } from "./crawler.js";
+import { createFileStreamParser } from "./streamParser.js";
+import { openRenderer } from "./renderer.js";
+import { buildRepairPrompt, validateRepair, applyPatches, failingTests } from "./repair.js";
+import { validateFrameworkOutput, validateFileList, projectPath } from "./outputSchema.js";
+import { buildManifestPrompt, validateManifest, normalizeManifest, planGroups, buildGroupPrompt, validateGroupOutput } from "./planner.js";
+import { buildExtendPrompt, validateExtension, mergeExtension } from "./extend.js";
+import { buildFileEditPrompt, validateFileEdit, describeFileEdit, EDIT_MODES } from "./fileEdit.js";
+import { buildChatPrompt, validateChatOutput, chatChanges } from "./chat.js";
+import { parseRequirements, formatRequirements, traceabilityFormat, validateTraceability, traceabilityTable, buildTraceabilityPrompt } from "./requirements.js";
+import { resolveAuth, describeAuth, listCredentialProfiles, resolveTestCredentials, TEST_CREDENTIAL_ENV } from "./auth.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -97,82 +117,6 @@ function runWithTimeout(proc, timeoutMs = TEST_TIMEOUT_MS) {
   });
 }
 
-// --- Security: SSRF guard -----------------------------------------------------
-// Reject targetUrl values that could reach internal infrastructure.
-import { lookup } from "dns/promises";
-
-const PRIVATE_RANGES = [
-  /^127\./,                        // loopback
-  /^10\./,                         // RFC 1918
-  /^172\.(1[6-9]|2\d|3[01])\./,   // RFC 1918
-  /^192\.168\./,                   // RFC 1918
-  /^169\.254\./,                   // link-local / AWS IMDS
-  /^::1$/,                         // IPv6 loopback
-  /^fc|^fd/,                       // IPv6 ULA
-  /^0\./,                          // this-network
-];
-
-async function assertSafeUrl(raw) {
-  let url;
-  try {
-    url = new URL(raw);
-  } catch {
-    throw new Error('Invalid URL');
-  }
-  if (!['http:', 'https:'].includes(url.protocol)) {
-    throw new Error('Only http:// and https:// URLs are allowed');
-  }
-  const hostname = url.hostname;
-  // Block bare IP literals
-  if (/^[\d.]+$/.test(hostname) || hostname.includes(':')) {
-    if (PRIVATE_RANGES.some(r => r.test(hostname))) {
-      throw new Error('Requests to private/internal IP addresses are not allowed');
-    }
-  } else {
-    // Resolve hostname and check the resulting IPs
-    let addrs;
-    try {
-      addrs = await lookup(hostname, { all: true });
-    } catch {
-      throw new Error(`Could not resolve hostname: ${hostname}`);
-    }
-    for (const { address } of addrs) {
-      if (PRIVATE_RANGES.some(r => r.test(address))) {
-        throw new Error(`Hostname ${hostname} resolves to a private/internal address`);
-      }
-    }
-  }
-}
-
-async function fetchPageSafely(targetUrl) {
-  await assertSafeUrl(targetUrl);
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), 8000);
-  try {
-    const res = await fetch(targetUrl, {
-      signal: controller.signal,
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; QAFrameworkGenerator/1.0)' }
-    });
-    // Cap response to 200 KB to prevent ReDoS on giant HTML
-    const reader = res.body.getReader();
-    const chunks = [];
-    let total = 0;
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      total += value.length;
-      if (total > 200_000) { reader.cancel(); break; }
-      chunks.push(value);
-    }
-    const buf = new Uint8Array(total > 200_000 ? 200_000 : total);
-    let offset = 0;
-    for (const c of chunks) { buf.set(c, offset); offset += c.length; }
-    return new TextDecoder().decode(buf);
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
 // --- Security: static scan of AI-generated files ----------------------------
 // Reject files that contain known-dangerous patterns before writing to disk.
 // This is a best-effort defence against prompt-injection → code-injection;
@@ -221,219 +165,6 @@ function safeJoin(base, ...parts) {
   return candidate;
 }
 
-// Build language-specific file list and rules for the generation prompt
-function getLanguagePrompt(language, targetUrl) {
-  const lang = (language || 'python').toLowerCase();
-  if (lang === 'c#' || lang === 'csharp') {
-    return {
-      fileList: `Generate these files (keep code concise):
-1. .csproj - SDK-style project with REQUIRED packages:
-   <PackageReference Include="Microsoft.Playwright" Version="1.48.0" />
-   <PackageReference Include="NUnit" Version="4.0.1" />
-   <PackageReference Include="NUnit3TestAdapter" Version="4.5.0" />
-   <PackageReference Include="Microsoft.NET.Test.Sdk" Version="17.8.0" />
-2. .env file at project root with exactly:
-     BROWSER=chromium
-     HEADED=false
-3. Makefile at project root with these targets (use tab indentation, not spaces):
-     Top of file:
-       ifneq (,\$(wildcard .env))
-         include .env
-         export
-       endif
-       BROWSER ?= chromium
-       HEADED ?= false
-     Targets (each runs: BROWSER=<value> HEADED=<value> dotnet test -c Release):
-       .PHONY: test test-chromium test-firefox test-webkit test-headed test-firefox-headed test-webkit-headed
-       test: -> uses \$(BROWSER) and \$(HEADED)
-       test-chromium / test-firefox / test-webkit -> override BROWSER, pass \$(HEADED)
-       test-headed -> \$(BROWSER) with HEADED=true
-       test-firefox-headed / test-webkit-headed -> override both
-4. Page object .cs files in Pages/ - 2-3 page classes for this site
-5. Test .cs files in Tests/ - 2 test files with 2 tests each using NUnit [Test]
-6. README.md MUST document: editing .env to change defaults, plus "make test-firefox" / "make test-headed" / etc. for one-off overrides.`,
-      rules: `CRITICAL RULES for C#:
-- The .csproj MUST use <TargetFramework>net10.0</TargetFramework> — .NET 8 is NOT installed on this machine
-- EVERY test file MUST start with: using NUnit.Framework; using Microsoft.Playwright;
-- EVERY page object MUST start with: using Microsoft.Playwright;
-- Use Microsoft.Playwright and NUnit. Use async/await for all Playwright calls
-- Page object constructors take IPage and base URL; expose async Task<bool> IsLoaded()
-- Tests use [Test], [SetUp], [OneTimeSetUp], [TearDown], [OneTimeTearDown] attributes
-- Test classes use [TestFixture] attribute
-- All test methods must be async Task, not void
-- Base URL for tests: "${targetUrl}"
-- Use the REAL selectors from the page analysis above
-- For IsLoaded(): check await page.TitleAsync() or page.Url contains expected text, or await locator.CountAsync() > 0
-- Do NOT assume credentials; do NOT interact with cookie banners or modals
-- Keep tests SIMPLE: verify page loads, title, key navigation
-- Use await locator.First when multiple matches possible; prefer data-testid, aria-label, or CSS selectors
-- Browser selection: Environment.GetEnvironmentVariable("BROWSER") ?? "chromium"
-- Headed mode: Environment.GetEnvironmentVariable("HEADED") == "true"
-- SlowMo: float.TryParse(Environment.GetEnvironmentVariable("SLOWMO"), out var sm) ? sm : 0
-- In test setup: await playwright.Chromium/Firefox/Webkit.LaunchAsync(new() { Headless = !headed, SlowMo = slowMo })`
-    };
-  }
-  if (lang === 'java') {
-    return {
-      fileList: `Generate these files (keep code concise):
-1. pom.xml with:
-   - groupId=com.example, artifactId=qa-framework, version=1.0.0, packaging=jar
-   - <properties>: maven.compiler.source=17, maven.compiler.target=17, project.build.sourceEncoding=UTF-8
-   - Dependencies: com.microsoft.playwright:playwright:1.48.0 (scope default), org.junit.jupiter:junit-jupiter:5.10.2 (scope test)
-   - <build><plugins>: maven-compiler-plugin 3.13.0, maven-surefire-plugin 3.2.5 (surefire MUST have <configuration><useModulePath>false</useModulePath></configuration> so JUnit 5 runs).
-   - Surefire also sets systemPropertyVariables so BROWSER, HEADED, and SLOWMO env vars propagate: <configuration><environmentVariables><BROWSER>\${env.BROWSER}</BROWSER><HEADED>\${env.HEADED}</HEADED><SLOWMO>\${env.SLOWMO}</SLOWMO></environmentVariables></configuration>
-2. .env file at project root with exactly:
-     BROWSER=chromium
-     HEADED=false
-3. Makefile at project root (tab indentation) with top:
-     ifneq (,\$(wildcard .env))
-       include .env
-       export
-     endif
-     BROWSER ?= chromium
-     HEADED ?= false
-   Targets:
-     .PHONY: test test-chromium test-firefox test-webkit test-headed test-firefox-headed test-webkit-headed
-     test: -> BROWSER=\$(BROWSER) HEADED=\$(HEADED) mvn -q test
-     test-chromium / test-firefox / test-webkit -> override BROWSER
-     test-headed -> HEADED=true
-     test-firefox-headed / test-webkit-headed -> both
-4. Page object .java files in src/main/java/pages/ - 2-3 page classes. Package "pages". Each class has a constructor taking (com.microsoft.playwright.Page page) only — do NOT pass base URL. Methods are regular (sync) methods. Provide an isLoaded() -> boolean with defensive checks.
-5. Test .java files in src/test/java/ - 2 test classes with 2 tests each. Package "tests". Each class uses JUnit 5 @Test, with @BeforeAll static setUp() / @AfterAll static tearDown() that:
-   - Creates Playwright via Playwright.create()
-   - Reads browser name from System.getenv().getOrDefault("BROWSER", "chromium")
-   - Reads headed from "true".equals(System.getenv("HEADED"))
-   - Reads slowMo via: double slowMo = 0; try { slowMo = Double.parseDouble(System.getenv("SLOWMO")); } catch (Exception ignore) {}
-   - Selects browser via switch on name (chromium / firefox / webkit -> playwright.chromium()/firefox()/webkit())
-   - Launches with new BrowserType.LaunchOptions().setHeadless(!headed).setSlowMo(slowMo)
-   - @BeforeEach creates a new BrowserContext and Page; @AfterEach closes them. Use page.navigate("${targetUrl}") as the base.
-6. README.md MUST document: prerequisites (JDK 17+, Maven 3.8+), install (mvn install -DskipTests), editing .env, using make targets (make test-firefox / make test-headed / etc.), and direct "BROWSER=firefox mvn test" as a fallback.`,
-      rules: `CRITICAL RULES for Java:
-- Use com.microsoft.playwright (sync API — the only Java API) and JUnit 5 (org.junit.jupiter.api).
-- Page objects take ONE constructor arg: Page. Do NOT pass baseURL to constructors.
-- Tests drive navigation via page.navigate("${targetUrl}" + "/path") — the base URL is embedded in test code (Playwright Java has no native baseURL option).
-- Browser selection via System.getenv; default chromium.
-- Use the REAL selectors from the page analysis above
-- For isLoaded(): check page.title() contains expected text, or page.url() contains expected path, or page.locator(...).count() > 0
-- Do NOT assume credentials; do NOT interact with cookie banners or modals
-- Keep tests SIMPLE; prefer data-testid, aria-label, or CSS selectors
-- Every test class needs a static Playwright+Browser created in @BeforeAll and closed in @AfterAll. Use try-with-resources only inside helpers; static fields + @AfterAll is the correct pattern here.`
-    };
-  }
-  if (lang === 'typescript') {
-    return {
-      fileList: `Generate these files (keep code concise):
-1. package.json with "type":"module", devDependencies "@playwright/test": "^1.48.0", "dotenv": "^16.4.5", "typescript": "^5.4.0", "@types/node": "^20.12.0". Scripts MUST include exactly these (plain env var prefix, no cross-env):
-     "test": "playwright test",
-     "test:chromium": "BROWSER=chromium playwright test",
-     "test:firefox": "BROWSER=firefox playwright test",
-     "test:webkit": "BROWSER=webkit playwright test",
-     "test:headed": "HEADED=true playwright test",
-     "test:firefox:headed": "BROWSER=firefox HEADED=true playwright test",
-     "test:webkit:headed": "BROWSER=webkit HEADED=true playwright test",
-     "typecheck": "tsc --noEmit"
-2. .env file at project root with exactly:
-     BROWSER=chromium
-     HEADED=false
-3. tsconfig.json with: { "compilerOptions": { "target": "ES2022", "module": "ESNext", "moduleResolution": "Bundler", "strict": true, "esModuleInterop": true, "skipLibCheck": true, "resolveJsonModule": true, "types": ["node"] }, "include": ["**/*.ts"] }
-4. playwright.config.ts - import 'dotenv/config' as a side-effect at top, then import { defineConfig } from '@playwright/test'. Export default defineConfig({ testDir: './tests', testMatch: '**/*.ts', use: { baseURL: process.env.BASE_URL || '${targetUrl}', headless: process.env.HEADED !== 'true', browserName: (process.env.BROWSER as 'chromium' | 'firefox' | 'webkit') || 'chromium', launchOptions: { slowMo: parseInt(process.env.SLOWMO || '0', 10) } }, projects: [{ name: process.env.BROWSER || 'chromium' }] }). Do NOT use devices.
-5. Page object .ts files in pages/ - 2-3 page classes. Import Page type: import { Page } from '@playwright/test'. Each class exported: export class LoginPage { constructor(private page: Page) {} ... }. Methods are async with explicit return types where non-trivial (e.g. async isLoaded(): Promise<boolean>).
-6. Test .ts files in tests/ - 2 test files with 2 tests each. Import: import { test, expect } from '@playwright/test'. Tests are async: test('name', async ({ page }) => { ... }).
-7. README.md MUST document: editing .env to change defaults, running "npm run test:firefox" / "npm run test:headed" / etc., and "npm run typecheck" for type checking.`,
-      rules: `CRITICAL RULES for TypeScript:
-- Use @playwright/test ONLY. Tests use: import { test, expect } from '@playwright/test'
-- Use ES modules + TypeScript. All imports use import/export with explicit relative paths (e.g. from '../pages/login_page' — Playwright's TS loader strips the extension; do NOT write .ts or .js on relative imports).
-- Page object constructors take ONE argument typed as Page. Do NOT pass baseURL — Playwright's config handles it, tests use relative paths like page.goto('/').
-- All test functions are async. await every Playwright call.
-- Strict mode is ON — no implicit any, no unused locals.
-- Prefer auto-retrying matchers: expect(page).toHaveTitle(...), expect(page).toHaveURL(...), expect(locator).toBeVisible(). Do NOT use waitForSelector or waitForTimeout.
-- Use the REAL selectors from the page analysis above
-- Do NOT assume credentials; do NOT interact with cookie banners or modals
-- Keep tests SIMPLE; prefer data-testid, aria-label, or CSS selectors over text matching
-- testMatch MUST be '**/*.ts' in playwright.config.ts so test_*.ts files are discovered.`
-    };
-  }
-  if (lang === 'javascript') {
-    return {
-      fileList: `Generate these files (keep code concise):
-1. package.json with "type":"module", devDependencies "@playwright/test": "^1.48.0" and "dotenv": "^16.4.5". Scripts MUST include exactly these, in this form (plain env var prefix, no cross-env):
-     "test": "playwright test",
-     "test:chromium": "BROWSER=chromium playwright test",
-     "test:firefox": "BROWSER=firefox playwright test",
-     "test:webkit": "BROWSER=webkit playwright test",
-     "test:headed": "HEADED=true playwright test",
-     "test:firefox:headed": "BROWSER=firefox HEADED=true playwright test",
-     "test:webkit:headed": "BROWSER=webkit HEADED=true playwright test"
-2. .env file at project root with exactly these two lines:
-     BROWSER=chromium
-     HEADED=false
-3. playwright.config.js - MUST import 'dotenv/config' at the very top as a side-effect import, then import defineConfig from '@playwright/test', and export default defineConfig({ testDir: './tests', testMatch: '**/*.js', use: { baseURL: process.env.BASE_URL || '${targetUrl}', headless: process.env.HEADED !== 'true', browserName: process.env.BROWSER || 'chromium', launchOptions: { slowMo: parseInt(process.env.SLOWMO || '0', 10) } }, projects: [{ name: process.env.BROWSER || 'chromium' }] }). Do NOT use devices. testMatch MUST be '**/*.js' so test_*.js files are discovered.
-4. Page object .js files in pages/ - 2-3 page classes. Each class exported with ES module syntax (export class LoginPage {}). Constructor takes (page) only — baseURL comes from config. Methods are async.
-5. Test .js files in tests/ - 2 test files with 2 tests each using @playwright/test (import { test, expect } from '@playwright/test').
-6. README.md MUST document: editing .env to change defaults, and running "npm run test:firefox", "npm run test:headed", etc. for one-off overrides.`,
-      rules: `CRITICAL RULES for JavaScript:
-- Use @playwright/test ONLY (not raw playwright, not Jest/Mocha). Tests use: import { test, expect } from '@playwright/test'
-- Use ES modules (package.json has "type":"module"). All imports use import/export, not require.
-- Page object constructors take ONE argument: (page). Do NOT pass baseURL to constructors — Playwright's config handles it, tests use relative paths like page.goto('/').
-- Tests MUST use async functions: test('name', async ({ page }) => { ... })
-- Use await on every Playwright call
-- Use the REAL selectors from the page analysis above
-- For assertions, prefer expect(page).toHaveTitle(...), expect(page).toHaveURL(...), expect(locator).toBeVisible() — these auto-retry
-- Do NOT use waitForSelector or waitForTimeout in tests; rely on auto-retrying matchers
-- Do NOT assume credentials; do NOT interact with cookie banners or modals
-- Keep tests SIMPLE; prefer data-testid, aria-label, or CSS selectors over text matching
-- playwright.config.js MUST NOT pin a reporter (the runner passes --reporter at invocation time)`
-    };
-  }
-  // Default: Python
-  return {
-    fileList: `Generate these files (keep code concise):
-1. requirements.txt - just: playwright, pytest, pytest-playwright, pytest-json-report
-2. .env file at project root with exactly:
-     BROWSER=chromium
-     HEADED=false
-3. Makefile at project root with these targets (use tab indentation, not spaces):
-     Top of file:
-       ifneq (,\$(wildcard .env))
-         include .env
-         export
-       endif
-       BROWSER ?= chromium
-       HEADED ?= false
-       HEADED_FLAG := \$(if \$(filter true,\$(HEADED)),--headed,)
-     Targets:
-       .PHONY: test test-chromium test-firefox test-webkit test-headed test-firefox-headed test-webkit-headed
-       test: -> pytest --browser=\$(BROWSER) \$(HEADED_FLAG)
-       test-chromium / test-firefox / test-webkit -> pytest --browser=<name> \$(HEADED_FLAG)
-       test-headed -> pytest --browser=\$(BROWSER) --headed
-       test-firefox-headed / test-webkit-headed -> pytest --browser=<name> --headed
-4. conftest.py - IMPORTANT: use @pytest.fixture(scope="session") for base_url fixture, return "${targetUrl}"
-5. pages/ - Create 2-3 page object files appropriate for this site
-6. tests/ - Create 2 test files with 2 tests each
-7. README.md MUST document: editing .env to change defaults, plus "make test-firefox" / "make test-headed" / etc. for one-off overrides, AND direct "pytest --browser=firefox" as a fallback.`,
-    rules: `CRITICAL RULES:
-- Use SYNCHRONOUS Playwright API only (from playwright.sync_api import Page)
-- Do NOT use async/await anywhere
-- Do NOT use @pytest.mark.asyncio
-- Test functions should be regular "def" not "async def"
-- conftest.py base_url fixture MUST have scope="session"
-- Do NOT create a base_page.py, keep it simple
-- Use the REAL selectors from the page analysis above
-- For is_loaded() methods, use DEFENSIVE checks:
-  - Check page.title() contains expected text, OR
-  - Check page.url contains expected path, OR
-  - Use page.locator().count() > 0 instead of is_visible() for optional elements
-- Tests should verify page loads without errors, not specific elements that may change
-- Do NOT assume credentials exist
-- Do NOT try to close modals or popups - they are unpredictable
-- Do NOT interact with cookie banners or promotional overlays
-- Keep tests SIMPLE - verify page loads, title is correct, key navigation works
-- When clicking elements, use page.locator("selector").first if multiple matches possible
-- Avoid "text=" selectors as they can match hidden screen-reader elements
-- Prefer data-testid, aria-label, or specific CSS selectors over text matching`
-  };
-}
-
 // Helper to extract and validate JSON from Claude's response
 function extractJSON(text) {
   // Try to find JSON in code fences first
@@ -453,6 +184,7 @@ function extractJSON(text) {
   }
 
   let jsonStr = jsonMatch[0];
+  let parseError;
 
   // Try direct parse
   try {
@@ -467,14 +199,224 @@ function extractJSON(text) {
     try {
       return JSON.parse(jsonStr);
     } catch (e2) {
+      parseError = e2.message;
       console.log("Cleanup parse failed:", e2.message);
       console.log("JSON string (first 500 chars):", jsonStr.substring(0, 500));
     }
   }
 
-  throw new Error("Failed to parse JSON from Claude response");
+  throw new Error(`Failed to parse JSON from provider response (${parseError})`);
+}
+
+// --- Output validation + repair retries -----------------------------------------
+// Parse and validate a provider response against the output contract; when it
+// fails, re-prompt with the specific problems up to `retries` times.
+const DEFAULT_REPAIR_RETRIES = parseInt(process.env.QAFG_REPAIR_RETRIES || '2', 10);
+const MAX_REPAIR_RETRIES = 5;
+
+class OutputValidationError extends Error {
+  constructor(errors, attempts) {
+    super(`Provider output failed validation after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${errors.join('; ')}`);
+    this.errors = errors;
+  }
+}
+
+function parseAndValidate(text, validate) {
+  let parsed;
+  try {
+    parsed = extractJSON(text);
+  } catch (parseError) {
+    return { errors: [`The response is not valid JSON: ${parseError.message}`] };
+  }
+  return { parsed, errors: validate(parsed) };
+}
+
+function buildOutputRepairPrompt(userPrompt, previous, errors) {
+  const clipped = previous.length > 30_000 ? `${previous.slice(0, 30_000)}\n… (truncated)` : previous;
+  return `${userPrompt}
+
+---
+Your previous response could not be used:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+Previous response:
+${clipped}
+
+Return the COMPLETE corrected JSON object (every file, not only the changed ones) and fix every problem listed above. Output ONLY valid JSON.`;
+}
+
+// Provider chain from a request body: the selected provider, then the
+// request's `fallbacks` ([{ provider, apiKey, baseUrl, model }] in order) or,
+// when the client sends none, QAFG_PROVIDER_FALLBACKS (comma-separated ids
+// that use the server's own keys). `providerRetries` is per provider.
+const DEFAULT_FALLBACKS = (process.env.QAFG_PROVIDER_FALLBACKS || '').split(',').map((id) => id.trim()).filter(Boolean);
+const MAX_CHAIN_LENGTH = 4;
+
+function providerOptions({ provider, apiKey, baseUrl, model, maxTokens, temperature, fallbacks, providerRetries }) {
+  const chain = [{ provider: provider || 'anthropic-api', apiKey, baseUrl, model: model || undefined, maxTokens, temperature }];
+  const extra = Array.isArray(fallbacks) ? fallbacks : DEFAULT_FALLBACKS;
+  for (const fallback of extra) {
+    const entry = typeof fallback === 'string' ? { provider: fallback } : fallback;
+    if (chain.length >= MAX_CHAIN_LENGTH) break;
+    if (!entry?.provider || chain.some((c) => c.provider === entry.provider)) continue;
+    chain.push({ provider: String(entry.provider), apiKey: entry.apiKey, baseUrl: entry.baseUrl, model: entry.model || undefined, maxTokens, temperature });
+  }
+  return { chain, retries: Number.isInteger(providerRetries) ? providerRetries : undefined };
+}
+
+const describeChain = (llm) => llm.chain.map((c) => c.provider).join(' → ');
+
+// onAttempt(attempt) runs before each provider call so callers can reset
+// per-attempt state (e.g. the streaming file parser); onRetry(errors, attempt)
+// reports why the previous attempt was rejected. `llm` is providerOptions()
+// plus optional onFailover/onServed hooks, a base `context` for
+// generateWithFallback, a `recorder` that keeps every raw response and a
+// `usage` tracker (usage.js) that prices every call, failed ones included; `context` adds the task
+// of this call.
+async function generateValidated({ llm, userPrompt, context, retries = DEFAULT_REPAIR_RETRIES,
+  validate, onToken, onAttempt, onRetry }) {
+  const maxRetries = Math.max(0, Math.min(MAX_REPAIR_RETRIES, Number.isInteger(retries) ? retries : DEFAULT_REPAIR_RETRIES));
+  let prompt = userPrompt;
+  for (let attempt = 1; ; attempt++) {
+    onAttempt?.(attempt);
+    const started = Date.now();
+    const { text, provider, model, failures, usage } = await generateWithFallback({
+      ...llm, context: { ...llm.context, ...context }, userPrompt: prompt, onToken,
+      onUsage: (attemptUsage) => llm.usage?.add({ task: context?.task, ...attemptUsage })
+    });
+    llm.recorder?.add({
+      task: context?.task, files: context?.files, provider, model,
+      systemPrompt: SYSTEM_PROMPT, userPrompt: prompt, response: text, failures, usage, durationMs: Date.now() - started
+    });
+    console.log("Raw response:", text.substring(0, 200));
+    const { parsed, errors } = parseAndValidate(text, validate);
+    if (!errors.length) return { parsed, text, attempts: attempt };
+    console.log(`Output validation failed (attempt ${attempt}):`, errors);
+    if (attempt > maxRetries) throw new OutputValidationError(errors, attempt);
+    onRetry?.(errors, attempt);
+    prompt = buildOutputRepairPrompt(userPrompt, text, errors);
+  }
+}
+
+// --- Generation strategies ---------------------------------------------------------
+
+// One call for the whole framework. Files stream to the UI as soon as their
+// JSON object is complete; a repair retry restarts the stream. With
+// requirements the response also carries the traceability table.
+async function generateSingle({ llm, brief, language, framework, requirements, retries, send, trackTokens, onRetry }) {
+  const userPrompt = `${brief}
+
+JSON FORMAT:
+{"files":[{"name":"filename","path":"folder/","content":"code"}],"summary":"description"${requirements ? ',"traceability":[{"criterion":"id","tests":[{"file":"folder/filename","name":"test name"}],"note":""}]' : ''}}${requirements ? `
+
+${traceabilityFormat(requirements)}` : ''}
+
+Use \\n for newlines, \\" for quotes. Output ONLY valid JSON.`;
+  send('phase', { phase: 'prompt', message: `Prompt sent to ${describeChain(llm)} (${userPrompt.length.toLocaleString()} chars)` });
+  let parser;
+  const newParser = () => createFileStreamParser((file, index) => send('file', { index, file }));
+  const { parsed } = await generateValidated({
+    userPrompt, retries,
+    context: { task: 'framework' },
+    // A provider that fails mid-stream leaves partial files behind; the next
+    // provider (or retry) streams a fresh set
+    llm: {
+      ...llm,
+      onFailover: (info) => {
+        if (info.partial) parser = newParser();
+        llm.onFailover?.({ ...info, restart: info.partial });
+      }
+    },
+    validate: (output) => [
+      ...validateFrameworkOutput(output, { language, framework }),
+      ...(requirements ? validateTraceability(output, requirements) : [])
+    ],
+    onToken: (delta) => {
+      trackTokens(delta);
+      parser.push(delta);
+    },
+    onAttempt: () => {
+      parser = newParser();
+    },
+    onRetry: (errors, attempt) => onRetry(errors, attempt, true)
+  });
+  return parsed;
+}
+
+// Plan-then-generate (planner.js): a manifest call, then one call per small
+// group of files with the manifest and dependencies as context, then the
+// assembled project is validated like a single response. With requirements a
+// last call maps the criteria to the generated tests.
+async function generatePlanned({ llm, brief, language, framework, requirements, retries, send, trackTokens, onRetry }) {
+  send('phase', { phase: 'plan', message: `Asking ${describeChain(llm)} for a file manifest...` });
+  const { parsed: rawManifest } = await generateValidated({
+    llm, retries, onRetry,
+    userPrompt: buildManifestPrompt(brief),
+    context: { task: 'manifest' },
+    validate: (manifest) => validateManifest(manifest, { language, framework }),
+    onToken: trackTokens
+  });
+  const manifest = normalizeManifest(rawManifest);
+  const groups = planGroups(manifest);
+  send('manifest', { files: manifest.files, summary: manifest.summary, groups: groups.length });
+
+  const generated = new Map();
+  for (const [i, group] of groups.entries()) {
+    send('phase', { phase: 'chunk', message: `Generating ${i + 1}/${groups.length}: ${group.map((e) => e.file).join(', ')}` });
+    const { parsed } = await generateValidated({
+      llm, retries, onRetry,
+      userPrompt: buildGroupPrompt(brief, manifest, group, generated),
+      context: { task: 'files', files: group.map((e) => e.file) },
+      validate: (output) => validateGroupOutput(output, group),
+      onToken: trackTokens
+    });
+    for (const file of parsed.files) {
+      send('file', { index: generated.size, file });
+      generated.set(projectPath(file), file);
+    }
+  }
+
+  const result = { files: manifest.files.map((e) => generated.get(e.file)), summary: manifest.summary };
+  const errors = validateFrameworkOutput(result, { language, framework });
+  if (errors.length) throw new OutputValidationError(errors, 1);
+
+  if (requirements) {
+    send('phase', { phase: 'traceability', message: `Mapping ${requirements.criteria.length} requirement criteria to the generated tests...` });
+    const { parsed } = await generateValidated({
+      llm, retries, onRetry,
+      userPrompt: buildTraceabilityPrompt({ files: result.files, requirements, language, framework }),
+      context: { task: 'traceability' },
+      validate: (output) => validateTraceability({ files: result.files, traceability: output?.traceability }, requirements),
+      onToken: trackTokens
+    });
+    result.traceability = parsed.traceability;
+  }
+  return result;
+}
+
+// Extend mode (extend.js): one call that returns only new and modified files,
+// merged into the existing project. Files are not streamed to the UI, which
+// keeps showing the current project until the changes are reviewed.
+async function generateExtension({ llm, extend, language, framework, targetUrl, pageAnalysis, auth, styleReference, rules, retries, send, trackTokens, onRetry }) {
+  const { prompt, omitted } = buildExtendPrompt({ files: extend.files, request: extend.request, language, framework, targetUrl, pageAnalysis, auth, styleReference, rules });
+  send('phase', { phase: 'prompt', message: `Extension request sent to ${describeChain(llm)} (${prompt.length.toLocaleString()} chars${omitted.length ? `; ${omitted.length} large file${omitted.length === 1 ? '' : 's'} left out` : ''})` });
+  const { parsed } = await generateValidated({
+    llm, retries, onRetry,
+    userPrompt: prompt,
+    context: { task: 'extend' },
+    validate: (output) => [...validateFileList(output?.files), ...validateExtension(output)],
+    onToken: trackTokens
+  });
+  const { files, changes } = mergeExtension(extend.files, parsed.files, { omitted });
+  return { files, summary: parsed.summary || '', extension: { request: extend.request, changes, omitted } };
 }
 
+// Language ids -> framework ids that have a prompt template, so the client
+// only offers combinations /api/generate accepts
+app.get("/api/frameworks", (req, res) => {
+  res.json({ frameworks: SUPPORTED_FRAMEWORKS });
+});
+
 app.get("/api/providers", async (req, res) => {
   try {
     const providers = await detectProviders();
@@ -484,79 +426,556 @@ app.get("/api/providers", async (req, res) => {
   }
 });
 
+// Model discovery (e.g. a self-hosted server's /models). POST so an optional
+// API key stays out of URLs and access logs.
+app.post("/api/providers/:id/models", async (req, res) => {
+  const { baseUrl, apiKey } = req.body || {};
+  try {
+    const models = await listProviderModels(req.params.id, { baseUrl, apiKey });
+    res.json({ models });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Recorded generations (recordings.js): summaries, or one recording in full
+// for inspecting a bad generation or turning it into a regression fixture
+app.get("/api/recordings", async (req, res) => {
+  res.json({ recordings: await listRecordings(), recordByDefault: RECORD_BY_DEFAULT });
+});
+
+app.get("/api/recordings/:id", async (req, res) => {
+  try {
+    res.json(await loadRecording(req.params.id));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// --- Style reference (styleReference.js) ----------------------------------------
+
+// Representative files of an existing framework, from an uploaded ZIP
+// ({ zip: base64, name }) or a directory under QAFG_STYLE_REFERENCE_ROOTS.
+// The client sends the snippets back with /api/generate.
+app.post("/api/style-reference", async (req, res) => {
+  const { zip, directory, name, language } = req.body;
+  try {
+    const reference = await extractStyleReference({ zip, directory, name }, { language });
+    console.log(`[style-reference] ${reference.name}: picked ${reference.snippets.length} of ${reference.fileCount} files (${reference.snippets.map((s) => s.path).join(", ")})`);
+    res.json(reference);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// --- Prompt templates (promptTemplates.js) ---------------------------------------
+
+app.get("/api/prompt-templates", async (req, res) => {
+  res.json({ templates: await listPromptTemplates(), variables: { body: BRIEF_VARIABLES, fileList: REQUEST_VARIABLES, rules: REQUEST_VARIABLES } });
+});
+
+// Built-in brief, file list and rules for a stack, to start a template from
+app.get("/api/prompt-templates/defaults", (req, res) => {
+  try {
+    res.json(getDefaultTemplateParts(req.query.language, req.query.framework));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// The full prompt brief a template produces for a request. Page analysis is
+// a placeholder unless `analyze` is set, which fetches the target statically.
+app.post("/api/prompt-templates/preview", async (req, res) => {
+  const { language, framework, targetUrl, template = {}, analyze } = req.body;
+  let styleReference;
+  let requirements;
+  try {
+    getLanguagePrompt(language, framework, targetUrl);
+    styleReference = normalizeStyleReference(req.body.styleReference);
+    requirements = parseRequirements(req.body.requirements);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const errors = validateTemplateInput({ ...template, name: 'preview' }).filter((e) => !e.startsWith('override at least one'));
+  if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+
+  let pageAnalysis = `[Page analysis of ${targetUrl} is inserted here at generation time]`;
+  let neutralized = [];
+  if (analyze) {
+    try {
+      const page = await fetchSafely(targetUrl);
+      const pageData = neutralizeAnalysis({ ...analyzeHtml(page.body), analysisMode: 'static' });
+      pageAnalysis = formatPageAnalysis(targetUrl, pageData);
+      neutralized = pageData.promptSafety.neutralized;
+    } catch (error) {
+      pageAnalysis = `Could not fetch ${targetUrl} for analysis. Generate defensive tests that check page.title(), page.url, and use generic selectors.`;
+    }
+  }
+  const prompt = buildBrief({
+    language, framework, targetUrl, pageAnalysis, auth: '', template,
+    styleReference: formatStyleReference(styleReference),
+    requirements: formatRequirements(requirements)
+  });
+  res.json({ prompt, chars: prompt.length, neutralized });
+});
+
+app.get("/api/prompt-templates/:id", async (req, res) => {
+  try {
+    res.json(await loadPromptTemplate(req.params.id));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.post("/api/prompt-templates", async (req, res) => {
+  const errors = validateTemplateInput(req.body);
+  if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+  try {
+    res.status(201).json(await createPromptTemplate(req.body));
+  } catch (error) {
+    console.error('Saving prompt template failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Saving an existing template adds a version
+app.put("/api/prompt-templates/:id", async (req, res) => {
+  const errors = validateTemplateInput(req.body);
+  if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+  try {
+    await loadPromptTemplate(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+  try {
+    res.json(await updatePromptTemplate(req.params.id, req.body));
+  } catch (error) {
+    console.error('Saving prompt template failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/prompt-templates/:id", async (req, res) => {
+  try {
+    await loadPromptTemplate(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+  try {
+    await deletePromptTemplate(req.params.id);
+    res.json({ deleted: req.params.id });
+  } catch (error) {
+    console.error('Deleting prompt template failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Token usage ledger (usage.js) grouped by day, provider and model, plus the
+// rate table the costs were computed with
+app.get("/api/usage", async (req, res) => {
+  const days = Math.max(1, Math.min(366, parseInt(req.query.days, 10) || 30));
+  res.json({ days, rows: await summarizeUsage({ days }), rates: RATES });
+});
+
+// Credential profile names configured on the server (never the values)
+app.get("/api/auth/profiles", async (req, res) => {
+  res.json({ profiles: await listCredentialProfiles(), env: TEST_CREDENTIAL_ENV });
+});
+
+// How the model should turn the recommended locators into framework code
+const LOCATOR_GUIDANCE = 'Use each element\'s recommended strategy: Playwright -> getByTestId / getByRole(role, { name, exact: true }) / getByLabel(label, { exact: true }); Selenium, Cypress and WebdriverIO -> the css given in parentheses. Elements marked NOT unique must use the first match.';
+
+// Bullet list of one page's analysis, shared by single-page and crawl prompts
+// Page text is JSON-quoted; callers fence the result with fenceUntrusted()
+const quoteList = (values) => values.map((v) => JSON.stringify(v)).join(', ');
+
+function formatPageFields(page, maxLocators = 30) {
+  const locators = (page.elements || []).slice(0, maxLocators).map((e) => `    - ${formatLocator(e)}`);
+  return `- Page title: ${JSON.stringify(page.title)}
+- Input fields found: ${quoteList(page.inputs) || 'none detected'}
+- Buttons found: ${quoteList(page.buttons) || 'none detected'}
+- Key links: ${quoteList(page.links) || 'none detected'}
+- Forms: ${quoteList(page.forms) || 'none detected'}
+- Recommended locators (element -> strategy, priority testid > role+name > label > css):
+${locators.join('\n') || '    - none detected'}`;
+}
+
+// Accessibility tree block for the prompt (rendered mode only)
+function formatAccessibilityTree(tree) {
+  if (!tree) return '';
+  const clipped = tree.length > 4000 ? `${tree.slice(0, 4000)}\n# … truncated` : tree;
+  return `
+RENDERED ACCESSIBILITY TREE (roles and accessible names as the browser exposes them):
+${clipped}
+`;
+}
+
+// Cleaned copy of scraped analysis data (promptSafety.js) with a report of
+// the fields that read like instructions and were dropped
+function neutralizeAnalysis(data) {
+  const { analysis, report } = sanitizeAnalysis(data);
+  for (const n of report.neutralized) console.log(`[prompt-safety] ${n.page}: dropped ${n.field} (${n.reasons.join(', ')}): ${JSON.stringify(n.text)}`);
+  return { ...analysis, promptSafety: report };
+}
+
+function formatPageAnalysis(targetUrl, page, { authenticated = false } = {}) {
+  return `
+ACTUAL PAGE ANALYSIS for ${targetUrl}${page.analysisMode === 'rendered' ? ' (rendered DOM, headless Chromium)' : ''}${authenticated ? ' (logged in)' : ''}:
+${fenceUntrusted(`${formatPageFields(page)}\n${formatAccessibilityTree(page.accessibilityTree)}`)}
+USE THESE REAL SELECTORS in your page objects. ${LOCATOR_GUIDANCE} If specific selectors aren't available, use defensive checks like page.title() or page.url.`;
+}
+
+function formatSiteAnalysis(targetUrl, pages) {
+  const sections = pages.map((page, i) => `PAGE ${i + 1}: ${JSON.stringify(page.path)} (${JSON.stringify(page.url)})
+${formatPageFields(page, 12)}
+- Links to: ${quoteList(page.internalLinks) || 'none'}`);
+  return `
+ACTUAL SITE ANALYSIS for ${targetUrl} (${pages.length} same-origin page${pages.length === 1 ? '' : 's'} crawled):
+
+${fenceUntrusted(sections.join('\n\n'))}
+
+USE THESE REAL SELECTORS in your page objects. ${LOCATOR_GUIDANCE} Create ONE page object per crawled page above (this overrides any "2-3 page objects" guidance below), plus navigation tests that follow the "Links to" relationships between crawled pages. If specific selectors aren't available, use defensive checks like page.title() or page.url.`;
+}
+
 app.post("/api/generate", async (req, res) => {
+  let recorder = null;
+  // Closing the connection (Cancel in the UI, navigating away) before the
+  // result is sent aborts provider calls and kills CLI child processes
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new GenerationCancelledError('Generation cancelled: the client disconnected'));
+  });
   try {
-    const { language, framework, targetUrl, provider, apiKey } = req.body;
+    const { language, framework, targetUrl, crawl, analysisMode, generationMode } = req.body;
+    const extending = generationMode === 'extend';
+
+    // Resolve the (language, framework) template up front so unsupported
+    // combinations fail fast instead of producing a Playwright project.
+    // A custom prompt template is resolved here too, pinned or latest, and
+    // the style reference snippets re-checked.
+    let promptTemplate = null;
+    let styleReference = null;
+    let requirements = null;
+    try {
+      getLanguagePrompt(language, framework, targetUrl);
+      if (req.body.promptTemplate?.id) promptTemplate = await resolvePromptTemplate(req.body.promptTemplate, { language, framework });
+      styleReference = normalizeStyleReference(req.body.styleReference);
+      // Requirements shape a new project; extend mode has its own request
+      if (!extending) requirements = parseRequirements(req.body.requirements);
+    } catch (templateError) {
+      return res.status(400).json({ error: templateError.message });
+    }
+
+    // Extend mode works on the client's current files
+    let extend = null;
+    if (extending) {
+      const { files, request } = req.body.extend || {};
+      const errors = validateFileList(files);
+      if (!errors.length && !files.length) errors.push('There are no files to extend; generate a framework first');
+      if (!String(request || '').trim()) errors.push('Describe what to add (e.g. "add checkout flow tests")');
+      if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+      extend = { files: files.map(({ name, path, content }) => ({ name, path: path || '', content })), request: String(request).trim().slice(0, 2000) };
+    }
+
+    // Login recipe or uploaded storageState; credentials stay server-side
+    let auth;
+    try {
+      auth = await resolveAuth(req.body.auth, targetUrl);
+    } catch (authError) {
+      return res.status(400).json({ error: authError.message });
+    }
+
+    // From here on progress streams over SSE, like /api/run-tests
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    const send = (type, data) => res.write(`data: ${JSON.stringify({ type, data })}\n\n`);
+    send('phase', { phase: 'fetching', message: crawl?.enabled ? 'Crawling and analyzing target site...' : 'Fetching and analyzing target site...' });
 
-    // Fetch the target page to analyze its structure (SSRF-safe)
+    // Analyze the target (SSRF-safe). With crawling enabled, every discovered
+    // same-origin page is analyzed so the prompt can cover the whole site.
     let pageAnalysis = "";
-    let pageData = { fetched: false, title: '', inputs: [], buttons: [], links: [], forms: [] };
+    let pageData = { fetched: false, title: '', inputs: [], buttons: [], links: [], forms: [], pages: [], analysisMode: 'static' };
+
+    // Rendered mode loads pages in headless Chromium so SPAs expose their real
+    // DOM; any renderer failure falls back to the static fetch for that page.
+    // Authenticated targets always log in through the browser; static fetches
+    // then reuse the session cookies.
+    let renderer = null;
+    let renderFallback = null;
+    let authError = null;
+    if (analysisMode === 'rendered' || auth) {
+      try {
+        renderer = await openRenderer({ storageState: auth?.storageState });
+      } catch (renderError) {
+        if (analysisMode === 'rendered') renderFallback = renderError.message;
+        if (auth) authError = renderError.message;
+        console.log("Headless browser unavailable:", renderError.message);
+      }
+    }
+    if (renderer && auth?.mode === 'recipe') {
+      try {
+        await renderer.login(auth);
+        console.log(`Logged in to ${auth.loginUrl} as profile "${auth.profile}"`);
+      } catch (loginError) {
+        authError = `Login failed: ${loginError.message}`;
+        console.log(authError);
+      }
+    }
+    const authenticated = Boolean(auth && renderer && !authError);
+    const rendering = analysisMode === 'rendered' ? renderer : null;
+    const loadPage = async (url) => {
+      if (rendering) {
+        try {
+          return await rendering.render(url);
+        } catch (renderError) {
+          renderFallback = renderFallback || renderError.message;
+          console.log(`Render failed for ${url}, using static fetch:`, renderError.message);
+        }
+      }
+      return fetchSafely(url, authenticated ? { cookie: await renderer.cookieHeader(url) } : {});
+    };
+    const authInfo = auth ? { ...describeAuth(auth), authenticated, error: authError } : null;
+
     try {
-      const html = await fetchPageSafely(targetUrl);
-
-      // Extract useful selectors from the HTML (limit size for Claude)
-      const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-      pageData.title = titleMatch ? titleMatch[1].trim() : '';
-      pageData.inputs = [...html.matchAll(/<input[^>]*(id|name|placeholder|aria-label)="([^"]+)"[^>]*>/gi)].slice(0, 10).map(m => m[2]);
-      pageData.buttons = [...html.matchAll(/<button[^>]*>([^<]+)<\/button>/gi)].slice(0, 10).map(m => m[1].trim()).filter(b => b.length < 30);
-      pageData.links = [...html.matchAll(/<a[^>]*href="([^"]+)"[^>]*>([^<]+)<\/a>/gi)].slice(0, 5).map(m => m[2].trim()).filter(l => l.length < 30);
-      pageData.forms = [...html.matchAll(/<form[^>]*(id|name|action)="([^"]+)"[^>]*>/gi)].slice(0, 5).map(m => m[2]);
-      pageData.fetched = true;
-
-      pageAnalysis = `
-ACTUAL PAGE ANALYSIS for ${targetUrl}:
-- Page title: "${pageData.title}"
-- Input fields found: ${pageData.inputs.join(', ') || 'none detected'}
-- Buttons found: ${pageData.buttons.join(', ') || 'none detected'}
-- Key links: ${pageData.links.join(', ') || 'none detected'}
-- Forms: ${pageData.forms.join(', ') || 'none detected'}
-
-USE THESE REAL SELECTORS in your page objects. If specific selectors aren't available, use defensive checks like page.title() or page.url.`;
+      if (crawl?.enabled) {
+        const site = await crawlSite(targetUrl, crawl, { loadPage, authenticated, signal: controller.signal });
+        const [landing] = site.pages;
+        if (!landing) throw new Error(`no page could be analyzed (${site.skipped.map((s) => `${s.url}: ${s.reason}`).join('; ') || 'nothing to crawl'})`);
+        pageData = neutralizeAnalysis({
+          fetched: true,
+          analysisMode: rendering ? 'rendered' : 'static',
+          renderFallback,
+          auth: authInfo,
+          title: landing.title,
+          inputs: landing.inputs,
+          buttons: landing.buttons,
+          links: landing.links,
+          forms: landing.forms,
+          elements: landing.elements,
+          accessibilityTree: landing.accessibilityTree || '',
+          pages: site.pages,
+          skipped: site.skipped
+        });
+        pageAnalysis = formatSiteAnalysis(targetUrl, pageData.pages);
+      } else {
+        const page = await loadPage(targetUrl);
+        pageData = neutralizeAnalysis({
+          ...pageData,
+          ...analyzeHtml(page.body),
+          fetched: true,
+          analysisMode: page.accessibilityTree !== undefined ? 'rendered' : 'static',
+          renderFallback,
+          auth: authInfo,
+          accessibilityTree: page.accessibilityTree || ''
+        });
+        pageAnalysis = formatPageAnalysis(targetUrl, pageData, { authenticated });
+      }
 
       console.log("Page analysis:", pageAnalysis);
     } catch (fetchError) {
       console.log("Could not fetch target page:", fetchError.message);
       pageAnalysis = `Could not fetch ${targetUrl} for analysis. Generate defensive tests that check page.title(), page.url, and use generic selectors.`;
+      pageData.auth = authInfo;
+    } finally {
+      await renderer?.close();
     }
 
-    const langPrompt = getLanguagePrompt(language, targetUrl);
+    controller.signal.throwIfAborted();
+    send('analysis', pageData);
 
-    const userPrompt = `Generate a ${framework} test framework in ${language} for testing: ${targetUrl}
-
-${pageAnalysis}
+    const authPrompt = getAuthPrompt(language, framework, describeAuth(auth), TEST_CREDENTIAL_ENV);
+    const brief = extending ? null : buildBrief({
+      language, framework, targetUrl, pageAnalysis, template: promptTemplate?.template,
+      auth: authPrompt,
+      styleReference: formatStyleReference(styleReference),
+      requirements: formatRequirements(requirements)
+    });
 
-${langPrompt.fileList}
+    // Each chain entry pins its model on first use, so every call of a planned
+    // or repaired generation stays on it; the providers that actually answered
+    // are recorded for the library.
+    const servedBy = new Map();
+    const chain = providerOptions(req.body);
+    // Recording keeps every raw response so the generation can be replayed
+    if (req.body.record ?? RECORD_BY_DEFAULT) {
+      recorder = createRecorder({
+        language, framework, targetUrl, generationMode: generationMode || 'single', chain: chain.chain.map((c) => c.provider),
+        promptTemplate: promptTemplate && { id: promptTemplate.id, version: promptTemplate.version },
+        styleReference: styleReference && { name: styleReference.name, files: styleReference.snippets.map((s) => s.path) },
+        extend: extend && { request: extend.request, files: extend.files.length },
+        requirements: requirements && { criteria: requirements.criteria.map((c) => c.id) }
+      });
+    }
+    const usage = createUsageTracker({ source: 'generate', targetUrl });
+    const llm = {
+      ...chain,
+      recorder,
+      usage,
+      signal: controller.signal,
+      // Lets providers that build output themselves (the offline templates) see the request
+      context: { language, framework, targetUrl, analysis: pageData, requirements },
+      onFailover: (info) => send('provider', { ...info, restart: info.restart === true }),
+      onServed: ({ provider, model, failures }) => {
+        servedBy.set(`${provider}/${model}`, { provider, model: model || 'CLI default' });
+        if (failures.length) send('provider', { served: true, provider, model, failures });
+      }
+    };
+    console.log(`Generating via provider: ${describeChain(llm)} (${extending ? `extending ${extend.files.length} files: ${extend.request}` : generationMode === 'planned' ? 'planned' : 'single response'})` +
+      (promptTemplate ? ` with prompt template "${promptTemplate.name}" v${promptTemplate.version}` : '') +
+      (styleReference ? ` following style reference "${styleReference.name}" (${styleReference.snippets.length} files)` : '') +
+      (requirements ? ` covering ${requirements.criteria.length} requirement criteria` : ''));
+
+    // Token progress is throttled and counts every call, retries included
+    let received = 0;
+    let lastProgress = 0;
+    const trackTokens = (delta) => {
+      received += delta.length;
+      if (Date.now() - lastProgress > 400) {
+        lastProgress = Date.now();
+        send('tokens', { chars: received, estimatedTokens: Math.round(received / 4) });
+      }
+    };
+    const onRetry = (errors, attempt, restart = false) => {
+      send('validation', { attempt, errors, retrying: true, restart });
+      send('phase', { phase: 'repair', message: `Output failed validation; asking the provider to fix ${errors.length} problem${errors.length === 1 ? '' : 's'} (retry ${attempt})...` });
+    };
+    const generation = { llm, brief, language, framework, requirements, retries: req.body.repairRetries, send, trackTokens, onRetry };
+    const parsed = extending
+      ? await generateExtension({
+        ...generation, extend, targetUrl, pageAnalysis, auth: authPrompt,
+        styleReference: formatStyleReference(styleReference),
+        rules: getPromptParts({ language, framework, targetUrl, template: promptTemplate?.template }).rules
+      })
+      : generationMode === 'planned'
+        ? await generatePlanned(generation)
+        : await generateSingle(generation);
+    if (requirements) parsed.traceability = traceabilityTable(parsed.traceability, requirements);
+    send('tokens', { chars: received, estimatedTokens: Math.round(received / 4) });
+    send('phase', { phase: 'parsing', message: extending ? 'Parsed and merged the extension' : 'Parsed and validated generated framework' });
+    const recordingId = await recorder?.save({ status: 'completed' }).catch((e) => console.log('Could not save recording:', e.message));
+
+    send('result', {
+      ...parsed,
+      recordingId,
+      usage: usage.summary(),
+      promptTemplate: promptTemplate && { id: promptTemplate.id, name: promptTemplate.name, version: promptTemplate.version },
+      styleReference: styleReference && { name: styleReference.name, files: styleReference.snippets.length },
+      generatedBy: {
+        provider: [...new Set([...servedBy.values()].map((s) => s.provider))].join(', '),
+        model: [...new Set([...servedBy.values()].map((s) => s.model))].join(', ')
+      }
+    });
+    res.end();
 
-ALSO REQUIRED:
-- README.md at the project root (path: "") covering, specifically for ${language} + ${framework}:
-  1. Title and a one-line description
-  2. Prerequisites (e.g. Python 3.10+, Node 18+, .NET 10 SDK + PowerShell Core (pwsh) for C#, JDK 17 + Maven — pick what applies)
-  3. Install steps — exact shell commands (e.g. "python -m venv venv && source venv/bin/activate && pip install -r requirements.txt && playwright install chromium" for Python+Playwright; "npm install && npx playwright install" for JS+Playwright; for C# use "dotnet restore && dotnet build -c Release" then browser install via "pwsh bin/Release/net10.0/playwright.ps1 install chromium" (Microsoft.Playwright generates playwright.ps1 in the build output, NOT playwright.dll); "mvn install" plus mvn exec for Java)
-  4. How to run the tests — the actual command (pytest / npx playwright test / dotnet test / mvn test)
-  5. How to switch browser (chromium/firefox/webkit) and toggle headed mode, matching how the generated tests read those options
-  6. Project structure — short tree of the generated folders/files
-  Keep it concise (under ~60 lines), use proper markdown headings and fenced code blocks. Commands MUST match what the generated code actually expects.
+  } catch (error) {
+    if (controller.signal.aborted) {
+      // Nobody is listening any more; keep the partial recording
+      const { message } = controller.signal.reason;
+      console.log(message);
+      await recorder?.save({ status: 'cancelled', error: message }).catch((e) => console.log('Could not save recording:', e.message));
+      return;
+    }
+    console.error("Error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
+      if (error instanceof OutputValidationError) {
+        res.write(`data: ${JSON.stringify({ type: 'validation', data: { errors: error.errors, retrying: false } })}\n\n`);
+      }
+      // A failed generation is the one worth replaying
+      const recordingId = await recorder?.save({ status: 'failed', error: error.message }).catch((e) => console.log('Could not save recording:', e.message));
+      if (recordingId) res.write(`data: ${JSON.stringify({ type: 'recording', data: { id: recordingId, status: 'failed' } })}\n\n`);
+      res.write(`data: ${JSON.stringify({ type: 'error', data: error.message })}\n\n`);
+      res.end();
+    }
+  }
+});
 
-${langPrompt.rules}
+// Regenerate or edit one file of the current project (fileEdit.js). Returns
+// the proposed change as a diff; nothing is applied server-side.
+app.post("/api/edit-file", async (req, res) => {
+  const { files, file, mode = 'edit', language, framework, targetUrl } = req.body;
+  const instruction = String(req.body.instruction || '').trim().slice(0, 2000);
+  const errors = validateFileList(files);
+  if (!EDIT_MODES.includes(mode)) errors.push(`mode must be one of ${EDIT_MODES.join(', ')}`);
+  if (mode === 'edit' && !instruction) errors.push('Describe the edit (e.g. "use the data-testid locators")');
+  const target = errors.length ? null : files.find((f) => projectPath(f) === file);
+  if (!errors.length && !target) errors.push(`File "${file}" is not part of the project`);
+  if (errors.length) return res.status(400).json({ error: errors.join('; ') });
 
-JSON FORMAT:
-{"files":[{"name":"filename","path":"folder/","content":"code"}],"summary":"description"}
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new GenerationCancelledError('File edit cancelled: the client disconnected'));
+  });
+  const usage = createUsageTracker({ source: 'edit-file', targetUrl });
+  const llm = { ...providerOptions(req.body), usage, signal: controller.signal };
+  console.log(`${mode === 'edit' ? 'Editing' : 'Regenerating'} ${file} via provider: ${describeChain(llm)}${instruction ? ` (${instruction})` : ''}`);
+  try {
+    const { parsed } = await generateValidated({
+      llm, retries: req.body.repairRetries,
+      userPrompt: buildFileEditPrompt({
+        files, target, mode, instruction,
+        language: language || detectLanguage(files),
+        framework: framework || 'test',
+        targetUrl: targetUrl || 'the target site'
+      }),
+      context: { task: 'edit', files: [file] },
+      validate: (output) => [...validateFileList(output?.files), ...validateFileEdit(output, target)]
+    });
+    scanGeneratedFiles(parsed.files);
+    res.json({ change: describeFileEdit(target, parsed.files[0]), summary: parsed.summary || '', usage: usage.summary() });
+  } catch (error) {
+    if (controller.signal.aborted) return console.log(controller.signal.reason.message);
+    console.error("File edit error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-Use \\n for newlines, \\" for quotes. Output ONLY valid JSON.`;
+// One refinement chat turn (chat.js): the change set for `message` against the
+// client's current files. The client applies it and keeps the history.
+app.post("/api/chat", async (req, res) => {
+  const { files, history, language, framework, targetUrl } = req.body;
+  const message = String(req.body.message || '').trim().slice(0, 2000);
+  const errors = validateFileList(files);
+  if (!errors.length && !files.length) errors.push('There are no files to refine; generate or load a framework first');
+  if (!message) errors.push('message is required');
+  if (history !== undefined && !Array.isArray(history)) errors.push('history must be an array of { message, summary } turns');
+  if (errors.length) return res.status(400).json({ error: errors.join('; ') });
 
-    console.log(`Generating via provider: ${provider || "anthropic-api"}`);
-    const text = await generateWithProvider({ provider, apiKey, userPrompt });
-    console.log("Raw response:", text.substring(0, 200));
-    
-    const parsed = extractJSON(text);
-    
-    res.json({
-      content: [{ text: JSON.stringify(parsed) }],
-      pageAnalysis: pageData
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new GenerationCancelledError('Chat turn cancelled: the client disconnected'));
+  });
+  const usage = createUsageTracker({ source: 'chat', targetUrl });
+  let servedBy = null;
+  const llm = {
+    ...providerOptions(req.body),
+    usage,
+    signal: controller.signal,
+    onServed: ({ provider, model }) => {
+      servedBy = { provider, model: model || 'CLI default' };
+    }
+  };
+  const { prompt, omitted } = buildChatPrompt({
+    files, history: history || [], message,
+    language: language || detectLanguage(files),
+    framework: framework || 'test',
+    targetUrl: targetUrl || 'the target site'
+  });
+  console.log(`Chat turn via provider: ${describeChain(llm)} (${message})`);
+  try {
+    const { parsed } = await generateValidated({
+      llm, retries: req.body.repairRetries,
+      userPrompt: prompt,
+      context: { task: 'chat' },
+      validate: (output) => [...validateFileList(output?.files), ...validateChatOutput(output, files, { omitted })]
     });
-    
+    scanGeneratedFiles(parsed.files);
+    res.json({ summary: parsed.summary || '', changes: chatChanges(files, parsed), usage: usage.summary(), generatedBy: servedBy });
   } catch (error) {
-    console.error("Error:", error);
+    if (controller.signal.aborted) return console.log(controller.signal.reason.message);
+    console.error("Chat error:", error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -663,9 +1082,95 @@ function detectLanguage(files) {
   return 'python'; // Default fallback
 }
 
+// Pick the JS/TS test runner from config files first, then package.json
+// dependencies. Playwright is the default so older generations still run.
+function detectJavaScriptRunner(files) {
+  const names = files.map((f) => (f.name || '').toLowerCase().split('/').pop());
+  if (names.some((n) => /^cypress\.config\.(js|mjs|cjs|ts)$/.test(n))) return 'cypress';
+  if (names.some((n) => /^wdio\.conf\.(js|mjs|cjs|ts)$/.test(n))) return 'webdriverio';
+
+  const pkgFile = files.find((f) => (f.name || '').split('/').pop() === 'package.json');
+  if (pkgFile) {
+    try {
+      const pkg = JSON.parse(pkgFile.content);
+      const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+      if (deps.cypress) return 'cypress';
+      if (deps['@wdio/cli']) return 'webdriverio';
+    } catch {
+      // Malformed package.json — npm install will surface the real error.
+    }
+  }
+  return 'playwright';
+}
+
+// Write generated files into tempDir (path-traversal guarded)
+async function writeProjectFiles(tempDir, files) {
+  for (const file of files) {
+    // Handle paths that might be in the filename itself
+    let fileName = file.name;
+    let filePath = (file.path || '').replace(/^\/+|\/+$/g, ''); // Clean path
+
+    // If filename contains a path (e.g., "pages/base_page.py"), extract it
+    if (fileName.includes('/')) {
+      const parts = fileName.split('/');
+      fileName = parts.pop();
+      const fileNamePath = parts.join('/');
+
+      // Only use the filename's path if file.path is empty or matches
+      if (!filePath || filePath === fileNamePath || fileNamePath.startsWith(filePath)) {
+        filePath = fileNamePath;
+      } else if (!fileNamePath.startsWith(filePath)) {
+        // Paths are different and don't overlap, join them
+        filePath = join(filePath, fileNamePath);
+      }
+    }
+
+    // Path-traversal guard: reject absolute paths, '..' escapes, and null bytes.
+    if (fileName.includes('\0') || filePath.includes('\0')) {
+      throw new Error('Invalid file path (null byte)');
+    }
+    const fullPath = safeJoin(tempDir, filePath, fileName);
+    const fullDir = filePath ? safeJoin(tempDir, filePath) : tempDir;
+
+    // Create directory if needed
+    if (filePath) {
+      await mkdir(fullDir, { recursive: true });
+    }
+
+    await writeFile(fullPath, file.content);
+    console.log("Wrote:", fullPath);
+  }
+}
+
+// Route to the runner for the project's language. Runners stream progress and
+// the normalized report through sendEvent.
+async function runSuite(tempDir, files, { selectedBrowser, headed, slowMoMs, credentialEnv = {} }, sendEvent) {
+  const language = detectLanguage(files);
+  if (language === 'csharp') {
+    console.log("Routing to C# test execution");
+    await runCSharpTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv);
+  } else if (language === 'javascript' || language === 'typescript') {
+    const runner = detectJavaScriptRunner(files);
+    console.log(`Routing to ${language} test execution (${runner})`);
+    if (runner === 'cypress') {
+      await runCypressTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv);
+    } else if (runner === 'webdriverio') {
+      await runWebdriverIOTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv);
+    } else {
+      await runJavaScriptTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv);
+    }
+  } else if (language === 'java') {
+    console.log("Routing to Java test execution");
+    await runJavaTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv);
+  } else {
+    console.log("Routing to Python test execution");
+    await runPythonTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv);
+  }
+}
+
 // Run tests endpoint
 app.post("/api/run-tests", async (req, res) => {
-  const { files, browser = 'chromium', headed = false, slowMo = 0 } = req.body;
+  const { files, browser = 'chromium', headed = false, slowMo = 0, credentialsProfile } = req.body;
   const slowMoMs = Math.max(0, Math.min(5000, parseInt(slowMo, 10) || 0));
 
   if (!files || !Array.isArray(files)) {
@@ -688,6 +1193,16 @@ app.post("/api/run-tests", async (req, res) => {
     return res.status(400).json({ error: scanErr.message });
   }
 
+  // Login credentials for generated auth fixtures, passed only via env
+  let credentialEnv = {};
+  if (credentialsProfile) {
+    try {
+      credentialEnv = await resolveTestCredentials(credentialsProfile);
+    } catch (credError) {
+      return res.status(400).json({ error: credError.message });
+    }
+  }
+
   let tempDir;
 
   try {
@@ -695,42 +1210,7 @@ app.post("/api/run-tests", async (req, res) => {
     tempDir = await mkdtemp(join(tmpdir(), 'qa-framework-'));
     console.log("Created temp dir:", tempDir);
 
-    // Write all files
-    for (const file of files) {
-      // Handle paths that might be in the filename itself
-      let fileName = file.name;
-      let filePath = (file.path || '').replace(/^\/+|\/+$/g, ''); // Clean path
-
-      // If filename contains a path (e.g., "pages/base_page.py"), extract it
-      if (fileName.includes('/')) {
-        const parts = fileName.split('/');
-        fileName = parts.pop();
-        const fileNamePath = parts.join('/');
-
-        // Only use the filename's path if file.path is empty or matches
-        if (!filePath || filePath === fileNamePath || fileNamePath.startsWith(filePath)) {
-          filePath = fileNamePath;
-        } else if (!fileNamePath.startsWith(filePath)) {
-          // Paths are different and don't overlap, join them
-          filePath = join(filePath, fileNamePath);
-        }
-      }
-
-      // Path-traversal guard: reject absolute paths, '..' escapes, and null bytes.
-      if (fileName.includes('\0') || filePath.includes('\0')) {
-        throw new Error('Invalid file path (null byte)');
-      }
-      const fullPath = safeJoin(tempDir, filePath, fileName);
-      const fullDir = filePath ? safeJoin(tempDir, filePath) : tempDir;
-
-      // Create directory if needed
-      if (filePath) {
-        await mkdir(fullDir, { recursive: true });
-      }
-
-      await writeFile(fullPath, file.content);
-      console.log("Wrote:", fullPath);
-    }
+    await writeProjectFiles(tempDir, files);
 
     // Set up SSE for streaming output
     res.setHeader('Content-Type', 'text/event-stream');
@@ -745,20 +1225,7 @@ app.post("/api/run-tests", async (req, res) => {
       res.write(`data: ${JSON.stringify({ type, data })}\n\n`);
     };
 
-    // Route to appropriate language handler
-    if (language === 'csharp') {
-      console.log("Routing to C# test execution");
-      await runCSharpTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent);
-    } else if (language === 'javascript' || language === 'typescript') {
-      console.log(`Routing to ${language} test execution`);
-      await runJavaScriptTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent);
-    } else if (language === 'java') {
-      console.log("Routing to Java test execution");
-      await runJavaTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent);
-    } else {
-      console.log("Routing to Python test execution");
-      await runPythonTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent);
-    }
+    await runSuite(tempDir, files, { selectedBrowser, headed, slowMoMs, credentialEnv }, sendEvent);
 
     res.end();
 
@@ -780,8 +1247,145 @@ app.post("/api/run-tests", async (req, res) => {
   }
 });
 
+// --- Auto-fix: generate -> run -> fix loop ------------------------------------
+// Runs the suite, sends failing tests plus the relevant files back through the
+// provider with a repair prompt, applies the returned patches and re-runs, up
+// to maxIterations repair rounds. Each run gets a fresh temp dir so stale
+// reports from the previous attempt can never be read back.
+const MAX_AUTOFIX_ITERATIONS = 5;
+
+app.post("/api/auto-fix", async (req, res) => {
+  const { files, browser = 'chromium', headed = false, slowMo = 0, credentialsProfile,
+    language, framework, targetUrl, maxIterations = 3 } = req.body;
+  const slowMoMs = Math.max(0, Math.min(5000, parseInt(slowMo, 10) || 0));
+  const iterations = Math.max(1, Math.min(MAX_AUTOFIX_ITERATIONS, parseInt(maxIterations, 10) || 3));
+
+  if (!files || !Array.isArray(files)) {
+    return res.status(400).json({ error: "No files provided" });
+  }
+  const validBrowsers = ['chromium', 'firefox', 'webkit'];
+  const selectedBrowser = validBrowsers.includes(browser) ? browser : 'chromium';
+
+  try {
+    scanGeneratedFiles(files);
+  } catch (scanErr) {
+    return res.status(400).json({ error: scanErr.message });
+  }
+
+  let credentialEnv = {};
+  if (credentialsProfile) {
+    try {
+      credentialEnv = await resolveTestCredentials(credentialsProfile);
+    } catch (credError) {
+      return res.status(400).json({ error: credError.message });
+    }
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  const send = (type, data) => res.write(`data: ${JSON.stringify({ type, data })}\n\n`);
+
+  // Closing the connection stops the loop: the repair call is aborted and no
+  // further run starts (a run already in progress finishes on its own)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new GenerationCancelledError('Auto-fix cancelled: the client disconnected'));
+  });
+  const stopIfCancelled = () => {
+    if (controller.signal.aborted) throw controller.signal.reason;
+  };
+
+  let current = files;
+  let fixed = false;
+  let attempt = 0;
+  const usage = createUsageTracker({ source: 'auto-fix', targetUrl });
+  const llm = {
+    ...providerOptions(req.body),
+    usage,
+    signal: controller.signal,
+    onFailover: ({ provider, error, retryInMs, fallbackTo }) => send('status',
+      `Auto-fix: ${provider} failed (${error.slice(0, 200)})${retryInMs !== null ? `; retrying in ${Math.ceil(retryInMs / 1000)}s` : fallbackTo ? `; falling back to ${fallbackTo}` : ''}`)
+  };
+  try {
+    for (attempt = 1; attempt <= iterations + 1; attempt++) {
+      stopIfCancelled();
+      send('iteration', { attempt, maxAttempts: iterations + 1 });
+
+      // One run, capturing the report, runner errors and the tail of the
+      // output (install/compile failures never produce a report)
+      let report = null;
+      const errors = [];
+      let output = '';
+      const tempDir = await mkdtemp(join(tmpdir(), 'qa-framework-'));
+      try {
+        await writeProjectFiles(tempDir, current);
+        await runSuite(tempDir, current, { selectedBrowser, headed, slowMoMs, credentialEnv }, (type, data) => {
+          if (type === 'report' && data && typeof data === 'object') {
+            report = data;
+            data = { ...data, browser: selectedBrowser, headed, slowMo: slowMoMs, attempt };
+          }
+          if (type === 'error') errors.push(String(data));
+          if (type === 'test' || type === 'pip') output = (output + data).slice(-4000);
+          send(type, data);
+        });
+      } catch (runError) {
+        errors.push(runError.message);
+        send('error', runError.message);
+      } finally {
+        rm(tempDir, { recursive: true, force: true }).catch(e =>
+          console.warn('Could not remove tempdir:', e.message)
+        );
+      }
+
+      const failures = failingTests(report);
+      if (report && !failures.length && !errors.length) {
+        fixed = true;
+        break;
+      }
+      if (attempt > iterations) break;
+
+      stopIfCancelled();
+      send('status', `Auto-fix ${attempt}/${iterations}: asking the provider to repair ${failures.length || 'the'} failing test${failures.length === 1 ? '' : 's'}...`);
+      const { prompt: userPrompt, omitted } = buildRepairPrompt({
+        files: current,
+        report,
+        runError: report ? errors.join('\n') : `${errors.join('\n') || 'The run produced no report.'}\n\nLast output:\n${output}`,
+        language: language || detectLanguage(current),
+        framework: framework || 'test',
+        targetUrl: targetUrl || 'the target site',
+        iteration: attempt
+      });
+      const { parsed: repair } = await generateValidated({
+        llm, userPrompt,
+        context: { task: 'repair' },
+        validate: (output) => [...validateFileList(output?.files), ...validateRepair(output, { omitted })],
+        onRetry: (errors) => send('status', `Auto-fix: repair response invalid (${errors[0]}); retrying...`)
+      });
+      const { files: patched, diffs, rejected } = applyPatches(current, repair.files, { omitted });
+      if (rejected.length) send('status', `Auto-fix: ignored changes to files the provider was not shown: ${rejected.join(', ')}`);
+      if (!diffs.length) {
+        send('status', 'Auto-fix: the provider returned no changes; stopping.');
+        break;
+      }
+      scanGeneratedFiles(patched);
+      current = patched;
+      send('patch', { attempt, summary: repair.summary || '', diffs, files: current });
+    }
+
+    send('autofix', { fixed, attempts: Math.min(attempt, iterations + 1), files: current, usage: usage.summary() });
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) return console.log(controller.signal.reason.message);
+    console.error("Auto-fix error:", error);
+    send('error', `Auto-fix failed: ${error.message}`);
+    send('autofix', { fixed: false, attempts: attempt, files: current, usage: usage.summary() });
+    res.end();
+  }
+});
+
 // Python test execution
-async function runPythonTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent) {
+async function runPythonTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv = {}) {
   sendEvent('status', 'Creating virtual environment...');
 
   // Create virtual environment
@@ -898,7 +1502,7 @@ async function runPythonTests(tempDir, files, selectedBrowser, headed, slowMoMs,
   // Run pytest with JSON report
   const pytest = spawn(venvPython, pytestArgs, {
     cwd: tempDir,
-    env: { ...process.env, PYTHONUNBUFFERED: '1', SLOWMO: String(slowMoMs) }
+    env: { ...process.env, ...credentialEnv, PYTHONUNBUFFERED: '1', SLOWMO: String(slowMoMs) }
   });
 
   pytest.stdout.on('data', (data) => {
@@ -948,12 +1552,13 @@ async function runPythonTests(tempDir, files, selectedBrowser, headed, slowMoMs,
   sendEvent('complete', { exitCode: code });
 }
 
-// JavaScript (Playwright) test execution
-async function runJavaScriptTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent) {
-  sendEvent('status', 'Installing npm dependencies...');
+const npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+const npx = process.platform === 'win32' ? 'npx.cmd' : 'npx';
 
-  const npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
-  const npx = process.platform === 'win32' ? 'npx.cmd' : 'npx';
+// npm install shared by every JS/TS runner. Lifecycle scripts stay disabled,
+// so runners that need a binary (Cypress) install it explicitly afterwards.
+async function installNpmDependencies(tempDir, sendEvent) {
+  sendEvent('status', 'Installing npm dependencies...');
 
   const npmInstall = spawn(npmCmd, ['install', '--no-audit', '--no-fund', '--ignore-scripts'], { cwd: tempDir });
   npmInstall.stdout.on('data', (d) => sendEvent('pip', d.toString()));
@@ -962,6 +1567,19 @@ async function runJavaScriptTests(tempDir, files, selectedBrowser, headed, slowM
     npmInstall.on('close', (code) => code === 0 ? resolve() : reject(new Error(`npm install failed with code ${code}`)));
     npmInstall.on('error', reject);
   });
+}
+
+// Read every JUnit-style XML file in a report directory (missing dir -> none)
+async function readXmlReports(reportDir) {
+  const { readdir } = await import('fs/promises');
+  const dirFiles = await readdir(reportDir).catch(() => []);
+  const xmlFiles = dirFiles.filter(f => f.endsWith('.xml'));
+  return Promise.all(xmlFiles.map(f => readFile(join(reportDir, f), 'utf-8')));
+}
+
+// JavaScript (Playwright) test execution
+async function runJavaScriptTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv = {}) {
+  await installNpmDependencies(tempDir, sendEvent);
 
   sendEvent('status', `Installing Playwright ${selectedBrowser} browser...`);
   const pwInstall = spawn(npx, ['playwright', 'install', selectedBrowser], { cwd: tempDir });
@@ -977,6 +1595,7 @@ async function runJavaScriptTests(tempDir, files, selectedBrowser, headed, slowM
   const reportPath = join(tempDir, 'report.json');
   const testEnv = {
     ...process.env,
+    ...credentialEnv,
     BROWSER: selectedBrowser,
     HEADED: headed ? 'true' : 'false',
     SLOWMO: String(slowMoMs),
@@ -1056,10 +1675,112 @@ function normalizePlaywrightJson(report) {
   };
 }
 
+// Cypress browser names for the UI's browser choices. Electron ships inside the
+// Cypress binary, so it stands in for Chromium; WebKit is not supported.
+const CYPRESS_BROWSERS = { chromium: 'electron', firefox: 'firefox' };
+
+// Cypress test execution (JUnit reporter, one XML file per spec)
+async function runCypressTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv = {}) {
+  await installNpmDependencies(tempDir, sendEvent);
+
+  // --ignore-scripts skipped Cypress's postinstall, which downloads its binary
+  sendEvent('status', 'Installing Cypress binary...');
+  const cyInstall = spawn(npx, ['cypress', 'install'], { cwd: tempDir });
+  cyInstall.stdout.on('data', (d) => sendEvent('pip', d.toString()));
+  cyInstall.stderr.on('data', (d) => sendEvent('pip', d.toString()));
+  await new Promise((resolve) => {
+    cyInstall.on('close', () => resolve());
+    cyInstall.on('error', () => resolve());
+  });
+
+  const cyBrowser = CYPRESS_BROWSERS[selectedBrowser];
+  if (!cyBrowser) {
+    sendEvent('status', `Cypress does not support ${selectedBrowser}; running on Electron instead`);
+  }
+  if (slowMoMs > 0) {
+    sendEvent('status', 'Cypress has no slow-mo option; ignoring it');
+  }
+  sendEvent('status', `Running tests on ${cyBrowser || 'electron'}${headed ? ' (headed)' : ''}...`);
+
+  const reportDir = join(tempDir, 'junit-reports');
+  const cyArgs = [
+    'cypress', 'run',
+    '--browser', cyBrowser || 'electron',
+    '--reporter', 'junit',
+    '--reporter-options', `mochaFile=${join(reportDir, 'results-[hash].xml')},toConsole=false`
+  ];
+  if (headed) cyArgs.push('--headed');
+
+  // Cypress.env() only sees variables prefixed with CYPRESS_
+  const cypressCredentials = Object.fromEntries(Object.entries(credentialEnv).map(([k, v]) => [`CYPRESS_${k}`, v]));
+  const testProcess = spawn(npx, cyArgs, { cwd: tempDir, env: { ...process.env, ...credentialEnv, ...cypressCredentials, CI: '1' } });
+  testProcess.stdout.on('data', (d) => sendEvent('test', d.toString()));
+  testProcess.stderr.on('data', (d) => sendEvent('test', d.toString()));
+
+  const code = await runWithTimeout(testProcess).catch(err => {
+    sendEvent('error', err.message);
+    return -1;
+  });
+
+  try {
+    const xmlContents = await readXmlReports(reportDir);
+    if (xmlContents.length) sendEvent('report', parseSurefireReports(xmlContents));
+  } catch (e) {
+    console.log('Could not read Cypress JUnit reports:', e.message);
+  }
+  sendEvent('complete', { exitCode: code });
+}
+
+// WebdriverIO test execution. The generated wdio.conf writes JUnit XML to
+// WDIO_JUNIT_DIR, which is parsed the same way as Surefire output.
+async function runWebdriverIOTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv = {}) {
+  await installNpmDependencies(tempDir, sendEvent);
+
+  const configFile = files
+    .map(f => (f.name || '').split('/').pop())
+    .find(n => /^wdio\.conf\.(js|mjs|cjs|ts)$/.test(n)) || 'wdio.conf.js';
+
+  // WebdriverIO drives Chrome or Firefox; WebKit has no Linux driver
+  const wdioBrowser = selectedBrowser === 'firefox' ? 'firefox' : 'chromium';
+  if (wdioBrowser !== selectedBrowser) {
+    sendEvent('status', `WebdriverIO does not support ${selectedBrowser}; running on Chrome instead`);
+  }
+  sendEvent('status', `Running tests on ${wdioBrowser}${headed ? ' (headed)' : ''}...`);
+
+  const reportDir = join(tempDir, 'junit-reports');
+  const testEnv = {
+    ...process.env,
+    ...credentialEnv,
+    BROWSER: wdioBrowser,
+    HEADED: headed ? 'true' : 'false',
+    SLOWMO: String(slowMoMs),
+    WDIO_JUNIT_DIR: reportDir,
+    CI: '1'
+  };
+
+  const testProcess = spawn(npx, ['wdio', 'run', `./${configFile}`], { cwd: tempDir, env: testEnv });
+  testProcess.stdout.on('data', (d) => sendEvent('test', d.toString()));
+  testProcess.stderr.on('data', (d) => sendEvent('test', d.toString()));
+
+  const code = await runWithTimeout(testProcess).catch(err => {
+    sendEvent('error', err.message);
+    return -1;
+  });
+
+  try {
+    const xmlContents = await readXmlReports(reportDir);
+    if (xmlContents.length) sendEvent('report', parseSurefireReports(xmlContents));
+  } catch (e) {
+    console.log('Could not read WebdriverIO JUnit reports:', e.message);
+  }
+  sendEvent('complete', { exitCode: code });
+}
+
 // Java (Maven + Playwright) test execution
-async function runJavaTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent) {
+async function runJavaTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv = {}) {
   const testEnv = {
     ...process.env,
+    ...credentialEnv,
     BROWSER: selectedBrowser,
     HEADED: headed ? 'true' : 'false',
     SLOWMO: String(slowMoMs),
@@ -1120,7 +1841,9 @@ async function runJavaTests(tempDir, files, selectedBrowser, headed, slowMoMs, s
   });
 }
 
-// Parse Surefire XML reports (one per test class) to common report shape
+// Parse Surefire XML reports (one per test class) to common report shape.
+// Also used for the Cypress and WebdriverIO JUnit reporters, which emit the
+// same <testcase> structure.
 function parseSurefireReports(xmlContents) {
   const tests = [];
   let total = 0, passed = 0, failed = 0, skipped = 0, totalDuration = 0;
@@ -1173,7 +1896,7 @@ function parseSurefireReports(xmlContents) {
 }
 
 // C# test execution
-async function runCSharpTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent) {
+async function runCSharpTests(tempDir, files, selectedBrowser, headed, slowMoMs, sendEvent, credentialEnv = {}) {
   // Find the .csproj file
   const csprojFile = files.find(f => f.name.endsWith('.csproj'));
   if (!csprojFile) {
@@ -1289,6 +2012,7 @@ async function runCSharpTests(tempDir, files, selectedBrowser, headed, slowMoMs,
   // Set environment variables for browser and headed mode
   const testEnv = {
     ...process.env,
+    ...credentialEnv,
     BROWSER: selectedBrowser,
     HEADED: headed ? 'true' : 'false',
     SLOWMO: String(slowMoMs)
@@ -0,0 +1,1616 @@
+import { normalizeLanguage, SUPPORTED_FRAMEWORKS } from "./prompts.js";
+
+// Deterministic skeleton frameworks built from the page analysis alone, for
+// the offline "template" provider. Every stack follows the file layout
+// getLanguagePrompt asks a model for: config files, one page object per
+// analyzed page, and smoke tests that each page loads with its title and that
+// its visible form fields render. Same analysis in, same files out.
+
+const MAX_PAGES = 12;
+const MAX_FIELDS = 5;
+const FIELD_TAGS = ['input', 'select', 'textarea'];
+// Roles that map onto Playwright's AriaRole enum in every language
+const ARIA_ROLES = new Set(['textbox', 'searchbox', 'spinbutton', 'slider', 'checkbox', 'radio', 'combobox', 'listbox', 'switch']);
+
+// --- Page model --------------------------------------------------------------------
+
+// Double-quoted string literal; valid in Python, JS/TS, Java and C#
+const str = (value) => JSON.stringify(String(value));
+const regexLiteral = (text) => `/${text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}/`;
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+function nameWords(pathname) {
+  const words = pathname.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).slice(-3);
+  if (!words.length) return ['home'];
+  return /^\d/.test(words[0]) ? ['page', ...words] : words;
+}
+
+function formField(element) {
+  const { locator } = element;
+  return {
+    description: element.label || element.name || element.fieldName || element.id || element.css,
+    css: locator.css,
+    unique: locator.unique,
+    strategy: locator.strategy === 'testid' && locator.attribute !== 'data-testid' ? 'css' : locator.strategy,
+    role: locator.role,
+    value: locator.value
+  };
+}
+
+// One entry per analyzed page (crawled pages, else the single target page)
+function skeletonPages(targetUrl, analysis) {
+  const source = analysis?.pages?.length
+    ? analysis.pages
+    : [{ url: targetUrl, title: analysis?.fetched ? analysis.title : '', elements: analysis?.elements || [] }];
+  const taken = new Set();
+  return source.slice(0, MAX_PAGES).map((page) => {
+    const url = new URL(page.url || targetUrl, targetUrl);
+    let words = nameWords(url.pathname);
+    for (let n = 2; taken.has(words.join('_')); n++) words = [...nameWords(url.pathname), String(n)];
+    taken.add(words.join('_'));
+    const fields = (page.elements || [])
+      .filter((e) => FIELD_TAGS.includes(e.tag) && e.role !== 'button' && e.locator?.css)
+      .slice(0, MAX_FIELDS)
+      .map(formField);
+    return {
+      name: words.map(capitalize).join(''),
+      snake: words.join('_'),
+      camel: words[0] + words.slice(1).map(capitalize).join(''),
+      label: words.join(' '),
+      url: url.href,
+      route: `${url.pathname}${url.search}`,
+      host: url.host,
+      title: page.title || '',
+      fields
+    };
+  });
+}
+
+// --- Locators ----------------------------------------------------------------------
+
+// Playwright locator for a form field in the recommended strategy (testid >
+// role+name > label > css), taking the first match when it is not unique
+function playwrightLocator(field, lang, page) {
+  const role = field.strategy === 'role' && ARIA_ROLES.has(field.role) ? field.role : null;
+  const strategy = field.strategy === 'role' && !role ? 'css' : field.strategy;
+  let expr;
+  if (lang === 'python') {
+    expr = {
+      testid: `${page}.get_by_test_id(${str(field.value)})`,
+      role: `${page}.get_by_role(${str(role)}, name=${str(field.value)}, exact=True)`,
+      label: `${page}.get_by_label(${str(field.value)}, exact=True)`,
+      css: `${page}.locator(${str(field.css)})`
+    }[strategy];
+    return field.unique ? expr : `${expr}.first`;
+  }
+  if (lang === 'java') {
+    expr = {
+      testid: `${page}.getByTestId(${str(field.value)})`,
+      role: `${page}.getByRole(AriaRole.${role?.toUpperCase()}, new Page.GetByRoleOptions().setName(${str(field.value)}).setExact(true))`,
+      label: `${page}.getByLabel(${str(field.value)}, new Page.GetByLabelOptions().setExact(true))`,
+      css: `${page}.locator(${str(field.css)})`
+    }[strategy];
+    return field.unique ? expr : `${expr}.first()`;
+  }
+  if (lang === 'csharp') {
+    expr = {
+      testid: `${page}.GetByTestId(${str(field.value)})`,
+      role: `${page}.GetByRole(AriaRole.${role && capitalize(role)}, new() { Name = ${str(field.value)}, Exact = true })`,
+      label: `${page}.GetByLabel(${str(field.value)}, new() { Exact = true })`,
+      css: `${page}.Locator(${str(field.css)})`
+    }[strategy];
+    return field.unique ? expr : `${expr}.First`;
+  }
+  expr = {
+    testid: `${page}.getByTestId(${str(field.value)})`,
+    role: `${page}.getByRole(${str(role)}, { name: ${str(field.value)}, exact: true })`,
+    label: `${page}.getByLabel(${str(field.value)}, { exact: true })`,
+    css: `${page}.locator(${str(field.css)})`
+  }[strategy];
+  return field.unique ? expr : `${expr}.first()`;
+}
+
+const usesAriaRole = (page) => page.fields.some((f) => f.strategy === 'role' && ARIA_ROLES.has(f.role));
+
+// --- Shared project files ----------------------------------------------------------
+
+const ENV_FILE = 'BROWSER=chromium\nHEADED=false\n';
+
+// Makefile with the .env include and one target per browser / headed combo.
+// command({ browser, headed }) gets make expressions or literal overrides.
+function makefile(browsers, command, prelude = '') {
+  const targets = [['test', {}]];
+  for (const browser of browsers) targets.push([`test-${browser}`, { browser }]);
+  targets.push(['test-headed', { headed: true }]);
+  for (const browser of browsers.filter((b) => b !== 'chromium')) targets.push([`test-${browser}-headed`, { browser, headed: true }]);
+  return `ifneq (,$(wildcard .env))
+  include .env
+  export
+endif
+BROWSER ?= chromium
+HEADED ?= false
+${prelude}
+.PHONY: ${targets.map(([name]) => name).join(' ')}
+${targets.map(([name, opts]) => `${name}:\n\t${command(opts)}`).join('\n')}
+`;
+}
+
+function readme({ stack, targetUrl, prerequisites, install, run, switching, paths }) {
+  return `# ${stack} smoke tests
+
+Skeleton test framework for ${targetUrl}, generated offline from the page analysis: one page object per analyzed page and smoke tests for page titles and visible form fields. Extend it with real user journeys.
+
+## Prerequisites
+
+${prerequisites.map((p) => `- ${p}`).join('\n')}
+
+## Install
+
+\`\`\`bash
+${install}
+\`\`\`
+
+## Run the tests
+
+\`\`\`bash
+${run}
+\`\`\`
+
+## Browser and headed mode
+
+Defaults live in \`.env\` (\`BROWSER\`, \`HEADED\`). One-off overrides:
+
+\`\`\`bash
+${switching}
+\`\`\`
+
+## Project structure
+
+\`\`\`
+${paths.join('\n')}
+\`\`\`
+`;
+}
+
+// --- Python ------------------------------------------------------------------------
+
+function pythonMakefile(browsers) {
+  return makefile(browsers, ({ browser = '$(BROWSER)', headed }) => `pytest --browser=${browser} ${headed ? '--headed' : '$(HEADED_FLAG)'}`,
+    'HEADED_FLAG := $(if $(filter true,$(HEADED)),--headed,)\n');
+}
+
+function pythonLoadedCheck(page, title, url) {
+  return page.title ? `return ${str(page.title)} in ${title}` : `return ${str(page.host)} in ${url}`;
+}
+
+function pythonPlaywrightPage(page) {
+  const fields = page.fields.map((f) => `            ${playwrightLocator(f, 'python', 'self.page')},`);
+  return `from playwright.sync_api import Page
+
+
+class ${page.name}Page:
+    URL = ${str(page.url)}
+
+    def __init__(self, page: Page):
+        self.page = page
+
+    def open(self):
+        self.page.goto(self.URL)
+
+    def form_fields(self):
+        return [${fields.length ? `\n${fields.join('\n')}\n        ` : ''}]
+
+    def is_loaded(self):
+        ${pythonLoadedCheck(page, 'self.page.title()', 'self.page.url')}
+`;
+}
+
+function pythonPlaywrightConftest(targetUrl) {
+  return `import pytest
+
+
+@pytest.fixture(scope="session")
+def base_url():
+    return ${str(targetUrl)}
+`;
+}
+
+function pythonPlaywright({ targetUrl, pages }) {
+  const files = [
+    { path: 'requirements.txt', content: 'playwright\npytest\npytest-playwright\npytest-json-report\n', responsibility: 'Python dependencies' },
+    { path: '.env', content: ENV_FILE, responsibility: 'Default browser and headed mode' },
+    { path: 'Makefile', content: pythonMakefile(['chromium', 'firefox', 'webkit']), responsibility: 'make targets per browser and headed mode' },
+    { path: 'conftest.py', content: pythonPlaywrightConftest(targetUrl), responsibility: 'Session-scoped base_url fixture' },
+    { path: 'pages/__init__.py', content: '', responsibility: 'Page object package' }
+  ];
+  for (const page of pages) {
+    files.push({ path: `pages/${page.snake}_page.py`, content: pythonPlaywrightPage(page), responsibility: `${page.name}Page for ${page.route}` });
+    const formTest = page.fields.length ? `
+
+def test_${page.snake}_form_fields_visible(page: Page):
+    ${page.snake}_page = ${page.name}Page(page)
+    ${page.snake}_page.open()
+    for field in ${page.snake}_page.form_fields():
+        expect(field).to_be_visible()
+` : '';
+    files.push({
+      path: `tests/test_${page.snake}.py`,
+      responsibility: `Smoke tests for ${page.route}`,
+      content: `from playwright.sync_api import Page, expect
+
+from pages.${page.snake}_page import ${page.name}Page
+
+
+def test_${page.snake}_page_loads(page: Page):
+    ${page.snake}_page = ${page.name}Page(page)
+    ${page.snake}_page.open()
+    assert ${page.snake}_page.is_loaded()
+${formTest}`
+    });
+  }
+  return {
+    files,
+    readme: {
+      prerequisites: ['Python 3.10+'],
+      install: 'python -m venv venv && source venv/bin/activate\npip install -r requirements.txt\nplaywright install chromium',
+      run: 'make test\n# or directly\npytest',
+      switching: 'make test-firefox\nmake test-headed\npytest --browser=firefox --headed'
+    }
+  };
+}
+
+function pythonSeleniumPage(page) {
+  const fields = page.fields.map((f) => `        (By.CSS_SELECTOR, ${str(f.css)}),`);
+  return `from selenium.common.exceptions import TimeoutException
+from selenium.webdriver.common.by import By
+from selenium.webdriver.support import expected_conditions as EC
+from selenium.webdriver.support.ui import WebDriverWait
+
+
+class ${page.name}Page:
+    URL = ${str(page.url)}
+    FORM_FIELDS = [${fields.length ? `\n${fields.join('\n')}\n    ` : ''}]
+
+    def __init__(self, driver):
+        self.driver = driver
+        self.wait = WebDriverWait(driver, 10)
+
+    def open(self):
+        self.driver.get(self.URL)
+
+    def is_loaded(self):
+        try:
+            self.wait.until(${page.title ? `EC.title_contains(${str(page.title)})` : `EC.url_contains(${str(page.host)})`})
+            return True
+        except TimeoutException:
+            return False
+
+    def form_fields_visible(self):
+        try:
+            for locator in self.FORM_FIELDS:
+                self.wait.until(EC.visibility_of_element_located(locator))
+            return True
+        except TimeoutException:
+            return False
+`;
+}
+
+function pythonSelenium({ targetUrl, pages }) {
+  const conftest = `import pytest
+from selenium import webdriver
+
+
+def pytest_addoption(parser):
+    parser.addoption("--browser", default="chromium")
+    parser.addoption("--headed", action="store_true")
+    parser.addoption("--slowmo", type=int, default=0)
+
+
+@pytest.fixture(scope="session")
+def base_url():
+    return ${str(targetUrl)}
+
+
+@pytest.fixture
+def driver(request):
+    browser = request.config.getoption("--browser")
+    headed = request.config.getoption("--headed")
+    if browser == "firefox":
+        options = webdriver.FirefoxOptions()
+        if not headed:
+            options.add_argument("-headless")
+        driver = webdriver.Firefox(options=options)
+    else:
+        options = webdriver.ChromeOptions()
+        if not headed:
+            options.add_argument("--headless=new")
+        driver = webdriver.Chrome(options=options)
+    driver.set_window_size(1920, 1080)
+    yield driver
+    driver.quit()
+`;
+  const files = [
+    { path: 'requirements.txt', content: 'selenium>=4.21\npytest\npytest-json-report\n', responsibility: 'Python dependencies' },
+    { path: '.env', content: ENV_FILE, responsibility: 'Default browser and headed mode' },
+    { path: 'Makefile', content: pythonMakefile(['chromium', 'firefox']), responsibility: 'make targets per browser and headed mode' },
+    { path: 'conftest.py', content: conftest, responsibility: 'Command line options, base_url and driver fixtures' },
+    { path: 'pages/__init__.py', content: '', responsibility: 'Page object package' }
+  ];
+  for (const page of pages) {
+    files.push({ path: `pages/${page.snake}_page.py`, content: pythonSeleniumPage(page), responsibility: `${page.name}Page for ${page.route}` });
+    const formTest = page.fields.length ? `
+
+def test_${page.snake}_form_fields_visible(driver):
+    ${page.snake}_page = ${page.name}Page(driver)
+    ${page.snake}_page.open()
+    assert ${page.snake}_page.form_fields_visible()
+` : '';
+    files.push({
+      path: `tests/test_${page.snake}.py`,
+      responsibility: `Smoke tests for ${page.route}`,
+      content: `from pages.${page.snake}_page import ${page.name}Page
+
+
+def test_${page.snake}_page_loads(driver):
+    ${page.snake}_page = ${page.name}Page(driver)
+    ${page.snake}_page.open()
+    assert ${page.snake}_page.is_loaded()
+${formTest}`
+    });
+  }
+  return {
+    files,
+    readme: {
+      prerequisites: ['Python 3.10+', 'Chrome or Firefox (drivers come from Selenium Manager)'],
+      install: 'python -m venv venv && source venv/bin/activate\npip install -r requirements.txt',
+      run: 'make test\n# or directly\npytest',
+      switching: 'make test-firefox\nmake test-headed\npytest --browser=firefox --headed'
+    }
+  };
+}
+
+function pythonPytestBdd({ targetUrl, pages }) {
+  const files = [
+    { path: 'requirements.txt', content: 'playwright\npytest\npytest-playwright\npytest-bdd\npytest-json-report\n', responsibility: 'Python dependencies' },
+    { path: '.env', content: ENV_FILE, responsibility: 'Default browser and headed mode' },
+    { path: 'Makefile', content: pythonMakefile(['chromium', 'firefox', 'webkit']), responsibility: 'make targets per browser and headed mode' },
+    { path: 'conftest.py', content: pythonPlaywrightConftest(targetUrl), responsibility: 'Session-scoped base_url fixture' },
+    { path: 'pages/__init__.py', content: '', responsibility: 'Page object package' }
+  ];
+  for (const page of pages) {
+    files.push({ path: `features/${page.snake}.feature`, responsibility: `Scenarios for ${page.route}`, content: gherkinFeature(page) });
+    files.push({ path: `pages/${page.snake}_page.py`, content: pythonPlaywrightPage(page), responsibility: `${page.name}Page for ${page.route}` });
+    const formStep = page.fields.length ? `
+
+@then("the ${page.label} form fields are visible")
+def ${page.snake}_form_fields_visible(${page.snake}_page):
+    for field in ${page.snake}_page.form_fields():
+        expect(field).to_be_visible()
+` : '';
+    files.push({
+      path: `tests/test_${page.snake}.py`,
+      responsibility: `Step definitions for features/${page.snake}.feature`,
+      content: `from playwright.sync_api import Page, expect
+from pytest_bdd import given, scenarios, then
+
+from pages.${page.snake}_page import ${page.name}Page
+
+scenarios("../features/${page.snake}.feature")
+
+
+@given("I open the ${page.label} page", target_fixture="${page.snake}_page")
+def open_${page.snake}_page(page: Page):
+    ${page.snake}_page = ${page.name}Page(page)
+    ${page.snake}_page.open()
+    return ${page.snake}_page
+
+
+@then("the ${page.label} page is loaded")
+def ${page.snake}_page_is_loaded(${page.snake}_page):
+    assert ${page.snake}_page.is_loaded()
+${formStep}`
+    });
+  }
+  return {
+    files,
+    readme: {
+      prerequisites: ['Python 3.10+'],
+      install: 'python -m venv venv && source venv/bin/activate\npip install -r requirements.txt\nplaywright install chromium',
+      run: 'make test\n# or directly\npytest\n# scenarios live in features/*.feature',
+      switching: 'make test-firefox\nmake test-headed\npytest --browser=firefox --headed'
+    }
+  };
+}
+
+function gherkinFeature(page) {
+  const form = page.fields.length ? `
+
+  Scenario: The ${page.label} form is shown
+    Given I open the ${page.label} page
+    Then the ${page.label} form fields are visible` : '';
+  return `Feature: ${capitalize(page.label)} page
+  Smoke checks for ${page.route}
+
+  Scenario: The ${page.label} page loads
+    Given I open the ${page.label} page
+    Then the ${page.label} page is loaded${form}
+`;
+}
+
+// --- Java --------------------------------------------------------------------------
+
+const MAVEN_PLUGINS = (configuration) => `  <build>
+    <plugins>
+      <plugin>
+        <groupId>org.apache.maven.plugins</groupId>
+        <artifactId>maven-compiler-plugin</artifactId>
+        <version>3.13.0</version>
+      </plugin>
+      <plugin>
+        <groupId>org.apache.maven.plugins</groupId>
+        <artifactId>maven-surefire-plugin</artifactId>
+        <version>3.2.5</version>
+        <configuration>
+${configuration}
+          <environmentVariables>
+            <BROWSER>\${env.BROWSER}</BROWSER>
+            <HEADED>\${env.HEADED}</HEADED>
+            <SLOWMO>\${env.SLOWMO}</SLOWMO>
+          </environmentVariables>
+        </configuration>
+      </plugin>
+    </plugins>
+  </build>`;
+
+function pom(dependencies, surefireConfiguration) {
+  const deps = dependencies.map(([groupId, artifactId, version, scope]) => `    <dependency>
+      <groupId>${groupId}</groupId>
+      <artifactId>${artifactId}</artifactId>
+      <version>${version}</version>${scope ? `\n      <scope>${scope}</scope>` : ''}
+    </dependency>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 http://maven.apache.org/xsd/maven-4.0.0.xsd">
+  <modelVersion>4.0.0</modelVersion>
+  <groupId>com.example</groupId>
+  <artifactId>qa-framework</artifactId>
+  <version>1.0.0</version>
+  <packaging>jar</packaging>
+
+  <properties>
+    <maven.compiler.source>17</maven.compiler.source>
+    <maven.compiler.target>17</maven.compiler.target>
+    <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>
+  </properties>
+
+  <dependencies>
+${deps.join('\n')}
+  </dependencies>
+
+${MAVEN_PLUGINS(surefireConfiguration)}
+</project>
+`;
+}
+
+const javaMakefile = (browsers) => makefile(browsers, ({ browser = '$(BROWSER)', headed }) => `BROWSER=${browser} HEADED=${headed ? 'true' : '$(HEADED)'} mvn -q test`);
+
+const JAVA_README = {
+  install: 'mvn install -DskipTests',
+  run: 'make test\n# or directly\nmvn test',
+  switching: 'make test-firefox\nmake test-headed\nBROWSER=firefox mvn test'
+};
+
+function javaLoadedCheck(page, title, url) {
+  return page.title ? `${title}.contains(${str(page.title)})` : `${url}.contains(${str(page.host)})`;
+}
+
+function javaPlaywrightPage(page) {
+  const fields = page.fields.map((f) => `            ${playwrightLocator(f, 'java', 'page')}`);
+  return `package pages;
+
+import com.microsoft.playwright.Locator;
+import com.microsoft.playwright.Page;
+${usesAriaRole(page) ? 'import com.microsoft.playwright.options.AriaRole;\n' : ''}import java.util.List;
+
+public class ${page.name}Page {
+    public static final String URL = ${str(page.url)};
+
+    private final Page page;
+
+    public ${page.name}Page(Page page) {
+        this.page = page;
+    }
+
+    public void open() {
+        page.navigate(URL);
+    }
+
+    public List<Locator> formFields() {
+        return List.of(${fields.length ? `\n${fields.join(',\n')}\n        ` : ''});
+    }
+
+    public boolean isLoaded() {
+        return ${javaLoadedCheck(page, 'page.title()', 'page.url()')};
+    }
+}
+`;
+}
+
+function javaPlaywright({ pages }) {
+  const files = [
+    {
+      path: 'pom.xml',
+      responsibility: 'Maven build with Playwright and JUnit 5',
+      content: pom([
+        ['com.microsoft.playwright', 'playwright', '1.48.0'],
+        ['org.junit.jupiter', 'junit-jupiter', '5.10.2', 'test']
+      ], '          <useModulePath>false</useModulePath>')
+    },
+    { path: '.env', content: ENV_FILE, responsibility: 'Default browser and headed mode' },
+    { path: 'Makefile', content: javaMakefile(['chromium', 'firefox', 'webkit']), responsibility: 'make targets per browser and headed mode' }
+  ];
+  for (const page of pages) {
+    files.push({ path: `src/main/java/pages/${page.name}Page.java`, content: javaPlaywrightPage(page), responsibility: `${page.name}Page for ${page.route}` });
+    const formTest = page.fields.length ? `
+
+    @Test
+    void formFieldsAreVisible() {
+        ${page.name}Page ${page.camel}Page = new ${page.name}Page(page);
+        ${page.camel}Page.open();
+        for (Locator field : ${page.camel}Page.formFields()) {
+            assertThat(field).isVisible();
+        }
+    }` : '';
+    files.push({
+      path: `src/test/java/tests/${page.name}PageTest.java`,
+      responsibility: `Smoke tests for ${page.route}`,
+      content: `package tests;
+
+import com.microsoft.playwright.Browser;
+import com.microsoft.playwright.BrowserContext;
+import com.microsoft.playwright.BrowserType;
+import com.microsoft.playwright.Locator;
+import com.microsoft.playwright.Page;
+import com.microsoft.playwright.Playwright;
+import org.junit.jupiter.api.AfterAll;
+import org.junit.jupiter.api.AfterEach;
+import org.junit.jupiter.api.BeforeAll;
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import pages.${page.name}Page;
+
+import static com.microsoft.playwright.assertions.PlaywrightAssertions.assertThat;
+import static org.junit.jupiter.api.Assertions.assertTrue;
+
+class ${page.name}PageTest {
+    static Playwright playwright;
+    static Browser browser;
+    BrowserContext context;
+    Page page;
+
+    @BeforeAll
+    static void setUp() {
+        playwright = Playwright.create();
+        String name = System.getenv().getOrDefault("BROWSER", "chromium");
+        boolean headed = "true".equals(System.getenv("HEADED"));
+        double slowMo = 0;
+        try { slowMo = Double.parseDouble(System.getenv("SLOWMO")); } catch (Exception ignore) {}
+        BrowserType type = switch (name) {
+            case "firefox" -> playwright.firefox();
+            case "webkit" -> playwright.webkit();
+            default -> playwright.chromium();
+        };
+        browser = type.launch(new BrowserType.LaunchOptions().setHeadless(!headed).setSlowMo(slowMo));
+    }
+
+    @AfterAll
+    static void tearDown() {
+        browser.close();
+        playwright.close();
+    }
+
+    @BeforeEach
+    void createPage() {
+        context = browser.newContext();
+        page = context.newPage();
+    }
+
+    @AfterEach
+    void closePage() {
+        context.close();
+    }
+
+    @Test
+    void pageLoads() {
+        ${page.name}Page ${page.camel}Page = new ${page.name}Page(page);
+        ${page.camel}Page.open();
+        assertTrue(${page.camel}Page.isLoaded());
+    }${formTest}
+}
+`
+    });
+  }
+  return { files, readme: { prerequisites: ['JDK 17+', 'Maven 3.8+'], ...JAVA_README } };
+}
+
+function javaSeleniumPage(page) {
+  const fields = page.fields.map((f) => `            By.cssSelector(${str(f.css)})`);
+  return `package pages;
+
+import java.time.Duration;
+import java.util.List;
+import org.openqa.selenium.By;
+import org.openqa.selenium.TimeoutException;
+import org.openqa.selenium.WebDriver;
+import org.openqa.selenium.support.ui.ExpectedConditions;
+import org.openqa.selenium.support.ui.WebDriverWait;
+
+public class ${page.name}Page {
+    public static final String URL = ${str(page.url)};
+    private static final List<By> FORM_FIELDS = List.of(${fields.length ? `\n${fields.join(',\n')}\n    ` : ''});
+
+    private final WebDriver driver;
+    private final WebDriverWait wait;
+
+    public ${page.name}Page(WebDriver driver) {
+        this.driver = driver;
+        this.wait = new WebDriverWait(driver, Duration.ofSeconds(10));
+    }
+
+    public void open() {
+        driver.get(URL);
+    }
+
+    public boolean isLoaded() {
+        try {
+            wait.until(${page.title ? `ExpectedConditions.titleContains(${str(page.title)})` : `ExpectedConditions.urlContains(${str(page.host)})`});
+            return true;
+        } catch (TimeoutException e) {
+            return false;
+        }
+    }
+
+    public boolean formFieldsVisible() {
+        try {
+            for (By field : FORM_FIELDS) {
+                wait.until(ExpectedConditions.visibilityOfElementLocated(field));
+            }
+            return true;
+        } catch (TimeoutException e) {
+            return false;
+        }
+    }
+}
+`;
+}
+
+const SELENIUM_DRIVER_FACTORY = `package support;
+
+import org.openqa.selenium.Dimension;
+import org.openqa.selenium.WebDriver;
+import org.openqa.selenium.chrome.ChromeDriver;
+import org.openqa.selenium.chrome.ChromeOptions;
+import org.openqa.selenium.firefox.FirefoxDriver;
+import org.openqa.selenium.firefox.FirefoxOptions;
+import org.openqa.selenium.safari.SafariDriver;
+
+public final class DriverFactory {
+    private DriverFactory() {
+    }
+
+    public static WebDriver create() {
+        String name = System.getenv().getOrDefault("BROWSER", "chromium");
+        boolean headed = "true".equals(System.getenv("HEADED"));
+        WebDriver driver;
+        if ("firefox".equals(name)) {
+            FirefoxOptions options = new FirefoxOptions();
+            if (!headed) options.addArguments("-headless");
+            driver = new FirefoxDriver(options);
+        } else if ("webkit".equals(name) && System.getProperty("os.name").toLowerCase().contains("mac")) {
+            driver = new SafariDriver();
+        } else {
+            ChromeOptions options = new ChromeOptions();
+            if (!headed) options.addArguments("--headless=new");
+            driver = new ChromeDriver(options);
+        }
+        driver.manage().window().setSize(new Dimension(1920, 1080));
+        return driver;
+    }
+}
+`;
+
+const SELENIUM_DEPENDENCY = ['org.seleniumhq.selenium', 'selenium-java', '4.21.0'];
+const SELENIUM_README = { prerequisites: ['JDK 17+', 'Maven 3.8+', 'Chrome or Firefox (drivers come from Selenium Manager)'], ...JAVA_README };
+
+function javaSeleniumBase(dependencies, surefireConfiguration) {
+  return [
+    { path: 'pom.xml', content: pom([SELENIUM_DEPENDENCY, ...dependencies], surefireConfiguration), responsibility: 'Maven build with Selenium' },
+    { path: '.env', content: ENV_FILE, responsibility: 'Default browser and headed mode' },
+    { path: 'Makefile', content: javaMakefile(['chromium', 'firefox']), responsibility: 'make targets per browser and headed mode' },
+    { path: 'src/test/java/support/DriverFactory.java', content: SELENIUM_DRIVER_FACTORY, responsibility: 'WebDriver from BROWSER / HEADED' }
+  ];
+}
+
+// Test methods shared by the JUnit and TestNG Selenium stacks
+function seleniumTestMethods(page, annotation) {
+  const form = page.fields.length ? `
+
+    ${annotation}
+    public void formFieldsAreVisible() {
+        ${page.name}Page ${page.camel}Page = new ${page.name}Page(driver);
+        ${page.camel}Page.open();
+        assertTrue(${page.camel}Page.formFieldsVisible());
+    }` : '';
+  return `    ${annotation}
+    public void pageLoads() {
+        ${page.name}Page ${page.camel}Page = new ${page.name}Page(driver);
+        ${page.camel}Page.open();
+        assertTrue(${page.camel}Page.isLoaded());
+    }${form}`;
+}
+
+function javaJUnit({ pages }) {
+  const files = javaSeleniumBase([['org.junit.jupiter', 'junit-jupiter', '5.10.2', 'test']], '          <useModulePath>false</useModulePath>');
+  for (const page of pages) {
+    files.push({ path: `src/main/java/pages/${page.name}Page.java`, content: javaSeleniumPage(page), responsibility: `${page.name}Page for ${page.route}` });
+    files.push({
+      path: `src/test/java/tests/${page.name}PageTest.java`,
+      responsibility: `Smoke tests for ${page.route}`,
+      content: `package tests;
+
+import org.junit.jupiter.api.AfterEach;
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import org.openqa.selenium.WebDriver;
+import pages.${page.name}Page;
+import support.DriverFactory;
+
+import static org.junit.jupiter.api.Assertions.assertTrue;
+
+class ${page.name}PageTest {
+    private WebDriver driver;
+
+    @BeforeEach
+    void setUp() {
+        driver = DriverFactory.create();
+    }
+
+    @AfterEach
+    void tearDown() {
+        driver.quit();
+    }
+
+${seleniumTestMethods(page, '@Test')}
+}
+`
+    });
+  }
+  return { files, readme: SELENIUM_README };
+}
+
+function javaTestNG({ pages }) {
+  const files = javaSeleniumBase([['org.testng', 'testng', '7.10.2', 'test']], `          <suiteXmlFiles>
+            <suiteXmlFile>testng.xml</suiteXmlFile>
+          </suiteXmlFiles>`);
+  files.push({
+    path: 'testng.xml',
+    responsibility: 'TestNG suite listing every test class',
+    content: `<!DOCTYPE suite SYSTEM "https://testng.org/testng-1.0.dtd">
+<suite name="Smoke">
+  <test name="Smoke">
+    <classes>
+${pages.map((p) => `      <class name="tests.${p.name}PageTest"/>`).join('\n')}
+    </classes>
+  </test>
+</suite>
+`
+  });
+  files.push({
+    path: 'src/test/java/tests/BaseTest.java',
+    responsibility: 'Creates and quits the driver around every test',
+    content: `package tests;
+
+import org.openqa.selenium.WebDriver;
+import org.testng.annotations.AfterMethod;
+import org.testng.annotations.BeforeMethod;
+import support.DriverFactory;
+
+public abstract class BaseTest {
+    protected WebDriver driver;
+
+    @BeforeMethod
+    public void setUp() {
+        driver = DriverFactory.create();
+    }
+
+    @AfterMethod(alwaysRun = true)
+    public void tearDown() {
+        if (driver != null) driver.quit();
+    }
+}
+`
+  });
+  for (const page of pages) {
+    files.push({ path: `src/main/java/pages/${page.name}Page.java`, content: javaSeleniumPage(page), responsibility: `${page.name}Page for ${page.route}` });
+    files.push({
+      path: `src/test/java/tests/${page.name}PageTest.java`,
+      responsibility: `Smoke tests for ${page.route}`,
+      content: `package tests;
+
+import org.testng.annotations.Test;
+import pages.${page.name}Page;
+
+import static org.testng.Assert.assertTrue;
+
+public class ${page.name}PageTest extends BaseTest {
+${seleniumTestMethods(page, '@Test')}
+}
+`
+    });
+  }
+  return { files, readme: SELENIUM_README };
+}
+
+function javaCucumber({ pages }) {
+  const files = javaSeleniumBase([
+    ['io.cucumber', 'cucumber-java', '7.18.0', 'test'],
+    ['io.cucumber', 'cucumber-junit-platform-engine', '7.18.0', 'test'],
+    ['org.junit.platform', 'junit-platform-suite', '1.10.2', 'test'],
+    ['org.junit.jupiter', 'junit-jupiter', '5.10.2', 'test']
+  ], '          <useModulePath>false</useModulePath>');
+  files.push({
+    path: 'src/test/java/RunCucumberTest.java',
+    responsibility: 'JUnit Platform suite running the features',
+    content: `import org.junit.platform.suite.api.ConfigurationParameter;
+import org.junit.platform.suite.api.IncludeEngines;
+import org.junit.platform.suite.api.SelectClasspathResource;
+import org.junit.platform.suite.api.Suite;
+
+import static io.cucumber.junit.platform.engine.Constants.GLUE_PROPERTY_NAME;
+
+@Suite
+@IncludeEngines("cucumber")
+@SelectClasspathResource("features")
+@ConfigurationParameter(key = GLUE_PROPERTY_NAME, value = "steps")
+public class RunCucumberTest {
+}
+`
+  });
+  files.push({
+    path: 'src/test/java/steps/Hooks.java',
+    responsibility: 'Creates and quits the shared driver around every scenario',
+    content: `package steps;
+
+import io.cucumber.java.After;
+import io.cucumber.java.Before;
+import org.openqa.selenium.WebDriver;
+import support.DriverFactory;
+
+public class Hooks {
+    static WebDriver driver;
+
+    @Before
+    public void setUp() {
+        driver = DriverFactory.create();
+    }
+
+    @After
+    public void tearDown() {
+        if (driver != null) driver.quit();
+    }
+}
+`
+  });
+  for (const page of pages) {
+    files.push({ path: `src/test/resources/features/${page.snake}.feature`, content: gherkinFeature(page), responsibility: `Scenarios for ${page.route}` });
+    files.push({ path: `src/main/java/pages/${page.name}Page.java`, content: javaSeleniumPage(page), responsibility: `${page.name}Page for ${page.route}` });
+    const formStep = page.fields.length ? `
+
+    @Then("the ${page.label} form fields are visible")
+    public void formFieldsAreVisible() {
+        assertTrue(${page.camel}Page.formFieldsVisible());
+    }` : '';
+    files.push({
+      path: `src/test/java/steps/${page.name}Steps.java`,
+      responsibility: `Step definitions for ${page.snake}.feature`,
+      content: `package steps;
+
+import io.cucumber.java.en.Given;
+import io.cucumber.java.en.Then;
+import pages.${page.name}Page;
+
+import static org.junit.jupiter.api.Assertions.assertTrue;
+
+public class ${page.name}Steps {
+    private ${page.name}Page ${page.camel}Page;
+
+    @Given("I open the ${page.label} page")
+    public void openPage() {
+        ${page.camel}Page = new ${page.name}Page(Hooks.driver);
+        ${page.camel}Page.open();
+    }
+
+    @Then("the ${page.label} page is loaded")
+    public void pageIsLoaded() {
+        assertTrue(${page.camel}Page.isLoaded());
+    }${formStep}
+}
+`
+    });
+  }
+  return { files, readme: { ...SELENIUM_README, run: 'make test\n# or directly\nmvn test\n# scenarios live in src/test/resources/features' } };
+}
+
+// --- JavaScript / TypeScript -------------------------------------------------------
+
+const NPM_PLAYWRIGHT_SCRIPTS = {
+  test: 'playwright test',
+  'test:chromium': 'BROWSER=chromium playwright test',
+  'test:firefox': 'BROWSER=firefox playwright test',
+  'test:webkit': 'BROWSER=webkit playwright test',
+  'test:headed': 'HEADED=true playwright test',
+  'test:firefox:headed': 'BROWSER=firefox HEADED=true playwright test',
+  'test:webkit:headed': 'BROWSER=webkit HEADED=true playwright test'
+};
+
+const packageJson = (scripts, devDependencies) => `${JSON.stringify({
+  name: 'qa-framework',
+  version: '1.0.0',
+  private: true,
+  type: 'module',
+  scripts,
+  devDependencies
+}, null, 2)}\n`;
+
+const tsconfig = (types, moduleResolution = 'Bundler', extra = {}) => `${JSON.stringify({
+  compilerOptions: { target: 'ES2022', module: 'ESNext', moduleResolution, strict: true, esModuleInterop: true, skipLibCheck: true, ...extra, types },
+  include: ['**/*.ts']
+}, null, 2)}\n`;
+
+function jsPlaywrightPage(page, typescript) {
+  const fields = page.fields.map((f) => `      ${playwrightLocator(f, 'javascript', 'this.page')},`);
+  const header = typescript ? `import { Locator, Page } from '@playwright/test';\n\n` : '';
+  return `${header}export class ${page.name}Page {
+  static ${typescript ? 'readonly ' : ''}path = ${str(page.route)};
+
+  constructor(${typescript ? 'private readonly page: Page' : 'page'}) {${typescript ? '' : '\n    this.page = page;\n  '}}
+
+  async open()${typescript ? ': Promise<void>' : ''} {
+    await this.page.goto(${page.name}Page.path);
+  }
+
+  formFields()${typescript ? ': Locator[]' : ''} {
+    return [${fields.length ? `\n${fields.join('\n')}\n    ` : ''}];
+  }
+}
+`;
+}
+
+function jsPlaywrightTest(page, typescript) {
+  const loaded = page.title
+    ? `await expect(page).toHaveTitle(${regexLiteral(page.title)});`
+    : `await expect(page).toHaveURL(${regexLiteral(page.host)});`;
+  const form = page.fields.length ? `
+
+  test('shows its form fields', async ({ page }) => {
+    const ${page.camel}Page = new ${page.name}Page(page);
+    await ${page.camel}Page.open();
+    for (const field of ${page.camel}Page.formFields()) {
+      await expect(field).toBeVisible();
+    }
+  });` : '';
+  return `import { test, expect } from '@playwright/test';
+import { ${page.name}Page } from '../pages/${page.name}Page${typescript ? '' : '.js'}';
+
+test.describe(${str(`${capitalize(page.label)} page`)}, () => {
+  test('loads', async ({ page }) => {
+    const ${page.camel}Page = new ${page.name}Page(page);
+    await ${page.camel}Page.open();
+    ${loaded}
+  });${form}
+});
+`;
+}
+
+function jsPlaywright({ targetUrl, pages }, typescript) {
+  const ext = typescript ? 'ts' : 'js';
+  const browserName = typescript ? "(process.env.BROWSER as 'chromium' | 'firefox' | 'webkit') || 'chromium'" : "process.env.BROWSER || 'chromium'";
+  const files = [
+    {
+      path: 'package.json',
+      responsibility: 'npm scripts and dependencies',
+      content: typescript
+        ? packageJson({ ...NPM_PLAYWRIGHT_SCRIPTS, typecheck: 'tsc --noEmit' },
+          { '@playwright/test': '^1.48.0', dotenv: '^16.4.5', typescript: '^5.4.0', '@types/node': '^20.12.0' })
+        : packageJson(NPM_PLAYWRIGHT_SCRIPTS, { '@playwright/test': '^1.48.0', dotenv: '^16.4.5' })
+    },
+    { path: '.env', content: ENV_FILE, responsibility: 'Default browser and headed mode' }
+  ];
+  if (typescript) files.push({ path: 'tsconfig.json', content: tsconfig(['node'], 'Bundler', { resolveJsonModule: true }), responsibility: 'TypeScript settings' });
+  files.push({
+    path: `playwright.config.${ext}`,
+    responsibility: 'Playwright config reading BROWSER / HEADED / SLOWMO',
+    content: `import 'dotenv/config';
+import { defineConfig } from '@playwright/test';
+
+export default defineConfig({
+  testDir: './tests',
+  testMatch: '**/*.${ext}',
+  use: {
+    baseURL: process.env.BASE_URL || ${str(targetUrl)},
+    headless: process.env.HEADED !== 'true',
+    browserName: ${browserName},
+    launchOptions: { slowMo: parseInt(process.env.SLOWMO || '0', 10) }
+  },
+  projects: [{ name: process.env.BROWSER || 'chromium' }]
+});
+`
+  });
+  for (const page of pages) {
+    files.push({ path: `pages/${page.name}Page.${ext}`, content: jsPlaywrightPage(page, typescript), responsibility: `${page.name}Page for ${page.route}` });
+    files.push({ path: `tests/test_${page.snake}.${ext}`, content: jsPlaywrightTest(page, typescript), responsibility: `Smoke tests for ${page.route}` });
+  }
+  return {
+    files,
+    readme: {
+      prerequisites: ['Node 18+'],
+      install: 'npm install\nnpx playwright install',
+      run: `npm test${typescript ? '\nnpm run typecheck' : ''}`,
+      switching: 'npm run test:firefox\nnpm run test:headed\nnpm run test:webkit:headed'
+    }
+  };
+}
+
+function cypress({ targetUrl, pages }, typescript) {
+  const ext = typescript ? 'ts' : 'js';
+  const scripts = {
+    test: 'cypress run',
+    'test:chrome': 'cypress run --browser chrome',
+    'test:firefox': 'cypress run --browser firefox',
+    'test:headed': 'cypress run --headed',
+    open: 'cypress open',
+    ...(typescript ? { typecheck: 'tsc --noEmit' } : {})
+  };
+  const files = [
+    { path: 'package.json', content: packageJson(scripts, { cypress: '^13.13.0', ...(typescript ? { typescript: '^5.4.0' } : {}) }), responsibility: 'npm scripts and dependencies' },
+    {
+      path: `cypress.config.${ext}`,
+      responsibility: 'Cypress e2e config',
+      content: `import { defineConfig } from 'cypress';
+
+export default defineConfig({
+  e2e: {
+    baseUrl: process.env.BASE_URL || ${str(targetUrl)},
+    specPattern: 'cypress/e2e/**/*.cy.${ext}',
+    supportFile: 'cypress/support/e2e.${ext}',
+    video: false,
+    screenshotOnRunFailure: false
+  }
+});
+`
+    },
+    { path: `cypress/support/e2e.${ext}`, content: "Cypress.on('uncaught:exception', () => false);\n", responsibility: 'Ignore third-party script errors' }
+  ];
+  if (typescript) files.push({ path: 'tsconfig.json', content: tsconfig(['cypress', 'node']), responsibility: 'TypeScript settings' });
+  for (const page of pages) {
+    const fields = page.fields.map((f) => `      ${str(f.css)},`);
+    files.push({
+      path: `cypress/pages/${page.name}Page.${ext}`,
+      responsibility: `${page.name}Page for ${page.route}`,
+      content: `export class ${page.name}Page {
+  static ${typescript ? 'readonly ' : ''}url = ${str(page.url)};
+
+  visit() {
+    return cy.visit(${page.name}Page.url);
+  }
+
+  formFieldSelectors()${typescript ? ': string[]' : ''} {
+    return [${fields.length ? `\n${fields.join('\n')}\n    ` : ''}];
+  }
+}
+`
+    });
+    const loaded = page.title
+      ? `cy.title().should('include', ${str(page.title)});`
+      : `cy.url().should('include', ${str(page.host)});`;
+    const form = page.fields.length ? `
+
+  it('shows its form fields', () => {
+    ${page.camel}Page.visit();
+    ${page.camel}Page.formFieldSelectors().forEach((selector) => {
+      cy.get(selector).first().should('be.visible');
+    });
+  });` : '';
+    files.push({
+      path: `cypress/e2e/${page.snake}.cy.${ext}`,
+      responsibility: `Smoke tests for ${page.route}`,
+      content: `import { ${page.name}Page } from '../pages/${page.name}Page';
+
+describe(${str(`${capitalize(page.label)} page`)}, () => {
+  const ${page.camel}Page = new ${page.name}Page();
+
+  it('loads', () => {
+    ${page.camel}Page.visit();
+    ${loaded}
+  });${form}
+});
+`
+    });
+  }
+  return {
+    files,
+    readme: {
+      prerequisites: ['Node 18+', 'Chrome or Firefox for non-Electron runs'],
+      install: 'npm install',
+      run: `npm test\nnpm run open   # interactive runner${typescript ? '\nnpm run typecheck' : ''}`,
+      switching: 'npm run test:firefox\nnpm run test:headed'
+    }
+  };
+}
+
+function webdriverio({ targetUrl, pages }, typescript) {
+  const ext = typescript ? 'ts' : 'js';
+  const run = `wdio run ./wdio.conf.${ext}`;
+  const scripts = {
+    test: run,
+    'test:chromium': `BROWSER=chromium ${run}`,
+    'test:firefox': `BROWSER=firefox ${run}`,
+    'test:headed': `HEADED=true ${run}`,
+    'test:firefox:headed': `BROWSER=firefox HEADED=true ${run}`,
+    ...(typescript ? { typecheck: 'tsc --noEmit' } : {})
+  };
+  const devDependencies = {
+    '@wdio/cli': '^8.39.0',
+    '@wdio/local-runner': '^8.39.0',
+    '@wdio/mocha-framework': '^8.39.0',
+    '@wdio/spec-reporter': '^8.39.0',
+    '@wdio/junit-reporter': '^8.39.0',
+    dotenv: '^16.4.5',
+    ...(typescript ? { typescript: '^5.4.0', 'ts-node': '^10.9.2', '@types/node': '^20.12.0' } : {})
+  };
+  const files = [
+    { path: 'package.json', content: packageJson(scripts, devDependencies), responsibility: 'npm scripts and dependencies' },
+    { path: '.env', content: ENV_FILE, responsibility: 'Default browser and headed mode' },
+    {
+      path: `wdio.conf.${ext}`,
+      responsibility: 'WebdriverIO config reading BROWSER / HEADED',
+      content: `import 'dotenv/config';
+
+const headed = process.env.HEADED === 'true';
+const capability = process.env.BROWSER === 'firefox'
+  ? { browserName: 'firefox', 'moz:firefoxOptions': { args: headed ? [] : ['-headless'] } }
+  : { browserName: 'chrome', 'goog:chromeOptions': { args: headed ? [] : ['--headless=new', '--window-size=1920,1080'] } };
+
+export const config${typescript ? ': WebdriverIO.Config' : ''} = {
+  runner: 'local',
+  specs: ['./test/specs/**/*.${ext}'],
+  maxInstances: 1,
+  baseUrl: process.env.BASE_URL || ${str(targetUrl)},
+  framework: 'mocha',
+  mochaOpts: { ui: 'bdd', timeout: 60000 },
+  capabilities: [capability],
+  reporters: ['spec', ['junit', { outputDir: process.env.WDIO_JUNIT_DIR || './reports/junit', outputFileFormat: (opts${typescript ? ': { cid: string }' : ''}) => \`results-\${opts.cid}.xml\` }]]
+};
+`
+    }
+  ];
+  if (typescript) {
+    files.push({ path: 'tsconfig.json', content: tsconfig(['node', '@wdio/globals/types', '@wdio/mocha-framework'], 'node'), responsibility: 'TypeScript settings' });
+  }
+  for (const page of pages) {
+    const getters = page.fields.map((f, i) => `
+  get field${i + 1}() {
+    return $(${str(f.css)});
+  }
+`);
+    files.push({
+      path: `test/pageobjects/${page.snake}.page.${ext}`,
+      responsibility: `${page.name}Page for ${page.route}`,
+      content: `class ${page.name}Page {
+  async open() {
+    await browser.url(${str(page.route)});
+  }
+${getters.join('')}
+  get formFields() {
+    return [${page.fields.map((f, i) => `this.field${i + 1}`).join(', ')}];
+  }
+}
+
+export default new ${page.name}Page();
+`
+    });
+    const loaded = page.title
+      ? `await expect(browser).toHaveTitle(${str(page.title)}, { containing: true });`
+      : `await expect(browser).toHaveUrl(${str(page.host)}, { containing: true });`;
+    const form = page.fields.length ? `
+
+  it('shows its form fields', async () => {
+    await ${page.name}Page.open();
+    for (const field of ${page.name}Page.formFields) {
+      await expect(field).toBeDisplayed();
+    }
+  });` : '';
+    files.push({
+      path: `test/specs/${page.snake}.spec.${ext}`,
+      responsibility: `Smoke tests for ${page.route}`,
+      content: `import ${page.name}Page from '../pageobjects/${page.snake}.page.js';
+
+describe(${str(`${capitalize(page.label)} page`)}, () => {
+  it('loads', async () => {
+    await ${page.name}Page.open();
+    ${loaded}
+  });${form}
+});
+`
+    });
+  }
+  return {
+    files,
+    readme: {
+      prerequisites: ['Node 18+', 'Chrome or Firefox'],
+      install: 'npm install',
+      run: `npm test${typescript ? '\nnpm run typecheck' : ''}`,
+      switching: 'npm run test:firefox\nnpm run test:headed'
+    }
+  };
+}
+
+// --- C# ----------------------------------------------------------------------------
+
+function csproj(packages) {
+  return `<Project Sdk="Microsoft.NET.Sdk">
+
+  <PropertyGroup>
+    <TargetFramework>net10.0</TargetFramework>
+    <ImplicitUsings>enable</ImplicitUsings>
+    <Nullable>enable</Nullable>
+    <IsPackable>false</IsPackable>
+  </PropertyGroup>
+
+  <ItemGroup>
+${packages.map(([name, version]) => `    <PackageReference Include="${name}" Version="${version}" />`).join('\n')}
+  </ItemGroup>
+
+</Project>
+`;
+}
+
+const NUNIT_PACKAGES = [['NUnit', '4.0.1'], ['NUnit3TestAdapter', '4.5.0'], ['Microsoft.NET.Test.Sdk', '17.8.0']];
+const csharpMakefile = (browsers) => makefile(browsers, ({ browser = '$(BROWSER)', headed }) => `BROWSER=${browser} HEADED=${headed ? 'true' : '$(HEADED)'} dotnet test -c Release`);
+
+function csharpPlaywright({ targetUrl, pages }) {
+  const files = [
+    { path: 'QaFramework.csproj', content: csproj([['Microsoft.Playwright', '1.48.0'], ...NUNIT_PACKAGES]), responsibility: 'NUnit project with Playwright' },
+    { path: '.env', content: ENV_FILE, responsibility: 'Default browser and headed mode' },
+    { path: 'Makefile', content: csharpMakefile(['chromium', 'firefox', 'webkit']), responsibility: 'make targets per browser and headed mode' }
+  ];
+  for (const page of pages) {
+    const fields = page.fields.map((f) => `        ${playwrightLocator(f, 'csharp', '_page')},`);
+    files.push({
+      path: `Pages/${page.name}Page.cs`,
+      responsibility: `${page.name}Page for ${page.route}`,
+      content: `using Microsoft.Playwright;
+
+namespace QaFramework.Pages;
+
+public class ${page.name}Page
+{
+    public const string Route = ${str(page.route)};
+
+    private readonly IPage _page;
+    private readonly string _baseUrl;
+
+    public ${page.name}Page(IPage page, string baseUrl)
+    {
+        _page = page;
+        _baseUrl = baseUrl;
+    }
+
+    public async Task OpenAsync() => await _page.GotoAsync(new Uri(new Uri(_baseUrl), Route).ToString());
+
+    public ILocator[] FormFields() => ${fields.length ? `new ILocator[]\n    {\n${fields.join('\n')}\n    }` : 'Array.Empty<ILocator>()'};
+
+    public async Task<bool> IsLoaded() => ${page.title ? `(await _page.TitleAsync()).Contains(${str(page.title)})` : `await Task.FromResult(_page.Url.Contains(${str(page.host)}))`};
+}
+`
+    });
+    const form = page.fields.length ? `
+
+    [Test]
+    public async Task FormFieldsAreVisible()
+    {
+        var ${page.camel}Page = new ${page.name}Page(_page, BaseUrl);
+        await ${page.camel}Page.OpenAsync();
+        foreach (var field in ${page.camel}Page.FormFields())
+        {
+            await Assertions.Expect(field).ToBeVisibleAsync();
+        }
+    }` : '';
+    files.push({
+      path: `Tests/${page.name}PageTests.cs`,
+      responsibility: `Smoke tests for ${page.route}`,
+      content: `using NUnit.Framework;
+using Microsoft.Playwright;
+using QaFramework.Pages;
+
+namespace QaFramework.Tests;
+
+[TestFixture]
+public class ${page.name}PageTests
+{
+    private const string BaseUrl = ${str(targetUrl)};
+
+    private IPlaywright _playwright = null!;
+    private IBrowser _browser = null!;
+    private IBrowserContext _context = null!;
+    private IPage _page = null!;
+
+    [OneTimeSetUp]
+    public async Task LaunchBrowser()
+    {
+        _playwright = await Playwright.CreateAsync();
+        var name = Environment.GetEnvironmentVariable("BROWSER") ?? "chromium";
+        var headed = Environment.GetEnvironmentVariable("HEADED") == "true";
+        var slowMo = float.TryParse(Environment.GetEnvironmentVariable("SLOWMO"), out var sm) ? sm : 0;
+        var browserType = name switch
+        {
+            "firefox" => _playwright.Firefox,
+            "webkit" => _playwright.Webkit,
+            _ => _playwright.Chromium
+        };
+        _browser = await browserType.LaunchAsync(new() { Headless = !headed, SlowMo = slowMo });
+    }
+
+    [OneTimeTearDown]
+    public async Task CloseBrowser()
+    {
+        await _browser.CloseAsync();
+        _playwright.Dispose();
+    }
+
+    [SetUp]
+    public async Task OpenPage()
+    {
+        _context = await _browser.NewContextAsync();
+        _page = await _context.NewPageAsync();
+    }
+
+    [TearDown]
+    public async Task ClosePage()
+    {
+        await _context.CloseAsync();
+    }
+
+    [Test]
+    public async Task PageLoads()
+    {
+        var ${page.camel}Page = new ${page.name}Page(_page, BaseUrl);
+        await ${page.camel}Page.OpenAsync();
+        Assert.That(await ${page.camel}Page.IsLoaded(), Is.True);
+    }${form}
+}
+`
+    });
+  }
+  return {
+    files,
+    readme: {
+      prerequisites: ['.NET 10 SDK', 'PowerShell Core (pwsh) for the browser install script'],
+      install: 'dotnet restore && dotnet build -c Release\npwsh bin/Release/net10.0/playwright.ps1 install chromium',
+      run: 'make test\n# or directly\ndotnet test -c Release',
+      switching: 'make test-firefox\nmake test-headed\nBROWSER=firefox HEADED=true dotnet test -c Release'
+    }
+  };
+}
+
+function csharpSelenium({ targetUrl, pages }) {
+  const files = [
+    {
+      path: 'QaFramework.csproj',
+      responsibility: 'NUnit project with Selenium',
+      content: csproj([['Selenium.WebDriver', '4.21.0'], ['Selenium.Support', '4.21.0'], ...NUNIT_PACKAGES])
+    },
+    { path: '.env', content: ENV_FILE, responsibility: 'Default browser and headed mode' },
+    { path: 'Makefile', content: csharpMakefile(['chromium', 'firefox']), responsibility: 'make targets per browser and headed mode' },
+    {
+      path: 'Support/DriverFactory.cs',
+      responsibility: 'WebDriver from BROWSER / HEADED',
+      content: `using OpenQA.Selenium;
+using OpenQA.Selenium.Chrome;
+using OpenQA.Selenium.Firefox;
+
+namespace QaFramework.Support;
+
+public static class DriverFactory
+{
+    public static IWebDriver Create()
+    {
+        var name = Environment.GetEnvironmentVariable("BROWSER") ?? "chromium";
+        var headed = Environment.GetEnvironmentVariable("HEADED") == "true";
+        IWebDriver driver;
+        if (name == "firefox")
+        {
+            var options = new FirefoxOptions();
+            if (!headed) options.AddArgument("-headless");
+            driver = new FirefoxDriver(options);
+        }
+        else
+        {
+            var options = new ChromeOptions();
+            if (!headed) options.AddArgument("--headless=new");
+            driver = new ChromeDriver(options);
+        }
+        driver.Manage().Window.Size = new System.Drawing.Size(1920, 1080);
+        return driver;
+    }
+}
+`
+    }
+  ];
+  for (const page of pages) {
+    const fields = page.fields.map((f) => `        By.CssSelector(${str(f.css)}),`);
+    files.push({
+      path: `Pages/${page.name}Page.cs`,
+      responsibility: `${page.name}Page for ${page.route}`,
+      content: `using OpenQA.Selenium;
+using OpenQA.Selenium.Support.UI;
+
+namespace QaFramework.Pages;
+
+public class ${page.name}Page
+{
+    public const string Url = ${str(page.url)};
+
+    private static readonly By[] FormFieldLocators = ${fields.length ? `\n    {\n${fields.join('\n')}\n    }` : 'Array.Empty<By>()'};
+
+    private readonly IWebDriver _driver;
+    private readonly WebDriverWait _wait;
+
+    public ${page.name}Page(IWebDriver driver)
+    {
+        _driver = driver;
+        _wait = new WebDriverWait(driver, TimeSpan.FromSeconds(10));
+    }
+
+    public void Open() => _driver.Navigate().GoToUrl(Url);
+
+    public bool IsLoaded()
+    {
+        try
+        {
+            return _wait.Until(d => ${page.title ? `d.Title.Contains(${str(page.title)})` : `d.Url.Contains(${str(page.host)})`});
+        }
+        catch (WebDriverTimeoutException)
+        {
+            return false;
+        }
+    }
+
+    public bool FormFieldsVisible()
+    {
+        try
+        {
+            foreach (var locator in FormFieldLocators)
+            {
+                _wait.Until(d => d.FindElements(locator).FirstOrDefault()?.Displayed == true);
+            }
+            return true;
+        }
+        catch (WebDriverTimeoutException)
+        {
+            return false;
+        }
+    }
+}
+`
+    });
+    const form = page.fields.length ? `
+
+    [Test]
+    public void FormFieldsAreVisible()
+    {
+        var ${page.camel}Page = new ${page.name}Page(_driver);
+        ${page.camel}Page.Open();
+        Assert.That(${page.camel}Page.FormFieldsVisible(), Is.True);
+    }` : '';
+    files.push({
+      path: `Tests/${page.name}PageTests.cs`,
+      responsibility: `Smoke tests for ${page.route}`,
+      content: `using NUnit.Framework;
+using OpenQA.Selenium;
+using QaFramework.Pages;
+using QaFramework.Support;
+
+namespace QaFramework.Tests;
+
+[TestFixture]
+public class ${page.name}PageTests
+{
+    private IWebDriver _driver = null!;
+
+    [SetUp]
+    public void SetUp()
+    {
+        _driver = DriverFactory.Create();
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _driver.Quit();
+        _driver.Dispose();
+    }
+
+    [Test]
+    public void PageLoads()
+    {
+        var ${page.camel}Page = new ${page.name}Page(_driver);
+        ${page.camel}Page.Open();
+        Assert.That(${page.camel}Page.IsLoaded(), Is.True);
+    }${form}
+}
+`
+    });
+  }
+  return {
+    files,
+    readme: {
+      prerequisites: ['.NET 10 SDK', 'Chrome or Firefox (drivers come from Selenium Manager)'],
+      install: 'dotnet restore && dotnet build -c Release',
+      run: 'make test\n# or directly\ndotnet test -c Release',
+      switching: 'make test-firefox\nmake test-headed\nBROWSER=firefox HEADED=true dotnet test -c Release'
+    }
+  };
+}
+
+const LANGUAGE_NAMES = { python: 'Python', java: 'Java', javascript: 'JavaScript', typescript: 'TypeScript', csharp: 'C#' };
+
+// --- Stack matrix ------------------------------------------------------------------
+
+const BUILDERS = {
+  python: { playwright: pythonPlaywright, selenium: pythonSelenium, 'pytest-bdd': pythonPytestBdd },
+  java: { playwright: javaPlaywright, junit: javaJUnit, testng: javaTestNG, cucumber: javaCucumber },
+  javascript: {
+    playwright: (ctx) => jsPlaywright(ctx, false),
+    cypress: (ctx) => cypress(ctx, false),
+    webdriverio: (ctx) => webdriverio(ctx, false)
+  },
+  typescript: {
+    playwright: (ctx) => jsPlaywright(ctx, true),
+    cypress: (ctx) => cypress(ctx, true),
+    webdriverio: (ctx) => webdriverio(ctx, true)
+  },
+  csharp: { playwright: csharpPlaywright, selenium: csharpSelenium }
+};
+
+// Split "folder/sub/file.ext" into the { name, path } pair of the output schema
+function toOutputFile({ path, content, responsibility }) {
+  const slash = path.lastIndexOf('/');
+  return { name: path.slice(slash + 1), path: slash === -1 ? '' : `${path.slice(0, slash)}/`, content, responsibility };
+}
+
+// Whole project for a stack as { files: [{ name, path, content, responsibility }], summary }.
+// `analysis` is the /api/generate page analysis (pageData); without one the
+// target URL alone gets a single page object with a URL check.
+export function buildSkeleton({ language, framework, targetUrl, analysis }) {
+  const lang = normalizeLanguage(language);
+  const fw = (framework || 'playwright').toLowerCase();
+  const build = BUILDERS[lang]?.[fw];
+  if (!build) {
+    throw new Error(`No skeleton template for ${language} + ${framework}. Supported: ${Object.entries(SUPPORTED_FRAMEWORKS).map(([l, f]) => `${l} (${f.join(', ')})`).join('; ')}`);
+  }
+  const pages = skeletonPages(targetUrl, analysis);
+  const { files, readme: docs } = build({ targetUrl, pages });
+  const stack = `${LANGUAGE_NAMES[lang]} + ${fw}`;
+  files.unshift({
+    path: 'README.md',
+    responsibility: 'Install, run and project structure',
+    content: readme({ stack, targetUrl, ...docs, paths: ['README.md', ...files.map((f) => f.path)].sort() })
+  });
+  const formTests = pages.filter((p) => p.fields.length).length;
+  return {
+    files: files.map(toOutputFile),
+    summary: `Offline skeleton for ${targetUrl} (${stack}): ${pages.length} page object${pages.length === 1 ? '' : 's'} and ${pages.length + formTests} smoke test${pages.length + formTests === 1 ? '' : 's'} for page titles and visible form fields, built from the page analysis without an AI provider.`
+  };
+}
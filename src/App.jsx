@@ -4,9 +4,18 @@ import { useFrameworkStorage } from './useFrameworkStorage';
 const loadSettings = () => {
   try {
     const raw = localStorage.getItem('qafg.settings');
-    if (raw) return JSON.parse(raw);
+    if (raw) {
+      const saved = JSON.parse(raw);
+      // Older settings kept one key for the selected provider and separate local-server fields
+      if (!saved.apiKeys) {
+        saved.apiKeys = { ...(saved.apiKey && { [saved.provider]: saved.apiKey }), ...(saved.localApiKey && { local: saved.localApiKey }) };
+        saved.baseUrls = { ...(saved.localBaseUrl && { local: saved.localBaseUrl }) };
+        delete saved.apiKey; delete saved.localApiKey; delete saved.localBaseUrl;
+      }
+      return saved;
+    }
   } catch (e) {}
-  return { provider: 'claude-local', apiKey: '' };
+  return { provider: 'claude-local', apiKeys: {}, baseUrls: {}, repairRetries: 2, models: {}, maxTokens: 8000, temperature: '', fallbacks: [], providerRetries: 2, record: null };
 };
 
 // ─── Inline SVG icons ─────────────────────────────────────────────────────────
@@ -67,6 +76,27 @@ const IconTrash = ({ size = 13 }) => (
   </svg>
 );
 
+const IconChart = ({ size = 18 }) => (
+  <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round">
+    <path d="M4 20h16"/>
+    <path d="M7 16v-5M12 16V7M17 16v-8"/>
+  </svg>
+);
+
+const IconDoc = ({ size = 18 }) => (
+  <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round">
+    <path d="M14 3H7a2 2 0 00-2 2v14a2 2 0 002 2h10a2 2 0 002-2V8z"/>
+    <path d="M14 3v5h5M9 13h6M9 17h4"/>
+  </svg>
+);
+
+const IconChat = ({ size = 18 }) => (
+  <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M21 12a8 8 0 01-11.6 7.1L4 20l1-4.6A8 8 0 1121 12z"/>
+    <path d="M8.5 12h.01M12 12h.01M15.5 12h.01"/>
+  </svg>
+);
+
 const IconChevron = ({ size = 9, direction = 'down' }) => (
   <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5">
     {direction === 'down' && <path d="M19 9l-7 7-7-7"/>}
@@ -84,7 +114,7 @@ const TrafficLights = ({ size = 10 }) => (
   </div>
 );
 
-const ModeToggle = ({ on, onToggle, trackW = 28, trackH = 17, knobSize = 13 }) => (
+const ModeToggle = ({ on, onToggle, trackW = 28, trackH = 17, knobSize = 13, labels = ['Headless', 'Browser'] }) => (
   <div
     onClick={onToggle}
     style={{ padding: '9px 12px', background: 'rgba(255,255,255,.04)', border: '1px solid rgba(255,255,255,.1)', borderRadius: '7px', display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', userSelect: 'none' }}
@@ -92,10 +122,86 @@ const ModeToggle = ({ on, onToggle, trackW = 28, trackH = 17, knobSize = 13 }) =
     <div style={{ width: trackW, height: trackH, background: on ? '#6366f1' : '#27272a', borderRadius: '9px', position: 'relative', flexShrink: 0, transition: 'background .2s' }}>
       <div style={{ width: knobSize, height: knobSize, background: on ? '#fff' : '#52525b', borderRadius: '50%', position: 'absolute', top: '2px', left: on ? `${trackW - knobSize - 2}px` : '2px', transition: 'left .2s, background .2s' }} />
     </div>
-    <span style={{ fontSize: '12px', color: on ? '#c7d2fe' : '#71717a' }}>{on ? 'Browser' : 'Headless'}</span>
+    <span style={{ fontSize: '12px', color: on ? '#c7d2fe' : '#71717a' }}>{on ? labels[1] : labels[0]}</span>
   </div>
 );
 
+// Read a `data: {json}` SSE response, calling onEvent per event. Events can
+// span network chunks (files and patches are large), so the tail is buffered.
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const parts = buffer.split('\n\n');
+    buffer = parts.pop();
+    for (const part of parts) {
+      if (!part.startsWith('data: ')) continue;
+      let event;
+      try {
+        event = JSON.parse(part.slice(6));
+      } catch (e) {
+        continue;
+      }
+      onEvent(event);
+    }
+  }
+}
+
+// Token usage (usage.js summaries and ledger rows). A cost is null when no
+// call had a rate; "+" marks a total that leaves unpriced calls out.
+const fmtCost = (cost, unpricedCalls = 0) =>
+  cost === null || cost === undefined ? '—' : `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}${unpricedCalls ? '+' : ''}`;
+const fmtTokens = (n) => (n >= 1_000_000 ? `${(n / 1_000_000).toFixed(1)}M` : n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n));
+const describeUsage = (u) =>
+  `${u.inputTokens.toLocaleString()} in / ${u.outputTokens.toLocaleString()} out tokens${u.estimated ? ' (estimated)' : ''} · ${fmtCost(u.cost, u.unpricedCalls)}${u.failedCalls ? ` · ${u.failedCalls} failed call${u.failedCalls === 1 ? '' : 's'} included` : ''}`;
+
+// Project-relative path of a file entry, as the server's projectPath()
+const filePath = (file) => {
+  const dir = String(file.path || '').replace(/^\/+|\/+$/g, '');
+  return dir && !file.name.startsWith(`${dir}/`) ? `${dir}/${file.name}` : file.name;
+};
+
+// Colour of a unified-diff line
+const diffColor = (line) => {
+  if (line.startsWith('@@')) return '#67e8f9';
+  if (line.startsWith('+++') || line.startsWith('---')) return '#52525b';
+  if (line.startsWith('+')) return '#4ade80';
+  if (line.startsWith('-')) return '#f87171';
+  return '#71717a';
+};
+
+// Files with a chat turn's change set applied, or reverted (undo). A change's
+// `content` / `before` is null where the file does not exist.
+const applyChangeSet = (files, changes, revert = false) => {
+  let next = files.map(f => ({ ...f }));
+  for (const change of changes) {
+    const content = revert ? change.before : change.content;
+    const index = next.findIndex(f => filePath(f) === change.file);
+    if (content === null) next = next.filter((_, i) => i !== index);
+    else if (index >= 0) next[index].content = content;
+    else next.push({ name: change.name, path: change.path, content });
+  }
+  return next;
+};
+
+// Templates store the server's language ids ("csharp" for C#)
+const templateLanguage = (language) => (language === 'C#' ? 'csharp' : language);
+
+// Supported stacks by server language id until /api/frameworks (the server's
+// SUPPORTED_FRAMEWORKS) answers
+const DEFAULT_FRAMEWORKS = {
+  python: ['playwright', 'selenium', 'pytest-bdd'],
+  java: ['playwright', 'junit', 'testng', 'cucumber'],
+  javascript: ['playwright', 'cypress', 'webdriverio'],
+  typescript: ['playwright', 'cypress', 'webdriverio'],
+  csharp: ['playwright', 'selenium'],
+};
+const LANGUAGE_LABELS = { python: 'Python', java: 'Java', javascript: 'JavaScript', typescript: 'TypeScript', csharp: 'C#' };
+
 // ─── Shared style tokens ──────────────────────────────────────────────────────
 
 const sel = {
@@ -131,11 +237,25 @@ const QAFrameworkGenerator = () => {
     browser: 'chromium',
     headed: false,
     slowMo: 0,
+    autoFix: { enabled: false, maxIterations: 3 },
+    crawl: { enabled: false, maxDepth: 1, maxPages: 5, include: '', exclude: '' },
+    analysisMode: 'static',
+    generationMode: 'single',
+    promptTemplateId: '',
+    styleReference: null,
+    extendRequest: '',
+    requirements: '',
+    auth: { mode: 'none', loginUrl: '', usernameSelector: '', passwordSelector: '', submitSelector: '', successUrl: '', profile: 'default', storageState: null, storageStateName: '' },
   });
   const [settings, setSettings] = useState(loadSettings);
   const [showSettings, setShowSettings] = useState(false);
   const [providerStatus, setProviderStatus] = useState(null);
   const [sessionToken, setSessionToken] = useState(null);
+  const [credentialProfiles, setCredentialProfiles] = useState([]);
+  const [promptTemplates, setPromptTemplates] = useState([]);
+  const [frameworks, setFrameworks] = useState(DEFAULT_FRAMEWORKS);
+  const [styleDirectory, setStyleDirectory] = useState('');
+  const [styleLoading, setStyleLoading] = useState(false);
 
   const API_BASE = 'http://localhost:3001';
   const apiFetch = (path, opts = {}) => {
@@ -149,6 +269,18 @@ const QAFrameworkGenerator = () => {
       .then(r => r.json())
       .then(d => {
         setSessionToken(d.token);
+        fetch(`${API_BASE}/api/auth/profiles`, { headers: { Authorization: `Bearer ${d.token}` } })
+          .then(r => r.json())
+          .then(p => setCredentialProfiles(p.profiles || []))
+          .catch(() => {});
+        fetch(`${API_BASE}/api/frameworks`, { headers: { Authorization: `Bearer ${d.token}` } })
+          .then(r => r.json())
+          .then(f => f.frameworks && setFrameworks(f.frameworks))
+          .catch(() => {});
+        fetch(`${API_BASE}/api/prompt-templates`, { headers: { Authorization: `Bearer ${d.token}` } })
+          .then(r => r.json())
+          .then(t => setPromptTemplates(t.templates || []))
+          .catch(() => {});
         return fetch(`${API_BASE}/api/providers`, { headers: { Authorization: `Bearer ${d.token}` } });
       })
       .then(r => r.json())
@@ -156,6 +288,24 @@ const QAFrameworkGenerator = () => {
       .catch(() => {});
   }, []);
 
+  // Provider fields for generation requests. Keys, base URLs and models are
+  // kept per provider so one provider's key is never sent to another.
+  const providerPayload = () => ({
+    provider: settings.provider,
+    apiKey: settings.apiKeys?.[settings.provider] || undefined,
+    baseUrl: settings.baseUrls?.[settings.provider] || undefined,
+    model: settings.models?.[settings.provider] || undefined,
+    maxTokens: settings.maxTokens || undefined,
+    temperature: settings.temperature === '' || settings.temperature == null ? undefined : Number(settings.temperature),
+    providerRetries: settings.providerRetries,
+    fallbacks: (settings.fallbacks || []).filter(id => id !== settings.provider).map(id => ({
+      provider: id,
+      apiKey: settings.apiKeys?.[id] || undefined,
+      baseUrl: settings.baseUrls?.[id] || undefined,
+      model: settings.models?.[id] || undefined,
+    })),
+  });
+
   const saveSettings = (next) => {
     setSettings(next);
     localStorage.setItem('qafg.settings', JSON.stringify(next));
@@ -166,116 +316,496 @@ const QAFrameworkGenerator = () => {
   const [activeFile, setActiveFile] = useState(null);
   const [error, setError] = useState(null);
   const [analysisLog, setAnalysisLog] = useState([]);
+  const [pageAnalysis, setPageAnalysis] = useState(null);
+  const [showInventory, setShowInventory] = useState(false);
   const [isRunningTests, setIsRunningTests] = useState(false);
   const [testOutput, setTestOutput] = useState([]);
   const [testStatus, setTestStatus] = useState(null);
   const [testReport, setTestReport] = useState(null);
   const [expandedTests, setExpandedTests] = useState({});
   const [activeTab, setActiveTab] = useState('config');
-
-  const { saved, save: saveToLibrary, remove: removeFromLibrary } = useFrameworkStorage();
+  // Extend-mode result awaiting review: the server's merge plus the files it
+  // was computed from
+  const [pendingExtension, setPendingExtension] = useState(null);
+  // Regenerate / edit of the active file: { file, name, mode, instruction,
+  // status: 'input' | 'running' | 'review', error, base, change, summary }
+  const [fileEdit, setFileEdit] = useState(null);
+
+  // Library entry the current files belong to; chat turns are saved with it
+  const [libraryId, setLibraryId] = useState(null);
+  // Refinement chat of the current framework: [{ id, at, message, summary,
+  // changes, generatedBy, usage, undone }], each change with its `before`
+  const [chatTurns, setChatTurns] = useState([]);
+  const [chatBusy, setChatBusy] = useState(false);
+  const [chatError, setChatError] = useState(null);
+
+  const { saved, save: saveToLibrary, update: updateLibraryEntry, remove: removeFromLibrary } = useFrameworkStorage();
 
   const logEndRef = useRef(null);
   const termEndRef = useRef(null);
+  // AbortController of the running generation; aborting the request makes the
+  // server stop its provider calls
+  const generationRef = useRef(null);
+  const fileEditRef = useRef(null);
+  const chatRef = useRef(null);
+
+  useEffect(() => () => generationRef.current?.abort(), []);
+
+  // A proposed file edit belongs to the file it was requested for
+  useEffect(() => {
+    if (fileEdit && fileEdit.name !== activeFile) cancelFileEdit();
+  }, [activeFile]);
 
   useEffect(() => { logEndRef.current?.scrollIntoView({ behavior: 'smooth' }); }, [analysisLog]);
   useEffect(() => { termEndRef.current?.scrollIntoView({ behavior: 'smooth' }); }, [testOutput]);
 
-  const frameworks = {
-    python: ['playwright', 'selenium', 'pytest-bdd'],
-    java: ['playwright', 'testng', 'junit', 'cucumber'],
-    javascript: ['playwright', 'cypress', 'webdriverio'],
-    typescript: ['playwright', 'cypress', 'webdriverio'],
-    'C#': ['playwright', 'selenium', 'cypress'],
+  const frameworksOf = (language) => frameworks[templateLanguage(language)] || [];
+
+  // Saved prompt templates that apply to the selected stack; a selection that
+  // no longer applies (the stack changed) falls back to the built-in prompt
+  const stackTemplates = promptTemplates.filter(t =>
+    (!t.language || t.language === templateLanguage(config.language)) && (!t.framework || t.framework === config.framework));
+  const selectedTemplate = stackTemplates.find(t => t.id === config.promptTemplateId) || null;
+
+  // Request body for the target's login; credentials never leave the server
+  const authPayload = () => {
+    const { mode, storageState, storageStateName, ...recipe } = config.auth;
+    if (mode === 'recipe') return { mode, ...recipe };
+    if (mode === 'storageState') return { mode, storageState };
+    return undefined;
+  };
+
+  const loadStorageState = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const storageState = JSON.parse(reader.result);
+        setConfig(c => ({ ...c, auth: { ...c.auth, storageState, storageStateName: file.name } }));
+        setError(null);
+      } catch {
+        setError(`${file.name} is not valid storageState JSON`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // Picks representative files of the team's framework on the server; the
+  // snippets are kept here and sent with every generation
+  const loadStyleReference = async (source) => {
+    setStyleLoading(true);
+    setError(null);
+    try {
+      const response = await apiFetch('/api/style-reference', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...source, language: config.language, framework: config.framework }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `Could not read the framework (${response.status})`);
+      setConfig(c => ({ ...c, styleReference: data }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setStyleLoading(false);
+    }
   };
 
+  const uploadStyleZip = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => loadStyleReference({ zip: reader.result.split(',')[1], name: file.name });
+    reader.readAsDataURL(file);
+  };
+
+  // Story / criteria / .feature files are appended to the requirements text
+  const loadRequirementFiles = (files) => {
+    Promise.all([...files].map(file => file.text().then(text => ({ name: file.name, text }))))
+      .then(loaded => setConfig(c => ({
+        ...c,
+        requirements: [c.requirements.trim(), ...loaded.map(f => f.text.trim())].filter(Boolean).join('\n\n'),
+      })))
+      .catch(err => setError(`Could not read requirements: ${err.message}`));
+  };
+
+  const removeStyleSnippet = (path) => setConfig(c => {
+    const snippets = c.styleReference.snippets.filter(s => s.path !== path);
+    return { ...c, styleReference: snippets.length ? { ...c.styleReference, snippets } : null };
+  });
+
   const addLog = (message) => {
     setAnalysisLog(prev => [...prev, { time: new Date().toLocaleTimeString(), message }]);
   };
 
+  // Replace the last log line when it starts with prefix (progress counters)
+  const upsertLog = (prefix, message) => {
+    setAnalysisLog(prev => {
+      const entry = { time: new Date().toLocaleTimeString(), message };
+      return prev.length && prev[prev.length - 1].message.startsWith(prefix)
+        ? [...prev.slice(0, -1), entry]
+        : [...prev, entry];
+    });
+  };
+
+  const logAnalysis = (pa) => {
+    setPageAnalysis(pa);
+    if (pa.renderFallback) addLog(`⚠️ Rendered analysis unavailable — ${pa.renderFallback}`);
+    if (pa.auth?.authenticated) addLog(`🔐 Analyzed as a signed-in user (${pa.auth.mode === 'recipe' ? `profile "${pa.auth.profile}"` : 'uploaded storageState'})`);
+    else if (pa.auth) addLog(`⚠️ Authentication failed — analyzed anonymously: ${pa.auth.error}`);
+    if (pa.fetched) {
+      if (pa.analysisMode === 'rendered') addLog('🖥 Analyzed rendered DOM in headless Chromium');
+      addLog(`📄 Page title: "${pa.title || 'n/a'}"`);
+      if (pa.promptSafety?.neutralized.length) {
+        addLog(`🛡 Dropped ${pa.promptSafety.neutralized.length} analysis field${pa.promptSafety.neutralized.length === 1 ? '' : 's'} that read like instructions to the AI:`);
+        pa.promptSafety.neutralized.slice(0, 8).forEach(n => addLog(`🛡   ${n.page} — ${n.field}: "${n.text}" (${n.reasons.join(', ')})`));
+      }
+      if (pa.inputs.length)  addLog(`🔤 Inputs detected: ${pa.inputs.slice(0, 6).join(', ')}`);
+      if (pa.buttons.length) addLog(`🔘 Buttons detected: ${pa.buttons.slice(0, 6).join(', ')}`);
+      if (pa.links.length)   addLog(`🔗 Links detected: ${pa.links.slice(0, 5).join(', ')}`);
+      if (pa.forms.length)   addLog(`📋 Forms detected: ${pa.forms.join(', ')}`);
+      if (pa.elements?.length) {
+        const unique = pa.elements.filter(e => e.locator.unique).length;
+        addLog(`🧭 Element inventory: ${pa.elements.length} elements, ${unique} with unique locators`);
+      }
+      if (pa.pages?.length) {
+        addLog(`🗺 Crawled ${pa.pages.length} page${pa.pages.length === 1 ? '' : 's'}`);
+        pa.pages.forEach(p => addLog(`🗺   ${p.path} — "${p.title || 'untitled'}" (${p.inputs.length} inputs, ${p.buttons.length} buttons, ${p.forms.length} forms)`));
+        if (pa.skipped?.length) addLog(`⚠️ Skipped ${pa.skipped.length} URL(s): ${pa.skipped.slice(0, 3).map(s => `${s.url} (${s.reason})`).join(', ')}`);
+      }
+    } else {
+      addLog('⚠️ Could not fetch page — using defensive selectors');
+    }
+  };
+
   const generateFramework = async () => {
+    // Extend mode keeps the current project; the provider only adds to it
+    const extending = config.generationMode === 'extend';
+    const baseFiles = extending ? generatedFiles?.files || [] : null;
+    const controller = new AbortController();
+    generationRef.current = controller;
     setIsGenerating(true);
     setError(null);
     setAnalysisLog([]);
-    setGeneratedFiles(null);
-    setTestReport(null);
-    setTestOutput([]);
-    setTestStatus(null);
+    setPageAnalysis(null);
+    setPendingExtension(null);
+    cancelFileEdit();
+    cancelChat();
+    if (!extending) {
+      setLibraryId(null);
+      setChatTurns([]);
+      setGeneratedFiles(null);
+      setTestReport(null);
+      setTestOutput([]);
+      setTestStatus(null);
+    }
 
-    addLog('Starting framework generation...');
+    addLog(extending ? `Extending the current framework (${baseFiles.length} files): ${config.extendRequest}` : 'Starting framework generation...');
     addLog(`Target: ${config.targetUrl}`);
     addLog(`Stack: ${config.language} + ${config.framework}`);
 
     try {
-      addLog('Fetching and analyzing target site...');
-
       const response = await apiFetch('/api/generate', {
         method: 'POST',
+        signal: controller.signal,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           language: config.language,
           framework: config.framework,
           targetUrl: config.targetUrl,
-          provider: settings.provider,
-          apiKey: settings.apiKey || undefined,
+          crawl: config.crawl,
+          analysisMode: config.analysisMode,
+          generationMode: config.generationMode,
+          promptTemplate: selectedTemplate ? { id: selectedTemplate.id } : undefined,
+          styleReference: config.styleReference ? { name: config.styleReference.name, snippets: config.styleReference.snippets } : undefined,
+          extend: extending ? { files: baseFiles, request: config.extendRequest } : undefined,
+          requirements: !extending && config.requirements.trim() ? config.requirements : undefined,
+          auth: authPayload(),
+          ...providerPayload(),
+          repairRetries: settings.repairRetries,
+          record: settings.record ?? undefined,
         }),
       });
-
-      const data = await response.json();
-
-      if (data.pageAnalysis) {
-        const pa = data.pageAnalysis;
-        if (pa.fetched) {
-          addLog(`📄 Page title: "${pa.title || 'n/a'}"`);
-          if (pa.inputs.length)  addLog(`🔤 Inputs detected: ${pa.inputs.slice(0, 6).join(', ')}`);
-          if (pa.buttons.length) addLog(`🔘 Buttons detected: ${pa.buttons.slice(0, 6).join(', ')}`);
-          if (pa.links.length)   addLog(`🔗 Links detected: ${pa.links.slice(0, 5).join(', ')}`);
-          if (pa.forms.length)   addLog(`📋 Forms detected: ${pa.forms.join(', ')}`);
-        } else {
-          addLog('⚠️ Could not fetch page — using defensive selectors');
-        }
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Generation failed (${response.status})`);
       }
-      addLog('Sending to AI for framework generation...');
-
-      if (data.content && data.content[0] && data.content[0].text) {
-        const text = data.content[0].text;
-        addLog('Parsing generated framework...');
-
-        let cleanText = text.trim();
-        const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) cleanText = jsonMatch[0];
-        cleanText = cleanText.replace(/^```json\s*/i, '').replace(/^```\s*/i, '').replace(/\s*```$/i, '').trim();
-
-        try {
-          const result = JSON.parse(cleanText);
-          if (result.files && Array.isArray(result.files)) {
-            setGeneratedFiles(result);
-            setActiveFile(result.files[0]?.name);
-            addLog(`✓ Generated ${result.files.length} files`);
-            saveToLibrary(result, config)
-              .then(entry => addLog(`✓ Saved to library as "${entry.name}"`))
-              .catch(() => {});
-            addLog('Framework ready!');
-            setActiveTab('explorer');
+
+      // Phases, token progress and each finished file stream in as SSE events
+      let result = null;
+      let streamError = null;
+      await readEventStream(response, (event) => {
+        if (event.type === 'phase') {
+          addLog(event.data.message);
+        } else if (event.type === 'analysis') {
+          logAnalysis(event.data);
+        } else if (event.type === 'tokens') {
+          upsertLog('⏳', `⏳ Receiving… ${event.data.chars.toLocaleString()} chars (~${event.data.estimatedTokens.toLocaleString()} tokens)`);
+        } else if (event.type === 'file') {
+          const { file, index } = event.data;
+          setGeneratedFiles(prev => ({ ...(prev || {}), files: [...(prev?.files || []), file] }));
+          if (index === 0) setActiveFile(file.name);
+          addLog(`📝 File ${index + 1} ready: ${file.path || ''}${file.name}`);
+        } else if (event.type === 'validation') {
+          const { errors, retrying, restart } = event.data;
+          if (restart) setGeneratedFiles(null); // the retry streams a fresh set of files
+          errors.forEach(e => addLog(`${retrying ? '⚠️' : '✗'} Validation: ${e}`));
+        } else if (event.type === 'provider') {
+          const info = event.data;
+          if (info.served) {
+            addLog(`↪ Served by ${info.provider}${info.model ? ` / ${info.model}` : ''} after ${info.failures.length} failed attempt${info.failures.length === 1 ? '' : 's'}`);
           } else {
-            throw new Error('Response missing files array');
+            if (info.restart) setGeneratedFiles(null); // partial files from the failed stream
+            const next = info.retryInMs !== null ? `retrying in ${Math.ceil(info.retryInMs / 1000)}s` : info.fallbackTo ? `falling back to ${info.fallbackTo}` : 'no providers left';
+            addLog(`⚠️ ${info.provider} failed (attempt ${info.attempt}${info.status ? `, HTTP ${info.status}` : ''}): ${info.error.slice(0, 200)} — ${next}`);
           }
-        } catch (parseError) {
-          throw new Error('Failed to parse generated framework.');
+        } else if (event.type === 'manifest') {
+          addLog(`🧩 Plan: ${event.data.files.length} files in ${event.data.groups} step${event.data.groups === 1 ? '' : 's'}`);
+        } else if (event.type === 'recording') {
+          addLog(`⏺ Recorded as ${event.data.id} — replay it with the "Replay recording" provider`);
+        } else if (event.type === 'result') {
+          result = event.data;
+        } else if (event.type === 'error') {
+          streamError = event.data;
         }
-      } else if (data.error) {
-        throw new Error(typeof data.error === 'string' ? data.error : data.error.message || 'API error');
-      } else {
-        throw new Error('Invalid response from AI');
+      });
+      if (streamError) throw new Error(streamError);
+      if (!result) throw new Error('Generation ended without a result');
+
+      if (result.extension) {
+        const { changes } = result.extension;
+        const conflicts = changes.filter(c => c.conflicts.length).length;
+        setPendingExtension({ ...result, baseFiles, changes: changes.map(c => ({ ...c, accepted: !c.conflicts.length })) });
+        addLog(changes.length
+          ? `🧩 Extension ready with ${result.generatedBy.provider}: ${changes.filter(c => c.status === 'added').length} new, ${changes.filter(c => c.status === 'modified').length} modified file(s) — review them in Files`
+          : '⚠️ The provider returned no changes');
+        if (conflicts) addLog(`⚠️ ${conflicts} file${conflicts === 1 ? '' : 's'} flagged as conflicting and left unselected`);
+        if (result.summary) addLog(`📝 ${result.summary}`);
+        if (result.usage) addLog(`🪙 Usage: ${describeUsage(result.usage)}`);
+        if (result.recordingId) addLog(`⏺ Recorded as ${result.recordingId} — replay it with the "Replay recording" provider`);
+        if (changes.length) setActiveTab('explorer');
+        return;
+      }
+
+      setGeneratedFiles(result);
+      setActiveFile(result.files[0]?.name);
+      addLog(`✓ Generated ${result.files.length} files with ${result.generatedBy.provider} / ${result.generatedBy.model}`);
+      if (result.promptTemplate) addLog(`📝 Prompt template: ${result.promptTemplate.name} v${result.promptTemplate.version}`);
+      if (result.styleReference) addLog(`🎨 Followed style reference "${result.styleReference.name}" (${result.styleReference.files} files)`);
+      if (result.traceability) {
+        const uncovered = result.traceability.filter(r => !r.tests.length);
+        addLog(`📋 Traceability: ${result.traceability.length - uncovered.length} of ${result.traceability.length} criteria mapped to tests`);
+        if (uncovered.length) addLog(`⚠️ Not covered: ${uncovered.map(r => `${r.criterion}${r.note ? ` (${r.note})` : ''}`).join('; ')}`);
       }
+      if (result.usage) addLog(`🪙 Usage: ${describeUsage(result.usage)}`);
+      if (result.recordingId) addLog(`⏺ Recorded as ${result.recordingId} — replay it with the "Replay recording" provider`);
+      saveToLibrary(result, config)
+        .then(entry => {
+          setLibraryId(entry.id);
+          addLog(`✓ Saved to library as "${entry.name}"`);
+        })
+        .catch(() => {});
+      addLog('Framework ready!');
+      setActiveTab('explorer');
     } catch (err) {
-      setError(err.message);
-      addLog(`✗ Error: ${err.message}`);
+      if (controller.signal.aborted) {
+        if (!extending) setGeneratedFiles(null); // files streamed before the cancel are an incomplete project
+        addLog('⏹ Generation cancelled — nothing was saved');
+      } else {
+        setError(err.message);
+        addLog(`✗ Error: ${err.message}`);
+      }
     } finally {
+      generationRef.current = null;
       setIsGenerating(false);
     }
   };
 
+  const cancelGeneration = () => generationRef.current?.abort();
+
+  // Applies the accepted extension files. A file that changed since the
+  // extension was requested (e.g. by auto-fix) is skipped rather than
+  // overwritten.
+  const applyExtension = () => {
+    const current = new Map(generatedFiles.files.map(f => [filePath(f), f]));
+    const base = new Map(pendingExtension.baseFiles.map(f => [filePath(f), f]));
+    const files = generatedFiles.files.map(f => ({ ...f }));
+    const applied = [];
+    const skipped = [];
+    for (const change of pendingExtension.changes.filter(c => c.accepted)) {
+      if (current.get(change.file)?.content !== base.get(change.file)?.content) {
+        skipped.push(change.file);
+        continue;
+      }
+      const existing = files.find(f => filePath(f) === change.file);
+      if (existing) existing.content = change.content;
+      else files.push({ name: change.name, path: change.path, content: change.content });
+      applied.push(change.file);
+    }
+    if (skipped.length) addLog(`⚠️ Not applied — changed since the extension was requested: ${skipped.join(', ')}`);
+    setPendingExtension(null);
+    if (!applied.length) {
+      addLog('Extension discarded — no files applied');
+      setActiveTab('config');
+      return;
+    }
+    const next = { ...generatedFiles, files, generatedBy: pendingExtension.generatedBy, usage: pendingExtension.usage, recordingId: pendingExtension.recordingId };
+    setGeneratedFiles(next);
+    setActiveFile(applied.map(p => files.find(f => filePath(f) === p)?.name).find(Boolean) || activeFile);
+    addLog(`✓ Applied ${applied.length} file${applied.length === 1 ? '' : 's'}: ${applied.join(', ')}`);
+    // The extended project is a new library entry with a conversation of its own
+    setLibraryId(null);
+    setChatTurns([]);
+    saveToLibrary(next, config)
+      .then(entry => {
+        setLibraryId(entry.id);
+        addLog(`✓ Saved to library as "${entry.name}"`);
+      })
+      .catch(() => {});
+    setActiveTab('explorer');
+  };
+
+  const discardExtension = () => {
+    setPendingExtension(null);
+    addLog('Extension discarded');
+  };
+
+  // ─── Single-file regenerate / edit ──────────────────────────────────────────
+  const startFileEdit = (mode) => {
+    const file = generatedFiles?.files.find(f => f.name === activeFile);
+    if (file) setFileEdit({ file: filePath(file), name: file.name, mode, instruction: '', status: 'input', error: null });
+  };
+
+  const cancelFileEdit = () => {
+    fileEditRef.current?.abort();
+    fileEditRef.current = null;
+    setFileEdit(null);
+  };
+
+  // Asks the provider for the new version of the file; it is only applied
+  // once accepted
+  const requestFileEdit = async () => {
+    const { file, mode, instruction } = fileEdit;
+    const target = generatedFiles.files.find(f => filePath(f) === file);
+    const controller = new AbortController();
+    fileEditRef.current = controller;
+    setFileEdit(e => ({ ...e, status: 'running', error: null, base: target.content }));
+    try {
+      const response = await apiFetch('/api/edit-file', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        signal: controller.signal,
+        body: JSON.stringify({
+          files: generatedFiles.files,
+          file,
+          mode,
+          instruction,
+          language: config.language,
+          framework: config.framework,
+          targetUrl: config.targetUrl,
+          ...providerPayload(),
+          repairRetries: settings.repairRetries,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `File edit failed (${response.status})`);
+      if (data.usage?.calls) addLog(`🪙 ${mode === 'edit' ? 'Edit' : 'Regenerate'} ${file}: ${describeUsage(data.usage)}`);
+      if (!data.change) {
+        setFileEdit(e => ({ ...e, status: 'input', error: 'The provider returned the file unchanged' }));
+        return;
+      }
+      setFileEdit(e => ({ ...e, status: 'review', change: data.change, summary: data.summary }));
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      setFileEdit(e => e && { ...e, status: 'input', error: err.message });
+    } finally {
+      if (fileEditRef.current === controller) fileEditRef.current = null;
+    }
+  };
+
+  // Applies the proposed version unless the file changed in the meantime
+  // (auto-fix, another edit)
+  const acceptFileEdit = () => {
+    const { change, base, mode } = fileEdit;
+    setFileEdit(null);
+    if (generatedFiles.files.find(f => filePath(f) === change.file)?.content !== base) {
+      addLog(`⚠️ Not applied — ${change.file} changed since the ${mode === 'edit' ? 'edit' : 'regeneration'} was requested`);
+      return;
+    }
+    setGeneratedFiles(prev => ({ ...prev, files: prev.files.map(f => (filePath(f) === change.file ? { ...f, content: change.content } : f)) }));
+    addLog(`✓ ${mode === 'edit' ? 'Edited' : 'Regenerated'} ${change.file} (+${change.additions} −${change.deletions})${fileEdit.summary ? ` — ${fileEdit.summary}` : ''}`);
+  };
+
+  // ─── Refinement chat ───────────────────────────────────────────────────────
+  // Files and chat history change together and are written back to the
+  // library entry
+  const commitChat = (files, turns) => {
+    setGeneratedFiles(prev => ({ ...prev, files }));
+    setChatTurns(turns);
+    if (!files.some(f => f.name === activeFile)) setActiveFile(files[0]?.name || null);
+    if (libraryId) updateLibraryEntry(libraryId, { files, fileCount: files.length, chat: turns }).catch(() => {});
+  };
+
+  const cancelChat = () => {
+    chatRef.current?.abort();
+    chatRef.current = null;
+  };
+
+  // One turn: the provider's change set is applied right away and can be
+  // undone from the chat
+  const sendChatMessage = async (message) => {
+    const files = generatedFiles.files;
+    const controller = new AbortController();
+    chatRef.current = controller;
+    setChatBusy(true);
+    setChatError(null);
+    try {
+      const response = await apiFetch('/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        signal: controller.signal,
+        body: JSON.stringify({
+          files,
+          message,
+          history: chatTurns.filter(t => !t.undone).map(t => ({ message: t.message, summary: t.summary })),
+          language: config.language,
+          framework: config.framework,
+          targetUrl: config.targetUrl,
+          ...providerPayload(),
+          repairRetries: settings.repairRetries,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `Chat request failed (${response.status})`);
+      const before = new Map(files.map(f => [filePath(f), f.content]));
+      const changes = data.changes.map(c => ({ ...c, before: before.get(c.file) ?? null }));
+      const turn = { id: `turn-${Date.now()}`, at: Date.now(), message, summary: data.summary, changes, generatedBy: data.generatedBy, usage: data.usage, undone: false };
+      commitChat(applyChangeSet(files, changes), [...chatTurns, turn]);
+      addLog(`💬 Chat: ${changes.length ? `changed ${changes.length} file${changes.length === 1 ? '' : 's'}` : 'no file changes'}${data.usage?.calls ? ` · ${describeUsage(data.usage)}` : ''}`);
+      return true;
+    } catch (err) {
+      if (!controller.signal.aborted) setChatError(err.message);
+      return false;
+    } finally {
+      if (chatRef.current === controller) chatRef.current = null;
+      setChatBusy(false);
+    }
+  };
+
+  // Reverts one turn. Refused when a later turn, an edit or auto-fix changed
+  // the same files since; those have to be undone first.
+  const undoChatTurn = (id) => {
+    const turn = chatTurns.find(t => t.id === id);
+    const current = new Map(generatedFiles.files.map(f => [filePath(f), f.content]));
+    const changed = turn.changes.filter(c => (current.get(c.file) ?? null) !== c.content).map(c => c.file);
+    if (changed.length) {
+      setChatError(`Cannot undo "${turn.message}": ${changed.join(', ')} changed afterwards. Undo the later changes first.`);
+      return;
+    }
+    setChatError(null);
+    commitChat(applyChangeSet(generatedFiles.files, turn.changes, true), chatTurns.map(t => (t.id === id ? { ...t, undone: true } : t)));
+    addLog(`↩ Undid chat turn "${turn.message}"`);
+  };
+
   const getFileIcon = (filename) => {
     if (filename.endsWith('.py')) return '🐍';
     if (filename.endsWith('.java')) return '☕';
@@ -308,8 +838,9 @@ const QAFrameworkGenerator = () => {
     setTestStatus(null);
     setTestReport(null);
 
+    const autoFix = config.autoFix.enabled;
     try {
-      const response = await apiFetch('/api/run-tests', {
+      const response = await apiFetch(autoFix ? '/api/auto-fix' : '/api/run-tests', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -317,35 +848,56 @@ const QAFrameworkGenerator = () => {
           browser: config.browser,
           headed: config.headed,
           slowMo: config.headed ? config.slowMo : 0,
+          credentialsProfile: config.auth.mode === 'recipe' ? config.auth.profile : undefined,
+          ...(autoFix && {
+            maxIterations: config.autoFix.maxIterations,
+            ...providerPayload(),
+            language: config.language,
+            framework: config.framework,
+            targetUrl: config.targetUrl,
+          }),
         }),
       });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Test run failed (${response.status})`);
+      }
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        const chunk = decoder.decode(value);
-        for (const line of chunk.split('\n')) {
-          if (!line.startsWith('data: ')) continue;
-          try {
-            const event = JSON.parse(line.slice(6));
-            if (event.type === 'status') {
-              setTestOutput(prev => [...prev, { type: 'status', text: event.data }]);
-            } else if (event.type === 'test' || event.type === 'pip') {
-              setTestOutput(prev => [...prev, { type: event.type, text: event.data }]);
-            } else if (event.type === 'report') {
-              setTestReport(event.data);
-            } else if (event.type === 'complete') {
-              setTestStatus(event.data.exitCode === 0 ? 'passed' : 'failed');
-            } else if (event.type === 'error') {
-              setTestOutput(prev => [...prev, { type: 'error', text: event.data }]);
-              setTestStatus('error');
-            }
-          } catch (e) {}
+      await readEventStream(response, (event) => {
+        if (event.type === 'status') {
+          setTestOutput(prev => [...prev, { type: 'status', text: event.data }]);
+        } else if (event.type === 'test' || event.type === 'pip') {
+          setTestOutput(prev => [...prev, { type: event.type, text: event.data }]);
+        } else if (event.type === 'report') {
+          setTestReport(event.data);
+        } else if (event.type === 'complete') {
+          setTestStatus(event.data.exitCode === 0 ? 'passed' : 'failed');
+        } else if (event.type === 'error') {
+          setTestOutput(prev => [...prev, { type: 'error', text: event.data }]);
+          setTestStatus('error');
+        } else if (event.type === 'iteration') {
+          setTestStatus(null);
+          setTestOutput(prev => [...prev, { type: 'status', text: `Auto-fix attempt ${event.data.attempt}/${event.data.maxAttempts}` }]);
+        } else if (event.type === 'patch') {
+          const { summary, diffs, files } = event.data;
+          setGeneratedFiles(prev => ({ ...prev, files }));
+          setTestOutput(prev => [
+            ...prev,
+            { type: 'status', text: `Applied fix to ${diffs.length} file${diffs.length === 1 ? '' : 's'}${summary ? ` — ${summary}` : ''}` },
+            ...diffs.flatMap(d => d.diff.split('\n').filter(Boolean).map(text => ({ type: 'diff', text }))),
+          ]);
+        } else if (event.type === 'autofix') {
+          setGeneratedFiles(prev => ({ ...prev, files: event.data.files }));
+          setTestStatus(event.data.fixed ? 'passed' : 'failed');
+          setTestOutput(prev => [...prev, {
+            type: event.data.fixed ? 'status' : 'error',
+            text: event.data.fixed
+              ? `Auto-fix: suite green after ${event.data.attempts} run${event.data.attempts === 1 ? '' : 's'}`
+              : `Auto-fix: still failing after ${event.data.attempts} run${event.data.attempts === 1 ? '' : 's'}`,
+          }]);
+          if (event.data.usage?.calls) setTestOutput(prev => [...prev, { type: 'status', text: `Auto-fix usage: ${describeUsage(event.data.usage)}` }]);
         }
-      }
+      });
     } catch (err) {
       setTestOutput(prev => [...prev, { type: 'error', text: err.message }]);
       setTestStatus('error');
@@ -387,6 +939,8 @@ const QAFrameworkGenerator = () => {
     if (msg.startsWith('✗')) return '#f87171';
     if (msg.startsWith('⚠')) return '#fbbf24';
     if (msg.startsWith('📄')) return '#c084fc';
+    if (msg.startsWith('🗺') || msg.startsWith('🧭') || msg.startsWith('🖥') || msg.startsWith('🔐')) return '#67e8f9';
+    if (msg.startsWith('📝') || msg.startsWith('⏳') || msg.startsWith('🧩') || msg.startsWith('↪') || msg.startsWith('💬') || msg.startsWith('↩')) return '#a5b4fc';
     if (msg.startsWith('🔤') || msg.startsWith('🔘') || msg.startsWith('🔗') || msg.startsWith('📋')) return '#93c5fd';
     return '#3a3a40';
   };
@@ -394,6 +948,12 @@ const QAFrameworkGenerator = () => {
   // ─── Terminal line color ───────────────────────────────────────────────────
   const termColor = (line) => {
     if (line.type === 'status') return '#a78bfa';
+    if (line.type === 'diff') {
+      if (line.text.startsWith('@@')) return '#67e8f9';
+      if (line.text.startsWith('+')) return '#4ade80';
+      if (line.text.startsWith('-')) return '#f87171';
+      return '#52525b';
+    }
     if (line.type === 'error') return '#f87171';
     const t = line.text || '';
     if (t.includes('PASSED') && !t.includes('FAILED')) return '#4ade80';
@@ -424,12 +984,20 @@ const QAFrameworkGenerator = () => {
     { id: 'explorer', label: 'Files',    icon: <IconFolder /> },
     { id: 'testrun',  label: 'Tests',    icon: <IconPlay /> },
     { id: 'library',  label: 'Library',  icon: <IconClock /> },
+    { id: 'chat',     label: 'Chat',     icon: <IconChat /> },
+    { id: 'templates', label: 'Prompts', icon: <IconDoc /> },
+    { id: 'usage',    label: 'Usage',    icon: <IconChart /> },
   ];
 
-  const tabLabel = { config: 'Framework Configuration', explorer: 'File Explorer', testrun: 'Test Runner', library: 'Saved Frameworks' };
+  const tabLabel = { config: 'Framework Configuration', explorer: 'File Explorer', testrun: 'Test Runner', library: 'Saved Frameworks', chat: 'Refinement Chat', templates: 'Prompt Templates', usage: 'Usage & Cost' };
 
   const loadFromLibrary = (entry) => {
-    setGeneratedFiles({ files: entry.files });
+    setPendingExtension(null);
+    cancelFileEdit();
+    cancelChat();
+    setLibraryId(entry.id);
+    setChatTurns(entry.chat || []);
+    setGeneratedFiles({ files: entry.files, traceability: entry.traceability });
     setActiveFile(entry.files[0]?.name || null);
     setConfig(prev => ({ ...prev, language: entry.language, framework: entry.framework, targetUrl: entry.targetUrl }));
     setTestReport(null);
@@ -455,6 +1023,7 @@ const QAFrameworkGenerator = () => {
         <SettingsModal
           settings={settings}
           providerStatus={providerStatus}
+          apiFetch={apiFetch}
           onSave={(s) => { saveSettings(s); setShowSettings(false); }}
           onClose={() => setShowSettings(false)}
         />
@@ -539,14 +1108,13 @@ const QAFrameworkGenerator = () => {
                 <label style={lbl}>Language</label>
                 <select
                   value={config.language}
-                  onChange={(e) => setConfig({ ...config, language: e.target.value, framework: frameworks[e.target.value][0] })}
+                  onChange={(e) => setConfig({ ...config, language: e.target.value, framework: frameworksOf(e.target.value)[0] })}
                   style={sel}
                 >
-                  <option value="python">Python</option>
-                  <option value="java">Java</option>
-                  <option value="typescript">TypeScript</option>
-                  <option value="javascript">JavaScript</option>
-                  <option value="C#">C#</option>
+                  {/* The config keeps "C#" as the language */}
+                  {Object.keys(frameworks).map(l => (
+                    <option key={l} value={l === 'csharp' ? 'C#' : l}>{LANGUAGE_LABELS[l] || l}</option>
+                  ))}
                 </select>
               </div>
 
@@ -558,7 +1126,7 @@ const QAFrameworkGenerator = () => {
                   onChange={(e) => setConfig({ ...config, framework: e.target.value })}
                   style={sel}
                 >
-                  {frameworks[config.language].map(fw => (
+                  {frameworksOf(config.language).map(fw => (
                     <option key={fw} value={fw}>{fw}</option>
                   ))}
                 </select>
@@ -588,6 +1156,232 @@ const QAFrameworkGenerator = () => {
                 />
               </div>
 
+              {/* Analysis mode */}
+              <div style={{ marginBottom: '16px' }}>
+                <label style={lbl}>Page Analysis</label>
+                <select
+                  value={config.analysisMode}
+                  onChange={(e) => setConfig({ ...config, analysisMode: e.target.value })}
+                  style={sel}
+                >
+                  <option value="static">Static HTML (fast)</option>
+                  <option value="rendered">Rendered DOM — headless browser, for SPAs</option>
+                </select>
+              </div>
+
+              {/* Generation mode */}
+              <div style={{ marginBottom: '16px' }}>
+                <label style={lbl}>Generation</label>
+                <select
+                  value={config.generationMode}
+                  onChange={(e) => setConfig({ ...config, generationMode: e.target.value })}
+                  style={sel}
+                >
+                  <option value="single">Single response (fast, small sites)</option>
+                  <option value="planned">Plan then generate — file by file, for large sites</option>
+                  <option value="extend" disabled={!generatedFiles}>Extend current framework — add tests or pages</option>
+                </select>
+                {config.generationMode === 'extend' && (
+                  <>
+                    <textarea
+                      value={config.extendRequest}
+                      onChange={(e) => setConfig({ ...config, extendRequest: e.target.value })}
+                      rows={3}
+                      placeholder="What to add, e.g. add checkout flow tests"
+                      style={{ ...sel, cursor: 'text', marginTop: '8px', resize: 'vertical', fontSize: '12px', lineHeight: 1.5 }}
+                    />
+                    <div style={{ fontSize: '11px', color: '#71717a', marginTop: '6px', lineHeight: 1.5 }}>
+                      {generatedFiles
+                        ? `Adds to the ${generatedFiles.files.length} current files; the target URL above is analyzed for the new tests. Changes are shown as diffs before anything is applied.`
+                        : 'Generate or load a framework first.'}
+                    </div>
+                  </>
+                )}
+              </div>
+
+              {/* Prompt template */}
+              <div style={{ marginBottom: '16px' }}>
+                <label style={lbl}>Prompt Template</label>
+                <select
+                  value={selectedTemplate?.id || ''}
+                  onChange={(e) => setConfig({ ...config, promptTemplateId: e.target.value })}
+                  style={sel}
+                >
+                  <option value="">Built-in prompt</option>
+                  {stackTemplates.map(t => (
+                    <option key={t.id} value={t.id}>{t.name} (v{t.version})</option>
+                  ))}
+                </select>
+                {config.promptTemplateId && !selectedTemplate && (
+                  <div style={{ fontSize: '11px', color: '#fbbf24', marginTop: '6px' }}>
+                    The selected template does not apply to {config.language} + {config.framework} — using the built-in prompt.
+                  </div>
+                )}
+              </div>
+
+              {/* Style reference */}
+              <div style={{ marginBottom: '16px' }}>
+                <label style={lbl}>Style Reference</label>
+                {!config.styleReference ? (
+                  <>
+                    <label style={{ ...sel, display: 'block', fontSize: '12px', color: '#71717a', opacity: styleLoading ? 0.5 : 1 }}>
+                      {styleLoading ? 'Reading framework…' : 'Upload your framework as .zip…'}
+                      <input type="file" accept=".zip,application/zip" disabled={styleLoading} onChange={(e) => { uploadStyleZip(e.target.files[0]); e.target.value = ''; }} style={{ display: 'none' }} />
+                    </label>
+                    <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                      <input
+                        value={styleDirectory}
+                        onChange={(e) => setStyleDirectory(e.target.value)}
+                        placeholder="or a directory on the server"
+                        style={{ ...sel, cursor: 'text', fontFamily: "'JetBrains Mono', monospace", fontSize: '12px' }}
+                      />
+                      <button
+                        onClick={() => loadStyleReference({ directory: styleDirectory })}
+                        disabled={styleLoading || !styleDirectory.trim()}
+                        style={{ padding: '0 12px', background: 'rgba(99,102,241,.15)', border: '1px solid rgba(99,102,241,.3)', borderRadius: '7px', color: '#a5b4fc', cursor: 'pointer', fontSize: '12px', fontWeight: 600, fontFamily: "'Inter', sans-serif" }}
+                      >
+                        Read
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <div style={{ padding: '10px 12px', background: 'rgba(255,255,255,.04)', border: '1px solid rgba(255,255,255,.1)', borderRadius: '7px' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+                      <span style={{ fontSize: '12px', color: '#c7d2fe', fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>🎨 {config.styleReference.name}</span>
+                      <span style={{ fontSize: '11px', color: '#52525b' }}>{config.styleReference.snippets.length} of {config.styleReference.fileCount} files</span>
+                      <button onClick={() => setConfig({ ...config, styleReference: null })} title="Stop using this framework" style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#71717a', cursor: 'pointer', fontSize: '11px' }}>Remove</button>
+                    </div>
+                    {config.styleReference.snippets.map(s => (
+                      <div key={s.path} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px', lineHeight: 1.8 }}>
+                        <span style={{ color: '#818cf8', width: '44px', flexShrink: 0 }}>{s.role}</span>
+                        <span title={s.truncated ? 'Only the start of this file is sent' : undefined} style={{ color: '#a1a1aa', fontFamily: "'JetBrains Mono', monospace", overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', flex: 1 }}>{s.path}{s.truncated ? ' …' : ''}</span>
+                        <button onClick={() => removeStyleSnippet(s.path)} title="Leave this file out" style={{ background: 'transparent', border: 'none', color: '#52525b', cursor: 'pointer', fontSize: '11px', padding: 0 }}>✕</button>
+                      </div>
+                    ))}
+                    {config.styleReference.warnings.map(w => (
+                      <div key={w} style={{ fontSize: '11px', color: '#fbbf24', marginTop: '4px' }}>{w}</div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* Requirements */}
+              <div style={{ marginBottom: '16px' }}>
+                <div style={{ display: 'flex', alignItems: 'center' }}>
+                  <label style={lbl}>Requirements</label>
+                  <label style={{ marginLeft: 'auto', marginBottom: '6px', fontSize: '11px', color: '#a5b4fc', cursor: 'pointer' }}>
+                    Load .feature / .md / .txt…
+                    <input type="file" multiple accept=".feature,.md,.txt,text/plain,text/markdown" onChange={(e) => { loadRequirementFiles(e.target.files); e.target.value = ''; }} style={{ display: 'none' }} />
+                  </label>
+                </div>
+                <textarea
+                  value={config.requirements}
+                  onChange={(e) => setConfig({ ...config, requirements: e.target.value })}
+                  rows={config.requirements ? 6 : 3}
+                  placeholder={'Optional: user stories, acceptance criteria or Gherkin, e.g.\nAs a shopper I want to log in\n- Valid credentials open the dashboard\n- A wrong password shows an error'}
+                  style={{ ...sel, cursor: 'text', resize: 'vertical', fontSize: '12px', lineHeight: 1.5, fontFamily: config.requirements ? "'JetBrains Mono', monospace" : "'Inter', sans-serif" }}
+                />
+                <div style={{ fontSize: '11px', color: '#71717a', marginTop: '6px', lineHeight: 1.5 }}>
+                  {config.generationMode === 'extend'
+                    ? 'Not used in extend mode; describe what to add above instead.'
+                    : 'Each criterion or scenario gets at least one test, and the report shows which criteria passed.'}
+                </div>
+              </div>
+
+              {/* Authentication */}
+              <div style={{ marginBottom: '16px' }}>
+                <label style={lbl}>Authentication</label>
+                <select
+                  value={config.auth.mode}
+                  onChange={(e) => setConfig({ ...config, auth: { ...config.auth, mode: e.target.value } })}
+                  style={sel}
+                >
+                  <option value="none">Public site — no login</option>
+                  <option value="recipe">Login recipe (credentials from server env)</option>
+                  <option value="storageState">Upload Playwright storageState</option>
+                </select>
+                {config.auth.mode === 'recipe' && (
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '8px' }}>
+                    {[
+                      ['loginUrl', 'Login URL: /login', '1 / -1'],
+                      ['usernameSelector', 'Username field: #user-name'],
+                      ['passwordSelector', 'Password field: #password'],
+                      ['submitSelector', 'Submit (optional): #login-button'],
+                      ['successUrl', 'After login URL (optional): /inventory'],
+                    ].map(([key, placeholder, gridColumn]) => (
+                      <input
+                        key={key}
+                        value={config.auth[key]}
+                        onChange={(e) => setConfig({ ...config, auth: { ...config.auth, [key]: e.target.value } })}
+                        placeholder={placeholder}
+                        style={{ ...sel, cursor: 'text', gridColumn, fontFamily: "'JetBrains Mono', monospace", fontSize: '12px' }}
+                      />
+                    ))}
+                    <select
+                      value={config.auth.profile}
+                      onChange={(e) => setConfig({ ...config, auth: { ...config.auth, profile: e.target.value } })}
+                      style={{ ...sel, gridColumn: '1 / -1' }}
+                    >
+                      {(credentialProfiles.length ? credentialProfiles : ['default']).map(p => (
+                        <option key={p} value={p}>Credentials: {p}</option>
+                      ))}
+                    </select>
+                    {!credentialProfiles.length && (
+                      <div style={{ gridColumn: '1 / -1', fontSize: '11px', color: '#fbbf24' }}>
+                        No credentials on the server — set QAFG_LOGIN_USERNAME and QAFG_LOGIN_PASSWORD.
+                      </div>
+                    )}
+                  </div>
+                )}
+                {config.auth.mode === 'storageState' && (
+                  <label style={{ ...sel, display: 'block', marginTop: '8px', fontSize: '12px', color: config.auth.storageState ? '#c7d2fe' : '#71717a' }}>
+                    {config.auth.storageStateName || 'Choose storageState .json…'}
+                    <input type="file" accept=".json,application/json" onChange={(e) => loadStorageState(e.target.files[0])} style={{ display: 'none' }} />
+                  </label>
+                )}
+                {config.auth.mode !== 'none' && (
+                  <div style={{ fontSize: '11px', color: '#71717a', marginTop: '6px' }}>
+                    Generated tests read TEST_USERNAME / TEST_PASSWORD from the environment.
+                  </div>
+                )}
+              </div>
+
+              {/* Crawl */}
+              <div style={{ marginBottom: '16px' }}>
+                <label style={lbl}>Site Crawl</label>
+                <div
+                  onClick={() => setConfig({ ...config, crawl: { ...config.crawl, enabled: !config.crawl.enabled } })}
+                  style={{ padding: '9px 12px', background: 'rgba(255,255,255,.04)', border: '1px solid rgba(255,255,255,.1)', borderRadius: '7px', display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', userSelect: 'none' }}
+                >
+                  <input type="checkbox" readOnly checked={config.crawl.enabled} style={{ accentColor: '#6366f1', margin: 0 }} />
+                  <span style={{ fontSize: '12px', color: config.crawl.enabled ? '#c7d2fe' : '#71717a' }}>Crawl same-origin pages (honors robots.txt)</span>
+                </div>
+                {config.crawl.enabled && (
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '8px' }}>
+                    <div>
+                      <div style={{ ...lbl, marginBottom: '4px' }}>Depth</div>
+                      <input type="number" min="0" max="3" value={config.crawl.maxDepth} onChange={(e) => setConfig({ ...config, crawl: { ...config.crawl, maxDepth: parseInt(e.target.value, 10) || 0 } })} style={{ ...sel, cursor: 'text' }} />
+                    </div>
+                    <div>
+                      <div style={{ ...lbl, marginBottom: '4px' }}>Max pages</div>
+                      <input type="number" min="1" max="20" value={config.crawl.maxPages} onChange={(e) => setConfig({ ...config, crawl: { ...config.crawl, maxPages: parseInt(e.target.value, 10) || 1 } })} style={{ ...sel, cursor: 'text' }} />
+                    </div>
+                    <input
+                      value={config.crawl.include}
+                      onChange={(e) => setConfig({ ...config, crawl: { ...config.crawl, include: e.target.value } })}
+                      placeholder="Include: /products/*, /cart"
+                      style={{ ...sel, cursor: 'text', gridColumn: '1 / -1', fontFamily: "'JetBrains Mono', monospace", fontSize: '12px' }}
+                    />
+                    <input
+                      value={config.crawl.exclude}
+                      onChange={(e) => setConfig({ ...config, crawl: { ...config.crawl, exclude: e.target.value } })}
+                      placeholder="Exclude: /blog/*, /logout"
+                      style={{ ...sel, cursor: 'text', gridColumn: '1 / -1', fontFamily: "'JetBrains Mono', monospace", fontSize: '12px' }}
+                    />
+                  </div>
+                )}
+              </div>
+
               {/* Browser + Mode row */}
               <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '24px' }}>
                 <div>
@@ -611,13 +1405,21 @@ const QAFrameworkGenerator = () => {
               {/* Generate button */}
               <button
                 onClick={generateFramework}
-                disabled={isGenerating}
+                disabled={isGenerating || (config.generationMode === 'extend' && (!generatedFiles || !config.extendRequest.trim()))}
                 style={{ width: '100%', padding: '12px', background: isGenerating ? 'rgba(99,102,241,0.4)' : 'linear-gradient(135deg,#5b5fc7,#7c3aed)', border: 'none', borderRadius: '8px', color: '#fff', fontSize: '13px', fontWeight: 700, cursor: isGenerating ? 'not-allowed' : 'pointer', fontFamily: "'Inter', sans-serif", display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '9px', boxShadow: isGenerating ? 'none' : '0 4px 14px rgba(99,102,241,.38)', letterSpacing: '.01em' }}
               >
                 {isGenerating
                   ? <><span className="spin-icon">⚙️</span> Generating...</>
-                  : <><IconLightning /> Generate Framework</>}
+                  : <><IconLightning /> {config.generationMode === 'extend' ? 'Extend Framework' : 'Generate Framework'}</>}
               </button>
+              {isGenerating && (
+                <button
+                  onClick={cancelGeneration}
+                  style={{ width: '100%', marginTop: '8px', padding: '9px', background: 'rgba(239,68,68,0.08)', border: '1px solid rgba(239,68,68,0.3)', borderRadius: '8px', color: '#f87171', fontSize: '12px', fontWeight: 600, cursor: 'pointer', fontFamily: "'Inter', sans-serif" }}
+                >
+                  ⏹ Cancel generation
+                </button>
+              )}
 
               {error && (
                 <div style={{ marginTop: '16px', padding: '12px', background: 'rgba(239,68,68,0.08)', border: '1px solid rgba(239,68,68,0.25)', borderRadius: '7px', color: '#f87171', fontSize: '12px', lineHeight: 1.5 }}>
@@ -650,12 +1452,58 @@ const QAFrameworkGenerator = () => {
                 )}
                 <div ref={logEndRef} />
               </div>
+
+              {/* Element inventory */}
+              {pageAnalysis?.elements?.length > 0 && (
+                <div style={{ borderTop: '1px solid rgba(255,255,255,.06)', background: '#08080b', flexShrink: 0, maxHeight: showInventory ? '45%' : 'none', display: 'flex', flexDirection: 'column' }}>
+                  <div
+                    onClick={() => setShowInventory(!showInventory)}
+                    style={{ height: '32px', display: 'flex', alignItems: 'center', gap: '8px', padding: '0 14px', cursor: 'pointer', userSelect: 'none', flexShrink: 0 }}
+                  >
+                    <IconChevron direction={showInventory ? 'down' : 'right'} />
+                    <span style={{ fontSize: '10px', fontWeight: 700, textTransform: 'uppercase', letterSpacing: '.08em', color: '#52525b' }}>Element inventory</span>
+                    <span style={{ fontSize: '11px', color: '#3f3f46' }}>{pageAnalysis.elements.length}</span>
+                  </div>
+                  {showInventory && (
+                    <div style={{ overflowY: 'auto', padding: '0 14px 10px' }}>
+                      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11.5px', fontFamily: "'JetBrains Mono', monospace" }}>
+                        <thead>
+                          <tr style={{ color: '#52525b', textAlign: 'left' }}>
+                            <th style={{ padding: '4px 6px', fontWeight: 600 }}>Element</th>
+                            <th style={{ padding: '4px 6px', fontWeight: 600 }}>Strategy</th>
+                            <th style={{ padding: '4px 6px', fontWeight: 600 }}>Locator</th>
+                            <th style={{ padding: '4px 6px', fontWeight: 600 }}>Unique</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {pageAnalysis.elements.map((el, i) => (
+                            <tr key={i} style={{ borderTop: '1px solid rgba(255,255,255,.04)', color: '#a1a1aa' }}>
+                              <td style={{ padding: '4px 6px' }}>{el.role || el.tag}{el.name ? ` "${el.name}"` : ''}</td>
+                              <td style={{ padding: '4px 6px', color: '#818cf8' }}>{el.locator.strategy}</td>
+                              <td style={{ padding: '4px 6px', wordBreak: 'break-all' }}>{['css', 'testid'].includes(el.locator.strategy) ? el.locator.css : el.locator.value}</td>
+                              <td style={{ padding: '4px 6px', color: el.locator.unique ? '#4ade80' : '#fbbf24' }}>{el.locator.unique ? '✓' : `×${el.locator.matches}`}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           </div>
         )}
 
         {/* ── Tab: Explorer ── */}
-        {activeTab === 'explorer' && (
+        {activeTab === 'explorer' && pendingExtension && (
+          <ExtensionReview
+            extension={pendingExtension}
+            onToggle={(file) => setPendingExtension(p => ({ ...p, changes: p.changes.map(c => (c.file === file ? { ...c, accepted: !c.accepted } : c)) }))}
+            onApply={applyExtension}
+            onDiscard={discardExtension}
+          />
+        )}
+        {activeTab === 'explorer' && !pendingExtension && (
           <div style={{ flex: 1, display: 'flex', overflow: 'hidden' }}>
             {/* File tree sidebar */}
             <div style={{ width: '210px', flexShrink: 0, background: '#080809', borderRight: '1px solid rgba(255,255,255,.06)', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
@@ -740,13 +1588,88 @@ const QAFrameworkGenerator = () => {
                     >×</span>
                   </div>
                 )}
+                {generatedFiles && activeFile && !fileEdit && (
+                  <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '6px', padding: '0 12px' }}>
+                    {[['regenerate', '↻ Regenerate', 'Write this file again with the rest of the project as context'], ['edit', '✎ Edit with instruction', 'Change this file following an instruction']].map(([mode, label, title]) => (
+                      <button
+                        key={mode}
+                        onClick={() => startFileEdit(mode)}
+                        disabled={isGenerating || isRunningTests || chatBusy}
+                        title={title}
+                        style={{ padding: '4px 10px', background: 'transparent', border: '1px solid rgba(255,255,255,.1)', borderRadius: '6px', color: '#a1a1aa', fontSize: '11px', cursor: isGenerating || isRunningTests || chatBusy ? 'not-allowed' : 'pointer', fontFamily: "'Inter', sans-serif" }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
 
+              {/* Regenerate / edit request for the active file */}
+              {fileEdit && fileEdit.status !== 'review' && (
+                <div style={{ padding: '10px 14px', background: '#0a0a0d', borderBottom: '1px solid rgba(255,255,255,.06)', display: 'flex', flexDirection: 'column', gap: '6px', flexShrink: 0 }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <span style={{ fontSize: '11.5px', color: '#a1a1aa', whiteSpace: 'nowrap' }}>{fileEdit.mode === 'edit' ? 'Edit' : 'Regenerate'} {fileEdit.file}</span>
+                    <input
+                      type="text"
+                      value={fileEdit.instruction}
+                      onChange={(e) => setFileEdit(f => ({ ...f, instruction: e.target.value }))}
+                      onKeyDown={(e) => { if (e.key === 'Enter' && fileEdit.status === 'input' && (fileEdit.mode === 'regenerate' || fileEdit.instruction.trim())) requestFileEdit(); }}
+                      disabled={fileEdit.status === 'running'}
+                      placeholder={fileEdit.mode === 'edit' ? 'e.g. use the data-testid locators and add a logout method' : 'Optional guidance, e.g. wait for the form before filling it'}
+                      autoFocus
+                      style={{ flex: 1, padding: '6px 10px', background: '#111316', border: '1px solid rgba(255,255,255,.1)', borderRadius: '6px', color: '#e4e4e7', fontSize: '12px', fontFamily: "'Inter', sans-serif", outline: 'none' }}
+                    />
+                    <button
+                      onClick={requestFileEdit}
+                      disabled={fileEdit.status === 'running' || (fileEdit.mode === 'edit' && !fileEdit.instruction.trim())}
+                      style={{ padding: '6px 12px', background: 'linear-gradient(135deg,#5b5fc7,#7c3aed)', border: 'none', borderRadius: '6px', color: '#fff', fontSize: '11.5px', fontWeight: 600, cursor: 'pointer', fontFamily: "'Inter', sans-serif", whiteSpace: 'nowrap' }}
+                    >
+                      {fileEdit.status === 'running' ? 'Working…' : 'Propose change'}
+                    </button>
+                    <button
+                      onClick={cancelFileEdit}
+                      style={{ padding: '6px 12px', background: 'transparent', border: '1px solid rgba(255,255,255,.12)', borderRadius: '6px', color: '#a1a1aa', fontSize: '11.5px', cursor: 'pointer', fontFamily: "'Inter', sans-serif" }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                  {fileEdit.error && <div style={{ fontSize: '11.5px', color: '#f87171' }}>{fileEdit.error}</div>}
+                </div>
+              )}
+
               {/* Code + gutter */}
               {!generatedFiles || !activeFile ? (
                 <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#3f3f46', fontSize: '13px', background: '#080809' }}>
                   {!generatedFiles ? 'Generate a framework first' : 'Select a file from the tree'}
                 </div>
+              ) : fileEdit?.status === 'review' ? (
+                <div style={{ flex: 1, display: 'flex', flexDirection: 'column', overflow: 'hidden', background: '#080809' }}>
+                  <div style={{ padding: '10px 14px', background: '#0a0a0d', borderBottom: '1px solid rgba(255,255,255,.06)', display: 'flex', alignItems: 'center', gap: '10px', flexShrink: 0 }}>
+                    <span style={{ fontSize: '11.5px', fontFamily: "'JetBrains Mono', monospace", color: '#4ade80' }}>+{fileEdit.change.additions}</span>
+                    <span style={{ fontSize: '11.5px', fontFamily: "'JetBrains Mono', monospace", color: '#f87171' }}>−{fileEdit.change.deletions}</span>
+                    <span style={{ flex: 1, fontSize: '12px', color: '#a1a1aa', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={fileEdit.summary}>
+                      {fileEdit.summary || `Proposed ${fileEdit.mode === 'edit' ? 'edit' : 'regeneration'} of ${fileEdit.file}`}
+                    </span>
+                    <button
+                      onClick={acceptFileEdit}
+                      style={{ padding: '6px 14px', background: 'linear-gradient(135deg,#5b5fc7,#7c3aed)', border: 'none', borderRadius: '6px', color: '#fff', fontSize: '11.5px', fontWeight: 600, cursor: 'pointer', fontFamily: "'Inter', sans-serif" }}
+                    >
+                      Accept
+                    </button>
+                    <button
+                      onClick={cancelFileEdit}
+                      style={{ padding: '6px 14px', background: 'transparent', border: '1px solid rgba(255,255,255,.12)', borderRadius: '6px', color: '#a1a1aa', fontSize: '11.5px', cursor: 'pointer', fontFamily: "'Inter', sans-serif" }}
+                    >
+                      Reject
+                    </button>
+                  </div>
+                  <pre style={{ flex: 1, overflow: 'auto', margin: 0, padding: '14px 20px', fontSize: '12px', lineHeight: 1.6, fontFamily: "'JetBrains Mono', monospace", whiteSpace: 'pre' }}>
+                    {fileEdit.change.diff.split('\n').map((line, i) => (
+                      <div key={i} style={{ color: diffColor(line) }}>{line || ' '}</div>
+                    ))}
+                  </pre>
+                </div>
               ) : (() => {
                 const content = generatedFiles.files.find(f => f.name === activeFile)?.content || '';
                 const lines = content.split('\n');
@@ -811,6 +1734,26 @@ const QAFrameworkGenerator = () => {
                   <input type="range" min="0" max="2000" step="100" value={config.slowMo} onChange={(e) => setConfig({ ...config, slowMo: parseInt(e.target.value, 10) })} style={{ accentColor: '#6366f1' }} />
                 </div>
               )}
+              <div>
+                <div style={lbl}>Auto-fix</div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <ModeToggle
+                    on={config.autoFix.enabled}
+                    onToggle={() => setConfig({ ...config, autoFix: { ...config.autoFix, enabled: !config.autoFix.enabled } })}
+                    trackW={28} trackH={16} knobSize={12} labels={['Off', 'On']}
+                  />
+                  {config.autoFix.enabled && (
+                    <select
+                      value={config.autoFix.maxIterations}
+                      onChange={(e) => setConfig({ ...config, autoFix: { ...config.autoFix, maxIterations: parseInt(e.target.value, 10) } })}
+                      title="Maximum repair rounds"
+                      style={{ padding: '4px 6px', background: 'rgba(255,255,255,.04)', border: '1px solid rgba(255,255,255,.1)', borderRadius: '6px', color: '#e4e4e7', fontSize: '11px', outline: 'none' }}
+                    >
+                      {[1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n} round{n === 1 ? '' : 's'}</option>)}
+                    </select>
+                  )}
+                </div>
+              </div>
               <div style={{ marginLeft: 'auto', display: 'flex', gap: '10px' }}>
                 <button
                   onClick={downloadAsZip}
@@ -821,8 +1764,8 @@ const QAFrameworkGenerator = () => {
                 </button>
                 <button
                   onClick={runTests}
-                  disabled={!generatedFiles || isRunningTests}
-                  style={{ padding: '8px 20px', background: isRunningTests ? 'rgba(34,197,94,0.3)' : 'linear-gradient(135deg,#22c55e,#16a34a)', border: 'none', borderRadius: '7px', color: '#fff', fontSize: '12px', fontWeight: 700, cursor: (!generatedFiles || isRunningTests) ? 'not-allowed' : 'pointer', fontFamily: "'Inter', sans-serif", display: 'flex', alignItems: 'center', gap: '7px', boxShadow: isRunningTests ? 'none' : '0 3px 10px rgba(34,197,94,.3)' }}
+                  disabled={!generatedFiles || isRunningTests || chatBusy}
+                  style={{ padding: '8px 20px', background: isRunningTests ? 'rgba(34,197,94,0.3)' : 'linear-gradient(135deg,#22c55e,#16a34a)', border: 'none', borderRadius: '7px', color: '#fff', fontSize: '12px', fontWeight: 700, cursor: (!generatedFiles || isRunningTests || chatBusy) ? 'not-allowed' : 'pointer', fontFamily: "'Inter', sans-serif", display: 'flex', alignItems: 'center', gap: '7px', boxShadow: isRunningTests ? 'none' : '0 3px 10px rgba(34,197,94,.3)' }}
                 >
                   {isRunningTests
                     ? <><span className="spin-icon">🔄</span> Running...</>
@@ -924,9 +1867,13 @@ const QAFrameworkGenerator = () => {
 
                     {/* Test list */}
                     <div style={{ flex: 1, overflowY: 'auto', padding: '8px 10px' }}>
+                      {generatedFiles?.traceability && testReport?.tests && (
+                        <TraceabilityTable rows={generatedFiles.traceability} tests={testReport.tests} />
+                      )}
                       {testReport?.tests?.length > 0 ? testReport.tests.map((test, i) => {
                         const passed = test.outcome === 'passed';
                         const failed = test.outcome === 'failed';
+                        const criteria = generatedFiles?.traceability ? criteriaOfTest(generatedFiles.traceability, test.nodeid) : [];
                         return (
                           <div key={i}>
                             <div
@@ -940,6 +1887,9 @@ const QAFrameworkGenerator = () => {
                                 <div style={{ fontSize: '12px', fontWeight: 500, color: '#e4e4e7', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{test.nodeid.split('::').pop()}</div>
                                 <div style={{ fontSize: '10px', color: '#52525b', marginTop: '1px' }}>{test.nodeid.split('::').slice(0, -1).join(' › ')}</div>
                               </div>
+                              {criteria.length > 0 && (
+                                <span title="Requirement criteria this test verifies" style={{ fontSize: '10px', color: '#a5b4fc', fontFamily: "'JetBrains Mono', monospace", whiteSpace: 'nowrap' }}>{criteria.join(' ')}</span>
+                              )}
                               <span style={{ fontSize: '11px', color: '#52525b', fontFamily: "'JetBrains Mono', monospace", whiteSpace: 'nowrap' }}>{(test.duration * 1000).toFixed(0)}ms</span>
                               <div style={{ padding: '3px 9px', borderRadius: '12px', fontSize: '10px', fontWeight: 700, textTransform: 'uppercase', letterSpacing: '.04em', flexShrink: 0, background: passed ? 'rgba(34,197,94,.1)' : failed ? 'rgba(239,68,68,.1)' : 'rgba(251,191,36,.1)', color: passed ? '#4ade80' : failed ? '#f87171' : '#fbbf24', border: `1px solid ${passed ? 'rgba(34,197,94,.25)' : failed ? 'rgba(239,68,68,.3)' : 'rgba(251,191,36,.25)'}` }}>
                                 {test.outcome}
@@ -1004,6 +1954,30 @@ const QAFrameworkGenerator = () => {
                           <span style={{ fontSize: '11px', color: '#52525b' }}>{entry.fileCount} files</span>
                           <span style={{ fontSize: '11px', color: '#3f3f46' }}>·</span>
                           <span style={{ fontSize: '11px', color: '#3f3f46' }}>{entry.framework}</span>
+                          {entry.model && (
+                            <>
+                              <span style={{ fontSize: '11px', color: '#3f3f46' }}>·</span>
+                              <span title={entry.provider} style={{ fontSize: '11px', color: '#52525b', fontFamily: "'JetBrains Mono', monospace" }}>{entry.model}</span>
+                            </>
+                          )}
+                          {entry.usage && (
+                            <>
+                              <span style={{ fontSize: '11px', color: '#3f3f46' }}>·</span>
+                              <span title={describeUsage(entry.usage)} style={{ fontSize: '11px', color: '#52525b' }}>🪙 {fmtTokens(entry.usage.inputTokens + entry.usage.outputTokens)} · {fmtCost(entry.usage.cost, entry.usage.unpricedCalls)}</span>
+                            </>
+                          )}
+                          {entry.promptTemplate && (
+                            <>
+                              <span style={{ fontSize: '11px', color: '#3f3f46' }}>·</span>
+                              <span title={`Generated with prompt template "${entry.promptTemplate.name}" v${entry.promptTemplate.version}`} style={{ fontSize: '11px', color: '#52525b' }}>📝 {entry.promptTemplate.name} v{entry.promptTemplate.version}</span>
+                            </>
+                          )}
+                          {entry.recordingId && (
+                            <>
+                              <span style={{ fontSize: '11px', color: '#3f3f46' }}>·</span>
+                              <span title={`Recording ${entry.recordingId} — replay with the "Replay recording" provider`} style={{ fontSize: '11px', color: '#52525b' }}>⏺ recorded</span>
+                            </>
+                          )}
                         </div>
                         {/* Date + actions */}
                         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginTop: '2px' }}>
@@ -1037,6 +2011,24 @@ const QAFrameworkGenerator = () => {
           </div>
         )}
 
+        {activeTab === 'chat' && (
+          <ChatPanel
+            turns={chatTurns}
+            hasFiles={Boolean(generatedFiles?.files.length)}
+            persisted={Boolean(libraryId)}
+            busy={chatBusy}
+            disabled={isGenerating || isRunningTests || Boolean(pendingExtension) || fileEdit?.status === 'running'}
+            error={chatError}
+            onSend={sendChatMessage}
+            onCancel={cancelChat}
+            onUndo={undoChatTurn}
+          />
+        )}
+
+        {activeTab === 'templates' && <PromptTemplatesPanel apiFetch={apiFetch} config={config} frameworks={frameworks} onChange={setPromptTemplates} />}
+
+        {activeTab === 'usage' && <UsagePanel apiFetch={apiFetch} />}
+
       </div>{/* end main */}
 
       <style>{`
@@ -1059,25 +2051,658 @@ const QAFrameworkGenerator = () => {
   );
 };
 
+// ─── Usage Panel ───────────────────────────────────────────────────────────────
+
+// Server-side usage ledger totals, grouped by day, provider or model
+const UsagePanel = ({ apiFetch }) => {
+  const [days, setDays] = useState(30);
+  const [groupBy, setGroupBy] = useState('day');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    apiFetch(`/api/usage?days=${days}`)
+      .then(r => r.json())
+      .then(setData)
+      .catch(e => setError(`Could not load usage: ${e.message}`));
+  }, [days]);
+
+  const keyOf = {
+    day: (row) => row.day,
+    provider: (row) => row.provider,
+    model: (row) => `${row.provider} / ${row.model || 'CLI default'}`,
+  }[groupBy];
+  const groups = new Map();
+  for (const row of data?.rows || []) {
+    const key = keyOf(row);
+    const g = groups.get(key) || { key, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, priced: 0, unpricedCalls: 0, estimated: false };
+    g.calls += row.calls;
+    g.inputTokens += row.inputTokens;
+    g.outputTokens += row.outputTokens;
+    g.cost += row.cost;
+    g.priced += row.calls - row.unpricedCalls;
+    g.unpricedCalls += row.unpricedCalls;
+    g.estimated = g.estimated || row.estimated;
+    groups.set(key, g);
+  }
+  const rows = [...groups.values()];
+  if (groupBy !== 'day') rows.sort((a, b) => b.cost - a.cost || b.inputTokens + b.outputTokens - (a.inputTokens + a.outputTokens));
+  const total = rows.reduce((t, g) => ({
+    calls: t.calls + g.calls,
+    inputTokens: t.inputTokens + g.inputTokens,
+    outputTokens: t.outputTokens + g.outputTokens,
+    cost: t.cost + g.cost,
+    priced: t.priced + g.priced,
+    unpricedCalls: t.unpricedCalls + g.unpricedCalls,
+  }), { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, priced: 0, unpricedCalls: 0 });
+
+  const cell = { padding: '8px 12px', fontSize: '12px', borderBottom: '1px solid rgba(255,255,255,.05)', textAlign: 'right', fontFamily: "'JetBrains Mono', monospace", color: '#a1a1aa' };
+  const head = { ...cell, fontFamily: "'Inter', sans-serif", fontSize: '10px', fontWeight: 700, textTransform: 'uppercase', letterSpacing: '.08em', color: '#52525b' };
+
+  return (
+    <div style={{ flex: 1, overflowY: 'auto', padding: '24px 28px' }}>
+      <div style={{ marginBottom: '18px', display: 'flex', alignItems: 'center', gap: '12px' }}>
+        <h2 style={{ fontSize: '14px', fontWeight: 700, color: '#f4f4f5', margin: 0 }}>Token Usage</h2>
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} style={{ ...sel, width: 'auto', padding: '6px 10px', fontSize: '12px' }}>
+            <option value="day">By day</option>
+            <option value="provider">By provider</option>
+            <option value="model">By model</option>
+          </select>
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} style={{ ...sel, width: 'auto', padding: '6px 10px', fontSize: '12px' }}>
+            <option value={7}>Last 7 days</option>
+            <option value={30}>Last 30 days</option>
+            <option value={90}>Last 90 days</option>
+          </select>
+        </div>
+      </div>
+      {error && <p style={{ color: '#f87171', fontSize: '12px' }}>{error}</p>}
+      {data && !rows.length && (
+        <p style={{ color: '#52525b', fontSize: '13px' }}>No provider calls in the last {data.days} days.</p>
+      )}
+      {rows.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', background: '#111316', border: '1px solid rgba(255,255,255,.07)', borderRadius: '10px' }}>
+          <thead>
+            <tr>
+              <th style={{ ...head, textAlign: 'left' }}>{{ day: 'Day (UTC)', provider: 'Provider', model: 'Model' }[groupBy]}</th>
+              <th style={head}>Calls</th>
+              <th style={head}>Input tokens</th>
+              <th style={head}>Output tokens</th>
+              <th style={head}>Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(g => (
+              <tr key={g.key}>
+                <td style={{ ...cell, textAlign: 'left', color: '#e4e4e7' }}>{g.key}{g.estimated && <span title="Includes calls whose tokens were estimated from the text length" style={{ color: '#52525b' }}> ~</span>}</td>
+                <td style={cell}>{g.calls}</td>
+                <td style={cell}>{g.inputTokens.toLocaleString()}</td>
+                <td style={cell}>{g.outputTokens.toLocaleString()}</td>
+                <td style={cell} title={g.unpricedCalls ? `${g.unpricedCalls} call(s) have no rate in the pricing table` : undefined}>{fmtCost(g.priced ? g.cost : null, g.unpricedCalls)}</td>
+              </tr>
+            ))}
+            <tr>
+              <td style={{ ...cell, textAlign: 'left', color: '#f4f4f5', fontWeight: 700, borderBottom: 'none' }}>Total</td>
+              <td style={{ ...cell, borderBottom: 'none' }}>{total.calls}</td>
+              <td style={{ ...cell, borderBottom: 'none' }}>{total.inputTokens.toLocaleString()}</td>
+              <td style={{ ...cell, borderBottom: 'none' }}>{total.outputTokens.toLocaleString()}</td>
+              <td style={{ ...cell, borderBottom: 'none', color: '#c7d2fe' }}>{fmtCost(total.priced ? total.cost : null, total.unpricedCalls)}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+      <p style={{ color: '#52525b', fontSize: '11px', marginTop: '14px', lineHeight: 1.6 }}>
+        Every provider call is counted, including validation retries and auto-fix repairs. ~ marks estimated tokens (providers that report no usage, such as the Claude CLI).
+        Costs use the server's rate table (USD per million tokens; override with QAFG_PRICING_FILE); — means no rate is configured.
+      </p>
+    </div>
+  );
+};
+
+// ─── Extension Review ─────────────────────────────────────────────────────────
+
+// Per-file diffs of an extend-mode result; conflicting files start unselected
+const ExtensionReview = ({ extension, onToggle, onApply, onDiscard }) => {
+  const [selected, setSelected] = useState(extension.changes[0]?.file || null);
+  const change = extension.changes.find(c => c.file === selected);
+  const accepted = extension.changes.filter(c => c.accepted).length;
+
+  return (
+    <div style={{ flex: 1, display: 'flex', overflow: 'hidden' }}>
+      {/* Changed files */}
+      <div style={{ width: '300px', flexShrink: 0, background: '#080809', borderRight: '1px solid rgba(255,255,255,.06)', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+        <div style={{ padding: '14px 14px 10px', borderBottom: '1px solid rgba(255,255,255,.06)' }}>
+          <div style={{ fontSize: '13px', fontWeight: 700, color: '#f4f4f5', marginBottom: '4px' }}>Review extension</div>
+          <div style={{ fontSize: '11.5px', color: '#71717a', lineHeight: 1.5 }}>{extension.extension.request}</div>
+        </div>
+        <div style={{ flex: 1, overflowY: 'auto' }}>
+          {extension.changes.length === 0 && (
+            <div style={{ padding: '14px', fontSize: '12px', color: '#52525b' }}>The provider returned no changes.</div>
+          )}
+          {extension.changes.map(c => (
+            <div
+              key={c.file}
+              onClick={() => setSelected(c.file)}
+              style={{ padding: '7px 12px', display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', borderLeft: selected === c.file ? '2px solid #6366f1' : '2px solid transparent', background: selected === c.file ? 'rgba(99,102,241,0.12)' : 'transparent' }}
+            >
+              <input type="checkbox" checked={c.accepted} onChange={() => onToggle(c.file)} onClick={(e) => e.stopPropagation()} style={{ accentColor: '#6366f1', margin: 0 }} />
+              <span title={c.status} style={{ fontSize: '10px', fontWeight: 700, width: '12px', color: c.status === 'added' ? '#4ade80' : '#fbbf24' }}>{c.status === 'added' ? 'A' : 'M'}</span>
+              <span style={{ flex: 1, fontSize: '12px', color: c.accepted ? '#e4e4e7' : '#71717a', fontFamily: "'JetBrains Mono', monospace", overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{c.file}</span>
+              {c.conflicts.length > 0 && <span title={c.conflicts.join('\n')} style={{ fontSize: '11px' }}>⚠️</span>}
+              <span style={{ fontSize: '10.5px', fontFamily: "'JetBrains Mono', monospace", color: '#4ade80' }}>+{c.additions}</span>
+              <span style={{ fontSize: '10.5px', fontFamily: "'JetBrains Mono', monospace", color: '#f87171' }}>−{c.deletions}</span>
+            </div>
+          ))}
+        </div>
+        <div style={{ padding: '12px 14px', borderTop: '1px solid rgba(255,255,255,.06)', display: 'flex', gap: '8px' }}>
+          <button
+            onClick={onApply}
+            disabled={!accepted}
+            style={{ flex: 1, padding: '9px', background: 'linear-gradient(135deg,#5b5fc7,#7c3aed)', border: 'none', borderRadius: '7px', color: '#fff', fontSize: '12px', fontWeight: 700, cursor: accepted ? 'pointer' : 'not-allowed', fontFamily: "'Inter', sans-serif" }}
+          >
+            Apply {accepted} file{accepted === 1 ? '' : 's'}
+          </button>
+          <button
+            onClick={onDiscard}
+            style={{ padding: '9px 14px', background: 'transparent', border: '1px solid rgba(255,255,255,.12)', borderRadius: '7px', color: '#a1a1aa', fontSize: '12px', cursor: 'pointer', fontFamily: "'Inter', sans-serif" }}
+          >
+            Discard
+          </button>
+        </div>
+      </div>
+
+      {/* Diff of the selected file */}
+      <div style={{ flex: 1, display: 'flex', flexDirection: 'column', overflow: 'hidden', minWidth: 0, background: '#080809' }}>
+        {extension.summary && (
+          <div style={{ padding: '10px 18px', borderBottom: '1px solid rgba(255,255,255,.06)', fontSize: '12px', color: '#a1a1aa', lineHeight: 1.5 }}>{extension.summary}</div>
+        )}
+        {change?.conflicts.map(reason => (
+          <div key={reason} style={{ padding: '8px 18px', background: 'rgba(251,191,36,0.08)', borderBottom: '1px solid rgba(251,191,36,0.2)', fontSize: '12px', color: '#fbbf24' }}>⚠️ {reason}</div>
+        ))}
+        {change ? (
+          <pre style={{ flex: 1, overflow: 'auto', margin: 0, padding: '14px 20px', fontSize: '12px', lineHeight: 1.6, fontFamily: "'JetBrains Mono', monospace", whiteSpace: 'pre' }}>
+            {change.diff.split('\n').map((line, i) => (
+              <div key={i} style={{ color: diffColor(line) }}>{line || ' '}</div>
+            ))}
+          </pre>
+        ) : (
+          <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#3f3f46', fontSize: '13px' }}>Select a file</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ─── Traceability Table ───────────────────────────────────────────────────────
+
+// Report test ids differ per runner ("tests/test_login.py::test_valid_login[chromium]",
+// "Login › logs in", "LoginTest.validLogin"). A traceability test matches when
+// its name ends the id, ignoring case, punctuation, parameters and a "test" prefix.
+const testKey = (name) => String(name).replace(/\[[^\]]*\]$/, '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+const matchesTest = (nodeid, name) => {
+  const id = testKey(nodeid);
+  const wanted = testKey(name).replace(/^test_?/, '');
+  return Boolean(wanted) && (id === wanted || id.endsWith(`_${wanted}`) || id.endsWith(`_test${wanted}`) || id === `test${wanted}`);
+};
+
+// Criterion ids whose tests include the report test
+const criteriaOfTest = (rows, nodeid) => rows.filter(r => r.tests.some(t => matchesTest(nodeid, t.name))).map(r => r.criterion);
+
+// One row per criterion with the outcome of its tests in the last run
+const TraceabilityTable = ({ rows, tests }) => {
+  const statusOf = (row) => {
+    if (!row.tests.length) return ['not covered', '#71717a'];
+    const results = tests.filter(t => row.tests.some(link => matchesTest(t.nodeid, link.name)));
+    if (!results.length) return ['not run', '#71717a'];
+    if (results.some(t => t.outcome === 'failed' || t.outcome === 'error')) return ['failed', '#f87171'];
+    if (results.every(t => t.outcome === 'passed')) return ['passed', '#4ade80'];
+    return ['skipped', '#fbbf24'];
+  };
+  const covered = rows.filter(r => r.tests.length).length;
+
+  return (
+    <div style={{ marginBottom: '10px', border: '1px solid rgba(255,255,255,.07)', borderRadius: '7px', overflow: 'hidden' }}>
+      <div style={{ padding: '8px 10px', display: 'flex', alignItems: 'center', background: 'rgba(255,255,255,.03)', borderBottom: '1px solid rgba(255,255,255,.06)' }}>
+        <span style={{ fontSize: '11px', fontWeight: 700, color: '#e4e4e7' }}>Requirements traceability</span>
+        <span style={{ marginLeft: 'auto', fontSize: '10.5px', color: '#52525b' }}>{covered} of {rows.length} criteria covered</span>
+      </div>
+      {rows.map(row => {
+        const [status, color] = statusOf(row);
+        return (
+          <div key={row.criterion} style={{ display: 'flex', alignItems: 'flex-start', gap: '10px', padding: '7px 10px', borderBottom: '1px solid rgba(255,255,255,.04)' }}>
+            <span style={{ fontSize: '10.5px', fontWeight: 700, color: '#a5b4fc', fontFamily: "'JetBrains Mono', monospace", width: '52px', flexShrink: 0 }}>{row.criterion}</span>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div title={row.text} style={{ fontSize: '11.5px', color: '#d4d4d8', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{row.text.split('\n')[0]}</div>
+              <div style={{ fontSize: '10.5px', color: '#52525b', marginTop: '2px', fontFamily: row.tests.length ? "'JetBrains Mono', monospace" : "'Inter', sans-serif", whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                {row.tests.length ? row.tests.map(t => t.name).join(', ') : row.note}
+              </div>
+            </div>
+            <span style={{ fontSize: '10px', fontWeight: 700, textTransform: 'uppercase', letterSpacing: '.04em', color, flexShrink: 0 }}>{status}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// ─── Chat Panel ───────────────────────────────────────────────────────────────
+
+// Conversation with the provider about the current framework. Every assistant
+// turn lists its change set; undone turns stay in the history, dimmed.
+const ChatPanel = ({ turns, hasFiles, persisted, busy, disabled, error, onSend, onCancel, onUndo }) => {
+  const [input, setInput] = useState('');
+  const [expanded, setExpanded] = useState({});
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [turns.length, busy]);
+
+  const send = async () => {
+    const message = input.trim();
+    if (!message || busy || disabled) return;
+    if (await onSend(message)) setInput('');
+  };
+
+  const statusStyle = { added: ['A', '#4ade80'], modified: ['M', '#fbbf24'], deleted: ['D', '#f87171'] };
+
+  if (!hasFiles) {
+    return (
+      <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#3f3f46', fontSize: '13px', textAlign: 'center', lineHeight: 1.6 }}>
+        Generate a framework or load one from the library<br/>to refine it in a conversation.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ flex: 1, display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+      <div style={{ flex: 1, overflowY: 'auto', padding: '20px 22px', display: 'flex', flexDirection: 'column', gap: '14px' }}>
+        {turns.length === 0 && (
+          <div style={{ fontSize: '12.5px', color: '#52525b', lineHeight: 1.6 }}>
+            Ask for changes to the current files, e.g. "use data-testid locators everywhere" or "split the login tests into positive and negative cases". Each answer is applied right away and can be undone.
+            {!persisted && ' This framework is not in the library, so the conversation is not saved.'}
+          </div>
+        )}
+        {turns.map(turn => (
+          <div key={turn.id} style={{ display: 'flex', flexDirection: 'column', gap: '8px', opacity: turn.undone ? 0.45 : 1 }}>
+            <div style={{ alignSelf: 'flex-end', maxWidth: '75%', padding: '9px 13px', background: 'rgba(99,102,241,0.16)', border: '1px solid rgba(99,102,241,0.3)', borderRadius: '10px 10px 2px 10px', fontSize: '12.5px', color: '#e4e4e7', whiteSpace: 'pre-wrap' }}>
+              {turn.message}
+            </div>
+            <div style={{ alignSelf: 'flex-start', maxWidth: '85%', minWidth: '50%', padding: '10px 13px', background: '#111316', border: '1px solid rgba(255,255,255,.07)', borderRadius: '10px 10px 10px 2px' }}>
+              <div style={{ fontSize: '12.5px', color: '#d4d4d8', lineHeight: 1.55, whiteSpace: 'pre-wrap' }}>{turn.summary || 'Done.'}</div>
+              {turn.changes.length > 0 && (
+                <div style={{ marginTop: '8px', borderTop: '1px solid rgba(255,255,255,.06)', paddingTop: '6px' }}>
+                  {turn.changes.map(c => {
+                    const key = `${turn.id}:${c.file}`;
+                    const [letter, color] = statusStyle[c.status];
+                    return (
+                      <div key={c.file}>
+                        <div
+                          onClick={() => setExpanded(e => ({ ...e, [key]: !e[key] }))}
+                          style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '3px 0', cursor: 'pointer' }}
+                        >
+                          <IconChevron direction={expanded[key] ? 'down' : 'right'} />
+                          <span title={c.status} style={{ fontSize: '10px', fontWeight: 700, width: '10px', color }}>{letter}</span>
+                          <span style={{ flex: 1, fontSize: '11.5px', color: '#a1a1aa', fontFamily: "'JetBrains Mono', monospace", overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{c.file}</span>
+                          <span style={{ fontSize: '10.5px', fontFamily: "'JetBrains Mono', monospace", color: '#4ade80' }}>+{c.additions}</span>
+                          <span style={{ fontSize: '10.5px', fontFamily: "'JetBrains Mono', monospace", color: '#f87171' }}>−{c.deletions}</span>
+                        </div>
+                        {expanded[key] && (
+                          <pre style={{ margin: '4px 0 8px', padding: '10px 12px', maxHeight: '320px', overflow: 'auto', background: '#080809', borderRadius: '6px', fontSize: '11.5px', lineHeight: 1.55, fontFamily: "'JetBrains Mono', monospace", whiteSpace: 'pre' }}>
+                            {c.diff.split('\n').map((line, i) => (
+                              <div key={i} style={{ color: diffColor(line) }}>{line || ' '}</div>
+                            ))}
+                          </pre>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+              <div style={{ marginTop: '8px', display: 'flex', alignItems: 'center', gap: '10px', fontSize: '10.5px', color: '#52525b' }}>
+                {turn.generatedBy && <span>{turn.generatedBy.provider} / {turn.generatedBy.model}</span>}
+                {turn.usage?.calls > 0 && <span>{describeUsage(turn.usage)}</span>}
+                <span style={{ marginLeft: 'auto' }}>
+                  {turn.undone ? 'Undone' : turn.changes.length > 0 && (
+                    <button
+                      onClick={() => onUndo(turn.id)}
+                      disabled={busy || disabled}
+                      style={{ padding: '3px 10px', background: 'transparent', border: '1px solid rgba(255,255,255,.12)', borderRadius: '5px', color: '#a1a1aa', fontSize: '10.5px', cursor: 'pointer', fontFamily: "'Inter', sans-serif" }}
+                    >
+                      ↩ Undo
+                    </button>
+                  )}
+                </span>
+              </div>
+            </div>
+          </div>
+        ))}
+        {busy && <div style={{ fontSize: '12px', color: '#71717a' }}>Working on it…</div>}
+        <div ref={endRef} />
+      </div>
+
+      {error && (
+        <div style={{ padding: '8px 22px', background: 'rgba(239,68,68,0.08)', borderTop: '1px solid rgba(239,68,68,0.2)', fontSize: '12px', color: '#f87171' }}>{error}</div>
+      )}
+      <div style={{ padding: '12px 22px', borderTop: '1px solid rgba(255,255,255,.06)', display: 'flex', gap: '8px', alignItems: 'flex-end' }}>
+        <textarea
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              send();
+            }
+          }}
+          rows={2}
+          disabled={busy}
+          placeholder="Describe a change (Enter to send, Shift+Enter for a new line)"
+          style={{ flex: 1, padding: '9px 12px', background: '#111316', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', color: '#e4e4e7', fontSize: '12.5px', fontFamily: "'Inter', sans-serif", resize: 'vertical', outline: 'none' }}
+        />
+        {busy ? (
+          <button
+            onClick={onCancel}
+            style={{ padding: '10px 16px', background: 'transparent', border: '1px solid rgba(255,255,255,.12)', borderRadius: '8px', color: '#a1a1aa', fontSize: '12px', cursor: 'pointer', fontFamily: "'Inter', sans-serif" }}
+          >
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={send}
+            disabled={disabled || !input.trim()}
+            style={{ padding: '10px 16px', background: 'linear-gradient(135deg,#5b5fc7,#7c3aed)', border: 'none', borderRadius: '8px', color: '#fff', fontSize: '12px', fontWeight: 700, cursor: 'pointer', fontFamily: "'Inter', sans-serif" }}
+          >
+            Send
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ─── Prompt Templates Panel ───────────────────────────────────────────────────
+
+// Server-stored prompt templates (promptTemplates.js): edit, version, preview.
+// An empty part keeps the built-in one for the stack.
+const emptyDraft = { id: null, name: '', description: '', language: '', framework: '', body: '', fileList: '', rules: '', note: '' };
+
+const PromptTemplatesPanel = ({ apiFetch, config, frameworks, onChange }) => {
+  const [templates, setTemplates] = useState([]);
+  const [variables, setVariables] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [analyze, setAnalyze] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const refresh = () => apiFetch('/api/prompt-templates')
+    .then(r => r.json())
+    .then(d => { setTemplates(d.templates || []); setVariables(d.variables); onChange(d.templates || []); })
+    .catch(e => setError(`Could not load templates: ${e.message}`));
+
+  useEffect(() => { refresh(); }, []);
+
+  // Requests fail with the server's { error } message
+  const request = async (path, opts = {}) => {
+    const r = await apiFetch(path, { ...opts, headers: { 'Content-Type': 'application/json' } });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(data.error || `Request failed (${r.status})`);
+    return data;
+  };
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError('');
+    try {
+      await fn();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The stack the built-in parts and the preview are rendered for
+  const stack = () => ({
+    language: draft?.language || templateLanguage(config.language),
+    framework: draft?.framework || (draft?.language ? frameworks[draft.language][0] : config.framework),
+  });
+
+  const builtIn = async ({ language, framework }) => request(`/api/prompt-templates/defaults?language=${encodeURIComponent(language)}&framework=${encodeURIComponent(framework)}`);
+
+  const startNew = () => run(async () => {
+    const defaults = await builtIn(config);
+    setDraft({ ...emptyDraft, body: defaults.body });
+    setVersions([]);
+    setPreview(null);
+  });
+
+  const open = (id) => run(async () => {
+    const t = await request(`/api/prompt-templates/${id}`);
+    const latest = t.versions[t.versions.length - 1];
+    setDraft({ id: t.id, name: t.name, description: t.description, language: t.language || '', framework: t.framework || '', body: latest.body || '', fileList: latest.fileList || '', rules: latest.rules || '', note: '' });
+    setVersions(t.versions);
+    setPreview(null);
+  });
+
+  // Loads an older version into the editor; saving it makes it the latest
+  const restore = (v) => setDraft(d => ({ ...d, body: v.body || '', fileList: v.fileList || '', rules: v.rules || '', note: `Restored v${v.version}` }));
+
+  const insertBuiltIn = (part) => run(async () => {
+    const defaults = await builtIn(stack());
+    setDraft(d => ({ ...d, [part]: defaults[part] }));
+  });
+
+  const save = () => run(async () => {
+    const { id, ...input } = draft;
+    const t = await request(id ? `/api/prompt-templates/${id}` : '/api/prompt-templates', { method: id ? 'PUT' : 'POST', body: JSON.stringify(input) });
+    setDraft(d => ({ ...d, id: t.id, note: '' }));
+    setVersions(t.versions);
+    await refresh();
+  });
+
+  const remove = () => run(async () => {
+    if (!window.confirm(`Delete prompt template "${draft.name}" and all its versions?`)) return;
+    await request(`/api/prompt-templates/${draft.id}`, { method: 'DELETE' });
+    setDraft(null);
+    setVersions([]);
+    await refresh();
+  });
+
+  const runPreview = () => run(async () => {
+    const { body, fileList, rules } = draft;
+    setPreview(await request('/api/prompt-templates/preview', {
+      method: 'POST',
+      body: JSON.stringify({ ...stack(), targetUrl: config.targetUrl, template: { body, fileList, rules }, styleReference: config.styleReference || undefined, requirements: config.requirements.trim() || undefined, analyze }),
+    }));
+  });
+
+  const area = { ...sel, cursor: 'text', fontFamily: "'JetBrains Mono', monospace", fontSize: '11.5px', lineHeight: 1.5, resize: 'vertical' };
+  const smallBtn = { padding: '6px 12px', background: 'rgba(99,102,241,.15)', border: '1px solid rgba(99,102,241,.3)', borderRadius: '6px', color: '#a5b4fc', cursor: 'pointer', fontSize: '11px', fontWeight: 600, fontFamily: "'Inter', sans-serif" };
+  const vars = (list) => list?.map(v => `{{${v}}}`).join(' ');
+  const parts = [
+    ['body', 'Brief', 14, variables?.body],
+    ['fileList', 'File list', 6, variables?.fileList],
+    ['rules', 'Rules', 6, variables?.rules],
+  ];
+
+  return (
+    <div style={{ flex: 1, display: 'flex', overflow: 'hidden' }}>
+      {/* Template list */}
+      <div style={{ width: '260px', flexShrink: 0, borderRight: '1px solid rgba(255,255,255,.06)', overflowY: 'auto', padding: '24px 18px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '14px' }}>
+          <h2 style={{ fontSize: '14px', fontWeight: 700, color: '#f4f4f5', margin: 0 }}>Templates</h2>
+          <button onClick={startNew} disabled={busy} style={smallBtn}>+ New</button>
+        </div>
+        {templates.length === 0 && (
+          <p style={{ fontSize: '12px', color: '#52525b', lineHeight: 1.6 }}>No templates yet. Generations use the built-in prompt.</p>
+        )}
+        {templates.map(t => (
+          <div
+            key={t.id}
+            onClick={() => open(t.id)}
+            style={{ padding: '10px 12px', marginBottom: '6px', borderRadius: '7px', cursor: 'pointer', background: draft?.id === t.id ? 'rgba(99,102,241,0.1)' : 'rgba(255,255,255,.03)', border: `1px solid ${draft?.id === t.id ? 'rgba(99,102,241,.35)' : 'rgba(255,255,255,.06)'}` }}
+          >
+            <div style={{ fontSize: '12.5px', fontWeight: 600, color: '#e4e4e7' }}>{t.name}</div>
+            <div style={{ fontSize: '11px', color: '#52525b', marginTop: '3px' }}>
+              {[t.language === 'csharp' ? 'C#' : t.language, t.framework].filter(Boolean).join(' + ') || 'Any stack'} · v{t.version}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Editor */}
+      <div style={{ flex: 1, overflowY: 'auto', padding: '24px 28px', minWidth: 0 }}>
+        {error && (
+          <div style={{ marginBottom: '14px', padding: '10px 12px', background: 'rgba(239,68,68,0.08)', border: '1px solid rgba(239,68,68,0.25)', borderRadius: '7px', color: '#f87171', fontSize: '12px', lineHeight: 1.5 }}>{error}</div>
+        )}
+        {!draft ? (
+          <p style={{ fontSize: '13px', color: '#52525b', lineHeight: 1.6 }}>
+            Pick a template or create one. A template replaces the generation brief, the file list and/or the rules for its stack;
+            choose it under Prompt Template in Config.
+          </p>
+        ) : (
+          <>
+            <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '10px', marginBottom: '12px' }}>
+              <div>
+                <label style={lbl}>Name</label>
+                <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Team conventions" style={{ ...sel, cursor: 'text' }} />
+              </div>
+              <div>
+                <label style={lbl}>Language</label>
+                <select value={draft.language} onChange={(e) => setDraft({ ...draft, language: e.target.value, framework: '' })} style={sel}>
+                  <option value="">Any</option>
+                  {Object.keys(frameworks).map(l => <option key={l} value={l}>{LANGUAGE_LABELS[l] || l}</option>)}
+                </select>
+              </div>
+              <div>
+                <label style={lbl}>Framework</label>
+                <select value={draft.framework} disabled={!draft.language} onChange={(e) => setDraft({ ...draft, framework: e.target.value })} style={sel}>
+                  <option value="">Any</option>
+                  {(frameworks[draft.language] || []).map(fw => <option key={fw} value={fw}>{fw}</option>)}
+                </select>
+              </div>
+            </div>
+            <div style={{ marginBottom: '12px' }}>
+              <label style={lbl}>Description</label>
+              <input value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} placeholder="What this template changes" style={{ ...sel, cursor: 'text' }} />
+            </div>
+
+            {parts.map(([part, title, rows, allowed]) => (
+              <div key={part} style={{ marginBottom: '12px' }}>
+                <div style={{ display: 'flex', alignItems: 'baseline', gap: '10px', marginBottom: '7px' }}>
+                  <label style={{ ...lbl, marginBottom: 0 }}>{title}</label>
+                  {allowed && <span style={{ fontSize: '10.5px', color: '#3f3f46', fontFamily: "'JetBrains Mono', monospace" }}>{vars(allowed)}</span>}
+                  <button onClick={() => insertBuiltIn(part)} disabled={busy} style={{ ...smallBtn, marginLeft: 'auto', padding: '3px 8px', fontSize: '10.5px' }}>Load built-in</button>
+                </div>
+                <textarea
+                  value={draft[part]}
+                  onChange={(e) => setDraft({ ...draft, [part]: e.target.value })}
+                  rows={rows}
+                  placeholder={`Empty — use the built-in ${title.toLowerCase()} for the stack`}
+                  style={area}
+                />
+              </div>
+            ))}
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '18px', flexWrap: 'wrap' }}>
+              <input value={draft.note} onChange={(e) => setDraft({ ...draft, note: e.target.value })} placeholder="Version note (optional)" style={{ ...sel, cursor: 'text', flex: 1, minWidth: '180px' }} />
+              <button onClick={save} disabled={busy || !draft.name.trim()} style={{ ...smallBtn, padding: '9px 16px', background: 'linear-gradient(135deg,#5b5fc7,#7c3aed)', border: 'none', color: '#fff' }}>
+                {draft.id ? 'Save new version' : 'Create template'}
+              </button>
+              <button onClick={runPreview} disabled={busy} style={{ ...smallBtn, padding: '9px 14px' }}>Preview</button>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11.5px', color: '#71717a', cursor: 'pointer' }}>
+                <input type="checkbox" checked={analyze} onChange={(e) => setAnalyze(e.target.checked)} style={{ accentColor: '#6366f1', margin: 0 }} />
+                Analyze {config.targetUrl}
+              </label>
+              {draft.id && (
+                <button onClick={remove} disabled={busy} title="Delete template" style={{ padding: '8px 9px', background: 'transparent', border: '1px solid rgba(239,68,68,.2)', borderRadius: '6px', color: '#f87171', cursor: 'pointer', display: 'flex', alignItems: 'center' }}>
+                  <IconTrash />
+                </button>
+              )}
+            </div>
+
+            {versions.length > 0 && (
+              <div style={{ marginBottom: '18px' }}>
+                <label style={lbl}>Versions</label>
+                {[...versions].reverse().map(v => (
+                  <div key={v.version} style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '6px 0', borderBottom: '1px solid rgba(255,255,255,.04)', fontSize: '12px' }}>
+                    <span style={{ color: '#c7d2fe', fontFamily: "'JetBrains Mono', monospace", width: '36px' }}>v{v.version}</span>
+                    <span style={{ color: '#52525b', width: '150px' }}>{new Date(v.createdAt).toLocaleString()}</span>
+                    <span style={{ color: '#a1a1aa', flex: 1 }}>{v.note || '—'}</span>
+                    {v.version !== versions[versions.length - 1].version && (
+                      <button onClick={() => restore(v)} style={{ ...smallBtn, padding: '3px 8px', fontSize: '10.5px' }}>Restore</button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {preview && (
+              <div>
+                <label style={lbl}>Preview — {stack().language} + {stack().framework} · {preview.chars.toLocaleString()} chars</label>
+                {preview.neutralized.length > 0 && (
+                  <div style={{ fontSize: '11px', color: '#fbbf24', marginBottom: '6px' }}>
+                    🛡 {preview.neutralized.length} analysis field{preview.neutralized.length === 1 ? '' : 's'} dropped as instruction-like text
+                  </div>
+                )}
+                <pre style={{ margin: 0, padding: '14px', background: '#060609', border: '1px solid rgba(255,255,255,.06)', borderRadius: '7px', color: '#a1a1aa', fontFamily: "'JetBrains Mono', monospace", fontSize: '11.5px', lineHeight: 1.6, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                  {preview.prompt}
+                </pre>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // ─── Settings Modal (unchanged) ───────────────────────────────────────────────
 
-const SettingsModal = ({ settings, providerStatus, onSave, onClose }) => {
+const SettingsModal = ({ settings, providerStatus, apiFetch, onSave, onClose }) => {
   const [draft, setDraft] = useState(settings);
   const [saveError, setSaveError] = useState('');
-  const providers = [
-    { id: 'claude-local',   label: 'Claude (Local CLI) — uses your installed Claude Code, no key needed' },
-    { id: 'anthropic-api',  label: 'Anthropic API (Claude)' },
-    { id: 'openai',         label: 'OpenAI (ChatGPT)' },
-    { id: 'grok',           label: 'Grok (xAI)' },
-    { id: 'perplexity',     label: 'Perplexity' },
-  ];
+  const [discovered, setDiscovered] = useState({});
+  const [discovery, setDiscovery] = useState({ loading: false, error: '' });
+  // Rendered from the server's provider registry (providers/*.js)
+  const providers = providerStatus
+    ? Object.entries(providerStatus).map(([id, p]) => ({ id, ...p }))
+    : [{ id: draft.provider, label: draft.provider }];
   const current    = providerStatus?.[draft.provider];
   const requiresKey = current?.requiresKey;
-  const available  = current?.available !== false;
+  const help = current?.help;
+  const apiKey = draft.apiKeys?.[draft.provider] || '';
+  const baseUrl = draft.baseUrls?.[draft.provider] || '';
+  const model = draft.models?.[draft.provider] || '';
+  const modelOptions = [...new Set([...(discovered[draft.provider] || current?.models || []), ...(model ? [model] : [])])];
+  const fallbacks = (draft.fallbacks || []).filter(id => id !== draft.provider);
+  const addableFallbacks = providers.filter(p => p.id !== draft.provider && !fallbacks.includes(p.id) && p.available !== false);
+  const setField = (field, value) => setDraft(d => ({ ...d, [field]: { ...d[field], [d.provider]: value } }));
+
+  const discoverModels = async () => {
+    setDiscovery({ loading: true, error: '' });
+    try {
+      const r = await apiFetch(`/api/providers/${encodeURIComponent(draft.provider)}/models`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ baseUrl: baseUrl || undefined, apiKey: apiKey || undefined }),
+      });
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || `Model discovery failed (${r.status})`);
+      setDiscovered(prev => ({ ...prev, [draft.provider]: data.models }));
+      if (data.models.length && !data.models.includes(model)) setField('models', data.models[0]);
+      setDiscovery({ loading: false, error: data.models.length ? '' : 'The server has no models. Pull or load one first.' });
+    } catch (e) {
+      setDiscovery({ loading: false, error: e.message });
+    }
+  };
 
   return (
     <div onClick={onClose} style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.75)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }}>
-      <div onClick={(e) => e.stopPropagation()} style={{ background: '#111316', border: '1px solid rgba(99,102,241,0.35)', borderRadius: '12px', padding: '28px', width: '520px', maxWidth: '90vw', color: '#e4e4e7', fontFamily: "'Inter', sans-serif" }}>
+      <div onClick={(e) => e.stopPropagation()} style={{ background: '#111316', border: '1px solid rgba(99,102,241,0.35)', borderRadius: '12px', padding: '28px', width: '520px', maxWidth: '90vw', maxHeight: '90vh', overflowY: 'auto', boxSizing: 'border-box', color: '#e4e4e7', fontFamily: "'Inter', sans-serif" }}>
         <h2 style={{ margin: '0 0 10px 0', color: '#a5b4fc', fontSize: '1.1rem' }}>⚙ Settings</h2>
         <p style={{ color: '#71717a', fontSize: '0.8rem', margin: '0 0 8px 0', lineHeight: 1.5 }}>
           Choose which AI generates your test framework. API keys are stored locally in your browser only.
@@ -1086,12 +2711,11 @@ const SettingsModal = ({ settings, providerStatus, onSave, onClose }) => {
         <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>AI Provider</label>
         <select
           value={draft.provider}
-          onChange={(e) => setDraft({ ...draft, provider: e.target.value })}
+          onChange={(e) => { setDraft({ ...draft, provider: e.target.value }); setSaveError(''); setDiscovery({ loading: false, error: '' }); }}
           style={{ width: '100%', marginTop: '6px', padding: '10px', background: 'rgba(255,255,255,.04)', color: '#e4e4e7', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.85rem', outline: 'none' }}
         >
           {providers.map(p => {
-            const st = providerStatus?.[p.id];
-            const disabled = st && st.available === false;
+            const disabled = p.available === false;
             return (
               <option key={p.id} value={p.id} disabled={disabled}>
                 {p.label}{disabled ? ' (not installed)' : ''}
@@ -1100,60 +2724,183 @@ const SettingsModal = ({ settings, providerStatus, onSave, onClose }) => {
           })}
         </select>
 
-        {draft.provider === 'claude-local' && (
+        {(help || current?.baseUrl) && (
           <div style={{ marginTop: '12px', padding: '12px', background: 'rgba(99,102,241,0.08)', borderRadius: '8px', fontSize: '0.8rem', color: '#c7d2fe', lineHeight: 1.5 }}>
-            {available ? (
-              <>✓ Local Claude CLI detected. No API key required — uses your existing Claude Code session.<div style={{ marginTop: '6px', color: '#71717a' }}>Need to set it up? <a href="https://claude.com/claude-code" target="_blank" rel="noreferrer" style={{ color: '#a5b4fc' }}>Install Claude Code</a> and run <code style={{ background: 'rgba(0,0,0,0.3)', padding: '1px 4px', borderRadius: '3px' }}>claude login</code>.</div></>
-            ) : (
-              <>✗ Local Claude CLI not detected. <a href="https://claude.com/claude-code" target="_blank" rel="noreferrer" style={{ color: '#a5b4fc' }}>Install Claude Code</a>, then run <code style={{ background: 'rgba(0,0,0,0.3)', padding: '1px 4px', borderRadius: '3px' }}>claude login</code> and restart the server.</>
+            {help?.text}
+            {help?.url && <> <a href={help.url} target="_blank" rel="noreferrer" style={{ color: '#a5b4fc' }}>{help.urlLabel || help.url}</a>{help.command ? ', then run ' : '.'}</>}
+            {help?.command && <><code style={{ background: 'rgba(0,0,0,0.3)', padding: '1px 4px', borderRadius: '3px' }}>{help.command}</code>{help.after ? ` ${help.after}` : '.'}</>}
+            {help?.keyPrefix && <> Starts with <code style={{ background: 'rgba(0,0,0,0.3)', padding: '1px 4px', borderRadius: '3px' }}>{help.keyPrefix}</code>.</>}
+            {current?.baseUrl && !baseUrl && (
+              <div style={{ marginTop: '6px', color: current.reachable ? '#4ade80' : '#71717a' }}>
+                {current.reachable ? `✓ Server default ${current.baseUrl} is reachable.` : `Server default ${current.baseUrl} is not reachable.`}
+              </div>
             )}
           </div>
         )}
 
-        {draft.provider === 'anthropic-api' && (
-          <div style={{ marginTop: '12px', padding: '12px', background: 'rgba(99,102,241,0.08)', borderRadius: '8px', fontSize: '0.8rem', color: '#c7d2fe', lineHeight: 1.5 }}>
-            Need a key? <a href="https://console.anthropic.com/settings/keys" target="_blank" rel="noreferrer" style={{ color: '#a5b4fc' }}>Anthropic Console → API Keys</a>. Starts with <code style={{ background: 'rgba(0,0,0,0.3)', padding: '1px 4px', borderRadius: '3px' }}>sk-ant-</code>.
-          </div>
-        )}
-
-        {draft.provider === 'openai' && (
-          <div style={{ marginTop: '12px', padding: '12px', background: 'rgba(99,102,241,0.08)', borderRadius: '8px', fontSize: '0.8rem', color: '#c7d2fe', lineHeight: 1.5 }}>
-            Need a key? <a href="https://platform.openai.com/api-keys" target="_blank" rel="noreferrer" style={{ color: '#a5b4fc' }}>OpenAI Platform → API Keys</a>. Starts with <code style={{ background: 'rgba(0,0,0,0.3)', padding: '1px 4px', borderRadius: '3px' }}>sk-</code>.
-          </div>
-        )}
-
-        {draft.provider === 'grok' && (
-          <div style={{ marginTop: '12px', padding: '12px', background: 'rgba(99,102,241,0.08)', borderRadius: '8px', fontSize: '0.8rem', color: '#c7d2fe', lineHeight: 1.5 }}>
-            Need a key? <a href="https://console.x.ai" target="_blank" rel="noreferrer" style={{ color: '#a5b4fc' }}>xAI Console → API Keys</a>. Starts with <code style={{ background: 'rgba(0,0,0,0.3)', padding: '1px 4px', borderRadius: '3px' }}>xai-</code>.
-          </div>
-        )}
-
-        {draft.provider === 'perplexity' && (
-          <div style={{ marginTop: '12px', padding: '12px', background: 'rgba(99,102,241,0.08)', borderRadius: '8px', fontSize: '0.8rem', color: '#c7d2fe', lineHeight: 1.5 }}>
-            Need a key? <a href="https://www.perplexity.ai/settings/api" target="_blank" rel="noreferrer" style={{ color: '#a5b4fc' }}>Perplexity → API Settings</a>. Starts with <code style={{ background: 'rgba(0,0,0,0.3)', padding: '1px 4px', borderRadius: '3px' }}>pplx-</code>.
-          </div>
+        {current?.settings?.includes('baseUrl') && (
+          <>
+            <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>Base URL</label>
+            <input
+              value={baseUrl}
+              onChange={(e) => setField('baseUrls', e.target.value)}
+              placeholder={current.baseUrl || 'https://'}
+              style={{ width: '100%', marginTop: '6px', padding: '10px', background: 'rgba(255,255,255,.04)', color: '#e4e4e7', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.85rem', boxSizing: 'border-box', outline: 'none' }}
+            />
+            {current.allowedBaseUrls?.length > 0 && (
+              <div style={{ marginTop: '6px', fontSize: '0.75rem', color: '#71717a' }}>
+                Allowed on this server: {current.allowedBaseUrls.join(', ')}
+              </div>
+            )}
+          </>
         )}
 
-        {requiresKey && (
+        {current?.acceptsKey && (
           <>
-            <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>API Key</label>
+            <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>{requiresKey ? 'API Key' : 'API Key (optional)'}</label>
             <input
               type="password"
-              value={draft.apiKey}
-              onChange={(e) => { setDraft({ ...draft, apiKey: e.target.value }); if (saveError) setSaveError(''); }}
-              placeholder={({ 'anthropic-api': 'sk-ant-...', openai: 'sk-...', grok: 'xai-...', perplexity: 'pplx-...' })[draft.provider] || 'sk-...'}
+              value={apiKey}
+              onChange={(e) => { setField('apiKeys', e.target.value); if (saveError) setSaveError(''); }}
+              placeholder={requiresKey ? `${help?.keyPrefix || 'sk-'}...` : (current.hasEnvKey ? 'Using the key configured on the server' : 'Only if your server requires one')}
               style={{ width: '100%', marginTop: '6px', padding: '10px', background: 'rgba(255,255,255,.04)', color: '#e4e4e7', border: `1px solid ${saveError ? 'rgba(239,68,68,.6)' : 'rgba(255,255,255,.1)'}`, borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.85rem', boxSizing: 'border-box', outline: 'none' }}
             />
             {saveError && <div style={{ marginTop: '8px', fontSize: '0.78rem', color: '#f87171' }}>{saveError}</div>}
           </>
         )}
 
+        {current && (
+          <>
+            <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>Model</label>
+            {current.canListModels ? (
+              <div style={{ display: 'flex', gap: '8px', marginTop: '6px' }}>
+                <select
+                  value={model}
+                  onChange={(e) => setField('models', e.target.value)}
+                  style={{ flex: 1, padding: '10px', background: 'rgba(255,255,255,.04)', color: '#e4e4e7', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.85rem', outline: 'none' }}
+                >
+                  <option value="">Server default{current.defaultModel ? ` (${current.defaultModel})` : ''}</option>
+                  {modelOptions.map(m => <option key={m} value={m}>{m}</option>)}
+                </select>
+                <button
+                  onClick={discoverModels}
+                  disabled={discovery.loading}
+                  style={{ background: 'rgba(99,102,241,0.15)', color: '#a5b4fc', border: '1px solid rgba(99,102,241,0.35)', padding: '0 14px', borderRadius: '8px', cursor: discovery.loading ? 'wait' : 'pointer', fontFamily: "'Inter', sans-serif", fontSize: '0.8rem' }}
+                >
+                  {discovery.loading ? 'Loading…' : 'Discover'}
+                </button>
+              </div>
+            ) : (
+              <>
+                <input
+                  list="qafg-provider-models"
+                  value={model}
+                  onChange={(e) => setField('models', e.target.value.trim())}
+                  placeholder={current.defaultModel ? `Default: ${current.defaultModel}` : 'Default: the provider’s configured model'}
+                  style={{ width: '100%', marginTop: '6px', padding: '10px', background: 'rgba(255,255,255,.04)', color: '#e4e4e7', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.85rem', boxSizing: 'border-box', outline: 'none' }}
+                />
+                <datalist id="qafg-provider-models">
+                  {modelOptions.map(m => <option key={m} value={m} />)}
+                </datalist>
+              </>
+            )}
+            {discovery.error && <div style={{ marginTop: '8px', fontSize: '0.78rem', color: '#f87171' }}>{discovery.error}</div>}
+          </>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px' }}>
+          <div style={{ flex: 1 }}>
+            <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>Max Tokens</label>
+            <input
+              type="number" min={256} max={64000} step={256}
+              value={draft.maxTokens ?? 8000}
+              onChange={(e) => setDraft({ ...draft, maxTokens: parseInt(e.target.value, 10) || '' })}
+              disabled={current?.supportsSampling === false}
+              style={{ width: '100%', marginTop: '6px', padding: '10px', background: 'rgba(255,255,255,.04)', color: '#e4e4e7', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.85rem', boxSizing: 'border-box', outline: 'none' }}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>Temperature</label>
+            <input
+              type="number" min={0} max={2} step={0.1}
+              value={draft.temperature ?? ''}
+              onChange={(e) => setDraft({ ...draft, temperature: e.target.value })}
+              placeholder="Provider default"
+              disabled={current?.supportsSampling === false}
+              style={{ width: '100%', marginTop: '6px', padding: '10px', background: 'rgba(255,255,255,.04)', color: '#e4e4e7', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.85rem', boxSizing: 'border-box', outline: 'none' }}
+            />
+          </div>
+        </div>
+        {current?.supportsSampling === false && (
+          <div style={{ marginTop: '6px', fontSize: '0.75rem', color: '#52525b' }}>This provider uses its own output limit and sampling settings.</div>
+        )}
+
+        <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>Fallback Providers</label>
+        <div style={{ marginTop: '6px', fontSize: '0.78rem', color: '#71717a', lineHeight: 1.5 }}>
+          Tried in order when {current?.label ? 'the provider above' : 'the selected provider'} keeps failing (rate limits, outages, missing CLI). Each uses the key and model saved for it.
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px', marginTop: '8px' }}>
+          <span style={{ fontSize: '0.8rem', color: '#a5b4fc' }}>{draft.provider}</span>
+          {fallbacks.map(id => (
+            <React.Fragment key={id}>
+              <span style={{ color: '#52525b' }}>→</span>
+              <span style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', padding: '3px 8px', borderRadius: '20px', background: 'rgba(99,102,241,0.12)', border: '1px solid rgba(99,102,241,0.3)', fontSize: '0.78rem', color: '#c7d2fe' }}>
+                {id}
+                <button onClick={() => setDraft({ ...draft, fallbacks: fallbacks.filter(f => f !== id) })} title="Remove" style={{ background: 'none', border: 'none', color: '#71717a', cursor: 'pointer', padding: 0, fontSize: '0.8rem' }}>✕</button>
+              </span>
+            </React.Fragment>
+          ))}
+          {addableFallbacks.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => e.target.value && setDraft({ ...draft, fallbacks: [...fallbacks, e.target.value] })}
+              style={{ padding: '4px 8px', background: 'rgba(255,255,255,.04)', color: '#a1a1aa', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.78rem', outline: 'none' }}
+            >
+              <option value="">+ Add fallback…</option>
+              {addableFallbacks.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+            </select>
+          )}
+        </div>
+
+        <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>Provider Retries</label>
+        <select
+          value={draft.providerRetries ?? 2}
+          onChange={(e) => setDraft({ ...draft, providerRetries: parseInt(e.target.value, 10) })}
+          style={{ width: '100%', marginTop: '6px', padding: '10px', background: 'rgba(255,255,255,.04)', color: '#e4e4e7', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.85rem', outline: 'none' }}
+        >
+          {[0, 1, 2, 3, 4, 5].map(n => (
+            <option key={n} value={n}>{n === 0 ? 'Off — fall back on the first error' : `Up to ${n} retr${n === 1 ? 'y' : 'ies'} on rate limits / server errors (exponential backoff, honors Retry-After)`}</option>
+          ))}
+        </select>
+
+        <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>Repair Retries</label>
+        <select
+          value={draft.repairRetries ?? 2}
+          onChange={(e) => setDraft({ ...draft, repairRetries: parseInt(e.target.value, 10) })}
+          style={{ width: '100%', marginTop: '6px', padding: '10px', background: 'rgba(255,255,255,.04)', color: '#e4e4e7', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.85rem', outline: 'none' }}
+        >
+          {[0, 1, 2, 3, 4, 5].map(n => (
+            <option key={n} value={n}>{n === 0 ? 'Off — fail on the first invalid response' : `Up to ${n} re-prompt${n === 1 ? '' : 's'} when output is invalid`}</option>
+          ))}
+        </select>
+
+        <label style={{ display: 'block', marginTop: '16px', fontSize: '0.75rem', color: '#71717a', textTransform: 'uppercase', letterSpacing: '.06em' }}>Record Generations</label>
+        <select
+          value={draft.record == null ? 'default' : draft.record ? 'on' : 'off'}
+          onChange={(e) => setDraft({ ...draft, record: { default: null, on: true, off: false }[e.target.value] })}
+          style={{ width: '100%', marginTop: '6px', padding: '10px', background: 'rgba(255,255,255,.04)', color: '#e4e4e7', border: '1px solid rgba(255,255,255,.1)', borderRadius: '8px', fontFamily: "'Inter', sans-serif", fontSize: '0.85rem', outline: 'none' }}
+        >
+          <option value="default">Server default (QAFG_RECORD_GENERATIONS)</option>
+          <option value="on">Record prompts and raw responses for replay</option>
+          <option value="off">Don't record</option>
+        </select>
+
         <div style={{ marginTop: '24px', display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
           <button onClick={onClose} style={{ background: 'transparent', color: '#71717a', border: '1px solid rgba(255,255,255,.12)', padding: '8px 16px', borderRadius: '8px', cursor: 'pointer', fontFamily: "'Inter', sans-serif" }}>Cancel</button>
           <button
             onClick={() => {
-              if (requiresKey && !draft.apiKey) { setSaveError('Key required, or change to Claude (Local CLI)'); return; }
-              onSave(draft);
+              if (requiresKey && !apiKey) { setSaveError('Key required, or choose a provider that does not need one'); return; }
+              onSave({ ...draft, fallbacks });
             }}
             style={{ background: 'linear-gradient(135deg,#5b5fc7,#7c3aed)', color: 'white', border: 'none', padding: '8px 18px', borderRadius: '8px', cursor: 'pointer', fontFamily: "'Inter', sans-serif", fontWeight: 600 }}
           >
@@ -46,6 +46,12 @@ export function useFrameworkStorage() {
       targetUrl: config.targetUrl,
       files: framework.files,
       fileCount: framework.files.length,
+      provider: framework.generatedBy?.provider,
+      model: framework.generatedBy?.model,
+      recordingId: framework.recordingId,
+      usage: framework.usage,
+      promptTemplate: framework.promptTemplate,
+      traceability: framework.traceability,
       createdAt: Date.now(),
     };
     const db = await openDb();
@@ -59,6 +65,22 @@ export function useFrameworkStorage() {
     return entry;
   }, [refresh]);
 
+  // Merges `changes` into a saved entry (files changed by the refinement chat,
+  // its history); a removed entry stays removed
+  const update = useCallback(async (id, changes) => {
+    const db = await openDb();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      store.get(id).onsuccess = (e) => {
+        if (e.target.result) store.put({ ...e.target.result, ...changes, updatedAt: Date.now() });
+      };
+      tx.oncomplete = resolve;
+      tx.onerror = (e) => reject(e.target.error);
+    });
+    await refresh();
+  }, [refresh]);
+
   const remove = useCallback(async (id) => {
     const db = await openDb();
     await new Promise((resolve, reject) => {
@@ -70,5 +92,5 @@ export function useFrameworkStorage() {
     await refresh();
   }, [refresh]);
 
-  return { saved, save, remove };
+  return { saved, save, update, remove };
 }
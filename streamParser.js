@@ -0,0 +1,57 @@
+// Incremental parser for the generation response format
+// {"files":[{"name","path","content"}, ...], "summary": "..."}. Fed the raw
+// token stream, it reports each file object as soon as its closing brace
+// arrives so the UI can show files before the whole response is done.
+// extractJSON on the full text stays the source of truth.
+
+export function createFileStreamParser(onFile) {
+  let text = '';
+  let pos = -1;          // scan cursor inside the files array; -1 until found
+  let done = false;
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+  let count = 0;
+
+  return {
+    push(chunk) {
+      text += chunk;
+      if (done) return;
+      if (pos < 0) {
+        const m = text.match(/"files"\s*:\s*\[/);
+        if (!m) return;
+        pos = m.index + m[0].length;
+      }
+      for (; pos < text.length; pos++) {
+        const ch = text[pos];
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === '\\') escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+        if (ch === '"') {
+          inString = true;
+        } else if (ch === '{') {
+          if (depth === 0) start = pos;
+          depth++;
+        } else if (ch === '}') {
+          depth--;
+          if (depth === 0 && start >= 0) {
+            try {
+              const file = JSON.parse(text.slice(start, pos + 1));
+              if (file && typeof file.name === 'string') onFile(file, count++);
+            } catch {
+              // Malformed object; the final extractJSON pass decides
+            }
+            start = -1;
+          }
+        } else if (ch === ']' && depth === 0) {
+          done = true;
+          return;
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,312 @@
+import { readdir, readFile, realpath, stat } from "fs/promises";
+import { basename, delimiter, extname, join, relative, resolve, sep } from "path";
+import { inflateRawSync } from "zlib";
+import { normalizeLanguage } from "./prompts.js";
+
+// Style reference: an existing team framework (an uploaded ZIP or a directory
+// on the server) reduced to a few representative files, so generated page
+// objects and tests follow its base classes, helpers and conventions instead
+// of the generic template:
+//
+//   { name, snippets: [{ role, path, content, truncated }] }
+//
+// roles: "base" (base page / test classes), "helper" (waits, logging,
+// action wrappers), "page" (a sample page object), "test" (a sample test),
+// "config" (conftest.py, playwright.config.ts, pom.xml, ...).
+//
+// Directories can only be read under QAFG_STYLE_REFERENCE_ROOTS.
+
+export const STYLE_REFERENCE_ROOTS = (process.env.QAFG_STYLE_REFERENCE_ROOTS || "")
+  .split(delimiter).map((root) => root.trim()).filter(Boolean).map((root) => resolve(root));
+
+export const ROLES = ["base", "helper", "page", "test", "config"];
+const ROLE_LIMITS = { base: 2, helper: 2, page: 1, test: 2, config: 2 };
+const ROLE_LABELS = { base: "base class", helper: "helper", page: "sample page object", test: "sample test", config: "config" };
+
+const MAX_FILES = 2000;
+const MAX_FILE_BYTES = 200_000;
+const MAX_TOTAL_BYTES = 20_000_000;
+const MAX_SNIPPET_CHARS = 4000;
+const MAX_TOTAL_CHARS = 16000;
+const TRUNCATED = "\n… (truncated)";
+
+const CODE_EXTENSIONS = {
+  python: [".py"],
+  java: [".java"],
+  javascript: [".js", ".mjs", ".cjs"],
+  typescript: [".ts"],
+  csharp: [".cs"]
+};
+const ALL_CODE = Object.values(CODE_EXTENSIONS).flat();
+
+// Framework config first, then dependency manifests
+const CONFIG_FILES = [
+  /^conftest\.py$/, /^(playwright|cypress)\.config\.[cm]?[jt]s$/, /^wdio\.conf\.[cm]?[jt]s$/, /^testng\.xml$/, /\.runsettings$/,
+  /^pytest\.ini$/, /^pyproject\.toml$/, /^setup\.cfg$/, /^pom\.xml$/, /^build\.gradle(\.kts)?$/, /\.csproj$/,
+  /^appsettings(\.\w+)?\.json$/, /^tsconfig\.json$/, /^package\.json$/, /^requirements\.txt$/
+];
+
+const IGNORED_DIRS = new Set([
+  "node_modules", ".git", ".svn", ".hg", "venv", ".venv", "env", "__pycache__", ".pytest_cache", ".mypy_cache", "target",
+  "bin", "obj", "dist", "build", "out", ".gradle", ".idea", ".vscode", "coverage", "allure-results", "allure-report",
+  "test-results", "playwright-report", "reports", "screenshots", "videos", "downloads"
+]);
+
+// Files that hold credentials rather than conventions are never read
+const SECRET_FILES = /^\.env(\..+)?$|\.(pem|key|p12|pfx|jks|keystore)$|^(id_rsa|id_ed25519|credentials(\.json)?|secrets?\.\w+)$/i;
+const SECRET_FILE_ALLOWED = /^\.env\.(example|sample|template)$/i;
+
+// Values of password / token / key assignments in config and code
+const SECRET_VALUE = /((?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|client[_-]?secret)["']?\s*[:=]\s*)(["'])[^"'\n]{4,}\2/gi;
+const BEARER = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{12,}/g;
+
+export function redactSecrets(text) {
+  return text.replace(SECRET_VALUE, "$1$2<redacted>$2").replace(BEARER, "$1 <redacted>");
+}
+
+const isIgnoredPath = (path) => path.split("/").slice(0, -1).some((dir) => IGNORED_DIRS.has(dir) || dir.startsWith("."));
+const isCandidate = (path) => {
+  const name = basename(path);
+  if (SECRET_FILES.test(name) && !SECRET_FILE_ALLOWED.test(name)) return false;
+  return ALL_CODE.includes(extname(name).toLowerCase()) || name.endsWith(".feature") || CONFIG_FILES.some((re) => re.test(name));
+};
+const isText = (buffer) => !buffer.subarray(0, 8000).includes(0);
+
+// --- ZIP archives ------------------------------------------------------------
+// Reads the central directory and inflates stored / deflated entries; enough
+// for archives made by zip, git archive, IDEs and OS "compress" actions.
+
+export function readZip(buffer) {
+  const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]), Math.max(0, buffer.length - 22));
+  if (eocd < 0 || buffer.length - eocd > 65_557) throw new Error("Not a ZIP archive");
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff) throw new Error("ZIP64 archives are not supported; re-create the archive without ZIP64");
+
+  const files = [];
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error("Corrupt ZIP central directory");
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const path = buffer.toString("utf8", offset + 46, offset + 46 + nameLength).replace(/\\/g, "/");
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+
+    const encrypted = flags & 1;
+    if (path.endsWith("/") || encrypted || ![0, 8].includes(method) || size > MAX_FILE_BYTES) continue;
+    if (path.startsWith("/") || path.split("/").includes("..") || isIgnoredPath(path) || !isCandidate(path)) continue;
+    if (files.length >= MAX_FILES) throw new Error("The archive is too large for a style reference");
+
+    const start = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    // The declared size is only a claim: inflate at most that much and count
+    // what was actually produced
+    let content;
+    try {
+      content = method === 0 ? data : inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+      if (error.code === "ERR_BUFFER_TOO_LARGE") throw new Error(`Corrupt ZIP entry ${path}: inflates beyond its declared size`);
+      continue;
+    }
+    if (content.length !== size) throw new Error(`Corrupt ZIP entry ${path}: ${content.length} bytes instead of the declared ${size}`);
+    if ((total += content.length) > MAX_TOTAL_BYTES) throw new Error("The archive is too large for a style reference");
+    if (isText(content)) files.push({ path, content: content.toString("utf8") });
+  }
+  return stripCommonRoot(files);
+}
+
+// "my-framework/pages/x.py" -> "pages/x.py" when every file shares the folder
+function stripCommonRoot(files) {
+  const roots = new Set(files.map((f) => (f.path.includes("/") ? f.path.split("/")[0] : "")));
+  if (roots.size !== 1 || roots.has("")) return files;
+  const [root] = roots;
+  return files.map((f) => ({ ...f, path: f.path.slice(root.length + 1) }));
+}
+
+// --- Directories -----------------------------------------------------------
+
+async function allowedDirectory(dir) {
+  if (!STYLE_REFERENCE_ROOTS.length) {
+    throw new Error("Reading a framework from a server directory is disabled. Set QAFG_STYLE_REFERENCE_ROOTS to the folders it may read from, or upload a ZIP.");
+  }
+  // Checked before and after resolving symlinks, so nothing is looked up
+  // outside the roots
+  const inside = (path, roots) => roots.some((root) => path === root || path.startsWith(root + sep));
+  const outside = new Error(`Directory "${dir}" is outside QAFG_STYLE_REFERENCE_ROOTS`);
+  if (!inside(resolve(dir), STYLE_REFERENCE_ROOTS)) throw outside;
+  let real;
+  try {
+    real = await realpath(resolve(dir));
+    if (!(await stat(real)).isDirectory()) throw new Error();
+  } catch {
+    throw new Error(`Directory "${dir}" does not exist`);
+  }
+  const roots = await Promise.all(STYLE_REFERENCE_ROOTS.map((root) => realpath(root).catch(() => root)));
+  if (!inside(real, roots)) throw outside;
+  return real;
+}
+
+export async function readDirectory(dir) {
+  const root = await allowedDirectory(dir);
+  const files = [];
+  let total = 0;
+  const walk = async (current) => {
+    for (const entry of await readdir(current, { withFileTypes: true })) {
+      const full = join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name) && !entry.name.startsWith(".")) await walk(full);
+        continue;
+      }
+      const path = relative(root, full).split(sep).join("/");
+      if (!entry.isFile() || !isCandidate(path)) continue;
+      const { size } = await stat(full);
+      if (size > MAX_FILE_BYTES) continue;
+      if (files.length >= MAX_FILES || (total += size) > MAX_TOTAL_BYTES) throw new Error("The directory is too large for a style reference");
+      const content = await readFile(full);
+      if (isText(content)) files.push({ path, content: content.toString("utf8") });
+    }
+  };
+  await walk(root);
+  return files;
+}
+
+// --- Picking representative files ------------------------------------------
+
+const BASE_NAME = /^(base|abstract)[_-]?\w*|[_-]?base\.\w+$|^Base[A-Z]\w*|\w+Base\.\w+$/;
+const HELPER_NAME = /(^|[_-])log(ger|ging|s)?[_.-]|wait|helper|util|wrapper|action|element|driver[_-]?(factory|manager)/i;
+const PAGE_PATH = /(^|\/)(pages?|page[_-]?objects?|pom|screens?|components?)\//i;
+const PAGE_NAME = /[_-]page\.\w+$|Page\.\w+$|\.page\.[jt]s$/;
+const TEST_NAME = /^test_.*\.py$|_test\.py$|\.(spec|test|cy)\.[cm]?[jt]sx?$|Tests?\.(java|cs)$|Steps?\.(java|cs|py)$|^steps?_.*\.py$|\.feature$/;
+
+// Class names other files extend, with how often
+function extendedClasses(files) {
+  const counts = new Map();
+  const bump = (name) => counts.set(name, (counts.get(name) || 0) + 1);
+  for (const { content } of files) {
+    for (const m of content.matchAll(/\bextends\s+([A-Z]\w*)/g)) bump(m[1]);
+    for (const m of content.matchAll(/^\s*class\s+\w+\s*\(\s*([A-Z]\w*)\s*[,)]/gm)) bump(m[1]);
+    for (const m of content.matchAll(/\bclass\s+\w+(?:<[^>]*>)?\s*:\s*([A-Z]\w*)/g)) bump(m[1]);
+  }
+  return counts;
+}
+
+const definedClasses = (content) => [...content.matchAll(/\bclass\s+([A-Z]\w*)/g)].map((m) => m[1]);
+
+// Files close to a typical page object / test in size read best as samples
+const bySampleSize = (a, b) => Math.abs(a.content.length - 2500) - Math.abs(b.content.length - 2500);
+
+// Up to ROLE_LIMITS files per role, code in the request's language first
+export function pickSnippets(files, { language } = {}) {
+  const lang = normalizeLanguage(language);
+  const ownCode = CODE_EXTENSIONS[lang] || [];
+  const code = files.filter((f) => ALL_CODE.includes(extname(f.path).toLowerCase()) && f.content.trim());
+  const preferred = code.filter((f) => ownCode.includes(extname(f.path).toLowerCase()));
+  const pool = preferred.length ? preferred : code;
+  const warnings = [];
+  if (code.length && !preferred.length) warnings.push(`No ${language} files found; the reference is in another language and is used for structure only`);
+
+  const extended = extendedClasses(pool);
+  const baseScore = (f) => definedClasses(f.content).reduce((n, name) => n + (extended.get(name) || 0), 0);
+  const name = (f) => basename(f.path);
+  const isTest = (f) => TEST_NAME.test(name(f));
+
+  const bases = pool
+    .filter((f) => !isTest(f) && (BASE_NAME.test(name(f)) || baseScore(f) >= 2))
+    .sort((a, b) => baseScore(b) - baseScore(a));
+  const baseClasses = new Set(bases.slice(0, ROLE_LIMITS.base).flatMap((f) => definedClasses(f.content)));
+  const taken = new Set(bases.slice(0, ROLE_LIMITS.base));
+  const helpers = pool.filter((f) => !taken.has(f) && !isTest(f) && HELPER_NAME.test(name(f)) && !PAGE_NAME.test(name(f)));
+  helpers.slice(0, ROLE_LIMITS.helper).forEach((f) => taken.add(f));
+  // A page object that extends one of the team's base classes shows how they fit together
+  const extendsBase = (f) => [...baseClasses].some((cls) => new RegExp(`\\b(extends\\s+${cls}|\\(\\s*${cls}\\s*[,)]|:\\s*${cls})\\b`).test(f.content));
+  const pages = pool
+    .filter((f) => !taken.has(f) && !isTest(f) && (PAGE_PATH.test(f.path) || PAGE_NAME.test(name(f))))
+    .sort((a, b) => extendsBase(b) - extendsBase(a) || bySampleSize(a, b));
+  // One test, plus a feature file for BDD suites
+  const tests = [
+    ...pool.filter(isTest).sort(bySampleSize).slice(0, 1),
+    ...files.filter((f) => f.path.endsWith(".feature")).sort(bySampleSize).slice(0, 1)
+  ];
+  const configs = files
+    .filter((f) => CONFIG_FILES.some((re) => re.test(name(f))))
+    .sort((a, b) => CONFIG_FILES.findIndex((re) => re.test(name(a))) - CONFIG_FILES.findIndex((re) => re.test(name(b))) || a.path.split("/").length - b.path.split("/").length);
+
+  const picked = { base: bases, helper: helpers, page: pages, test: tests, config: configs };
+  const snippets = [];
+  let budget = MAX_TOTAL_CHARS;
+  for (const role of ROLES) {
+    for (const file of picked[role].slice(0, ROLE_LIMITS[role])) {
+      if (budget <= 500) break;
+      const snippet = toSnippet(role, file.path, file.content, Math.min(MAX_SNIPPET_CHARS, budget));
+      budget -= snippet.content.length;
+      snippets.push(snippet);
+    }
+  }
+  if (!picked.base.length) warnings.push("No base classes found");
+  if (!picked.page.length) warnings.push("No page objects found");
+  if (!picked.test.length) warnings.push("No tests found");
+  return { snippets, warnings };
+}
+
+function toSnippet(role, path, content, max) {
+  const text = redactSecrets(content.replace(/\r\n/g, "\n")).trimEnd();
+  const truncated = text.length > max;
+  return { role, path, content: truncated ? `${text.slice(0, max - TRUNCATED.length)}${TRUNCATED}` : text, truncated };
+}
+
+// Reads and picks in one go: source is { zip: base64 } or { directory }
+export async function extractStyleReference({ zip, directory, name }, { language } = {}) {
+  let files;
+  if (zip) {
+    files = readZip(Buffer.from(String(zip), "base64"));
+  } else if (directory) {
+    files = await readDirectory(String(directory));
+  } else {
+    throw new Error("Send a ZIP archive (zip, base64) or a directory");
+  }
+  if (!files.length) throw new Error("No source, test or config files found");
+  const { snippets, warnings } = pickSnippets(files, { language });
+  return { name: String(name || (directory ? basename(resolve(String(directory))) : "framework.zip")).slice(0, 100), fileCount: files.length, snippets, warnings };
+}
+
+// The snippets a generate request sent back, re-checked and capped
+export function normalizeStyleReference(input) {
+  if (!input) return null;
+  if (!Array.isArray(input.snippets)) throw new Error("styleReference.snippets must be an array");
+  const snippets = [];
+  let budget = MAX_TOTAL_CHARS;
+  for (const s of input.snippets.slice(0, Object.values(ROLE_LIMITS).reduce((a, b) => a + b, 0))) {
+    if (!ROLES.includes(s?.role) || typeof s.path !== "string" || typeof s.content !== "string") {
+      throw new Error("Each style reference snippet needs a role, path and content");
+    }
+    if (budget <= 500) break;
+    const path = s.path.replace(/[\u0000-\u001F]/g, "").slice(0, 300);
+    const snippet = toSnippet(s.role, path, s.content, Math.min(MAX_SNIPPET_CHARS, budget));
+    snippet.truncated = snippet.truncated || Boolean(s.truncated);
+    budget -= snippet.content.length;
+    snippets.push(snippet);
+  }
+  return snippets.length ? { name: String(input.name || "team framework").slice(0, 100), snippets } : null;
+}
+
+// Prompt block for buildBrief's {{styleReference}}
+export function formatStyleReference(reference) {
+  if (!reference) return "";
+  const files = reference.snippets.map((s) => `----- BEGIN ${s.path} (${ROLE_LABELS[s.role]}${s.truncated ? ", truncated" : ""}) -----
+${s.content}
+----- END ${s.path} -----`).join("\n\n");
+  return `
+TEAM FRAMEWORK STYLE REFERENCE (this overrides "Do NOT create a base_page.py" and the generic page/test structure below):
+The files below are excerpts of the team's existing framework "${reference.name}". The generated code must slot into that codebase:
+- Page objects extend the team's base classes and use its helpers (waits, logging, element actions) instead of calling the driver directly
+- Match its folder layout, file and class naming, import style, fixtures/setup, assertion style and comment/docstring conventions
+- Reproduce the base classes and helpers shown in full below unchanged and at the same paths, so the project runs on its own. For excerpts marked truncated, import them from their paths and only use the members shown
+- Do not invent other team modules you have not seen here; keep the required files from the file list (build config, README, .env)
+
+${files}
+`;
+}
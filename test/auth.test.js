@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveAuth } from "../auth.js";
+
+const recipe = (loginUrl, profile = "staging") => ({
+  mode: "recipe", loginUrl, profile, usernameSelector: "#user", passwordSelector: "#pass"
+});
+
+process.env.QAFG_LOGIN_STAGING_USERNAME = "qa-user";
+process.env.QAFG_LOGIN_STAGING_PASSWORD = "s3cret";
+process.env.QAFG_LOGIN_STAGING_ORIGIN = "https://staging.example.com, https://qa.example.com";
+process.env.QAFG_LOGIN_NOORIGIN_USERNAME = "qa-user";
+process.env.QAFG_LOGIN_NOORIGIN_PASSWORD = "s3cret";
+
+test("a profile resolves on one of its origins", async () => {
+  const auth = await resolveAuth(recipe("/login"), "https://qa.example.com/app");
+  assert.equal(auth.loginUrl, "https://qa.example.com/login");
+  assert.deepEqual(auth.credentials, { username: "qa-user", password: "s3cret" });
+});
+
+test("a profile used against a foreign origin is rejected", async () => {
+  await assert.rejects(
+    resolveAuth(recipe("https://attacker.test/login"), "https://attacker.test/"),
+    /may not be used on https:\/\/attacker\.test/
+  );
+});
+
+test("a profile without an origin is rejected", async () => {
+  await assert.rejects(
+    resolveAuth(recipe("/login", "noorigin"), "https://staging.example.com/"),
+    /has no allowed origin/
+  );
+});
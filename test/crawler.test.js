@@ -0,0 +1,45 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { crawlSite } from "../crawler.js";
+
+// A public IP literal passes the SSRF guard without a DNS lookup; fetch is
+// replaced so nothing leaves the machine
+const SITE = "http://93.184.216.34";
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+function serve(pages) {
+  globalThis.fetch = async (url) => {
+    const page = pages[new URL(url).pathname];
+    if (!page) return new Response("Not found", { status: 404, headers: { "content-type": "text/html" } });
+    return new Response(page.body ?? null, { status: page.status ?? 200, headers: { "content-type": "text/html" } });
+  };
+}
+
+test("error pages and empty pages are skipped", async () => {
+  serve({
+    "/": { body: "<a href='/ok'>ok</a><a href='/missing'>missing</a><a href='/broken'>broken</a><a href='/empty'>empty</a>" },
+    "/ok": { body: "<title>OK</title>" },
+    "/broken": { status: 500, body: "<h1>Server error</h1>" },
+    "/empty": { status: 204 }
+  });
+  const { pages, skipped } = await crawlSite(`${SITE}/`, { maxDepth: 1, maxPages: 10 });
+  assert.deepEqual(pages.map((p) => p.path), ["/", "/ok"]);
+  assert.deepEqual(skipped.map((s) => [new URL(s.url).pathname, s.reason]), [
+    ["/missing", "HTTP 404"],
+    ["/broken", "HTTP 500"],
+    ["/empty", "empty response body"]
+  ]);
+});
+
+test("an error status on the start page throws", async () => {
+  serve({});
+  await assert.rejects(crawlSite(`${SITE}/gone`, { maxDepth: 1 }), /returned HTTP 404/);
+});
+
+test("robots.txt applies to the start page", async () => {
+  serve({ "/robots.txt": { body: "User-agent: *\nDisallow: /private\n" }, "/private": { body: "<title>P</title>" } });
+  const { pages, skipped } = await crawlSite(`${SITE}/private`, { maxDepth: 0 });
+  assert.deepEqual(pages, []);
+  assert.equal(skipped[0].reason, "disallowed by robots.txt");
+});
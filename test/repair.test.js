@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildRepairPrompt, validateRepair, applyPatches } from "../repair.js";
+
+const files = [
+  { name: "test_login.py", path: "tests/", content: "def test_login():\n    assert False\n" },
+  { name: "data.py", path: "fixtures/", content: `ROWS = """${"x".repeat(30_000)}"""\n` }
+];
+const report = { tests: [{ nodeid: "tests/test_login.py::test_login", outcome: "failed", error: "AssertionError" }] };
+
+test("files left out of the repair prompt are named and cannot be patched", () => {
+  const { prompt, omitted } = buildRepairPrompt({ files, report, language: "python", framework: "playwright", targetUrl: "https://example.com", iteration: 1 });
+  assert.deepEqual(omitted, ["fixtures/data.py"]);
+  assert.match(prompt, /\(Not shown, do not return or modify: fixtures\/data\.py\)/);
+
+  const patches = [
+    { name: "test_login.py", path: "tests/", content: "def test_login():\n    assert True\n" },
+    { name: "data.py", path: "fixtures/", content: "ROWS = ''\n" }
+  ];
+  assert.deepEqual(validateRepair({ files: patches }, { omitted }), ["fixtures/data.py was not shown to you; do not return it"]);
+
+  const { files: patched, diffs, rejected } = applyPatches(files, patches, { omitted });
+  assert.deepEqual(rejected, ["fixtures/data.py"]);
+  assert.deepEqual(diffs.map((d) => d.file), ["tests/test_login.py"]);
+  assert.equal(patched[1].content, files[1].content);
+});
@@ -0,0 +1,50 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// RECORDINGS_DIR is read when recordings.js loads
+let dir;
+let replay;
+
+const call = (task, userPrompt, response, files) => ({ task, files, provider: "openai", model: "gpt-4o", systemPrompt: "", userPrompt, response, failures: [], durationMs: 1 });
+const recordings = {
+  "completed-run": { status: "completed", error: null, calls: [call("framework", "first", '{"files":[]}'), call("framework", "repair", '{"files":[{"name":"a"}]}')] },
+  "failed-validation": { status: "failed", error: "Output failed validation", calls: [call("framework", "first", "{bad"), call("framework", "repair", "{still bad")] },
+  "failed-provider": { status: "failed", error: "openai API error 500", calls: [call("plan", "plan", '{"groups":[]}')] },
+  "cancelled-run": { status: "cancelled", error: "Generation cancelled: the client disconnected", calls: [] }
+};
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "qafg-recordings-"));
+  process.env.QAFG_RECORDINGS_DIR = dir;
+  for (const [id, recording] of Object.entries(recordings)) {
+    await writeFile(join(dir, `${id}.json`), JSON.stringify({ id, createdAt: "2026-01-01T00:00:00.000Z", request: { generationMode: "single" }, ...recording }));
+  }
+  replay = (await import("../providers/replay.js")).default;
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+const generate = (model, task, userPrompt) => replay.generate({ model, userPrompt, context: { task } });
+
+test("a completed recording serves the matching prompt, else the last response for the task", async () => {
+  assert.equal(await generate("completed-run", "framework", "first"), '{"files":[]}');
+  assert.equal(await generate("completed-run", "framework", "changed prompt"), '{"files":[{"name":"a"}]}');
+});
+
+test("a failed recording replays its recorded responses, reproducing the failure", async () => {
+  assert.equal(await generate("failed-validation", "framework", "first"), "{bad");
+  assert.equal(await generate("failed-validation", "framework", "another repair"), "{still bad");
+});
+
+test("a call a failed or cancelled recording never answered fails with the recording's error", async () => {
+  await assert.rejects(generate("failed-provider", "files", "group 1"), (error) => {
+    assert.equal(error.name, "ProviderError");
+    assert.equal(error.retryable, false);
+    assert.match(error.message, /"failed-provider" failed before a "files" call was answered: openai API error 500/);
+    return true;
+  });
+  await assert.rejects(generate("cancelled-run", "framework", "first"), /cancelled before a "framework" call was answered: Generation cancelled/);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// The ledger path and the local provider's base URL are read when the modules
+// load, so both are set before importing them
+let dir;
+let server;
+let generateWithFallback;
+let createUsageTracker;
+let ledger;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "qafg-usage-"));
+  ledger = join(dir, "usage.jsonl");
+  // Streams one chunk and drops the connection
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { "content-type": "text/event-stream" });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: '{"files":' } }] })}\n\n`);
+    setTimeout(() => res.destroy(), 20);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.QAFG_USAGE_LOG = ledger;
+  process.env.LOCAL_LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  delete process.env.OPENAI_API_KEY;
+  ({ generateWithFallback } = await import("../providers.js"));
+  ({ createUsageTracker } = await import("../usage.js"));
+});
+
+after(async () => {
+  server.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+const ledgerLines = async () => {
+  // Ledger writes are queued; give them a moment
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  return (await readFile(ledger, "utf-8").catch(() => "")).split("\n").filter(Boolean).map((line) => JSON.parse(line));
+};
+
+test("a misconfigured provider leaves no ledger entry", async () => {
+  const usage = createUsageTracker({ source: "test" });
+  await assert.rejects(generateWithFallback({
+    chain: [{ provider: "openai", model: "gpt-4o" }, { provider: "local", baseUrl: "http://10.0.0.1/v1", model: "fake" }],
+    retries: 0,
+    userPrompt: "Generate",
+    onToken: () => {},
+    onUsage: (u) => usage.add({ task: "framework", ...u })
+  }));
+  assert.equal(usage.summary().calls, 0);
+  assert.deepEqual(await ledgerLines(), []);
+});
+
+test("a call that fails mid-stream is recorded as a failed, estimated call", async () => {
+  const usage = createUsageTracker({ source: "test" });
+  await assert.rejects(generateWithFallback({
+    chain: [{ provider: "local", model: "fake" }],
+    retries: 0,
+    userPrompt: "Generate",
+    onToken: () => {},
+    onUsage: (u) => usage.add({ task: "framework", ...u })
+  }));
+  assert.equal(usage.summary().failedCalls, 1);
+  const [entry] = await ledgerLines();
+  assert.equal(entry.provider, "local");
+  assert.equal(entry.failed, true);
+  assert.equal(entry.estimated, true);
+  assert.ok(entry.inputTokens > 0);
+});
@@ -0,0 +1,134 @@
+import { appendFile, readFile, mkdir } from "fs/promises";
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+
+// Token usage and cost accounting. Every provider call (generation, planned
+// groups, validation retries, auto-fix repairs) is priced and appended to a
+// JSONL ledger so costs can be summed by provider, model and day:
+//
+//   { at, source, task, provider, model, inputTokens, outputTokens, estimated, failed, cost, targetUrl }
+//
+// `estimated` marks calls whose provider reported no usage (e.g. the Claude
+// CLI); their tokens are guessed from the text length. `failed` marks calls
+// that errored or were cancelled after they had started streaming (retried,
+// or fallen over to the next provider). `cost` is USD, or null
+// when the rate table has no entry for the call.
+
+export const USAGE_LOG = resolve(process.env.QAFG_USAGE_LOG || join(fileURLToPath(new URL(".", import.meta.url)), "usage.jsonl"));
+
+// USD per million tokens, looked up as "provider/model", then "model", then
+// "provider". List prices when this table was written; QAFG_PRICING_FILE
+// (a JSON object of the same shape) adds entries or overrides these.
+const DEFAULT_RATES = {
+  "claude-sonnet-4-20250514": { input: 3, output: 15 },
+  "claude-opus-4-1-20250805": { input: 15, output: 75 },
+  "claude-3-5-haiku-20241022": { input: 0.8, output: 4 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "grok-2-latest": { input: 2, output: 10 },
+  "grok-3-latest": { input: 3, output: 15 },
+  "grok-3-mini-latest": { input: 0.3, output: 0.5 },
+  "sonar-pro": { input: 3, output: 15 },
+  "sonar": { input: 1, output: 1 },
+  "sonar-reasoning-pro": { input: 2, output: 8 },
+  // Self-hosted and offline providers cost nothing per token
+  "local": { input: 0, output: 0 },
+  "template": { input: 0, output: 0 },
+  "replay": { input: 0, output: 0 }
+};
+
+async function loadRates() {
+  const file = process.env.QAFG_PRICING_FILE;
+  if (!file) return DEFAULT_RATES;
+  try {
+    const custom = JSON.parse(await readFile(resolve(file), "utf-8"));
+    const valid = Object.entries(custom).filter(([, r]) => Number.isFinite(r?.input) && Number.isFinite(r?.output));
+    console.log(`[usage] loaded ${valid.length} rate${valid.length === 1 ? "" : "s"} from ${file}`);
+    return { ...DEFAULT_RATES, ...Object.fromEntries(valid) };
+  } catch (e) {
+    console.log(`[usage] could not read pricing file ${file}: ${e.message}`);
+    return DEFAULT_RATES;
+  }
+}
+
+export const RATES = await loadRates();
+
+export function rateFor(provider, model) {
+  return RATES[`${provider}/${model}`] || RATES[model] || RATES[provider] || null;
+}
+
+const priceOf = ({ provider, model, inputTokens, outputTokens }) => {
+  const rate = rateFor(provider, model);
+  return rate ? (inputTokens * rate.input + outputTokens * rate.output) / 1e6 : null;
+};
+
+// Ledger lines are appended in call order
+let pending = Promise.resolve();
+function appendToLedger(entry) {
+  pending = pending
+    .then(() => mkdir(dirname(USAGE_LOG), { recursive: true }))
+    .then(() => appendFile(USAGE_LOG, `${JSON.stringify(entry)}\n`))
+    .catch((e) => console.log(`[usage] could not write ${USAGE_LOG}: ${e.message}`));
+}
+
+// Per-request accumulator. meta ({ source, targetUrl }) is stored with every
+// ledger line; summary() is what the client gets with the result.
+export function createUsageTracker(meta = {}) {
+  const calls = [];
+  return {
+    add({ task, provider, model, inputTokens, outputTokens, estimated, failed }) {
+      const call = { task, provider, model: model ?? null, inputTokens, outputTokens, estimated: Boolean(estimated), failed: Boolean(failed) };
+      call.cost = priceOf(call);
+      calls.push(call);
+      appendToLedger({ at: new Date().toISOString(), source: meta.source, ...call, targetUrl: meta.targetUrl });
+      return call;
+    },
+    summary() {
+      const priced = calls.filter((c) => c.cost !== null);
+      return {
+        calls: calls.length,
+        inputTokens: calls.reduce((n, c) => n + c.inputTokens, 0),
+        outputTokens: calls.reduce((n, c) => n + c.outputTokens, 0),
+        estimated: calls.some((c) => c.estimated),
+        failedCalls: calls.filter((c) => c.failed).length,
+        cost: priced.length ? priced.reduce((n, c) => n + c.cost, 0) : null,
+        unpricedCalls: calls.length - priced.length
+      };
+    }
+  };
+}
+
+// Ledger totals of the last `days` days grouped by UTC day, provider and
+// model, newest day first
+export async function summarizeUsage({ days = 30 } = {}) {
+  let raw;
+  try {
+    raw = await readFile(USAGE_LOG, "utf-8");
+  } catch {
+    return [];
+  }
+  const since = new Date(Date.now() - days * 86_400_000).toISOString();
+  const rows = new Map();
+  for (const line of raw.split("\n")) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!(entry.at >= since)) continue;
+    const day = entry.at.slice(0, 10);
+    const key = `${day}|${entry.provider}|${entry.model}`;
+    const row = rows.get(key) || { day, provider: entry.provider, model: entry.model, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimated: false, unpricedCalls: 0 };
+    row.calls += 1;
+    row.inputTokens += entry.inputTokens || 0;
+    row.outputTokens += entry.outputTokens || 0;
+    row.estimated = row.estimated || Boolean(entry.estimated);
+    if (entry.cost === null || entry.cost === undefined) row.unpricedCalls += 1;
+    else row.cost += entry.cost;
+    rows.set(key, row);
+  }
+  return [...rows.values()].sort((a, b) => b.day.localeCompare(a.day) || b.cost - a.cost);
+}